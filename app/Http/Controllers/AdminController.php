@@ -96,6 +96,8 @@ class AdminController {
 			'apiUrl' => rest_url( 'flux-media-optimizer/v1/' ),
 			'nonce' => wp_create_nonce( 'wp_rest' ),
 			'adminUrl' => admin_url(),
+			'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+			'disableNonce' => wp_create_nonce( 'flux_media_optimizer_disable_conversion' ),
 			'pluginUrl' => FLUX_MEDIA_OPTIMIZER_PLUGIN_URL,
 			'userEmail' => $user_email,
 		] );
@@ -0,0 +1,257 @@
+<?php
+/**
+ * Attachments REST API controller for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Http\Controllers;
+
+use FluxMedia\App\Services\MediaLibraryService;
+use FluxMedia\App\Services\ConversionErrorClassifier;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Handles attachment listing REST API endpoints.
+ *
+ * @since 2.1.0
+ */
+class AttachmentsController extends BaseController {
+
+	/**
+	 * Media library service instance.
+	 *
+	 * @since 2.1.0
+	 * @var MediaLibraryService
+	 */
+	private $media_library_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 2.1.0
+	 * @param MediaLibraryService $media_library_service Media library service instance.
+	 */
+	public function __construct( MediaLibraryService $media_library_service ) {
+		$this->media_library_service = $media_library_service;
+		parent::__construct( new \FluxMedia\App\Services\Logger() );
+	}
+
+	/**
+	 * Register REST API routes.
+	 *
+	 * @since 2.1.0
+	 */
+	public function register_routes() {
+		register_rest_route( 'flux-media-optimizer/v1', '/attachments', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_attachments' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'page' => [
+						'type' => 'integer',
+						'default' => 1,
+						'minimum' => 1,
+					],
+					'per_page' => [
+						'type' => 'integer',
+						'default' => 25,
+						'minimum' => 1,
+						'maximum' => 100,
+					],
+					'orderby' => [
+						'type' => 'string',
+						'default' => 'date',
+						'enum' => array_keys( MediaLibraryService::SORTABLE_COLUMNS ),
+					],
+					'order' => [
+						'type' => 'string',
+						'default' => 'desc',
+						'enum' => [ 'asc', 'desc' ],
+					],
+					'search' => [
+						'type' => 'string',
+						'default' => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'type' => [
+						'type' => 'string',
+						'default' => '',
+						'enum' => [ '', 'image', 'video' ],
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/attachments/failures', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_failed_attachments' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'page' => [
+						'type' => 'integer',
+						'default' => 1,
+						'minimum' => 1,
+					],
+					'per_page' => [
+						'type' => 'integer',
+						'default' => 25,
+						'minimum' => 1,
+						'maximum' => 100,
+					],
+					'category' => [
+						'type' => 'string',
+						'default' => '',
+						'enum' => array_merge( [ '' ], ConversionErrorClassifier::get_categories() ),
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/attachments/(?P<id>\d+)', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_attachment' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/attachments/(?P<id>\d+)/variants', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_attachment_variants' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/attachments/(?P<id>\d+)/history', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_attachment_history' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+	}
+
+	/**
+	 * Get attachments with their conversion status.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_attachments( WP_REST_Request $request ) {
+		try {
+			$args = [
+				'page' => $request->get_param( 'page' ),
+				'per_page' => $request->get_param( 'per_page' ),
+				'orderby' => $request->get_param( 'orderby' ),
+				'order' => $request->get_param( 'order' ),
+				'search' => $request->get_param( 'search' ),
+				'type' => $request->get_param( 'type' ),
+			];
+
+			$attachments = $this->media_library_service->get_attachments( $args );
+
+			return $this->create_success_response( $attachments, 'Attachments retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve attachments: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get attachments whose last conversion attempt failed.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_failed_attachments( WP_REST_Request $request ) {
+		try {
+			$failures = $this->media_library_service->get_failed_attachments( [
+				'page' => $request->get_param( 'page' ),
+				'per_page' => $request->get_param( 'per_page' ),
+				'category' => $request->get_param( 'category' ),
+			] );
+
+			return $this->create_success_response( $failures, 'Conversion failures retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve conversion failures: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get a single attachment with its conversion status.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_attachment( WP_REST_Request $request ) {
+		try {
+			$attachment = $this->media_library_service->get_attachment( (int) $request->get_param( 'id' ) );
+			if ( ! $attachment ) {
+				return $this->create_error_response( 'Attachment not found', 'attachment_not_found', 404 );
+			}
+
+			return $this->create_success_response( $attachment, 'Attachment retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve attachment: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the conversion history timeline for an attachment.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_attachment_history( WP_REST_Request $request ) {
+		try {
+			$history = $this->media_library_service->get_attachment_history( (int) $request->get_param( 'id' ) );
+			if ( ! $history ) {
+				return $this->create_error_response( 'Attachment not found', 'attachment_not_found', 404 );
+			}
+
+			return $this->create_success_response( $history, 'Attachment history retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve attachment history: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the original and converted versions of an image for comparison.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_attachment_variants( WP_REST_Request $request ) {
+		try {
+			$variants = $this->media_library_service->get_attachment_variants( (int) $request->get_param( 'id' ) );
+			if ( ! $variants ) {
+				return $this->create_error_response( 'Image attachment not found', 'attachment_not_found', 404 );
+			}
+
+			return $this->create_success_response( $variants, 'Attachment variants retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve attachment variants: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Check if user has permission to access attachments.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function check_permissions( WP_REST_Request $request ) {
+		return current_user_can( 'manage_options' );
+	}
+}
@@ -42,23 +42,31 @@ abstract class BaseController extends WP_REST_Controller {
 	 * Create a standardized error response.
 	 *
 	 * @since 0.1.0
+	 * @since 2.1.0 Added the `$data` parameter.
 	 * @param string $message Error message.
 	 * @param string $error_code Error code.
 	 * @param int    $http_status HTTP status code.
+	 * @param mixed  $data Optional data that helps the client recover from the error.
 	 * @return WP_REST_Response Error response.
 	 */
-	protected function create_error_response( $message, $error_code = 'error', $http_status = 500 ) {
+	protected function create_error_response( $message, $error_code = 'error', $http_status = 500, $data = null ) {
 		// Log the error
 		$this->logger->error( $message, [
 			'error_code' => $error_code,
 			'http_status' => $http_status,
 		] );
 
-		return new WP_REST_Response( [
+		$response = [
 			'success' => false,
 			'message' => $message,
 			'error_code' => $error_code,
-		], $http_status );
+		];
+
+		if ( $data !== null ) {
+			$response['data'] = $data;
+		}
+
+		return new WP_REST_Response( $response, $http_status );
 	}
 
 	/**
@@ -0,0 +1,172 @@
+<?php
+/**
+ * Cleanup REST API controller for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Http\Controllers;
+
+use FluxMedia\App\Services\LogsService;
+use FluxMedia\App\Services\Settings;
+use FluxMedia\App\Services\ConversionTracker;
+use FluxMedia\App\Services\VideoConverter;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Handles maintenance and cleanup REST API endpoints.
+ *
+ * @since 2.1.0
+ */
+class CleanupController extends BaseController {
+
+	/**
+	 * Logs service instance.
+	 *
+	 * @since 2.1.0
+	 * @var LogsService
+	 */
+	private $logs_service;
+
+	/**
+	 * Conversion tracker instance.
+	 *
+	 * @since 2.1.0
+	 * @var ConversionTracker
+	 */
+	private $conversion_tracker;
+
+	/**
+	 * Video converter instance.
+	 *
+	 * @since 2.1.0
+	 * @var VideoConverter
+	 */
+	private $video_converter;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 2.1.0
+	 * @param LogsService       $logs_service Logs service instance.
+	 * @param ConversionTracker $conversion_tracker Conversion tracker instance.
+	 * @param VideoConverter    $video_converter Video converter instance.
+	 */
+	public function __construct( LogsService $logs_service, ConversionTracker $conversion_tracker, VideoConverter $video_converter ) {
+		$this->logs_service = $logs_service;
+		$this->conversion_tracker = $conversion_tracker;
+		$this->video_converter = $video_converter;
+		parent::__construct( new \FluxMedia\App\Services\Logger() );
+	}
+
+	/**
+	 * Register REST API routes.
+	 *
+	 * @since 2.1.0
+	 */
+	public function register_routes() {
+		register_rest_route( 'flux-media-optimizer/v1', '/cleanup/temp-files', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'cleanup_temp_files' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/cleanup/old-records', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'cleanup_old_records' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'days' => [
+						'type' => 'integer',
+						'minimum' => 0,
+					],
+					'max_rows' => [
+						'type' => 'integer',
+						'minimum' => 0,
+					],
+					'dry_run' => [
+						'type' => 'boolean',
+						'default' => false,
+					],
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Remove stale temporary files left behind by interrupted conversions.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function cleanup_temp_files( WP_REST_Request $request ) {
+		try {
+			$removed = $this->video_converter->cleanup_stale_temp_files();
+
+			return $this->create_success_response( [ 'directories_deleted' => $removed ], 'Temporary files cleaned up successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to clean up temporary files: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Remove old log entries and orphaned conversion records.
+	 *
+	 * `days` and `max_rows` default to the saved log retention settings. With
+	 * `dry_run` nothing is deleted and the counts show what would be removed.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function cleanup_old_records( WP_REST_Request $request ) {
+		try {
+			$days = $request->get_param( 'days' );
+			$days = null !== $days ? (int) $days : Settings::get_log_retention_days();
+			$max_rows = $request->get_param( 'max_rows' );
+			$max_rows = null !== $max_rows ? (int) $max_rows : Settings::get_log_retention_max_rows();
+			$dry_run = (bool) $request->get_param( 'dry_run' );
+
+			if ( $dry_run ) {
+				$logs = $this->logs_service->count_logs_to_purge( $days, $max_rows );
+				$conversions = $this->conversion_tracker->count_orphaned_conversions();
+			} else {
+				$logs = $this->logs_service->purge_logs( $days, $max_rows );
+				$conversions = $this->conversion_tracker->delete_orphaned_conversions();
+			}
+
+			$result = [
+				'days' => $days,
+				'max_rows' => $max_rows,
+				'dry_run' => $dry_run,
+				'logs_deleted' => $logs['total'],
+				'logs_deleted_by_age' => $logs['by_age'],
+				'logs_deleted_by_rows' => $logs['by_rows'],
+				'conversions_deleted' => $conversions,
+			];
+
+			$message = $dry_run ? 'Cleanup preview generated successfully' : 'Old records cleaned up successfully';
+
+			return $this->create_success_response( $result, $message );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to clean up old records: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Check if user has permission to run cleanup tasks.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function check_permissions( WP_REST_Request $request ) {
+		return current_user_can( 'manage_options' );
+	}
+}
@@ -9,6 +9,9 @@
 namespace FluxMedia\App\Http\Controllers;
 
 use FluxMedia\App\Services\ConversionTracker;
+use FluxMedia\App\Services\BulkConverter;
+use FluxMedia\App\Services\WordPressProvider;
+use FluxMedia\App\Services\Settings;
 use WP_REST_Request;
 use WP_REST_Response;
 
@@ -27,14 +30,35 @@ class ConversionsController extends BaseController {
 	 */
 	private $conversion_tracker;
 
+	/**
+	 * Bulk converter instance.
+	 *
+	 * @since 2.1.0
+	 * @var BulkConverter
+	 */
+	private $bulk_converter;
+
+	/**
+	 * WordPress provider instance.
+	 *
+	 * @since 2.1.0
+	 * @var WordPressProvider
+	 */
+	private $wordpress_provider;
+
 	/**
 	 * Constructor.
 	 *
 	 * @since 0.1.0
+	 * @since 2.1.0 Added the `$bulk_converter` and `$wordpress_provider` parameters.
 	 * @param ConversionTracker $conversion_tracker Conversion tracker instance.
+	 * @param BulkConverter     $bulk_converter Bulk converter instance.
+	 * @param WordPressProvider $wordpress_provider WordPress provider instance.
 	 */
-	public function __construct( ConversionTracker $conversion_tracker ) {
+	public function __construct( ConversionTracker $conversion_tracker, BulkConverter $bulk_converter, WordPressProvider $wordpress_provider ) {
 		$this->conversion_tracker = $conversion_tracker;
+		$this->bulk_converter = $bulk_converter;
+		$this->wordpress_provider = $wordpress_provider;
 		parent::__construct( new \FluxMedia\App\Services\Logger() );
 	}
 
@@ -49,14 +73,277 @@ class ConversionsController extends BaseController {
 				'methods' => 'GET',
 				'callback' => [ $this, 'get_conversion_stats' ],
 				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'interval' => [
+						'type' => 'string',
+						'enum' => [ 'day', 'week', 'month' ],
+					],
+					'from' => [
+						'type' => 'string',
+						'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+					],
+					'to' => [
+						'type' => 'string',
+						'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+					],
+					'format' => [
+						'type' => 'string',
+						'enum' => [ 'webp', 'avif', 'av1', 'webm' ],
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/recent', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_recent_conversions' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'limit' => [
+						'type' => 'integer',
+						'default' => 10,
+						'minimum' => 1,
+						'maximum' => 100,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/start', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'start_conversion' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'attachmentId' => [
+						'required' => true,
+						'type' => 'integer',
+						'minimum' => 1,
+					],
+					'format' => [
+						'type' => 'string',
+						'enum' => [ 'webp', 'avif' ],
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/bulk', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_bulk_job' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'start_bulk_job' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'formats' => [
+						'type' => 'array',
+						'default' => [],
+						'items' => [
+							'type' => 'string',
+							'enum' => [ 'webp', 'avif', 'av1', 'webm' ],
+						],
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/bulk/pause', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'pause_bulk_job' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/bulk/resume', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'resume_bulk_job' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/cancel/(?P<id>[a-zA-Z0-9-]+)', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'cancel_bulk_job' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
 			],
 		] );
 	}
 
+	/**
+	 * Get the most recent conversions.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_recent_conversions( WP_REST_Request $request ) {
+		try {
+			$conversions = $this->conversion_tracker->get_recent_conversions( $request->get_param( 'limit' ) );
+
+			return $this->create_success_response( $conversions, 'Recent conversions retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve recent conversions: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Convert a single attachment.
+	 *
+	 * Images are converted synchronously to all enabled formats, or only the
+	 * requested one when `format` is given. Videos are queued for background
+	 * processing and always convert to all enabled video formats, so `format`
+	 * is rejected for them.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function start_conversion( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'attachmentId' );
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'attachment_not_found', 404 );
+			}
+
+			$formats = null;
+			$format = $request->get_param( 'format' );
+			if ( $format ) {
+				$mime_type = (string) get_post_mime_type( $attachment_id );
+				if ( 0 !== strpos( $mime_type, 'image/' ) ) {
+					return $this->create_error_response( "A single format can only be requested for images, not {$mime_type} attachments", 'format_not_applicable', 400 );
+				}
+
+				if ( ! in_array( $format, Settings::get_image_formats(), true ) ) {
+					return $this->create_error_response( "Format {$format} is not an enabled image format", 'format_not_enabled', 400 );
+				}
+				$formats = [ $format ];
+			}
+
+			$result = $this->wordpress_provider->convert_attachment( $attachment_id, $formats );
+			if ( ! $result['success'] ) {
+				return $this->create_error_response( 'Conversion failed: ' . implode( ', ', $result['errors'] ?? [] ), 'conversion_failed', 422 );
+			}
+
+			$message = ! empty( $result['queued'] ) ? 'Conversion queued successfully' : 'Conversion completed successfully';
+
+			return $this->create_success_response( $result, $message );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to convert attachment: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the current bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_bulk_job( WP_REST_Request $request ) {
+		try {
+			$job = $this->bulk_converter->get_job_status();
+
+			return $this->create_success_response( [ 'job' => $job ], 'Bulk conversion job retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve bulk conversion job: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Start a bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function start_bulk_job( WP_REST_Request $request ) {
+		try {
+			$current = $this->bulk_converter->get_job_status();
+			if ( $current && in_array( $current['status'], [ BulkConverter::JOB_STATUS_RUNNING, BulkConverter::JOB_STATUS_PAUSED ], true ) ) {
+				return $this->create_error_response( 'A bulk conversion job is already in progress', 'bulk_job_in_progress', 409 );
+			}
+
+			$job = $this->bulk_converter->start_job( $request->get_param( 'formats' ) );
+
+			return $this->create_success_response( [ 'job' => $job ], 'Bulk conversion job started successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to start bulk conversion job: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Pause the running bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function pause_bulk_job( WP_REST_Request $request ) {
+		try {
+			$job = $this->bulk_converter->pause_job();
+			if ( ! $job ) {
+				return $this->create_error_response( 'No running bulk conversion job to pause', 'bulk_job_not_running', 409 );
+			}
+
+			return $this->create_success_response( [ 'job' => $job ], 'Bulk conversion job paused successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to pause bulk conversion job: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Resume the paused bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function resume_bulk_job( WP_REST_Request $request ) {
+		try {
+			$job = $this->bulk_converter->resume_job();
+			if ( ! $job ) {
+				return $this->create_error_response( 'No paused bulk conversion job to resume', 'bulk_job_not_paused', 409 );
+			}
+
+			return $this->create_success_response( [ 'job' => $job ], 'Bulk conversion job resumed successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to resume bulk conversion job: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Cancel a bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function cancel_bulk_job( WP_REST_Request $request ) {
+		try {
+			$job = $this->bulk_converter->cancel_job( $request->get_param( 'id' ) );
+			if ( ! $job ) {
+				return $this->create_error_response( 'Bulk conversion job not found or already finished', 'bulk_job_not_found', 404 );
+			}
+
+			return $this->create_success_response( [ 'job' => $job ], 'Bulk conversion job cancelled successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to cancel bulk conversion job: ' . $e->getMessage() );
+		}
+	}
+
 	/**
 	 * Get conversion statistics.
 	 *
 	 * @since 0.1.0
+	 * @since 2.1.0 Added the `timeseries` key when an `interval` is requested.
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response Response object.
 	 */
@@ -84,6 +371,16 @@ class ConversionsController extends BaseController {
 				'recent_savings' => $savings_stats['recent'],
 			];
 
+			// Time-bucketed savings are only computed when an interval is requested
+			$interval = $request->get_param( 'interval' );
+			if ( $interval ) {
+				$stats['timeseries'] = $this->conversion_tracker->get_savings_timeseries( $interval, [
+					'from' => $request->get_param( 'from' ),
+					'to' => $request->get_param( 'to' ),
+					'format' => $request->get_param( 'format' ),
+				] );
+			}
+
 			return $this->create_success_response( $stats, 'Conversion statistics retrieved successfully' );
 		} catch ( \Exception $e ) {
 			return $this->create_error_response( 'Failed to retrieve conversion statistics: ' . $e->getMessage() );
@@ -0,0 +1,102 @@
+<?php
+/**
+ * Files REST API controller for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Http\Controllers;
+
+use FluxMedia\App\Services\WordPressProvider;
+use FluxMedia\App\Services\AttachmentMetaHandler;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Handles converted file REST API endpoints.
+ *
+ * @since 2.1.0
+ */
+class FilesController extends BaseController {
+
+	/**
+	 * WordPress provider instance.
+	 *
+	 * @since 2.1.0
+	 * @var WordPressProvider
+	 */
+	private $wordpress_provider;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 2.1.0
+	 * @param WordPressProvider $wordpress_provider WordPress provider instance.
+	 */
+	public function __construct( WordPressProvider $wordpress_provider ) {
+		$this->wordpress_provider = $wordpress_provider;
+		parent::__construct( new \FluxMedia\App\Services\Logger() );
+	}
+
+	/**
+	 * Register REST API routes.
+	 *
+	 * @since 2.1.0
+	 */
+	public function register_routes() {
+		register_rest_route( 'flux-media-optimizer/v1', '/files/delete/(?P<id>\d+)/(?P<format>webp|avif|av1|webm)', [
+			[
+				'methods' => 'DELETE',
+				'callback' => [ $this, 'delete_converted_file' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+	}
+
+	/**
+	 * Delete the converted files of one format for an attachment.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function delete_converted_file( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'id' );
+			$format = $request->get_param( 'format' );
+
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'attachment_not_found', 404 );
+			}
+
+			if ( ! in_array( $format, AttachmentMetaHandler::get_converted_formats( $attachment_id ), true ) ) {
+				return $this->create_error_response( "Attachment has no {$format} conversion", 'format_not_converted', 404 );
+			}
+
+			$deleted = $this->wordpress_provider->delete_converted_format( $attachment_id, $format );
+			if ( ! $deleted ) {
+				return $this->create_error_response( 'Some converted files could not be deleted', 'delete_failed' );
+			}
+
+			return $this->create_success_response( [
+				'attachment_id' => $attachment_id,
+				'format' => $format,
+				'converted_formats' => AttachmentMetaHandler::get_converted_formats( $attachment_id ),
+			], 'Converted file deleted successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to delete converted file: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Check if user has permission to manage converted files.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function check_permissions( WP_REST_Request $request ) {
+		return current_user_can( 'manage_options' );
+	}
+}
@@ -49,8 +49,81 @@ class LogsController extends BaseController {
 				'methods' => 'GET',
 				'callback' => [ $this, 'get_logs' ],
 				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => array_merge( $this->get_filter_args(), [
+					'after_id' => [
+						'type' => 'integer',
+						'default' => 0,
+						'minimum' => 0,
+					],
+				] ),
 			],
 		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/logs/export', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'export_logs' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => array_merge( $this->get_filter_args(), [
+					'format' => [
+						'type' => 'string',
+						'default' => 'csv',
+						'enum' => LogsService::EXPORT_FORMATS,
+					],
+				] ),
+			],
+		] );
+	}
+
+	/**
+	 * Get the route arguments shared by the log listing and export.
+	 *
+	 * @since 2.1.0
+	 * @return array Route argument definitions.
+	 */
+	private function get_filter_args() {
+		return [
+			'level' => [
+				'type' => 'string',
+				'default' => '',
+				'enum' => array_merge( [ '' ], LogsService::LEVELS ),
+			],
+			'search' => [
+				'type' => 'string',
+				'default' => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'date_from' => [
+				'type' => 'string',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			],
+			'date_to' => [
+				'type' => 'string',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			],
+			'attachment_id' => [
+				'type' => 'integer',
+				'default' => 0,
+				'minimum' => 0,
+			],
+		];
+	}
+
+	/**
+	 * Get the filter values from a request.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return array Filters for LogsService.
+	 */
+	private function get_filter_params( WP_REST_Request $request ) {
+		return [
+			'level' => $request->get_param( 'level' ),
+			'search' => $request->get_param( 'search' ),
+			'date_from' => $request->get_param( 'date_from' ),
+			'date_to' => $request->get_param( 'date_to' ),
+			'attachment_id' => (int) $request->get_param( 'attachment_id' ),
+		];
 	}
 
 	/**
@@ -62,12 +135,11 @@ class LogsController extends BaseController {
 	 */
 	public function get_logs( WP_REST_Request $request ) {
 		try {
-			$args = [
+			$args = array_merge( $this->get_filter_params( $request ), [
 				'page' => $request->get_param( 'page' ) ?: 1,
 				'per_page' => $request->get_param( 'per_page' ) ?: 20,
-				'level' => $request->get_param( 'level' ),
-				'search' => $request->get_param( 'search' ),
-			];
+				'after_id' => (int) $request->get_param( 'after_id' ),
+			] );
 			
 			$logs = $this->logs_service->get_logs( $args );
 
@@ -77,6 +149,46 @@ class LogsController extends BaseController {
 		}
 	}
 
+	/**
+	 * Stream logs matching the filters as a CSV or NDJSON download.
+	 *
+	 * Writes straight to the output instead of building a REST response so
+	 * large log tables never have to fit in memory.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|void Error response, otherwise the request ends after the download.
+	 */
+	public function export_logs( WP_REST_Request $request ) {
+		$format = $request->get_param( 'format' );
+		$filename = sprintf( 'flux-media-optimizer-logs-%s.%s', gmdate( 'Y-m-d-His' ), $format );
+
+		$handle = fopen( 'php://output', 'w' );
+		if ( ! $handle ) {
+			return $this->create_error_response( 'Failed to export logs: could not open output stream' );
+		}
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( 'csv' === $format ? 'text/csv' : 'application/x-ndjson' ) . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		// Drop any buffered output so the file starts cleanly and streams as written
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		try {
+			$this->logs_service->export_logs( $handle, $format, $this->get_filter_params( $request ) );
+		} catch ( \Exception $e ) {
+			// Headers are already sent, so record the failure instead of responding
+			$this->logger->error( 'Log export failed: ' . $e->getMessage() );
+		}
+
+		fclose( $handle );
+		exit;
+	}
+
 	/**
 	 * Check if user has permission to access logs.
 	 *
@@ -9,6 +9,7 @@
 namespace FluxMedia\App\Http\Controllers;
 
 use FluxMedia\App\Services\Settings;
+use FluxMedia\App\Services\QualityPreviewService;
 use WP_REST_Request;
 use WP_REST_Response;
 
@@ -27,14 +28,25 @@ class OptionsController extends BaseController {
 	 */
 	private $settings;
 
+	/**
+	 * Quality preview service instance.
+	 *
+	 * @since 2.1.0
+	 * @var QualityPreviewService
+	 */
+	private $quality_preview_service;
+
 	/**
 	 * Constructor.
 	 *
 	 * @since 0.1.0
-	 * @param Settings $settings Settings instance.
+	 * @since 2.1.0 Added the `$quality_preview_service` parameter.
+	 * @param Settings              $settings Settings instance.
+	 * @param QualityPreviewService $quality_preview_service Quality preview service instance.
 	 */
-	public function __construct( Settings $settings ) {
+	public function __construct( Settings $settings, QualityPreviewService $quality_preview_service ) {
 		$this->settings = $settings;
+		$this->quality_preview_service = $quality_preview_service;
 		parent::__construct( new \FluxMedia\App\Services\Logger() );
 	}
 
@@ -66,6 +78,94 @@ class OptionsController extends BaseController {
 				],
 			],
 		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/options/schema', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_options_schema' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		// Quality values share the ranges of the saved settings
+		$fields = Settings::get_schema()['fields'];
+		$quality_arg = function ( $key ) use ( $fields ) {
+			return [
+				'type' => 'integer',
+				'minimum' => $fields[ $key ]['min'],
+				'maximum' => $fields[ $key ]['max'],
+				'description' => 'Defaults to the saved value',
+			];
+		};
+
+		register_rest_route( 'flux-media-optimizer/v1', '/options/preview', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'preview_quality' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'attachment_id' => [
+						'required' => true,
+						'type' => 'integer',
+						'minimum' => 1,
+					],
+					'image_webp_quality' => $quality_arg( 'image_webp_quality' ),
+					'image_avif_quality' => $quality_arg( 'image_avif_quality' ),
+					'image_avif_speed' => $quality_arg( 'image_avif_speed' ),
+					'formats' => [
+						'type' => 'array',
+						'items' => [
+							'type' => 'string',
+							'enum' => QualityPreviewService::FORMATS,
+						],
+						'default' => QualityPreviewService::FORMATS,
+					],
+					'size' => [
+						'type' => 'string',
+						'default' => 'large',
+						'sanitize_callback' => 'sanitize_key',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/options/export', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'export_options' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/options/import', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'import_options' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'options' => [
+						'required' => true,
+						'type' => 'object',
+						'description' => 'Options to import',
+						'sanitize_callback' => [ $this, 'sanitize_options' ],
+						'validate_callback' => [ $this, 'validate_options' ],
+					],
+					'dry_run' => [
+						'type' => 'boolean',
+						'default' => false,
+						'description' => 'Only preview the changes without saving them',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/options/reset', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'reset_options' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
 	}
 
 	/**
@@ -117,7 +217,7 @@ class OptionsController extends BaseController {
 	public function get_options( WP_REST_Request $request ) {
 		try {
 			$options = $this->settings->get_all();
-			return $this->create_success_response( $options, 'Options retrieved successfully' );
+			return $this->with_revision( $this->create_success_response( $options, 'Options retrieved successfully' ) );
 		} catch ( \Exception $e ) {
 			return $this->create_error_response( 'Failed to retrieve options: ' . $e->getMessage() );
 		}
@@ -126,7 +226,14 @@ class OptionsController extends BaseController {
 	/**
 	 * Update options.
 	 *
+	 * Nothing is saved when any option is invalid; the `invalid_options` error
+	 * then lists the messages per option. When the request has an `If-Match`
+	 * header with a settings revision that is no longer current, nothing is
+	 * saved either and a `revision_conflict` error with the current options
+	 * and revision is returned instead.
+	 *
 	 * @since 0.1.0
+	 * @since 2.1.0 Added validation and the `If-Match` revision check.
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response Response object.
 	 */
@@ -138,18 +245,187 @@ class OptionsController extends BaseController {
 				return $this->create_error_response( 'Invalid options format', 'invalid_options', 400 );
 			}
 
+			$errors = Settings::validate( $options );
+			if ( ! empty( $errors ) ) {
+				return $this->create_error_response(
+					'Invalid options: ' . implode( ', ', array_keys( $errors ) ),
+					'invalid_options',
+					400,
+					[ 'errors' => $errors ]
+				);
+			}
+
+			// Refuse to overwrite settings that changed since the client loaded them
+			if ( ! $this->is_current_revision( $request ) ) {
+				return $this->with_revision( $this->create_error_response(
+					'Options were changed by someone else',
+					'revision_conflict',
+					412,
+					[
+						'revision' => Settings::get_revision(),
+						'options' => $this->settings->get_all(),
+					]
+				) );
+			}
+
 			// Update all options at once
 			$this->settings->update( $options );
 
 			// Get updated options
 			$updated_options = $this->settings->get_all();
 			
-			return $this->create_success_response( $updated_options, 'Options updated successfully' );
+			return $this->with_revision( $this->create_success_response( $updated_options, 'Options updated successfully' ) );
 		} catch ( \Exception $e ) {
 			return $this->create_error_response( 'Failed to update options: ' . $e->getMessage() );
 		}
 	}
 
+	/**
+	 * Get the settings schema used to render the settings form.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_options_schema( WP_REST_Request $request ) {
+		try {
+			return $this->create_success_response( Settings::get_schema(), 'Options schema retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve options schema: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Encode a sample attachment with unsaved quality settings.
+	 *
+	 * Nothing is saved; preview files older than an hour are removed by
+	 * the next preview or the daily cleanup cron.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function preview_quality( WP_REST_Request $request ) {
+		try {
+			$settings = [
+				'webp_quality' => $request->get_param( 'image_webp_quality' ) ?? Settings::get_webp_quality(),
+				'avif_quality' => $request->get_param( 'image_avif_quality' ) ?? Settings::get_avif_quality(),
+				'avif_speed' => $request->get_param( 'image_avif_speed' ) ?? Settings::get_avif_speed(),
+			];
+
+			$preview = $this->quality_preview_service->create_preview(
+				(int) $request->get_param( 'attachment_id' ),
+				array_map( 'intval', $settings ),
+				$request->get_param( 'formats' ),
+				$request->get_param( 'size' )
+			);
+
+			if ( ! $preview ) {
+				return $this->create_error_response( 'Image attachment not found', 'attachment_not_found', 404 );
+			}
+
+			return $this->create_success_response( $preview, 'Quality preview created successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to create quality preview: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Export the portable options as a JSON document.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function export_options( WP_REST_Request $request ) {
+		try {
+			return $this->create_success_response( Settings::export(), 'Options exported successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to export options: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Import options, or preview the import when `dry_run` is set.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function import_options( WP_REST_Request $request ) {
+		try {
+			$options = $request->get_param( 'options' );
+
+			if ( $request->get_param( 'dry_run' ) ) {
+				return $this->create_success_response( Settings::preview_import( $options ), 'Import preview generated successfully' );
+			}
+
+			$result = Settings::import( $options );
+			if ( ! empty( $result['errors'] ) ) {
+				return $this->create_error_response(
+					'Invalid options: ' . implode( ', ', array_keys( $result['errors'] ) ),
+					'invalid_import',
+					400,
+					[ 'errors' => $result['errors'] ]
+				);
+			}
+
+			$result['options'] = $this->settings->get_all();
+
+			return $this->with_revision( $this->create_success_response( $result, 'Options imported successfully' ) );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to import options: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Reset options to their defaults, keeping site-specific settings.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function reset_options( WP_REST_Request $request ) {
+		try {
+			Settings::reset( Settings::NON_PORTABLE_KEYS );
+
+			return $this->with_revision( $this->create_success_response( $this->settings->get_all(), 'Options reset successfully' ) );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to reset options: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Send the current settings revision as the ETag of a response.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Response $response Response object.
+	 * @return WP_REST_Response Response object.
+	 */
+	private function with_revision( WP_REST_Response $response ) {
+		$response->header( 'ETag', '"' . Settings::get_revision() . '"' );
+		return $response;
+	}
+
+	/**
+	 * Check whether the revision in the `If-Match` header is still current.
+	 *
+	 * Requests without the header are not checked.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if the request may be saved.
+	 */
+	private function is_current_revision( WP_REST_Request $request ) {
+		$if_match = $request->get_header( 'if_match' );
+		if ( empty( $if_match ) || '*' === trim( $if_match ) ) {
+			return true;
+		}
+
+		$revision = trim( preg_replace( '/^W\//', '', trim( $if_match ) ), '"' );
+		return hash_equals( Settings::get_revision(), $revision );
+	}
+
 	/**
 	 * Check if user has permission to access options.
 	 *
@@ -0,0 +1,150 @@
+<?php
+/**
+ * Settings audit REST API controller for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Http\Controllers;
+
+use FluxMedia\App\Services\Settings;
+use FluxMedia\App\Services\SettingsAuditService;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Handles settings audit REST API endpoints.
+ *
+ * @since 2.1.0
+ */
+class SettingsAuditController extends BaseController {
+
+	/**
+	 * Settings audit service instance.
+	 *
+	 * @since 2.1.0
+	 * @var SettingsAuditService
+	 */
+	private $settings_audit_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 2.1.0
+	 * @param SettingsAuditService $settings_audit_service Settings audit service instance.
+	 */
+	public function __construct( SettingsAuditService $settings_audit_service ) {
+		$this->settings_audit_service = $settings_audit_service;
+		parent::__construct( new \FluxMedia\App\Services\Logger() );
+	}
+
+	/**
+	 * Register REST API routes.
+	 *
+	 * @since 2.1.0
+	 */
+	public function register_routes() {
+		register_rest_route( 'flux-media-optimizer/v1', '/options/audit', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_entries' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'page' => [
+						'type' => 'integer',
+						'default' => 1,
+						'minimum' => 1,
+					],
+					'per_page' => [
+						'type' => 'integer',
+						'default' => 25,
+						'minimum' => 1,
+						'maximum' => 100,
+					],
+					'setting_key' => [
+						'type' => 'string',
+						'default' => '',
+						'sanitize_callback' => 'sanitize_key',
+					],
+					'user_id' => [
+						'type' => 'integer',
+						'minimum' => 0,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/options/audit/(?P<id>\d+)/revert', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'revert_entry' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+	}
+
+	/**
+	 * Get audit entries, with the users and settings available for filtering.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_entries( WP_REST_Request $request ) {
+		try {
+			$entries = $this->settings_audit_service->get_entries( [
+				'page' => $request->get_param( 'page' ),
+				'per_page' => $request->get_param( 'per_page' ),
+				'setting_key' => $request->get_param( 'setting_key' ),
+				'user_id' => $request->get_param( 'user_id' ),
+			] );
+
+			$entries['users'] = $this->settings_audit_service->get_users();
+			$entries['setting_keys'] = $this->settings_audit_service->get_setting_keys();
+
+			return $this->create_success_response( $entries, 'Settings audit retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve settings audit: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Restore the value a setting had before an audited change.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object with all options.
+	 */
+	public function revert_entry( WP_REST_Request $request ) {
+		try {
+			$entry = $this->settings_audit_service->get_entry( (int) $request->get_param( 'id' ) );
+			if ( ! $entry ) {
+				return $this->create_error_response( 'Audit entry not found', 'audit_entry_not_found', 404 );
+			}
+
+			if ( ! $entry['revertible'] ) {
+				return $this->create_error_response( 'This change cannot be reverted', 'audit_entry_not_revertible', 400 );
+			}
+
+			if ( ! $this->settings_audit_service->revert( $entry ) ) {
+				return $this->create_error_response( 'Failed to revert setting: ' . $entry['setting_key'] );
+			}
+
+			return $this->create_success_response( Settings::get_all(), 'Setting reverted successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to revert setting: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Check if user has permission to access the settings audit.
+	 *
+	 * @since 2.1.0
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function check_permissions( WP_REST_Request $request ) {
+		return current_user_can( 'manage_options' );
+	}
+}
@@ -21,8 +21,16 @@ use FluxMedia\App\Http\Controllers\OptionsController;
 use FluxMedia\App\Http\Controllers\StatusController;
 use FluxMedia\App\Http\Controllers\ConversionsController;
 use FluxMedia\App\Http\Controllers\LogsController;
+use FluxMedia\App\Http\Controllers\AttachmentsController;
+use FluxMedia\App\Http\Controllers\FilesController;
+use FluxMedia\App\Http\Controllers\CleanupController;
+use FluxMedia\App\Http\Controllers\SettingsAuditController;
 use FluxMedia\App\Services\ConversionTracker;
+use FluxMedia\App\Services\BulkConverter;
 use FluxMedia\App\Services\LogsService;
+use FluxMedia\App\Services\MediaLibraryService;
+use FluxMedia\App\Services\QualityPreviewService;
+use FluxMedia\App\Services\SettingsAuditService;
 use FluxMedia\App\Services\Database;
 
 /**
@@ -72,6 +80,14 @@ class Plugin {
      */
     private $video_converter;
 
+    /**
+     * Settings audit service instance.
+     *
+     * @since 2.1.0
+     * @var SettingsAuditService
+     */
+    private $settings_audit_service;
+
     /**
      * Initialize the plugin.
      *
@@ -87,6 +103,10 @@ class Plugin {
         
         // Initialize settings
         $this->settings = new Settings();
+
+        // Record settings changes from any source
+        $this->settings_audit_service = new SettingsAuditService();
+        $this->settings_audit_service->register_hooks();
         
         // Initialize converters
         $this->image_converter = new ImageConverter( $this->logger );
@@ -120,6 +140,12 @@ class Plugin {
         
         // Enqueue admin scripts
         add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_admin_scripts' ] );
+
+        // The media modal renders our attachment field anywhere it is opened
+        add_action( 'wp_enqueue_media', [ $this, 'enqueue_attachment_script' ] );
+
+        // Block editor inspector panel for image, video and cover blocks
+        add_action( 'enqueue_block_editor_assets', [ $this, 'enqueue_editor_script' ] );
     }
 
     /**
@@ -143,17 +169,28 @@ class Plugin {
         $processor_detector = new ProcessorDetector();
         $format_detector = new FormatSupportDetector( $processor_detector );
         $conversion_tracker = new ConversionTracker( $this->logger );
+        $bulk_converter = new BulkConverter( $this->logger, $this->image_converter, $this->video_converter, $conversion_tracker );
         $logs_service = new LogsService();
+        $media_library_service = new MediaLibraryService( $conversion_tracker, $logs_service );
+        $quality_preview_service = new QualityPreviewService( $this->image_converter );
 
         // Register controllers
-        $options_controller = new OptionsController( $this->settings );
+        $options_controller = new OptionsController( $this->settings, $quality_preview_service );
         $status_controller = new StatusController( $format_detector, $processor_detector );
-        $conversions_controller = new ConversionsController( $conversion_tracker );
+        $conversions_controller = new ConversionsController( $conversion_tracker, $bulk_converter, $this->wordpress_provider );
         $logs_controller = new LogsController( $logs_service );
+        $attachments_controller = new AttachmentsController( $media_library_service );
+        $files_controller = new FilesController( $this->wordpress_provider );
+        $cleanup_controller = new CleanupController( $logs_service, $conversion_tracker, $this->video_converter );
+        $settings_audit_controller = new SettingsAuditController( $this->settings_audit_service );
         $options_controller->register_routes();
         $status_controller->register_routes();
         $conversions_controller->register_routes();
         $logs_controller->register_routes();
+        $attachments_controller->register_routes();
+        $files_controller->register_routes();
+        $cleanup_controller->register_routes();
+        $settings_audit_controller->register_routes();
     }
 
     /**
@@ -238,6 +275,22 @@ class Plugin {
             return;
         }
 
+        $this->enqueue_attachment_script();
+    }
+
+    /**
+     * Enqueue the attachment field script.
+     *
+     * Used on attachment screens and wherever the media modal is loaded.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function enqueue_attachment_script() {
+        if ( wp_script_is( 'flux-media-optimizer-attachment', 'enqueued' ) ) {
+            return;
+        }
+
         // Enqueue attachment-specific JavaScript
         wp_enqueue_script(
             'flux-media-optimizer-attachment',
@@ -248,11 +301,52 @@ class Plugin {
         );
 
         // Localize script with admin data
-        wp_localize_script( 'flux-media-optimizer-attachment', 'fluxMediaAdmin', [
+        wp_localize_script( 'flux-media-optimizer-attachment', 'fluxMediaAdmin', $this->get_attachment_script_data() );
+    }
+
+    /**
+     * Enqueue the block editor script.
+     *
+     * Adds the Flux Media Optimizer inspector panel to image, video and cover blocks.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function enqueue_editor_script() {
+        // Conversion actions require the same capability as the AJAX and REST handlers
+        if ( ! current_user_can( 'manage_options' ) ) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'flux-media-optimizer-editor',
+            plugin_dir_url( dirname( __FILE__ ) ) . 'assets/js/dist/editor.bundle.js',
+            [ 'wp-block-editor', 'wp-components', 'wp-compose', 'wp-data', 'wp-element', 'wp-hooks', 'wp-i18n', 'wp-notices' ],
+            FLUX_MEDIA_OPTIMIZER_VERSION,
+            true
+        );
+
+        wp_localize_script( 'flux-media-optimizer-editor', 'fluxMediaAdmin', $this->get_attachment_script_data() );
+    }
+
+    /**
+     * Get the data shared by the attachment and block editor scripts.
+     *
+     * Both scripts may load on the same screen and share the `fluxMediaAdmin`
+     * global, so they must receive identical data.
+     *
+     * @since 2.1.0
+     * @return array Script data.
+     */
+    private function get_attachment_script_data() {
+        return [
             'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+            'apiUrl' => rest_url( 'flux-media-optimizer/v1/' ),
+            'nonce' => wp_create_nonce( 'wp_rest' ),
+            'adminUrl' => admin_url(),
             'convertNonce' => wp_create_nonce( 'flux_media_optimizer_convert_attachment' ),
             'disableNonce' => wp_create_nonce( 'flux_media_optimizer_disable_conversion' ),
             'enableNonce' => wp_create_nonce( 'flux_media_optimizer_enable_conversion' ),
-        ] );
+        ];
     }
 }
@@ -69,6 +69,16 @@ class AttachmentMetaHandler {
 	 */
 	const META_KEY_CONVERTED_FILES_BY_SIZE = '_flux_media_optimizer_converted_files_by_size';
 
+	/**
+	 * Meta key for the last failed conversion attempt.
+	 *
+	 * Stores ['message' => string, 'errors' => array, 'category' => string, 'date' => string].
+	 *
+	 * @since 2.1.0
+	 * @var string
+	 */
+	const META_KEY_LAST_ERROR = '_flux_media_optimizer_last_error';
+
 	/**
 	 * Get converted files for an attachment.
 	 *
@@ -354,6 +364,51 @@ class AttachmentMetaHandler {
 		return true;
 	}
 
+	/**
+	 * Get the last failed conversion attempt for an attachment.
+	 *
+	 * @since 2.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Error data, or null if the last attempt did not fail.
+	 */
+	public static function get_last_error( $attachment_id ) {
+		$error = get_post_meta( $attachment_id, self::META_KEY_LAST_ERROR, true );
+		return is_array( $error ) && ! empty( $error['message'] ) ? $error : null;
+	}
+
+	/**
+	 * Record a failed conversion attempt for an attachment.
+	 *
+	 * @since 2.1.0
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $errors Error messages from the attempt.
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_last_error( $attachment_id, $errors ) {
+		$errors = array_values( array_filter( array_map( 'strval', (array) $errors ) ) );
+		if ( empty( $errors ) ) {
+			$errors = [ 'Unknown error' ];
+		}
+
+		return update_post_meta( $attachment_id, self::META_KEY_LAST_ERROR, [
+			'message' => $errors[0],
+			'errors' => $errors,
+			'category' => ConversionErrorClassifier::classify( $errors ),
+			'date' => current_time( 'mysql' ),
+		] );
+	}
+
+	/**
+	 * Delete the last failed conversion attempt for an attachment.
+	 *
+	 * @since 2.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_last_error( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_LAST_ERROR );
+	}
+
 	/**
 	 * Delete all conversion-related meta for an attachment, including size-specific data.
 	 *
@@ -366,6 +421,7 @@ class AttachmentMetaHandler {
 		self::delete_converted_formats( $attachment_id );
 		self::delete_conversion_date( $attachment_id );
 		self::delete_converted_files_grouped_by_size( $attachment_id );
+		self::delete_last_error( $attachment_id );
 		self::enable_conversion( $attachment_id );
 	}
 }
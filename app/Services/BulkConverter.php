@@ -12,6 +12,7 @@ use FluxMedia\App\Services\Logger;
 use FluxMedia\App\Services\Settings;
 use FluxMedia\App\Services\Converter;
 use FluxMedia\App\Services\AttachmentMetaHandler;
+use FluxMedia\App\Services\ConversionRules;
 
 /**
  * Service for bulk conversion of existing media files.
@@ -20,6 +21,40 @@ use FluxMedia\App\Services\AttachmentMetaHandler;
  */
 class BulkConverter {
 
+	/**
+	 * Option name for the bulk conversion job state.
+	 *
+	 * @since 2.1.0
+	 * @var string
+	 */
+	const JOB_OPTION = 'flux_media_optimizer_bulk_job';
+
+	/**
+	 * Cron hook that processes bulk conversion job batches.
+	 *
+	 * @since 2.1.0
+	 * @var string
+	 */
+	const JOB_CRON_HOOK = 'flux_media_optimizer_bulk_job_batch';
+
+	/**
+	 * Number of attachments processed per job batch.
+	 *
+	 * @since 2.1.0
+	 * @var int
+	 */
+	const JOB_BATCH_SIZE = 5;
+
+	/**
+	 * Bulk conversion job statuses.
+	 *
+	 * @since 2.1.0
+	 */
+	const JOB_STATUS_RUNNING = 'running';
+	const JOB_STATUS_PAUSED = 'paused';
+	const JOB_STATUS_CANCELLED = 'cancelled';
+	const JOB_STATUS_COMPLETED = 'completed';
+
 	/**
 	 * Logger instance.
 	 *
@@ -96,44 +131,364 @@ class BulkConverter {
 		foreach ( $unconverted_files as $attachment_id ) {
 			$results['processed']++;
 
+			$status = $this->process_attachment( $attachment_id );
+			if ( 'converted' === $status ) {
+				$results['converted']++;
+			} elseif ( 'failed' === $status ) {
+				$results['errors']++;
+			}
+		}
 
-			try {
-				$file_path = get_attached_file( $attachment_id );
-				if ( ! $file_path || ! file_exists( $file_path ) ) {
-					$results['errors']++;
-					continue;
-				}
+		// Bulk conversion completed
 
-				// Check if conversion is disabled for this attachment
-				if ( AttachmentMetaHandler::is_conversion_disabled( $attachment_id ) ) {
-					continue;
-				}
+		return $results;
+	}
 
-				// Determine file type and process accordingly
-				if ( $this->image_converter->is_supported_image( $file_path ) ) {
-					$conversion_result = $this->process_image_conversion( $attachment_id, $file_path );
-				} elseif ( $this->video_converter->is_supported_video( $file_path ) ) {
-					$conversion_result = $this->process_video_conversion( $attachment_id, $file_path );
-				} else {
-					continue; // Skip unsupported files
-				}
+	/**
+	 * Convert a single attachment as part of a bulk run.
+	 *
+	 * @since 2.1.0
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $formats Optional formats to convert to. Defaults to the configured formats.
+	 * @return string One of 'converted', 'failed' or 'skipped'.
+	 */
+	private function process_attachment( $attachment_id, $formats = [] ) {
+		try {
+			$file_path = get_attached_file( $attachment_id );
+			if ( ! $file_path || ! file_exists( $file_path ) ) {
+				AttachmentMetaHandler::set_last_error( $attachment_id, [ 'Attachment file not found or invalid' ] );
+				return 'failed';
+			}
+
+			// Check if conversion is disabled for this attachment
+			if ( AttachmentMetaHandler::is_conversion_disabled( $attachment_id ) ) {
+				return 'skipped';
+			}
 
-				if ( $conversion_result['success'] ) {
-					$results['converted']++;
-				} else {
-					$results['errors']++;
-					$this->logger->error( "Bulk conversion failed for attachment {$attachment_id}: " . implode( ', ', $conversion_result['errors'] ?? [] ) );
+			// Conversion rules can skip the attachment or change its formats and quality
+			$rule = ConversionRules::match_attachment( $attachment_id, $file_path );
+			if ( ConversionRules::is_skip( $rule ) ) {
+				return 'skipped';
+			}
+			$options = ConversionRules::apply( $rule, Settings::get_all() );
+
+			// Determine file type and process accordingly
+			if ( $this->image_converter->is_supported_image( $file_path ) ) {
+				$image_formats = empty( $formats ) ? null : array_values( array_intersect( $formats, [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ] ) );
+				if ( [] === $image_formats ) {
+					return 'skipped';
+				}
+				$conversion_result = $this->process_image_conversion( $attachment_id, $file_path, $image_formats, $options );
+			} elseif ( $this->video_converter->is_supported_video( $file_path ) ) {
+				$video_formats = empty( $formats ) ? null : array_values( array_intersect( $formats, [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ] ) );
+				if ( [] === $video_formats ) {
+					return 'skipped';
 				}
+				$conversion_result = $this->process_video_conversion( $attachment_id, $file_path, $video_formats, $options );
+			} else {
+				return 'skipped'; // Skip unsupported files
+			}
 
-			} catch ( \Exception $e ) {
-				$results['errors']++;
-				$this->logger->error( "Bulk conversion exception for attachment {$attachment_id}: " . $e->getMessage() );
+			if ( $conversion_result['success'] ) {
+				AttachmentMetaHandler::delete_last_error( $attachment_id );
+				return 'converted';
 			}
+
+			$this->logger->error( "Bulk conversion failed for attachment {$attachment_id}: " . implode( ', ', $conversion_result['errors'] ?? [] ), [ 'attachment_id' => $attachment_id ] );
+			AttachmentMetaHandler::set_last_error( $attachment_id, $conversion_result['errors'] ?? [] );
+			return 'failed';
+
+		} catch ( \Exception $e ) {
+			$this->logger->error( "Bulk conversion exception for attachment {$attachment_id}: " . $e->getMessage(), [ 'attachment_id' => $attachment_id ] );
+			AttachmentMetaHandler::set_last_error( $attachment_id, [ $e->getMessage() ] );
+			return 'failed';
 		}
+	}
 
-		// Bulk conversion completed
+	/**
+	 * Start a new bulk conversion job.
+	 *
+	 * The job walks all unconverted attachments in ID order, a batch at a time,
+	 * through a chain of single cron events so progress can be polled.
+	 *
+	 * @since 2.1.0
+	 * @param array $formats Optional formats to convert to. Defaults to the configured formats.
+	 * @return array Job status.
+	 */
+	public function start_job( $formats = [] ) {
+		$formats = array_values( array_intersect( (array) $formats, [
+			Converter::FORMAT_WEBP,
+			Converter::FORMAT_AVIF,
+			Converter::FORMAT_AV1,
+			Converter::FORMAT_WEBM,
+		] ) );
+
+		$now = time();
+		$job = [
+			'id' => wp_generate_uuid4(),
+			'status' => self::JOB_STATUS_RUNNING,
+			'formats' => $formats,
+			'total' => $this->count_unconverted_media(),
+			'processed' => 0,
+			'converted' => 0,
+			'failed' => 0,
+			'skipped' => 0,
+			'last_attachment_id' => 0,
+			'started_at' => $now,
+			'updated_at' => $now,
+			'finished_at' => null,
+			'resumed_at' => $now,
+			'active_seconds' => 0,
+		];
 
-		return $results;
+		if ( 0 === $job['total'] ) {
+			$job['status'] = self::JOB_STATUS_COMPLETED;
+			$job['finished_at'] = $now;
+		}
+
+		update_option( self::JOB_OPTION, $job, false );
+
+		if ( self::JOB_STATUS_RUNNING === $job['status'] ) {
+			$this->schedule_job_batch( $job['id'] );
+		}
+
+		$this->logger->info( "Bulk conversion job {$job['id']} started for {$job['total']} attachments" );
+
+		return $this->get_job_status();
+	}
+
+	/**
+	 * Get the current bulk conversion job with progress metrics.
+	 *
+	 * @since 2.1.0
+	 * @return array|null Job status, or null if no job has been started.
+	 */
+	public function get_job_status() {
+		$job = $this->get_job();
+		if ( ! $job ) {
+			return null;
+		}
+
+		$elapsed = $job['active_seconds'];
+		if ( self::JOB_STATUS_RUNNING === $job['status'] ) {
+			$elapsed += max( 0, time() - $job['resumed_at'] );
+		}
+
+		$queued = max( 0, $job['total'] - $job['processed'] );
+		$per_second = $elapsed > 0 ? $job['processed'] / $elapsed : 0;
+
+		unset( $job['resumed_at'], $job['active_seconds'], $job['last_attachment_id'] );
+
+		return array_merge( $job, [
+			'queued' => $queued,
+			'elapsed_seconds' => $elapsed,
+			'throughput_per_minute' => round( $per_second * 60, 2 ),
+			'eta_seconds' => $per_second > 0 && self::JOB_STATUS_RUNNING === $job['status'] ? (int) ceil( $queued / $per_second ) : null,
+		] );
+	}
+
+	/**
+	 * Pause the running bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @return array|null Job status, or null if there is no running job.
+	 */
+	public function pause_job() {
+		$job = $this->get_job();
+		if ( ! $job || self::JOB_STATUS_RUNNING !== $job['status'] ) {
+			return null;
+		}
+
+		$job['status'] = self::JOB_STATUS_PAUSED;
+		$job['active_seconds'] += max( 0, time() - $job['resumed_at'] );
+		$job['updated_at'] = time();
+		update_option( self::JOB_OPTION, $job, false );
+
+		wp_clear_scheduled_hook( self::JOB_CRON_HOOK, [ $job['id'] ] );
+
+		return $this->get_job_status();
+	}
+
+	/**
+	 * Resume a paused bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @return array|null Job status, or null if there is no paused job.
+	 */
+	public function resume_job() {
+		$job = $this->get_job();
+		if ( ! $job || self::JOB_STATUS_PAUSED !== $job['status'] ) {
+			return null;
+		}
+
+		$job['status'] = self::JOB_STATUS_RUNNING;
+		$job['resumed_at'] = time();
+		$job['updated_at'] = time();
+		update_option( self::JOB_OPTION, $job, false );
+
+		$this->schedule_job_batch( $job['id'] );
+
+		return $this->get_job_status();
+	}
+
+	/**
+	 * Cancel a running or paused bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @param string $job_id Job ID to cancel.
+	 * @return array|null Job status, or null if the job is not active.
+	 */
+	public function cancel_job( $job_id ) {
+		$job = $this->get_job();
+		if ( ! $job || $job['id'] !== $job_id || ! in_array( $job['status'], [ self::JOB_STATUS_RUNNING, self::JOB_STATUS_PAUSED ], true ) ) {
+			return null;
+		}
+
+		if ( self::JOB_STATUS_RUNNING === $job['status'] ) {
+			$job['active_seconds'] += max( 0, time() - $job['resumed_at'] );
+		}
+
+		$job['status'] = self::JOB_STATUS_CANCELLED;
+		$job['updated_at'] = time();
+		$job['finished_at'] = time();
+		update_option( self::JOB_OPTION, $job, false );
+
+		wp_clear_scheduled_hook( self::JOB_CRON_HOOK, [ $job['id'] ] );
+
+		$this->logger->info( "Bulk conversion job {$job['id']} cancelled after {$job['processed']} attachments" );
+
+		return $this->get_job_status();
+	}
+
+	/**
+	 * Process the next batch of the bulk conversion job.
+	 *
+	 * Runs from the job cron hook and schedules the following batch while
+	 * the job is still running.
+	 *
+	 * @since 2.1.0
+	 * @param string $job_id Job ID the batch belongs to.
+	 * @return void
+	 */
+	public function process_job_batch( $job_id ) {
+		$job = $this->get_job();
+		if ( ! $job || $job['id'] !== $job_id || self::JOB_STATUS_RUNNING !== $job['status'] ) {
+			return;
+		}
+
+		$attachment_ids = $this->get_unconverted_media_after( $job['last_attachment_id'], self::JOB_BATCH_SIZE );
+
+		$batch = [
+			'processed' => 0,
+			'converted' => 0,
+			'failed' => 0,
+			'skipped' => 0,
+		];
+		$last_attachment_id = $job['last_attachment_id'];
+
+		foreach ( $attachment_ids as $attachment_id ) {
+			$status = $this->process_attachment( (int) $attachment_id, $job['formats'] );
+			$batch['processed']++;
+			$batch[ $status ]++;
+			$last_attachment_id = (int) $attachment_id;
+		}
+
+		// Re-read the job so a pause or cancel issued during the batch is kept
+		$job = $this->get_job();
+		if ( ! $job || $job['id'] !== $job_id ) {
+			return;
+		}
+
+		foreach ( $batch as $key => $count ) {
+			$job[ $key ] += $count;
+		}
+		$job['last_attachment_id'] = $last_attachment_id;
+		$job['updated_at'] = time();
+
+		if ( self::JOB_STATUS_RUNNING === $job['status'] && count( $attachment_ids ) < self::JOB_BATCH_SIZE ) {
+			$job['status'] = self::JOB_STATUS_COMPLETED;
+			$job['finished_at'] = time();
+			$job['active_seconds'] += max( 0, time() - $job['resumed_at'] );
+			$this->logger->info( "Bulk conversion job {$job['id']} completed. Processed: {$job['processed']}, Converted: {$job['converted']}, Failed: {$job['failed']}" );
+		}
+
+		update_option( self::JOB_OPTION, $job, false );
+
+		if ( self::JOB_STATUS_RUNNING === $job['status'] ) {
+			$this->schedule_job_batch( $job['id'] );
+		}
+	}
+
+	/**
+	 * Get the stored bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @return array|null Job data, or null if no job has been started.
+	 */
+	private function get_job() {
+		$job = get_option( self::JOB_OPTION, null );
+		return is_array( $job ) && ! empty( $job['id'] ) ? $job : null;
+	}
+
+	/**
+	 * Schedule the next batch of a bulk conversion job.
+	 *
+	 * @since 2.1.0
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	private function schedule_job_batch( $job_id ) {
+		if ( ! wp_next_scheduled( self::JOB_CRON_HOOK, [ $job_id ] ) ) {
+			wp_schedule_single_event( time(), self::JOB_CRON_HOOK, [ $job_id ] );
+		}
+	}
+
+	/**
+	 * Build the shared WHERE clause for unconverted, enabled media.
+	 *
+	 * @since 2.1.0
+	 * @return string SQL FROM/JOIN/WHERE fragment.
+	 */
+	private function get_unconverted_media_clause() {
+		global $wpdb;
+
+		return "FROM {$wpdb->posts} p 
+			 LEFT JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id AND pm.meta_key = '_flux_media_optimizer_converted_formats'
+			 LEFT JOIN {$wpdb->postmeta} pm_disabled ON p.ID = pm_disabled.post_id AND pm_disabled.meta_key = '_flux_media_optimizer_conversion_disabled'
+			 WHERE p.post_type = 'attachment' 
+			 AND (p.post_mime_type LIKE 'image/%' OR p.post_mime_type LIKE 'video/%')
+			 AND (pm.meta_value IS NULL OR pm.meta_value = '')
+			 AND (pm_disabled.meta_value IS NULL OR pm_disabled.meta_value = '')";
+	}
+
+	/**
+	 * Count unconverted media files.
+	 *
+	 * @since 2.1.0
+	 * @return int Number of unconverted image and video attachments.
+	 */
+	private function count_unconverted_media() {
+		global $wpdb;
+
+		return (int) $wpdb->get_var( 'SELECT COUNT(*) ' . $this->get_unconverted_media_clause() );
+	}
+
+	/**
+	 * Get unconverted media files with an ID greater than the given cursor.
+	 *
+	 * @since 2.1.0
+	 * @param int $after_id Attachment ID cursor.
+	 * @param int $limit Maximum number of files to return.
+	 * @return array Array of attachment IDs in ascending order.
+	 */
+	private function get_unconverted_media_after( $after_id, $limit = 10 ) {
+		global $wpdb;
+
+		return $wpdb->get_col( $wpdb->prepare(
+			'SELECT p.ID ' . $this->get_unconverted_media_clause() . ' AND p.ID > %d ORDER BY p.ID ASC LIMIT %d',
+			$after_id,
+			$limit
+		) );
 	}
 
 	/**
@@ -189,11 +544,14 @@ class BulkConverter {
 	 * Converts all WordPress image sizes (full, thumbnail, medium, large, etc.) to WebP/AVIF formats.
 	 *
 	 * @since 1.0.0
-	 * @param int    $attachment_id Attachment ID.
-	 * @param string $file_path Source file path.
+	 * @since 2.1.0 Added the `$image_formats` and `$options` parameters.
+	 * @param int        $attachment_id Attachment ID.
+	 * @param string     $file_path Source file path.
+	 * @param array|null $image_formats Formats to convert to. Defaults to the configured image formats.
+	 * @param array|null $options Settings to convert with, e.g. after conversion rules. Defaults to the saved settings.
 	 * @return array Conversion results.
 	 */
-	private function process_image_conversion( $attachment_id, $file_path ) {
+	private function process_image_conversion( $attachment_id, $file_path, $image_formats = null, $options = null ) {
 		// Get all image sizes for this attachment
 		$image_sizes = $this->get_all_image_paths_by_size( $attachment_id );
 		
@@ -205,14 +563,19 @@ class BulkConverter {
 		}
 
 		// Get settings from WordPress
+		if ( null === $options ) {
+			$options = Settings::get_all();
+		}
 		$settings = [
-			'webp_quality' => Settings::get_webp_quality(),
-			'avif_quality' => Settings::get_avif_quality(),
-			'avif_speed' => Settings::get_avif_speed(),
+			'webp_quality' => (int) $options['image_webp_quality'],
+			'avif_quality' => (int) $options['image_avif_quality'],
+			'avif_speed' => (int) $options['image_avif_speed'],
 		];
 
 		// Get image formats to convert
-		$image_formats = Settings::get_image_formats();
+		if ( null === $image_formats ) {
+			$image_formats = $options['image_formats'];
+		}
 		
 		// Store converted files organized by size
 		$all_converted_files_by_size = [];
@@ -277,7 +640,7 @@ class BulkConverter {
 					$converted_size = $wp_filesystem->exists( $converted_file_path ) ? $wp_filesystem->size( $converted_file_path ) : 0;
 					
 					// Record conversion for statistics tracking (track all sizes for accurate savings calculation)
-					$this->conversion_tracker->record_conversion( $attachment_id, $format, $size_original_size, $converted_size, $size_name );
+					$this->conversion_tracker->record_conversion( $attachment_id, $format, $size_original_size, $converted_size, $size_name, $results['processors'][ $format ] ?? null );
 					
 					// Track full size original for total calculation
 					if ( 'full' === $size_name ) {
@@ -293,7 +656,7 @@ class BulkConverter {
 					}
 				}
 			} else {
-				$this->logger->warning( "Image conversion failed for attachment {$attachment_id}, size {$size_name}: " . implode( ', ', $results['errors'] ?? [] ) );
+				$this->logger->warning( "Image conversion failed for attachment {$attachment_id}, size {$size_name}: " . implode( ', ', $results['errors'] ?? [] ), [ 'attachment_id' => $attachment_id ] );
 			}
 		}
 
@@ -386,28 +749,36 @@ class BulkConverter {
 	 * Process video conversion for bulk processing.
 	 *
 	 * @since 1.0.0
-	 * @param int    $attachment_id Attachment ID.
-	 * @param string $file_path Source file path.
+	 * @since 2.1.0 Added the `$video_formats` and `$options` parameters.
+	 * @param int        $attachment_id Attachment ID.
+	 * @param string     $file_path Source file path.
+	 * @param array|null $video_formats Formats to convert to. Defaults to the configured video formats.
+	 * @param array|null $options Settings to convert with, e.g. after conversion rules. Defaults to the saved settings.
 	 * @return array Conversion results.
 	 */
-	private function process_video_conversion( $attachment_id, $file_path ) {
+	private function process_video_conversion( $attachment_id, $file_path, $video_formats = null, $options = null ) {
 		// Get upload directory info
 		$file_info = pathinfo( $file_path );
 		$file_dir = $file_info['dirname'];
 		$file_name = $file_info['filename'];
 
 		// Get settings from WordPress
+		if ( null === $options ) {
+			$options = Settings::get_all();
+		}
 		$settings = [
 			'video_hybrid_approach' => Settings::is_video_hybrid_approach_enabled(),
-			'video_av1_crf' => Settings::get_video_av1_crf(),
-			'video_av1_cpu_used' => Settings::get_video_av1_cpu_used(),
-			'video_webm_crf' => Settings::get_video_webm_crf(),
-			'video_webm_speed' => Settings::get_video_webm_speed(),
+			'video_av1_crf' => (int) $options['video_av1_crf'],
+			'video_av1_cpu_used' => (int) $options['video_av1_cpu_used'],
+			'video_webm_crf' => (int) $options['video_webm_crf'],
+			'video_webm_speed' => (int) $options['video_webm_speed'],
 		];
 
 		// Create destination paths for requested formats
 		$destination_paths = [];
-		$video_formats = Settings::get_video_formats();
+		if ( null === $video_formats ) {
+			$video_formats = $options['video_formats'];
+		}
 		
 		// Ensure video_formats is an array
 		if ( ! is_array( $video_formats ) ) {
@@ -432,7 +803,7 @@ class BulkConverter {
 				$converted_file_path = $results['converted_files'][ $format ] ?? '';
 				$converted_size = file_exists( $converted_file_path ) ? filesize( $converted_file_path ) : 0;
 				
-				$this->conversion_tracker->record_conversion( $attachment_id, $format, $original_size, $converted_size, 'full' );
+				$this->conversion_tracker->record_conversion( $attachment_id, $format, $original_size, $converted_size, 'full', ProcessorTypes::VIDEO_FFMPEG );
 			}
 
 			// Update WordPress meta
@@ -0,0 +1,81 @@
+<?php
+/**
+ * Conversion error classifier for Flux Media Optimizer.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Maps conversion error messages to a small set of error categories.
+ *
+ * Kept free of WordPress dependencies so it can be unit tested.
+ *
+ * @since 2.1.0
+ */
+class ConversionErrorClassifier {
+
+	/**
+	 * Error categories.
+	 *
+	 * @since 2.1.0
+	 */
+	const CATEGORY_UNSUPPORTED_FORMAT = 'unsupported_format';
+	const CATEGORY_MEMORY_LIMIT = 'memory_limit';
+	const CATEGORY_TIMEOUT = 'timeout';
+	const CATEGORY_MISSING_CODEC = 'missing_codec';
+	const CATEGORY_WRITE_PERMISSION = 'write_permission';
+	const CATEGORY_UNKNOWN = 'unknown';
+
+	/**
+	 * Message patterns per category, checked in order.
+	 *
+	 * Resource and permission problems come first because their messages
+	 * often also name the format or encoder that was running at the time.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const PATTERNS = [
+		self::CATEGORY_MEMORY_LIMIT => '/allowed memory size|out of memory|memory exhausted|cannot allocate memory|memory limit/i',
+		self::CATEGORY_TIMEOUT => '/maximum execution time|timed out|time ?out|exceeded the timeout/i',
+		self::CATEGORY_WRITE_PERMISSION => '/not writable|permission denied|read-only file system|failed to open stream|unable to write|could not write/i',
+		self::CATEGORY_MISSING_CODEC => '/codec|encoder|ffmpeg|processor not available|(av1|webm) support: no/i',
+		self::CATEGORY_UNSUPPORTED_FORMAT => '/unsupported|not supported|invalid image|not a valid|no decode delegate/i',
+	];
+
+	/**
+	 * Get all categories, including the fallback category.
+	 *
+	 * @since 2.1.0
+	 * @return array Category identifiers.
+	 */
+	public static function get_categories() {
+		return array_merge( array_keys( self::PATTERNS ), [ self::CATEGORY_UNKNOWN ] );
+	}
+
+	/**
+	 * Classify one or more error messages.
+	 *
+	 * @since 2.1.0
+	 * @param string|array $messages Error message or list of messages.
+	 * @return string Category of the first matching pattern, or `unknown`.
+	 */
+	public static function classify( $messages ) {
+		$text = implode( "\n", array_filter( array_map( 'strval', (array) $messages ) ) );
+
+		if ( '' === $text ) {
+			return self::CATEGORY_UNKNOWN;
+		}
+
+		foreach ( self::PATTERNS as $category => $pattern ) {
+			if ( preg_match( $pattern, $text ) ) {
+				return $category;
+			}
+		}
+
+		return self::CATEGORY_UNKNOWN;
+	}
+}
@@ -0,0 +1,236 @@
+<?php
+/**
+ * Conversion rules for Flux Media Optimizer.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Matches attachments against the configured conversion rules.
+ *
+ * A rule lists conditions that must all hold and either skips the
+ * attachment or overrides the formats and quality it is converted with.
+ * Rules are checked in order and the first enabled match wins; attachments
+ * without a match use the global settings.
+ *
+ * Matching is kept free of WordPress dependencies so it can be unit tested.
+ * Only get_attachment_context() and match_attachment() read from WordPress.
+ *
+ * @since 2.1.0
+ */
+class ConversionRules {
+
+	/**
+	 * Condition fields.
+	 *
+	 * @since 2.1.0
+	 */
+	const FIELD_POST_TYPE = 'post_type';
+	const FIELD_MIME_TYPE = 'mime_type';
+	const FIELD_FILE_SIZE = 'file_size';
+	const FIELD_PATH = 'path';
+
+	/**
+	 * Rule actions.
+	 *
+	 * @since 2.1.0
+	 */
+	const ACTION_CONVERT = 'convert';
+	const ACTION_SKIP = 'skip';
+
+	/**
+	 * Operators allowed for each condition field.
+	 *
+	 * Post type and MIME type compare exactly, with `*` as a wildcard in MIME
+	 * types. File sizes are in kilobytes. Paths are relative to the uploads
+	 * directory and matched as wildcard patterns, e.g. `2024/*` or `*products*`.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const OPERATORS = [
+		self::FIELD_POST_TYPE => [ 'is', 'is_not' ],
+		self::FIELD_MIME_TYPE => [ 'is', 'is_not' ],
+		self::FIELD_FILE_SIZE => [ 'less_than', 'greater_than' ],
+		self::FIELD_PATH => [ 'matches', 'not_matches' ],
+	];
+
+	/**
+	 * Find the first enabled rule whose conditions all match.
+	 *
+	 * A rule without conditions matches every attachment. A rule with a
+	 * condition that has an unknown field or operator never matches, so a
+	 * typo cannot turn it into a catch-all.
+	 *
+	 * @since 2.1.0
+	 * @param array $rules Sanitized rules, in priority order.
+	 * @param array $context Attachment context, see get_attachment_context().
+	 * @return array|null Matching rule, or null if none matches.
+	 */
+	public static function find_match( $rules, $context ) {
+		foreach ( (array) $rules as $rule ) {
+			if ( empty( $rule['enabled'] ) ) {
+				continue;
+			}
+
+			$conditions = $rule['conditions'] ?? [];
+			$matches = true;
+			foreach ( $conditions as $condition ) {
+				if ( ! self::is_valid_condition( $condition ) || ! self::matches_condition( $condition, $context ) ) {
+					$matches = false;
+					break;
+				}
+			}
+
+			if ( $matches ) {
+				return $rule;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check whether a condition uses a known field and an operator allowed for it.
+	 *
+	 * @since 2.1.0
+	 * @param mixed $condition Condition with `field`, `operator` and `value`.
+	 * @return bool True if the condition is valid.
+	 */
+	public static function is_valid_condition( $condition ) {
+		if ( ! is_array( $condition ) ) {
+			return false;
+		}
+
+		$field = $condition['field'] ?? '';
+
+		return is_string( $field )
+			&& isset( self::OPERATORS[ $field ] )
+			&& in_array( $condition['operator'] ?? '', self::OPERATORS[ $field ], true );
+	}
+
+	/**
+	 * Check whether a rule skips conversion.
+	 *
+	 * @since 2.1.0
+	 * @param array|null $rule Matching rule, or null.
+	 * @return bool True if the attachment should not be converted.
+	 */
+	public static function is_skip( $rule ) {
+		return is_array( $rule ) && self::ACTION_SKIP === ( $rule['action'] ?? '' );
+	}
+
+	/**
+	 * Overlay a rule's formats and quality on the settings.
+	 *
+	 * Empty format lists and quality values the rule leaves out keep their
+	 * global value.
+	 *
+	 * @since 2.1.0
+	 * @param array|null $rule Matching rule, or null.
+	 * @param array      $settings Settings keyed like Settings::get_all().
+	 * @return array Settings to convert the attachment with.
+	 */
+	public static function apply( $rule, $settings ) {
+		if ( ! is_array( $rule ) || self::is_skip( $rule ) ) {
+			return $settings;
+		}
+
+		foreach ( [ 'image_formats', 'video_formats' ] as $key ) {
+			if ( ! empty( $rule[ $key ] ) ) {
+				$settings[ $key ] = $rule[ $key ];
+			}
+		}
+
+		$quality = array_intersect_key( (array) ( $rule['quality'] ?? [] ), array_flip( Settings::QUALITY_PRESET_KEYS ) );
+
+		return array_merge( $settings, $quality );
+	}
+
+	/**
+	 * Build the context rules are matched against.
+	 *
+	 * @since 2.1.0
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $file_path Attachment file path.
+	 * @return array Context with `post_type`, `mime_type`, `file_size` in bytes and `path`.
+	 */
+	public static function get_attachment_context( $attachment_id, $file_path ) {
+		$parent_id = wp_get_post_parent_id( $attachment_id );
+
+		return [
+			self::FIELD_POST_TYPE => $parent_id ? (string) get_post_type( $parent_id ) : '',
+			self::FIELD_MIME_TYPE => (string) get_post_mime_type( $attachment_id ),
+			self::FIELD_FILE_SIZE => $file_path && file_exists( $file_path ) ? (int) filesize( $file_path ) : 0,
+			self::FIELD_PATH => $file_path ? (string) _wp_relative_upload_path( $file_path ) : '',
+		];
+	}
+
+	/**
+	 * Find the configured rule that applies to an attachment.
+	 *
+	 * @since 2.1.0
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $file_path Attachment file path.
+	 * @return array|null Matching rule, or null if none matches.
+	 */
+	public static function match_attachment( $attachment_id, $file_path ) {
+		$rules = Settings::get_conversion_rules();
+		if ( empty( $rules ) ) {
+			return null;
+		}
+
+		return self::find_match( $rules, self::get_attachment_context( $attachment_id, $file_path ) );
+	}
+
+	/**
+	 * Check a single condition against the context.
+	 *
+	 * @since 2.1.0
+	 * @param array $condition Condition with `field`, `operator` and `value`.
+	 * @param array $context Attachment context.
+	 * @return bool True if the condition holds.
+	 */
+	private static function matches_condition( $condition, $context ) {
+		$field = $condition['field'] ?? '';
+		$operator = $condition['operator'] ?? '';
+		$value = $condition['value'] ?? '';
+		$actual = $context[ $field ] ?? '';
+
+		switch ( $operator ) {
+			case 'is':
+			case 'matches':
+				return self::wildcard_match( (string) $value, (string) $actual );
+
+			case 'is_not':
+			case 'not_matches':
+				return ! self::wildcard_match( (string) $value, (string) $actual );
+
+			case 'less_than':
+				return (int) $actual < (int) $value * 1024;
+
+			case 'greater_than':
+				return (int) $actual > (int) $value * 1024;
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Match a value against a case-insensitive pattern where `*` matches anything.
+	 *
+	 * @since 2.1.0
+	 * @param string $pattern Pattern.
+	 * @param string $subject Value to match.
+	 * @return bool True if the whole value matches.
+	 */
+	private static function wildcard_match( $pattern, $subject ) {
+		$regex = '/^' . str_replace( '\*', '.*', preg_quote( $pattern, '/' ) ) . '$/i';
+
+		return 1 === preg_match( $regex, $subject );
+	}
+}
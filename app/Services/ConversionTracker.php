@@ -18,6 +18,14 @@ use FluxMedia\App\Services\Converter;
  */
 class ConversionTracker {
 
+	/**
+	 * Maximum number of buckets returned by get_savings_timeseries().
+	 *
+	 * @since 2.1.0
+	 * @var int
+	 */
+	const MAX_TIMESERIES_BUCKETS = 366;
+
 	/**
 	 * Database table name.
 	 *
@@ -26,6 +34,14 @@ class ConversionTracker {
 	 */
 	private $table_name;
 
+	/**
+	 * Conversion history table name.
+	 *
+	 * @since 2.1.0
+	 * @var string
+	 */
+	private $history_table_name;
+
 	/**
 	 * Logger instance.
 	 *
@@ -44,20 +60,23 @@ class ConversionTracker {
 		$this->logger = $logger;
 		global $wpdb;
 		$this->table_name = $wpdb->prefix . 'flux_media_optimizer_conversions';
+		$this->history_table_name = $wpdb->prefix . 'flux_media_optimizer_conversion_history';
 	}
 
 	/**
 	 * Record a conversion for an attachment.
 	 *
 	 * @since 1.0.0
+	 * @since 2.1.0 Added the `$processor` parameter and history recording.
 	 * @param int    $attachment_id WordPress attachment ID.
 	 * @param string $file_type File type (webp, avif, av1, webm).
 	 * @param int    $original_size Original file size in bytes.
 	 * @param int    $converted_size Converted file size in bytes.
 	 * @param string $size_name Image size name (full, thumbnail, medium, etc.). Default 'full'.
+	 * @param string $processor Processor that produced the file (gd, imagick, ffmpeg). Default null.
 	 * @return bool True on success, false on failure.
 	 */
-	public function record_conversion( $attachment_id, $file_type, $original_size = 0, $converted_size = 0, $size_name = 'full' ) {
+	public function record_conversion( $attachment_id, $file_type, $original_size = 0, $converted_size = 0, $size_name = 'full', $processor = null ) {
 		global $wpdb;
 
 		// Validate inputs
@@ -73,6 +92,14 @@ class ConversionTracker {
 		// Calculate savings
 		$size_savings = max( 0, $original_size - $converted_size );
 
+		// A prior record for the same format and size means the file was regenerated
+		$previously_converted = (bool) $wpdb->get_var( $wpdb->prepare(
+			"SELECT COUNT(*) FROM {$this->table_name} WHERE attachment_id = %d AND file_type = %s AND size_name = %s",
+			$attachment_id,
+			$file_type,
+			$size_name
+		) );
+
 		// Use INSERT ... ON DUPLICATE KEY UPDATE for atomic operation
 		$result = $wpdb->query( $wpdb->prepare(
 			"INSERT INTO {$this->table_name} (attachment_id, file_type, size_name, original_size, converted_size, size_savings, converted_at) 
@@ -92,6 +119,8 @@ class ConversionTracker {
 		) );
 
 		if ( $result !== false ) {
+			$this->record_history( $attachment_id, $file_type, $size_name, $original_size, $converted_size, $processor, $previously_converted ? 'regenerated' : 'converted' );
+
 			// Clear related caches
 			wp_cache_delete( 'flux_media_optimizer_conversion_stats', 'flux_media_optimizer' );
 			wp_cache_delete( 'flux_media_optimizer_savings_stats', 'flux_media_optimizer' );
@@ -132,6 +161,73 @@ class ConversionTracker {
 		return $results ?: [];
 	}
 
+	/**
+	 * Get the chronological conversion history for an attachment.
+	 *
+	 * Unlike get_attachment_conversions(), which only holds the latest result per
+	 * size and format, this returns every recorded conversion event.
+	 *
+	 * @since 2.1.0
+	 * @param int $attachment_id WordPress attachment ID.
+	 * @param int $limit Maximum number of events to return. Default 200.
+	 * @return array Array of history events, newest first.
+	 */
+	public function get_attachment_history( $attachment_id, $limit = 200 ) {
+		global $wpdb;
+
+		if ( ! $attachment_id ) {
+			return [];
+		}
+
+		$results = $wpdb->get_results( $wpdb->prepare(
+			"SELECT id, file_type, size_name, original_size, converted_size, processor, event, created_at 
+			 FROM {$this->history_table_name} WHERE attachment_id = %d ORDER BY created_at DESC, id DESC LIMIT %d",
+			$attachment_id,
+			$limit
+		), ARRAY_A );
+
+		foreach ( $results ?: [] as &$result ) {
+			$result['original_size'] = (int) $result['original_size'];
+			$result['converted_size'] = (int) $result['converted_size'];
+			$result['savings_percentage'] = $result['original_size'] > 0 ?
+				round( ( max( 0, $result['original_size'] - $result['converted_size'] ) / $result['original_size'] ) * 100, 2 ) : 0;
+		}
+
+		return $results ?: [];
+	}
+
+	/**
+	 * Append a conversion event to the history table.
+	 *
+	 * @since 2.1.0
+	 * @param int    $attachment_id WordPress attachment ID.
+	 * @param string $file_type File type.
+	 * @param string $size_name Image size name.
+	 * @param int    $original_size Original file size in bytes.
+	 * @param int    $converted_size Converted file size in bytes.
+	 * @param string $processor Processor type, if known.
+	 * @param string $event Event name ('converted' or 'regenerated').
+	 * @return void
+	 */
+	private function record_history( $attachment_id, $file_type, $size_name, $original_size, $converted_size, $processor, $event ) {
+		global $wpdb;
+
+		$wpdb->insert(
+			$this->history_table_name,
+			[
+				'attachment_id' => $attachment_id,
+				'file_type' => $file_type,
+				'size_name' => $size_name,
+				'original_size' => $original_size,
+				'converted_size' => $converted_size,
+				'processor' => $processor,
+				'event' => $event,
+				'created_at' => current_time( 'mysql' ),
+			],
+			[ '%d', '%s', '%s', '%d', '%d', '%s', '%s', '%s' ]
+		);
+	}
+
 	/**
 	 * Check if an attachment has been converted to a specific file type.
 	 *
@@ -232,6 +328,90 @@ class ConversionTracker {
 		return $deleted !== false ? (int) $deleted : 0;
 	}
 
+	/**
+	 * Count conversion and history records whose attachment no longer exists.
+	 *
+	 * @since 2.1.0
+	 * @return int Number of records delete_orphaned_conversions() would remove.
+	 */
+	public function count_orphaned_conversions() {
+		global $wpdb;
+
+		$count = (int) $wpdb->get_var(
+			"SELECT COUNT(*) FROM {$this->table_name} c
+			 LEFT JOIN {$wpdb->posts} p ON p.ID = c.attachment_id
+			 WHERE p.ID IS NULL"
+		);
+
+		$count += (int) $wpdb->get_var(
+			"SELECT COUNT(*) FROM {$this->history_table_name} h
+			 LEFT JOIN {$wpdb->posts} p ON p.ID = h.attachment_id
+			 WHERE p.ID IS NULL"
+		);
+
+		return $count;
+	}
+
+	/**
+	 * Delete conversion and history records whose attachment no longer exists.
+	 *
+	 * @since 2.1.0
+	 * @return int Number of records deleted.
+	 */
+	public function delete_orphaned_conversions() {
+		global $wpdb;
+
+		$deleted = $wpdb->query(
+			"DELETE c FROM {$this->table_name} c
+			 LEFT JOIN {$wpdb->posts} p ON p.ID = c.attachment_id
+			 WHERE p.ID IS NULL"
+		);
+
+		$deleted_history = $wpdb->query(
+			"DELETE h FROM {$this->history_table_name} h
+			 LEFT JOIN {$wpdb->posts} p ON p.ID = h.attachment_id
+			 WHERE p.ID IS NULL"
+		);
+		if ( $deleted !== false && $deleted_history ) {
+			$deleted += $deleted_history;
+		}
+
+		if ( $deleted ) {
+			wp_cache_delete( 'flux_media_optimizer_conversion_stats', 'flux_media_optimizer' );
+			wp_cache_delete( 'flux_media_optimizer_savings_stats', 'flux_media_optimizer' );
+		}
+
+		return $deleted !== false ? (int) $deleted : 0;
+	}
+
+	/**
+	 * Get the most recent conversions across all attachments.
+	 *
+	 * @since 2.1.0
+	 * @param int $limit Maximum number of records to return.
+	 * @return array Array of conversion records with the attachment title included.
+	 */
+	public function get_recent_conversions( $limit = 10 ) {
+		global $wpdb;
+
+		$results = $wpdb->get_results( $wpdb->prepare(
+			"SELECT c.attachment_id, p.post_title AS attachment_title, c.file_type, c.size_name, c.original_size, c.converted_size, c.size_savings, c.converted_at 
+			 FROM {$this->table_name} c
+			 LEFT JOIN {$wpdb->posts} p ON p.ID = c.attachment_id
+			 ORDER BY c.converted_at DESC, c.id DESC
+			 LIMIT %d",
+			$limit
+		), ARRAY_A );
+
+		// Calculate savings percentage for each result
+		foreach ( $results as &$result ) {
+			$result['savings_percentage'] = $result['original_size'] > 0 ? 
+				round( ( $result['size_savings'] / $result['original_size'] ) * 100, 2 ) : 0;
+		}
+
+		return $results ?: [];
+	}
+
 	/**
 	 * Get conversion statistics.
 	 *
@@ -343,6 +523,161 @@ class ConversionTracker {
 		return $stats;
 	}
 
+	/**
+	 * Get savings bucketed by day, week or month and broken down by format.
+	 *
+	 * Buckets are based on each record's `converted_at`, so a reconverted file
+	 * counts towards the period of its latest conversion. Empty buckets between
+	 * `from` and `to` are included so the series is continuous.
+	 *
+	 * @since 2.1.0
+	 * @param string $interval Bucket size: 'day', 'week' (starting Monday) or 'month'.
+	 * @param array  $args {
+	 *     Optional filters.
+	 *
+	 *     @type string $from   Start date (Y-m-d). Defaults to 30 days, 12 weeks or 12 months ago.
+	 *     @type string $to     End date (Y-m-d). Defaults to today.
+	 *     @type string $format Only include this file type.
+	 * }
+	 * @return array Timeseries with `interval`, `from`, `to` and `buckets`.
+	 */
+	public function get_savings_timeseries( $interval, $args = [] ) {
+		global $wpdb;
+
+		$default_ranges = [
+			'day' => '-29 days',
+			'week' => '-11 weeks',
+			'month' => '-11 months',
+		];
+		if ( ! isset( $default_ranges[ $interval ] ) ) {
+			$interval = 'day';
+		}
+
+		$now = current_time( 'timestamp' );
+		$to = ! empty( $args['to'] ) ? strtotime( $args['to'] ) : $now;
+		$from = ! empty( $args['from'] ) ? strtotime( $args['from'] ) : strtotime( $default_ranges[ $interval ], $to );
+		if ( ! $to || ! $from || $from > $to ) {
+			$to = $now;
+			$from = strtotime( $default_ranges[ $interval ], $to );
+		}
+
+		$bucket = self::get_bucket_expression( $interval );
+
+		$where_conditions = [ 'converted_at >= %s', 'converted_at <= %s' ];
+		$where_values = [ gmdate( 'Y-m-d 00:00:00', $from ), gmdate( 'Y-m-d 23:59:59', $to ) ];
+
+		if ( ! empty( $args['format'] ) ) {
+			$where_conditions[] = 'file_type = %s';
+			$where_values[] = $args['format'];
+		}
+
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT {$bucket} AS period, file_type, SUM(original_size) AS total_original, SUM(converted_size) AS total_converted, SUM(size_savings) AS total_savings, COUNT(*) AS count
+			 FROM {$this->table_name}
+			 WHERE " . implode( ' AND ', $where_conditions ) . "
+			 GROUP BY period, file_type
+			 ORDER BY period ASC",
+			$where_values
+		), ARRAY_A );
+
+		return [
+			'interval' => $interval,
+			'from' => gmdate( 'Y-m-d', $from ),
+			'to' => gmdate( 'Y-m-d', $to ),
+			'buckets' => self::fill_timeseries_buckets( $rows ?: [], $interval, $from, $to ),
+		];
+	}
+
+	/**
+	 * Spread grouped savings rows over every bucket between two dates.
+	 *
+	 * Buckets without rows are included with zero totals so the series is
+	 * continuous, and rows outside the range are ignored.
+	 *
+	 * @since 2.1.0
+	 * @param array  $rows Rows with `period`, `file_type`, `total_original`, `total_converted`, `total_savings` and `count`.
+	 * @param string $interval Bucket size: 'day', 'week' or 'month'.
+	 * @param int    $from Start timestamp.
+	 * @param int    $to End timestamp.
+	 * @return array Buckets in date order.
+	 */
+	public static function fill_timeseries_buckets( $rows, $interval, $from, $to ) {
+		// Pre-fill every bucket in the range so gaps show as zero
+		$buckets = [];
+		$cursor = self::get_bucket_start( $from, $interval );
+		while ( $cursor <= $to && count( $buckets ) < self::MAX_TIMESERIES_BUCKETS ) {
+			$period = gmdate( 'Y-m-d', $cursor );
+			$buckets[ $period ] = [
+				'period' => $period,
+				'count' => 0,
+				'total_original_bytes' => 0,
+				'total_converted_bytes' => 0,
+				'total_savings_bytes' => 0,
+				'by_type' => [],
+			];
+			$cursor = strtotime( '+1 ' . $interval, $cursor );
+		}
+
+		foreach ( $rows as $row ) {
+			$period = $row['period'];
+			if ( ! isset( $buckets[ $period ] ) ) {
+				continue;
+			}
+
+			$buckets[ $period ]['count'] += (int) $row['count'];
+			$buckets[ $period ]['total_original_bytes'] += (int) $row['total_original'];
+			$buckets[ $period ]['total_converted_bytes'] += (int) $row['total_converted'];
+			$buckets[ $period ]['total_savings_bytes'] += (int) $row['total_savings'];
+			$buckets[ $period ]['by_type'][ $row['file_type'] ] = (int) $row['total_savings'];
+		}
+
+		return array_values( $buckets );
+	}
+
+	/**
+	 * Get the SQL expression that maps `converted_at` to the start date of its bucket.
+	 *
+	 * The expression is embedded in a query passed to `$wpdb->prepare()`, so it
+	 * must not contain `%`: DATE_FORMAT() patterns like `%d` would be taken as
+	 * placeholders and consume the bound values.
+	 *
+	 * @since 2.1.0
+	 * @param string $interval Bucket size: 'day', 'week' or 'month'.
+	 * @return string SQL expression returning a Y-m-d date.
+	 */
+	public static function get_bucket_expression( $interval ) {
+		$bucket_expressions = [
+			'day' => 'DATE(converted_at)',
+			'week' => 'DATE(DATE_SUB(converted_at, INTERVAL WEEKDAY(converted_at) DAY))',
+			'month' => 'DATE(DATE_SUB(converted_at, INTERVAL DAYOFMONTH(converted_at) - 1 DAY))',
+		];
+
+		return $bucket_expressions[ $interval ] ?? $bucket_expressions['day'];
+	}
+
+	/**
+	 * Get the timestamp of the start of the bucket containing a timestamp.
+	 *
+	 * @since 2.1.0
+	 * @param int    $timestamp Timestamp.
+	 * @param string $interval Bucket size: 'day', 'week' or 'month'.
+	 * @return int Bucket start timestamp.
+	 */
+	private static function get_bucket_start( $timestamp, $interval ) {
+		$day = strtotime( gmdate( 'Y-m-d', $timestamp ) . ' 00:00:00 UTC' );
+
+		if ( 'week' === $interval ) {
+			// ISO-8601 weekday: 1 (Monday) through 7 (Sunday)
+			return strtotime( '-' . ( (int) gmdate( 'N', $day ) - 1 ) . ' days', $day );
+		}
+
+		if ( 'month' === $interval ) {
+			return strtotime( gmdate( 'Y-m-01', $day ) . ' 00:00:00 UTC' );
+		}
+
+		return $day;
+	}
+
 	/**
 	 * Get conversion statistics for a specific attachment.
 	 *
@@ -15,6 +15,14 @@ namespace FluxMedia\App\Services;
  */
 class Database {
 
+	/**
+	 * Current database schema version.
+	 *
+	 * @since 2.1.0
+	 * @var string
+	 */
+	const DB_VERSION = '1.2';
+
 	/**
 	 * Create all Flux Media Optimizer database tables.
 	 *
@@ -57,13 +65,47 @@ class Database {
 			KEY created_at (created_at)
 		) $charset_collate;";
 
+		// Create conversion history table (one row per conversion event, never updated)
+		$history_table = $wpdb->prefix . 'flux_media_optimizer_conversion_history';
+		$history_sql = "CREATE TABLE $history_table (
+			id bigint(20) NOT NULL AUTO_INCREMENT,
+			attachment_id bigint(20) NOT NULL,
+			file_type varchar(10) NOT NULL,
+			size_name varchar(50) DEFAULT 'full',
+			original_size bigint(20) DEFAULT 0,
+			converted_size bigint(20) DEFAULT 0,
+			processor varchar(20) DEFAULT NULL,
+			event varchar(20) NOT NULL DEFAULT 'converted',
+			created_at datetime DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (id),
+			KEY attachment_id (attachment_id),
+			KEY created_at (created_at)
+		) $charset_collate;";
+
+		// Create settings audit table (one row per changed setting, never updated)
+		$audit_table = $wpdb->prefix . 'flux_media_optimizer_settings_audit';
+		$audit_sql = "CREATE TABLE $audit_table (
+			id bigint(20) NOT NULL AUTO_INCREMENT,
+			setting_key varchar(64) NOT NULL,
+			old_value longtext,
+			new_value longtext,
+			user_id bigint(20) NOT NULL DEFAULT 0,
+			created_at datetime DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (id),
+			KEY setting_key (setting_key),
+			KEY user_id (user_id),
+			KEY created_at (created_at)
+		) $charset_collate;";
+
 		require_once( ABSPATH . 'wp-admin/includes/upgrade.php' );
 		
 		dbDelta( $conversions_sql );
 		dbDelta( $logs_sql );
+		dbDelta( $history_sql );
+		dbDelta( $audit_sql );
 
 		// Store database version for future updates
-		update_option( 'flux_media_optimizer_db_version', '1.0' );
+		update_option( 'flux_media_optimizer_db_version', self::DB_VERSION );
 	}
 
 	/**
@@ -76,9 +118,14 @@ class Database {
 
 		$conversions_table = $wpdb->prefix . 'flux_media_optimizer_conversions';
 		$logs_table = $wpdb->prefix . 'flux_media_optimizer_logs';
+		$history_table = $wpdb->prefix . 'flux_media_optimizer_conversion_history';
+		$audit_table = $wpdb->prefix . 'flux_media_optimizer_settings_audit';
 
-		$wpdb->query( $wpdb->prepare( "DROP TABLE IF EXISTS %s", $conversions_table ) );
-		$wpdb->query( $wpdb->prepare( "DROP TABLE IF EXISTS %s", $logs_table ) );
+		// Use %i placeholder for identifiers (table names) - available in WordPress 6.2+
+		$wpdb->query( $wpdb->prepare( "DROP TABLE IF EXISTS %i", $conversions_table ) );
+		$wpdb->query( $wpdb->prepare( "DROP TABLE IF EXISTS %i", $logs_table ) );
+		$wpdb->query( $wpdb->prepare( "DROP TABLE IF EXISTS %i", $history_table ) );
+		$wpdb->query( $wpdb->prepare( "DROP TABLE IF EXISTS %i", $audit_table ) );
 
 		// Remove database version option
 		delete_option( 'flux_media_optimizer_db_version' );
@@ -95,11 +142,15 @@ class Database {
 
 		$conversions_table = $wpdb->prefix . 'flux_media_optimizer_conversions';
 		$logs_table = $wpdb->prefix . 'flux_media_optimizer_logs';
+		$history_table = $wpdb->prefix . 'flux_media_optimizer_conversion_history';
+		$audit_table = $wpdb->prefix . 'flux_media_optimizer_settings_audit';
 
 		$conversions_exists = $wpdb->get_var( $wpdb->prepare( "SHOW TABLES LIKE %s", $conversions_table ) ) === $conversions_table;
 		$logs_exists = $wpdb->get_var( $wpdb->prepare( "SHOW TABLES LIKE %s", $logs_table ) ) === $logs_table;
+		$history_exists = $wpdb->get_var( $wpdb->prepare( "SHOW TABLES LIKE %s", $history_table ) ) === $history_table;
+		$audit_exists = $wpdb->get_var( $wpdb->prepare( "SHOW TABLES LIKE %s", $audit_table ) ) === $audit_table;
 
-		return $conversions_exists && $logs_exists;
+		return $conversions_exists && $logs_exists && $history_exists && $audit_exists;
 	}
 
 	/**
@@ -119,7 +170,7 @@ class Database {
 	 */
 	public static function maybe_update_database() {
 		$current_version = self::get_db_version();
-		$target_version = '1.0';
+		$target_version = self::DB_VERSION;
 
 		if ( version_compare( $current_version, $target_version, '<' ) ) {
 			self::create_tables();
@@ -64,6 +64,14 @@ class ImageConverter implements Converter {
      */
     private $available_processors = [];
 
+    /**
+     * Processor type used for the most recent conversion of each format.
+     *
+     * @since 2.1.0
+     * @var array
+     */
+    private $last_processors = [];
+
 
     /**
      * Supported image formats.
@@ -302,6 +310,8 @@ class ImageConverter implements Converter {
 			return false;
 		}
 
+		$this->last_processors[ Converter::FORMAT_WEBP ] = $processor->get_info()['type'] ?? null;
+
 		try {
 			$result = $processor->convert_to_webp( $source_path, $destination_path, $options );
 			
@@ -332,6 +342,8 @@ class ImageConverter implements Converter {
 			return false;
 		}
 
+		$this->last_processors[ Converter::FORMAT_AVIF ] = $processor->get_info()['type'] ?? null;
+
 		try {
 			$result = $processor->convert_to_avif( $source_path, $destination_path, $options );
 			
@@ -422,13 +434,14 @@ class ImageConverter implements Converter {
 	 * @param string $source_path Source image file path.
 	 * @param array  $destination_paths Array of format => destination_path mappings.
 	 * @param array  $settings Conversion settings.
-	 * @return array Conversion results.
+	 * @return array Conversion results, including the processor type used per format.
 	 */
 	public function process_image( $source_path, $destination_paths, $settings = [] ) {
 		$results = [
 			'success' => false,
 			'converted_formats' => [],
 			'converted_files' => [],
+			'processors' => [],
 			'errors' => [],
 		];
 
@@ -522,6 +535,11 @@ class ImageConverter implements Converter {
 			}
 		}
 
+		// Record which processor produced each converted format
+		foreach ( $results['converted_formats'] as $format ) {
+			$results['processors'][ $format ] = $this->last_processors[ $format ] ?? null;
+		}
+
 		// Update results
 		$results['success'] = ! empty( $results['converted_formats'] );
 
@@ -15,6 +15,30 @@ namespace FluxMedia\App\Services;
  */
 class LogsService {
 
+	/**
+	 * Number of log rows read per query when exporting.
+	 *
+	 * @since 2.1.0
+	 * @var int
+	 */
+	const EXPORT_CHUNK_SIZE = 500;
+
+	/**
+	 * Supported export formats.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const EXPORT_FORMATS = [ 'csv', 'ndjson' ];
+
+	/**
+	 * Log levels as stored in the database, lowest severity first.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const LEVELS = [ 'DEBUG', 'INFO', 'NOTICE', 'WARNING', 'ERROR', 'CRITICAL', 'ALERT', 'EMERGENCY' ];
+
 	/**
 	 * Database table name.
 	 *
@@ -36,7 +60,12 @@ class LogsService {
 	/**
 	 * Get logs with pagination and filtering.
 	 *
+	 * When `after_id` is set only entries newer than that id are returned,
+	 * oldest first, so callers can tail the log by passing the last id seen.
+	 *
 	 * @since 0.1.0
+	 * @since 2.1.0 Added the `after_id`, `date_from`, `date_to` and `attachment_id`
+	 *              arguments and `latest_id` in the result.
 	 * @param array $args Query arguments.
 	 * @return array Logs data with pagination info.
 	 */
@@ -48,26 +77,27 @@ class LogsService {
 			'per_page' => 20,
 			'level' => '',
 			'search' => '',
+			'date_from' => '',
+			'date_to' => '',
+			'attachment_id' => 0,
+			'after_id' => 0,
 			'orderby' => 'created_at',
 			'order' => 'DESC',
 		];
 
 		$args = wp_parse_args( $args, $defaults );
 
-		// Build WHERE clause
-		$where_conditions = [];
-		$where_values = [];
-
-		if ( ! empty( $args['level'] ) ) {
-			$where_conditions[] = 'level = %s';
-			$where_values[] = $args['level'];
+		if ( $args['after_id'] > 0 ) {
+			$args['orderby'] = 'id';
+			$args['order'] = 'ASC';
 		}
 
-		if ( ! empty( $args['search'] ) ) {
-			$where_conditions[] = '(message LIKE %s OR context LIKE %s)';
-			$search_term = '%' . $wpdb->esc_like( $args['search'] ) . '%';
-			$where_values[] = $search_term;
-			$where_values[] = $search_term;
+		// Build WHERE clause
+		list( $where_conditions, $where_values ) = $this->build_filter_conditions( $args );
+
+		if ( $args['after_id'] > 0 ) {
+			$where_conditions[] = 'id > %d';
+			$where_values[] = (int) $args['after_id'];
 		}
 
 		$where_clause = ! empty( $where_conditions ) ? 'WHERE ' . implode( ' AND ', $where_conditions ) : '';
@@ -105,9 +135,192 @@ class LogsService {
 			'page' => $args['page'],
 			'per_page' => $args['per_page'],
 			'total_pages' => $total_pages,
+			'latest_id' => (int) $wpdb->get_var( "SELECT MAX(id) FROM `".esc_sql($this->table_name)."`" ),
 		];
 	}
 
+	/**
+	 * Write every log matching the filters to a stream.
+	 *
+	 * Rows are read in id order, EXPORT_CHUNK_SIZE at a time, and written as
+	 * they are read so memory use stays flat regardless of the table size.
+	 * In CSV the context column holds the context as a JSON string; in NDJSON
+	 * it is kept as a nested object.
+	 *
+	 * @since 2.1.0
+	 * @param resource $handle Writable stream, e.g. php://output.
+	 * @param string   $format Export format, `csv` or `ndjson`.
+	 * @param array    $args   Filters: `level`, `search`, `date_from`, `date_to` and `attachment_id`.
+	 * @return int Number of logs written.
+	 */
+	public function export_logs( $handle, $format, $args = [] ) {
+		global $wpdb;
+
+		$args = wp_parse_args( $args, [
+			'level' => '',
+			'search' => '',
+			'date_from' => '',
+			'date_to' => '',
+			'attachment_id' => 0,
+		] );
+		list( $where_conditions, $where_values ) = $this->build_filter_conditions( $args );
+		$where_conditions[] = 'id > %d';
+
+		if ( 'csv' === $format ) {
+			fputcsv( $handle, [ 'id', 'level', 'message', 'context', 'created_at' ] );
+		}
+
+		$last_id = 0;
+		$written = 0;
+
+		do {
+			$query_values = array_merge( $where_values, [ $last_id, self::EXPORT_CHUNK_SIZE ] );
+			$logs = $wpdb->get_results( $wpdb->prepare(
+				"SELECT id, level, message, context, created_at FROM `".esc_sql($this->table_name)."` WHERE " . implode( ' AND ', $where_conditions ) . " ORDER BY id ASC LIMIT %d",
+				$query_values
+			), ARRAY_A );
+
+			foreach ( $logs ?: [] as $log ) {
+				$context = ! empty( $log['context'] ) ? json_decode( $log['context'], true ) : null;
+
+				if ( 'csv' === $format ) {
+					fputcsv( $handle, [
+						$log['id'],
+						$log['level'],
+						$log['message'],
+						null !== $context ? wp_json_encode( $context ) : '',
+						$log['created_at'],
+					] );
+				} else {
+					$log['id'] = (int) $log['id'];
+					$log['context'] = $context;
+					fwrite( $handle, wp_json_encode( $log ) . "\n" );
+				}
+
+				$last_id = (int) $log['id'];
+				$written++;
+			}
+
+			fflush( $handle );
+		} while ( ! empty( $logs ) && count( $logs ) === self::EXPORT_CHUNK_SIZE );
+
+		return $written;
+	}
+
+	/**
+	 * Build WHERE conditions for the log filters.
+	 *
+	 * Dates are Y-m-d and compared against the stored UTC timestamps; both
+	 * ends of the range are inclusive.
+	 *
+	 * @since 2.1.0
+	 * @param array $args Query arguments with `level`, `search`, `date_from`, `date_to` and `attachment_id`.
+	 * @return array Pair of condition strings and prepare values.
+	 */
+	private function build_filter_conditions( $args ) {
+		global $wpdb;
+
+		$where_conditions = [];
+		$where_values = [];
+
+		if ( ! empty( $args['level'] ) ) {
+			$where_conditions[] = 'level = %s';
+			$where_values[] = $args['level'];
+		}
+
+		if ( ! empty( $args['search'] ) ) {
+			$where_conditions[] = '(message LIKE %s OR context LIKE %s)';
+			$search_term = '%' . $wpdb->esc_like( $args['search'] ) . '%';
+			$where_values[] = $search_term;
+			$where_values[] = $search_term;
+		}
+
+		if ( ! empty( $args['date_from'] ) ) {
+			$where_conditions[] = 'created_at >= %s';
+			$where_values[] = $args['date_from'] . ' 00:00:00';
+		}
+
+		if ( ! empty( $args['date_to'] ) ) {
+			$where_conditions[] = 'created_at <= %s';
+			$where_values[] = $args['date_to'] . ' 23:59:59';
+		}
+
+		if ( ! empty( $args['attachment_id'] ) ) {
+			list( $match_conditions, $match_values ) = $this->build_attachment_conditions( $args['attachment_id'] );
+			$where_conditions[] = '(' . implode( ' OR ', $match_conditions ) . ')';
+			$where_values = array_merge( $where_values, $match_values );
+		}
+
+		return [ $where_conditions, $where_values ];
+	}
+
+	/**
+	 * Build conditions matching logs that relate to an attachment.
+	 *
+	 * Matches the `attachment_id` log context and, for entries written before
+	 * that context existed, the "attachment {id}" wording used in log messages.
+	 * The conditions are meant to be joined with OR.
+	 *
+	 * @since 2.1.0
+	 * @param int $attachment_id WordPress attachment ID.
+	 * @return array Pair of condition strings and prepare values.
+	 */
+	private function build_attachment_conditions( $attachment_id ) {
+		global $wpdb;
+
+		$attachment_id = (int) $attachment_id;
+		$match_conditions = [];
+		$match_values = [];
+
+		foreach ( [ ',', '}' ] as $terminator ) {
+			$match_conditions[] = 'context LIKE %s';
+			$match_values[] = '%' . $wpdb->esc_like( '"attachment_id":' . $attachment_id . $terminator ) . '%';
+		}
+
+		foreach ( [ "attachment {$attachment_id}:", "attachment {$attachment_id},", "attachment {$attachment_id} ", "Attachment ID: {$attachment_id}" ] as $phrase ) {
+			$match_conditions[] = 'message LIKE %s';
+			$match_values[] = '%' . $wpdb->esc_like( $phrase ) . '%';
+		}
+
+		$match_conditions[] = 'message LIKE %s';
+		$match_values[] = '%' . $wpdb->esc_like( "attachment {$attachment_id}" );
+
+		return [ $match_conditions, $match_values ];
+	}
+
+	/**
+	 * Get warning and error logs that relate to an attachment.
+	 *
+	 * @since 2.1.0
+	 * @param int $attachment_id WordPress attachment ID.
+	 * @param int $limit Maximum number of logs to return. Default 100.
+	 * @return array Array of logs, newest first.
+	 */
+	public function get_attachment_failures( $attachment_id, $limit = 100 ) {
+		global $wpdb;
+
+		$attachment_id = (int) $attachment_id;
+		if ( ! $attachment_id ) {
+			return [];
+		}
+
+		list( $match_conditions, $match_values ) = $this->build_attachment_conditions( $attachment_id );
+
+		$query_values = array_merge( $match_values, [ $limit ] );
+		$logs = $wpdb->get_results( $wpdb->prepare(
+			"SELECT id, level, message, context, created_at FROM `".esc_sql($this->table_name)."` 
+			 WHERE level IN ('WARNING', 'ERROR', 'CRITICAL', 'ALERT', 'EMERGENCY') AND (" . implode( ' OR ', $match_conditions ) . ")
+			 ORDER BY created_at DESC, id DESC LIMIT %d",
+			$query_values
+		), ARRAY_A );
+
+		foreach ( $logs ?: [] as &$log ) {
+			$log['context'] = ! empty( $log['context'] ) ? json_decode( $log['context'], true ) : null;
+		}
+
+		return $logs ?: [];
+	}
+
 	/**
 	 * Get log levels available in the database.
 	 *
@@ -121,6 +334,88 @@ class LogsService {
 		return $levels ?: [];
 	}
 
+	/**
+	 * Count the logs a retention purge would delete.
+	 *
+	 * @since 2.1.0
+	 * @param int $days     Maximum age in days, 0 for no age limit.
+	 * @param int $max_rows Maximum number of rows to keep, 0 for no limit.
+	 * @return array Counts keyed by `by_age`, `by_rows` and `total`.
+	 */
+	public function count_logs_to_purge( $days, $max_rows ) {
+		global $wpdb;
+
+		$by_age = 0;
+		if ( $days > 0 ) {
+			$by_age = (int) $wpdb->get_var( $wpdb->prepare(
+				"SELECT COUNT(*) FROM `".esc_sql($this->table_name)."` WHERE created_at < %s",
+				$this->get_retention_cutoff( $days )
+			) );
+		}
+
+		$by_rows = 0;
+		if ( $max_rows > 0 ) {
+			$total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM `".esc_sql($this->table_name)."`" );
+			$by_rows = max( 0, $total - $by_age - $max_rows );
+		}
+
+		return [
+			'by_age' => $by_age,
+			'by_rows' => $by_rows,
+			'total' => $by_age + $by_rows,
+		];
+	}
+
+	/**
+	 * Delete logs beyond the retention limits.
+	 *
+	 * Entries older than `$days` are removed first, then the oldest remaining
+	 * entries beyond `$max_rows`.
+	 *
+	 * @since 2.1.0
+	 * @param int $days     Maximum age in days, 0 for no age limit.
+	 * @param int $max_rows Maximum number of rows to keep, 0 for no limit.
+	 * @return array Deleted counts keyed by `by_age`, `by_rows` and `total`.
+	 */
+	public function purge_logs( $days, $max_rows ) {
+		global $wpdb;
+
+		$by_age = $days > 0 ? (int) $this->clear_old_logs( $days ) : 0;
+
+		$by_rows = 0;
+		if ( $max_rows > 0 ) {
+			// Id of the oldest entry that is still within the row limit
+			$oldest_kept_id = $wpdb->get_var( $wpdb->prepare(
+				"SELECT id FROM `".esc_sql($this->table_name)."` ORDER BY id DESC LIMIT 1 OFFSET %d",
+				$max_rows - 1
+			) );
+
+			if ( $oldest_kept_id ) {
+				$by_rows = (int) $wpdb->query( $wpdb->prepare(
+					"DELETE FROM `".esc_sql($this->table_name)."` WHERE id < %d",
+					$oldest_kept_id
+				) );
+			}
+		}
+
+		return [
+			'by_age' => $by_age,
+			'by_rows' => $by_rows,
+			'total' => $by_age + $by_rows,
+		];
+	}
+
+	/**
+	 * Get the cutoff timestamp for logs older than a number of days.
+	 *
+	 * @since 2.1.0
+	 * @param int $days Number of days to keep logs.
+	 * @return string MySQL datetime in UTC.
+	 */
+	private function get_retention_cutoff( $days ) {
+		return gmdate( 'Y-m-d H:i:s', strtotime( "-{$days} days" ) );
+	}
+
 	/**
 	 * Clear old logs.
 	 *
@@ -131,7 +426,7 @@ class LogsService {
 	public function clear_old_logs( $days = 30 ) {
 		global $wpdb;
 
-		$cutoff_date = gmdate( 'Y-m-d H:i:s', strtotime( "-{$days} days" ) );
+		$cutoff_date = $this->get_retention_cutoff( $days );
 		
 		$deleted = $wpdb->query( $wpdb->prepare(
 			"DELETE FROM `".esc_sql($this->table_name)."` WHERE created_at < %s",
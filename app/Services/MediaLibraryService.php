@@ -0,0 +1,423 @@
+<?php
+/**
+ * Media library service for listing attachments with their conversion status.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Builds paginated attachment listings for the admin media library browser.
+ *
+ * @since 2.1.0
+ */
+class MediaLibraryService {
+
+	/**
+	 * Sortable columns mapped to their SQL expressions.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const SORTABLE_COLUMNS = [
+		'id' => 'p.ID',
+		'title' => 'p.post_title',
+		'date' => 'p.post_date',
+		'mime_type' => 'p.post_mime_type',
+		'savings' => 'total_savings',
+	];
+
+	/**
+	 * Conversion tracker instance.
+	 *
+	 * @since 2.1.0
+	 * @var ConversionTracker
+	 */
+	private $conversion_tracker;
+
+	/**
+	 * Logs service instance.
+	 *
+	 * @since 2.1.0
+	 * @var LogsService
+	 */
+	private $logs_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 2.1.0
+	 * @param ConversionTracker $conversion_tracker Conversion tracker instance.
+	 * @param LogsService       $logs_service Logs service instance.
+	 */
+	public function __construct( ConversionTracker $conversion_tracker, LogsService $logs_service ) {
+		$this->conversion_tracker = $conversion_tracker;
+		$this->logs_service = $logs_service;
+	}
+
+	/**
+	 * Get image and video attachments with pagination, sorting and filtering.
+	 *
+	 * @since 2.1.0
+	 * @param array $args Query arguments.
+	 * @return array Attachments data with pagination info.
+	 */
+	public function get_attachments( $args = [] ) {
+		global $wpdb;
+
+		$defaults = [
+			'page' => 1,
+			'per_page' => 25,
+			'orderby' => 'date',
+			'order' => 'DESC',
+			'search' => '',
+			'type' => '',
+		];
+
+		$args = wp_parse_args( $args, $defaults );
+		$args['page'] = max( 1, (int) $args['page'] );
+		$args['per_page'] = min( 100, max( 1, (int) $args['per_page'] ) );
+
+		// Build WHERE clause
+		$where_conditions = [
+			"p.post_type = 'attachment'",
+			"p.post_status = 'inherit'",
+		];
+		$where_values = [];
+
+		if ( in_array( $args['type'], [ 'image', 'video' ], true ) ) {
+			$where_conditions[] = 'p.post_mime_type LIKE %s';
+			$where_values[] = $args['type'] . '/%';
+		} else {
+			$where_conditions[] = "(p.post_mime_type LIKE 'image/%' OR p.post_mime_type LIKE 'video/%')";
+		}
+
+		if ( ! empty( $args['search'] ) ) {
+			$where_conditions[] = 'p.post_title LIKE %s';
+			$where_values[] = '%' . $wpdb->esc_like( $args['search'] ) . '%';
+		}
+
+		$where_clause = 'WHERE ' . implode( ' AND ', $where_conditions );
+
+		// Get total count
+		$count_query = "SELECT COUNT(*) FROM {$wpdb->posts} p {$where_clause}";
+		$total = (int) $wpdb->get_var( ! empty( $where_values ) ? $wpdb->prepare( $count_query, $where_values ) : $count_query );
+
+		// Calculate pagination
+		$offset = ( $args['page'] - 1 ) * $args['per_page'];
+		$total_pages = ceil( $total / $args['per_page'] );
+
+		// Resolve sorting against the whitelist
+		$orderby = self::SORTABLE_COLUMNS[ $args['orderby'] ] ?? self::SORTABLE_COLUMNS['date'];
+		$order = strtoupper( $args['order'] ) === 'ASC' ? 'ASC' : 'DESC';
+
+		$conversions_table = $wpdb->prefix . 'flux_media_optimizer_conversions';
+		$query_values = array_merge( $where_values, [ $args['per_page'], $offset ] );
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT p.ID, p.post_title, p.post_mime_type, p.post_date, COALESCE(s.total_savings, 0) AS total_savings
+			 FROM {$wpdb->posts} p
+			 LEFT JOIN (
+				SELECT attachment_id, SUM(size_savings) AS total_savings
+				FROM `" . esc_sql( $conversions_table ) . "`
+				GROUP BY attachment_id
+			 ) s ON s.attachment_id = p.ID
+			 {$where_clause}
+			 ORDER BY {$orderby} {$order}, p.ID DESC
+			 LIMIT %d OFFSET %d",
+			$query_values
+		), ARRAY_A );
+
+		$attachments = [];
+		foreach ( $rows ?: [] as $row ) {
+			$attachments[] = $this->format_attachment( $row );
+		}
+
+		return [
+			'data' => $attachments,
+			'total' => $total,
+			'page' => $args['page'],
+			'per_page' => $args['per_page'],
+			'total_pages' => $total_pages,
+		];
+	}
+
+	/**
+	 * Get a single image or video attachment with its conversion status.
+	 *
+	 * @since 2.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Formatted attachment data, or null if not a media attachment.
+	 */
+	public function get_attachment( $attachment_id ) {
+		$post = get_post( $attachment_id );
+		if ( ! $post || 'attachment' !== $post->post_type ) {
+			return null;
+		}
+
+		if ( 0 !== strpos( $post->post_mime_type, 'image/' ) && 0 !== strpos( $post->post_mime_type, 'video/' ) ) {
+			return null;
+		}
+
+		return $this->format_attachment( [
+			'ID' => $post->ID,
+			'post_title' => $post->post_title,
+			'post_mime_type' => $post->post_mime_type,
+			'post_date' => $post->post_date,
+		] );
+	}
+
+	/**
+	 * Get the conversion history timeline for an attachment.
+	 *
+	 * Merges recorded conversion events with related warning and error logs
+	 * into a single list, newest first.
+	 *
+	 * @since 2.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Timeline entries, or null if not a media attachment.
+	 */
+	public function get_attachment_history( $attachment_id ) {
+		$attachment = $this->get_attachment( $attachment_id );
+		if ( ! $attachment ) {
+			return null;
+		}
+
+		$entries = [];
+
+		foreach ( $this->conversion_tracker->get_attachment_history( $attachment_id ) as $event ) {
+			$entries[] = [
+				'id' => 'conversion-' . $event['id'],
+				'type' => 'conversion',
+				'event' => $event['event'],
+				'format' => $event['file_type'],
+				'size_name' => $event['size_name'],
+				'original_size' => $event['original_size'],
+				'converted_size' => $event['converted_size'],
+				'savings_percentage' => $event['savings_percentage'],
+				'processor' => $event['processor'],
+				'created_at' => $event['created_at'],
+			];
+		}
+
+		foreach ( $this->logs_service->get_attachment_failures( $attachment_id ) as $log ) {
+			$entries[] = [
+				'id' => 'log-' . $log['id'],
+				'type' => 'failure',
+				'level' => $log['level'],
+				'message' => $log['message'],
+				'context' => $log['context'],
+				'created_at' => $log['created_at'],
+			];
+		}
+
+		usort( $entries, function ( $a, $b ) {
+			return strcmp( $b['created_at'], $a['created_at'] );
+		} );
+
+		return [
+			'attachment' => $attachment,
+			'entries' => $entries,
+		];
+	}
+
+	/**
+	 * Get the original and converted versions of an image for comparison.
+	 *
+	 * Lists every size that has converted files, full size first, with the
+	 * URL and byte size of the original and each converted format. Original
+	 * URLs are built from the file path because attachment URL filters may
+	 * already point to a converted file.
+	 *
+	 * @since 2.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Variants per size, or null if not an image attachment.
+	 */
+	public function get_attachment_variants( $attachment_id ) {
+		$attachment = $this->get_attachment( $attachment_id );
+		if ( ! $attachment || 0 !== strpos( $attachment['mime_type'], 'image/' ) ) {
+			return null;
+		}
+
+		$full_path = wp_normalize_path( (string) get_attached_file( $attachment_id ) );
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		$converted_files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
+		if ( empty( $converted_files_by_size ) ) {
+			$converted_files_by_size = [ 'full' => AttachmentMetaHandler::get_converted_files( $attachment_id ) ];
+		}
+
+		$sizes = [];
+		foreach ( $converted_files_by_size as $size_name => $files ) {
+			if ( 'full' === $size_name ) {
+				$original_path = $full_path;
+				$width = $metadata['width'] ?? 0;
+				$height = $metadata['height'] ?? 0;
+			} elseif ( ! empty( $metadata['sizes'][ $size_name ]['file'] ) ) {
+				$original_path = trailingslashit( dirname( $full_path ) ) . $metadata['sizes'][ $size_name ]['file'];
+				$width = $metadata['sizes'][ $size_name ]['width'] ?? 0;
+				$height = $metadata['sizes'][ $size_name ]['height'] ?? 0;
+			} else {
+				continue;
+			}
+
+			$original_bytes = file_exists( $original_path ) ? (int) filesize( $original_path ) : 0;
+			$variants = [];
+
+			foreach ( (array) $files as $format => $file_path ) {
+				// Skip converted files that were deleted from disk
+				if ( ! file_exists( $file_path ) ) {
+					continue;
+				}
+
+				$url = WordPressImageRenderer::get_image_url_from_file_path( $file_path );
+				if ( ! $url ) {
+					continue;
+				}
+
+				$bytes = (int) filesize( $file_path );
+				$variants[] = [
+					'format' => $format,
+					'url' => $url,
+					'bytes' => $bytes,
+					'savings_bytes' => $original_bytes - $bytes,
+					'savings_percentage' => $original_bytes > 0 ? round( ( ( $original_bytes - $bytes ) / $original_bytes ) * 100, 2 ) : 0,
+				];
+			}
+
+			$sizes[] = [
+				'name' => $size_name,
+				'width' => (int) $width,
+				'height' => (int) $height,
+				'original' => [
+					'url' => WordPressImageRenderer::get_image_url_from_file_path( $original_path ),
+					'bytes' => $original_bytes,
+				],
+				'variants' => $variants,
+			];
+		}
+
+		// Full size first, then the remaining sizes from largest to smallest
+		usort( $sizes, function ( $a, $b ) {
+			if ( 'full' === $a['name'] || 'full' === $b['name'] ) {
+				return 'full' === $a['name'] ? -1 : 1;
+			}
+			return $b['width'] - $a['width'];
+		} );
+
+		return [
+			'attachment' => $attachment,
+			'sizes' => $sizes,
+		];
+	}
+
+	/**
+	 * Get attachments whose last conversion attempt failed.
+	 *
+	 * Attachments with conversion disabled are left out. Failures are sorted
+	 * newest first and can be filtered by error category.
+	 *
+	 * @since 2.1.0
+	 * @param array $args Query arguments.
+	 * @return array Failures with pagination info, per-category counts and all matching IDs.
+	 */
+	public function get_failed_attachments( $args = [] ) {
+		global $wpdb;
+
+		$defaults = [
+			'page' => 1,
+			'per_page' => 25,
+			'category' => '',
+		];
+
+		$args = wp_parse_args( $args, $defaults );
+		$args['page'] = max( 1, (int) $args['page'] );
+		$args['per_page'] = min( 100, max( 1, (int) $args['per_page'] ) );
+
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT p.ID, p.post_title, p.post_mime_type, p.post_date, pm.meta_value AS last_error
+			 FROM {$wpdb->posts} p
+			 INNER JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id AND pm.meta_key = %s
+			 LEFT JOIN {$wpdb->postmeta} pm_disabled ON p.ID = pm_disabled.post_id AND pm_disabled.meta_key = %s
+			 WHERE p.post_type = 'attachment'
+			 AND (pm_disabled.meta_value IS NULL OR pm_disabled.meta_value = '')",
+			AttachmentMetaHandler::META_KEY_LAST_ERROR,
+			AttachmentMetaHandler::META_KEY_CONVERSION_DISABLED
+		), ARRAY_A );
+
+		$categories = array_fill_keys( ConversionErrorClassifier::get_categories(), 0 );
+		$failures = [];
+
+		foreach ( $rows ?: [] as $row ) {
+			$error = maybe_unserialize( $row['last_error'] );
+			if ( ! is_array( $error ) || empty( $error['message'] ) ) {
+				continue;
+			}
+
+			$category = $error['category'] ?? ConversionErrorClassifier::CATEGORY_UNKNOWN;
+			$categories[ $category ] = ( $categories[ $category ] ?? 0 ) + 1;
+
+			if ( ! empty( $args['category'] ) && $category !== $args['category'] ) {
+				continue;
+			}
+
+			$row['last_error'] = $error;
+			$failures[] = $row;
+		}
+
+		usort( $failures, function ( $a, $b ) {
+			return strcmp( $b['last_error']['date'] ?? '', $a['last_error']['date'] ?? '' ) ?: $b['ID'] - $a['ID'];
+		} );
+
+		$total = count( $failures );
+		$page_rows = array_slice( $failures, ( $args['page'] - 1 ) * $args['per_page'], $args['per_page'] );
+
+		$data = [];
+		foreach ( $page_rows as $row ) {
+			$data[] = array_merge( $this->format_attachment( $row ), [
+				'error' => [
+					'message' => $row['last_error']['message'],
+					'errors' => $row['last_error']['errors'] ?? [ $row['last_error']['message'] ],
+					'category' => $row['last_error']['category'] ?? ConversionErrorClassifier::CATEGORY_UNKNOWN,
+					'date' => $row['last_error']['date'] ?? null,
+				],
+			] );
+		}
+
+		return [
+			'data' => $data,
+			'total' => $total,
+			'page' => $args['page'],
+			'per_page' => $args['per_page'],
+			'total_pages' => ceil( $total / $args['per_page'] ),
+			'categories' => $categories,
+			'ids' => array_map( 'intval', wp_list_pluck( $failures, 'ID' ) ),
+		];
+	}
+
+	/**
+	 * Format a single attachment row with its conversion status.
+	 *
+	 * @since 2.1.0
+	 * @param array $row Attachment row from the listing query.
+	 * @return array Formatted attachment data.
+	 */
+	private function format_attachment( $row ) {
+		$attachment_id = (int) $row['ID'];
+		$thumbnail = wp_attachment_is_image( $attachment_id ) ? wp_get_attachment_image_src( $attachment_id, 'thumbnail' ) : false;
+
+		return [
+			'id' => $attachment_id,
+			'title' => $row['post_title'],
+			'filename' => wp_basename( (string) get_attached_file( $attachment_id ) ),
+			'mime_type' => $row['post_mime_type'],
+			'date' => $row['post_date'],
+			'thumbnail_url' => $thumbnail ? $thumbnail[0] : null,
+			'edit_url' => get_edit_post_link( $attachment_id, 'raw' ),
+			'converted_formats' => AttachmentMetaHandler::get_converted_formats( $attachment_id ),
+			'conversion_disabled' => AttachmentMetaHandler::is_conversion_disabled( $attachment_id ),
+			'stats' => $this->conversion_tracker->get_attachment_stats( $attachment_id ),
+			'conversions' => $this->conversion_tracker->get_attachment_conversions( $attachment_id ),
+		];
+	}
+}
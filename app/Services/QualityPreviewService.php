@@ -0,0 +1,211 @@
+<?php
+/**
+ * Quality preview service for Flux Media Optimizer.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Encodes a sample attachment with unsaved quality settings.
+ *
+ * Previews are written to their own uploads directory and never touch the
+ * attachment's converted files, meta or conversion records.
+ *
+ * @since 2.1.0
+ */
+class QualityPreviewService {
+
+	/**
+	 * Uploads subdirectory for preview files.
+	 *
+	 * @since 2.1.0
+	 * @var string
+	 */
+	const PREVIEW_DIR = 'flux-media-optimizer-preview';
+
+	/**
+	 * Image formats that can be previewed.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const FORMATS = [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ];
+
+	/**
+	 * Image converter instance.
+	 *
+	 * @since 2.1.0
+	 * @var ImageConverter
+	 */
+	private $image_converter;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 2.1.0
+	 * @param ImageConverter $image_converter Image converter instance.
+	 */
+	public function __construct( ImageConverter $image_converter ) {
+		$this->image_converter = $image_converter;
+	}
+
+	/**
+	 * Encode an image attachment with the given quality settings.
+	 *
+	 * Uses the requested intermediate size when it exists so previews stay
+	 * fast, falling back to the full size.
+	 *
+	 * @since 2.1.0
+	 * @param int    $attachment_id Attachment ID.
+	 * @param array  $settings Quality settings: `webp_quality`, `avif_quality` and `avif_speed`.
+	 * @param array  $formats Formats to encode.
+	 * @param string $size_name Preferred image size.
+	 * @return array|null Preview results, or null if not an image attachment.
+	 */
+	public function create_preview( $attachment_id, $settings, $formats = self::FORMATS, $size_name = 'large' ) {
+		$post = get_post( $attachment_id );
+		if ( ! $post || 'attachment' !== $post->post_type || 0 !== strpos( $post->post_mime_type, 'image/' ) ) {
+			return null;
+		}
+
+		$source = $this->get_source( $attachment_id, $size_name );
+		if ( ! $source ) {
+			return null;
+		}
+
+		$preview_dir = $this->get_preview_dir();
+		$this->cleanup_previews();
+
+		$original_bytes = (int) filesize( $source['path'] );
+		$token = wp_generate_password( 8, false, false );
+		$results = [];
+
+		foreach ( array_intersect( self::FORMATS, (array) $formats ) as $format ) {
+			$destination = trailingslashit( $preview_dir ) . "{$attachment_id}-{$source['name']}-{$token}.{$format}";
+
+			$started = microtime( true );
+			$success = Converter::FORMAT_WEBP === $format
+				? $this->image_converter->convert_to_webp( $source['path'], $destination, $settings )
+				: $this->image_converter->convert_to_avif( $source['path'], $destination, $settings );
+			$encode_time = round( ( microtime( true ) - $started ) * 1000 );
+
+			if ( ! $success || ! file_exists( $destination ) ) {
+				$results[] = [
+					'format' => $format,
+					'success' => false,
+					'error' => $this->image_converter->get_last_error() ?: "{$format} encoding failed",
+					'encode_time_ms' => $encode_time,
+				];
+				continue;
+			}
+
+			$bytes = (int) filesize( $destination );
+			$results[] = [
+				'format' => $format,
+				'success' => true,
+				'url' => WordPressImageRenderer::get_image_url_from_file_path( $destination, false ),
+				'bytes' => $bytes,
+				'savings_percentage' => $original_bytes > 0 ? round( ( ( $original_bytes - $bytes ) / $original_bytes ) * 100, 2 ) : 0,
+				'encode_time_ms' => $encode_time,
+			];
+		}
+
+		return [
+			'attachment_id' => (int) $attachment_id,
+			'size' => [
+				'name' => $source['name'],
+				'width' => $source['width'],
+				'height' => $source['height'],
+			],
+			'original' => [
+				'url' => WordPressImageRenderer::get_image_url_from_file_path( $source['path'] ),
+				'bytes' => $original_bytes,
+			],
+			'settings' => $settings,
+			'results' => $results,
+		];
+	}
+
+	/**
+	 * Delete preview files older than the given age.
+	 *
+	 * Runs before each preview and from the daily cleanup cron.
+	 *
+	 * @since 2.1.0
+	 * @param int $max_age Maximum age in seconds.
+	 * @return int Number of deleted files.
+	 */
+	public function cleanup_previews( $max_age = HOUR_IN_SECONDS ) {
+		$preview_dir = $this->get_preview_dir();
+		$files = glob( trailingslashit( $preview_dir ) . '*' ) ?: [];
+		$removed = 0;
+
+		foreach ( $files as $file ) {
+			if ( ! is_file( $file ) || ! in_array( pathinfo( $file, PATHINFO_EXTENSION ), self::FORMATS, true ) ) {
+				continue;
+			}
+
+			if ( time() - (int) filemtime( $file ) >= $max_age && wp_delete_file_from_directory( $file, $preview_dir ) ) {
+				$removed++;
+			}
+		}
+
+		return $removed;
+	}
+
+	/**
+	 * Get the preview directory, creating it if needed.
+	 *
+	 * @since 2.1.0
+	 * @return string Absolute directory path.
+	 */
+	private function get_preview_dir() {
+		$upload_dir = wp_upload_dir();
+		$preview_dir = wp_normalize_path( trailingslashit( $upload_dir['basedir'] ) . self::PREVIEW_DIR );
+
+		if ( ! is_dir( $preview_dir ) ) {
+			wp_mkdir_p( $preview_dir );
+		}
+
+		return $preview_dir;
+	}
+
+	/**
+	 * Resolve the source file for a preview.
+	 *
+	 * @since 2.1.0
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $size_name Preferred image size.
+	 * @return array|null Source `name`, `path`, `width` and `height`, or null if the file is missing.
+	 */
+	private function get_source( $attachment_id, $size_name ) {
+		$full_path = wp_normalize_path( (string) get_attached_file( $attachment_id ) );
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+
+		if ( 'full' !== $size_name && ! empty( $metadata['sizes'][ $size_name ]['file'] ) ) {
+			$size_path = trailingslashit( dirname( $full_path ) ) . $metadata['sizes'][ $size_name ]['file'];
+			if ( file_exists( $size_path ) ) {
+				return [
+					'name' => $size_name,
+					'path' => $size_path,
+					'width' => (int) ( $metadata['sizes'][ $size_name ]['width'] ?? 0 ),
+					'height' => (int) ( $metadata['sizes'][ $size_name ]['height'] ?? 0 ),
+				];
+			}
+		}
+
+		if ( ! $full_path || ! file_exists( $full_path ) ) {
+			return null;
+		}
+
+		return [
+			'name' => 'full',
+			'path' => $full_path,
+			'width' => (int) ( $metadata['width'] ?? 0 ),
+			'height' => (int) ( $metadata['height'] ?? 0 ),
+		];
+	}
+}
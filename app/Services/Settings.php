@@ -61,6 +61,54 @@ class Settings {
 	const DEFAULT_LOG_LEVEL = 'info';
 	const DEFAULT_ENABLE_LOGGING = false;
 
+	/**
+	 * Default log retention limits. Zero disables a limit.
+	 *
+	 * @since 2.1.0
+	 */
+	const DEFAULT_LOG_RETENTION_DAYS = 30;
+	const DEFAULT_LOG_RETENTION_MAX_ROWS = 10000;
+
+	/**
+	 * Settings that are specific to a site and never exported or imported.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const NON_PORTABLE_KEYS = [ 'license_key' ];
+
+	/**
+	 * Image and video quality settings that a quality preset sets at once.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const QUALITY_PRESET_KEYS = [
+		'image_webp_quality',
+		'image_avif_quality',
+		'image_avif_speed',
+		'video_av1_crf',
+		'video_av1_cpu_used',
+		'video_webm_crf',
+		'video_webm_speed',
+	];
+
+	/**
+	 * Maximum number of custom quality presets.
+	 *
+	 * @since 2.1.0
+	 * @var int
+	 */
+	const MAX_QUALITY_PRESETS = 20;
+
+	/**
+	 * Maximum number of conversion rules.
+	 *
+	 * @since 2.1.0
+	 * @var int
+	 */
+	const MAX_CONVERSION_RULES = 50;
+
 	/**
 	 * WordPress option name.
 	 *
@@ -98,6 +146,14 @@ class Settings {
 			'bulk_conversion_enabled' => self::DEFAULT_BULK_CONVERSION_ENABLED,
 			'log_level' => self::DEFAULT_LOG_LEVEL,
 			'enable_logging' => self::DEFAULT_ENABLE_LOGGING,
+			'log_retention_days' => self::DEFAULT_LOG_RETENTION_DAYS,
+			'log_retention_max_rows' => self::DEFAULT_LOG_RETENTION_MAX_ROWS,
+
+			// Custom quality presets.
+			'quality_presets' => [],
+
+			// Conversion rules, see ConversionRules.
+			'conversion_rules' => [],
 			
 			// SaaS API settings.
 			'license_key' => '',
@@ -159,6 +215,19 @@ class Settings {
 		return array_merge( self::get_defaults(), $options );
 	}
 
+	/**
+	 * Get the revision of the stored settings.
+	 *
+	 * The revision changes whenever a stored setting changes, so a client can
+	 * tell whether the settings it loaded are still current before saving.
+	 *
+	 * @since 2.1.0
+	 * @return string Revision hash.
+	 */
+	public static function get_revision() {
+		return md5( (string) wp_json_encode( get_option( self::$option_name, [] ) ) );
+	}
+
 	/**
 	 * Get settings schema with sanitization rules.
 	 *
@@ -175,6 +244,8 @@ class Settings {
 			'video_webm_crf' => [ 'type' => 'int', 'min' => 0, 'max' => 63 ],
 			'video_av1_cpu_used' => [ 'type' => 'int', 'min' => 0, 'max' => 8 ],
 			'video_webm_speed' => [ 'type' => 'int', 'min' => 0, 'max' => 9 ],
+			'log_retention_days' => [ 'type' => 'int', 'min' => 0, 'max' => 3650 ],
+			'log_retention_max_rows' => [ 'type' => 'int', 'min' => 0, 'max' => 1000000 ],
 			
 			// Boolean settings
 			'image_auto_convert' => [ 'type' => 'bool' ],
@@ -205,7 +276,316 @@ class Settings {
 				'whitelist' => [ 'av1', 'webm' ],
 				'default' => self::DEFAULT_VIDEO_FORMATS,
 			],
+
+			// Custom quality presets, see sanitize_quality_presets()
+			'quality_presets' => [
+				'type' => 'presets',
+				'max' => self::MAX_QUALITY_PRESETS,
+				'default' => [],
+			],
+
+			// Conversion rules, see sanitize_conversion_rules()
+			'conversion_rules' => [
+				'type' => 'rules',
+				'max' => self::MAX_CONVERSION_RULES,
+				'default' => [],
+			],
+		];
+	}
+
+	/**
+	 * Get the settings schema for building the settings form.
+	 *
+	 * Combines the sanitization rules with labels, help text, grouping and
+	 * UI hints. Settings without field metadata are still included, so new
+	 * settings show up in the form with a generated label.
+	 *
+	 * @since 2.1.0
+	 * @return array {
+	 *     Settings schema.
+	 *
+	 *     @type array $groups Ordered list of groups with `id`, `label`, `description`, `width`
+	 *                         and, for groups shown outside the settings page, `page`.
+	 *     @type array $fields Field definitions keyed by setting, in display order.
+	 * }
+	 */
+	public static function get_schema() {
+		$rules = self::get_settings_schema();
+		$definitions = self::get_field_definitions();
+		$defaults = self::get_defaults();
+
+		$fields = [];
+		foreach ( array_keys( array_merge( $definitions, $defaults ) ) as $key ) {
+			$rule = $rules[ $key ] ?? [ 'type' => is_bool( $defaults[ $key ] ?? null ) ? 'bool' : 'string' ];
+			$definition = $definitions[ $key ] ?? [];
+
+			$field = array_merge(
+				[
+					'key' => $key,
+					'label' => ucfirst( str_replace( '_', ' ', $key ) ),
+					'description' => '',
+					'group' => 'general',
+					'control' => self::get_default_control( $rule['type'] ),
+				],
+				$definition,
+				$rule
+			);
+			$field['default'] = $defaults[ $key ] ?? ( $rule['default'] ?? null );
+
+			$fields[ $key ] = $field;
+		}
+
+		return [
+			'groups' => [
+				[
+					'id' => 'general',
+					'label' => __( 'General Settings', 'flux-media-optimizer' ),
+					'description' => '',
+					'width' => 'full',
+				],
+				[
+					'id' => 'image',
+					'label' => __( 'Image Settings', 'flux-media-optimizer' ),
+					'description' => '',
+					'width' => 'half',
+				],
+				[
+					'id' => 'video',
+					'label' => __( 'Video Settings', 'flux-media-optimizer' ),
+					'description' => '',
+					'width' => 'half',
+				],
+				[
+					'id' => 'quality_presets',
+					'label' => __( 'Quality Presets', 'flux-media-optimizer' ),
+					'description' => __( 'Set every image and video quality setting at once. Changing a setting by hand switches to Custom.', 'flux-media-optimizer' ),
+					'width' => 'full',
+				],
+				[
+					'id' => 'image_quality',
+					'label' => __( 'Image Quality Settings', 'flux-media-optimizer' ),
+					'description' => '',
+					'width' => 'half',
+				],
+				[
+					'id' => 'video_quality',
+					'label' => __( 'Video Quality Settings', 'flux-media-optimizer' ),
+					'description' => '',
+					'width' => 'half',
+				],
+				[
+					'id' => 'logging',
+					'label' => __( 'Logging', 'flux-media-optimizer' ),
+					'description' => '',
+					'width' => 'full',
+				],
+				[
+					'id' => 'log_retention',
+					'label' => __( 'Log Retention', 'flux-media-optimizer' ),
+					'description' => __( 'Old log entries are purged daily. Set a limit to 0 to disable it.', 'flux-media-optimizer' ),
+					'width' => 'full',
+					'page' => 'logs',
+				],
+				[
+					'id' => 'conversion_rules',
+					'label' => __( 'Conversion Rules', 'flux-media-optimizer' ),
+					'description' => __( 'Skip attachments or convert them with other formats and quality based on where they are used. Rules are checked from top to bottom and the first enabled rule whose conditions all match is applied. Attachments without a matching rule use the global settings.', 'flux-media-optimizer' ),
+					'width' => 'full',
+					'page' => 'rules',
+				],
+				[
+					'id' => 'license',
+					'label' => __( 'License Settings', 'flux-media-optimizer' ),
+					'description' => __( 'Enter your license key to enable external media processing and CDN storage services. All plugin features work fully without external services.', 'flux-media-optimizer' ),
+					'width' => 'full',
+				],
+			],
+			'fields' => $fields,
+		];
+	}
+
+	/**
+	 * Get labels, help text and UI hints for each setting.
+	 *
+	 * `control` is one of switch, slider, number, select, checkboxes or text.
+	 * `hide_if` hides the field while the named boolean setting is on.
+	 * `requires_support` lists image formats of which the server must support
+	 * at least one for the field to be enabled, and `options_require_support`
+	 * applies the same check to each option of a list. `keys` and `built_in`
+	 * describe the settings a quality preset sets and the bundled presets.
+	 * `operators` and `post_types` list the choices of the rules editor.
+	 *
+	 * @since 2.1.0
+	 * @return array Field definitions keyed by setting, in display order.
+	 */
+	private static function get_field_definitions() {
+		return [
+			// General
+			'bulk_conversion_enabled' => [
+				'label' => __( 'Enable bulk conversion', 'flux-media-optimizer' ),
+				'description' => __( 'Automatically convert existing media files in the background using WordPress cron.', 'flux-media-optimizer' ),
+				'group' => 'general',
+			],
+
+			// Image
+			'image_auto_convert' => [
+				'label' => __( 'Auto-convert images on upload', 'flux-media-optimizer' ),
+				'group' => 'image',
+			],
+			'image_hybrid_approach' => [
+				'label' => __( 'Image hybrid approach (experimental - use with caution)', 'flux-media-optimizer' ),
+				'description' => __( 'Creates both WebP and AVIF formats when supported by your server. Serves AVIF where supported (via <picture> tags or server detection), with WebP and the original image as fallback. This is the recommended approach for maximum performance and device compatibility. This is more dependent on theme and plugin compatibility than the native approach.', 'flux-media-optimizer' ),
+				'group' => 'image',
+				'requires_support' => [ 'webp', 'avif' ],
+			],
+			'image_formats' => [
+				'label' => __( 'Image formats', 'flux-media-optimizer' ),
+				'group' => 'image',
+				'control' => 'checkboxes',
+				'hide_if' => 'image_hybrid_approach',
+				'options_require_support' => true,
+				'option_labels' => [
+					'webp' => __( 'Enable WebP conversion', 'flux-media-optimizer' ),
+					'avif' => __( 'Enable AVIF conversion', 'flux-media-optimizer' ),
+				],
+			],
+
+			// Video
+			'video_auto_convert' => [
+				'label' => __( 'Auto-convert videos on upload', 'flux-media-optimizer' ),
+				'group' => 'video',
+			],
+			'video_hybrid_approach' => [
+				'label' => __( 'Video hybrid approach (experimental - use with caution)', 'flux-media-optimizer' ),
+				'description' => __( 'Creates both AV1 and WebM formats when supported by your server. Serves AV1 where supported (via multiple <source> elements), with WebM and the original video as fallback. This is the recommended approach for maximum performance and device compatibility. This is more dependent on theme and plugin compatibility than the native approach.', 'flux-media-optimizer' ),
+				'group' => 'video',
+			],
+			'video_formats' => [
+				'label' => __( 'Video formats', 'flux-media-optimizer' ),
+				'group' => 'video',
+				'control' => 'checkboxes',
+				'hide_if' => 'video_hybrid_approach',
+				'option_labels' => [
+					'av1' => __( 'Enable AV1 conversion', 'flux-media-optimizer' ),
+					'webm' => __( 'Enable WebM conversion', 'flux-media-optimizer' ),
+				],
+			],
+
+			// Quality presets
+			'quality_presets' => [
+				'label' => __( 'Custom presets', 'flux-media-optimizer' ),
+				'group' => 'quality_presets',
+				'keys' => self::QUALITY_PRESET_KEYS,
+				'built_in' => self::get_built_in_quality_presets(),
+			],
+
+			// Conversion rules
+			'conversion_rules' => [
+				'label' => __( 'Rules', 'flux-media-optimizer' ),
+				'group' => 'conversion_rules',
+				'operators' => ConversionRules::OPERATORS,
+				'post_types' => self::get_rule_post_types(),
+				'keys' => self::QUALITY_PRESET_KEYS,
+			],
+
+			// Image quality
+			'image_webp_quality' => [
+				'label' => __( 'WebP Quality', 'flux-media-optimizer' ),
+				'description' => __( 'Higher values produce larger files with better quality', 'flux-media-optimizer' ),
+				'group' => 'image_quality',
+				'unit' => '%',
+				'requires_support' => [ 'webp' ],
+			],
+			'image_avif_quality' => [
+				'label' => __( 'AVIF Quality', 'flux-media-optimizer' ),
+				'description' => __( 'AVIF typically needs lower quality for similar file size', 'flux-media-optimizer' ),
+				'group' => 'image_quality',
+				'unit' => '%',
+				'requires_support' => [ 'avif' ],
+			],
+			'image_avif_speed' => [
+				'label' => __( 'AVIF Speed', 'flux-media-optimizer' ),
+				'description' => __( 'Lower values = slower encoding but better compression', 'flux-media-optimizer' ),
+				'group' => 'image_quality',
+				'requires_support' => [ 'avif' ],
+			],
+
+			// Video quality
+			'video_av1_crf' => [
+				'label' => __( 'AV1 CRF (Constant Rate Factor)', 'flux-media-optimizer' ),
+				'description' => __( 'Lower values = higher quality, larger files', 'flux-media-optimizer' ),
+				'group' => 'video_quality',
+			],
+			'video_webm_crf' => [
+				'label' => __( 'WebM CRF (Constant Rate Factor)', 'flux-media-optimizer' ),
+				'description' => __( 'Lower values = higher quality, larger files', 'flux-media-optimizer' ),
+				'group' => 'video_quality',
+			],
+			'video_av1_cpu_used' => [
+				'label' => __( 'AV1 CPU Used', 'flux-media-optimizer' ),
+				'description' => __( 'Controls encoding speed vs file size. Lower values = slower encoding but smaller files at same quality', 'flux-media-optimizer' ),
+				'group' => 'video_quality',
+			],
+			'video_webm_speed' => [
+				'label' => __( 'WebM Speed', 'flux-media-optimizer' ),
+				'description' => __( 'Controls encoding speed vs file size. Lower values = slower encoding but smaller files at same quality', 'flux-media-optimizer' ),
+				'group' => 'video_quality',
+			],
+
+			// Logging
+			'enable_logging' => [
+				'label' => __( 'Enable logging', 'flux-media-optimizer' ),
+				'description' => __( 'Record conversion activity and errors in the plugin logs.', 'flux-media-optimizer' ),
+				'group' => 'logging',
+			],
+			'log_level' => [
+				'label' => __( 'Log level', 'flux-media-optimizer' ),
+				'description' => __( 'Minimum severity of messages to record.', 'flux-media-optimizer' ),
+				'group' => 'logging',
+			],
+
+			// Log retention
+			'log_retention_days' => [
+				'label' => __( 'Keep logs for (days)', 'flux-media-optimizer' ),
+				'description' => __( 'Entries older than this are deleted.', 'flux-media-optimizer' ),
+				'group' => 'log_retention',
+				'control' => 'number',
+			],
+			'log_retention_max_rows' => [
+				'label' => __( 'Maximum log entries', 'flux-media-optimizer' ),
+				'description' => __( 'The oldest entries beyond this count are deleted.', 'flux-media-optimizer' ),
+				'group' => 'log_retention',
+				'control' => 'number',
+			],
+
+			// License
+			'license_key' => [
+				'label' => __( 'License Key', 'flux-media-optimizer' ),
+				'description' => __( 'Used for optional external processing and CDN storage services. All image and video optimization features are available without a license key.', 'flux-media-optimizer' ),
+				'group' => 'license',
+				'placeholder' => __( 'Enter your license key', 'flux-media-optimizer' ),
+			],
+		];
+	}
+
+	/**
+	 * Get the default form control for a schema type.
+	 *
+	 * @since 2.1.0
+	 * @param string $type Schema type.
+	 * @return string Control name.
+	 */
+	private static function get_default_control( $type ) {
+		$controls = [
+			'int' => 'slider',
+			'bool' => 'switch',
+			'enum' => 'select',
+			'array' => 'checkboxes',
+			'presets' => 'presets',
+			'rules' => 'rules',
 		];
+
+		return $controls[ $type ] ?? 'text';
 	}
 
 	/**
@@ -256,12 +636,214 @@ class Settings {
 					}
 				}
 				return ! empty( $sanitized ) ? $sanitized : ( $rule['default'] ?? [] );
+
+			case 'presets':
+				return self::sanitize_quality_presets( $value, $rule['max'] );
+
+			case 'rules':
+				return self::sanitize_conversion_rules( $value, $rule['max'] );
 				
 			default:
 				return self::sanitize_by_type( $value );
 		}
 	}
 
+	/**
+	 * Get the quality presets bundled with the plugin.
+	 *
+	 * Balanced uses the default values.
+	 *
+	 * @since 2.1.0
+	 * @return array Presets with `id`, `label`, `description` and `values`.
+	 */
+	private static function get_built_in_quality_presets() {
+		return [
+			[
+				'id' => 'balanced',
+				'label' => __( 'Balanced', 'flux-media-optimizer' ),
+				'description' => __( 'Good quality at a much smaller size. Recommended for most sites.', 'flux-media-optimizer' ),
+				'values' => [
+					'image_webp_quality' => self::DEFAULT_WEBP_QUALITY,
+					'image_avif_quality' => self::DEFAULT_AVIF_QUALITY,
+					'image_avif_speed' => self::DEFAULT_AVIF_SPEED,
+					'video_av1_crf' => self::DEFAULT_VIDEO_AV1_CRF,
+					'video_av1_cpu_used' => self::DEFAULT_VIDEO_AV1_CPU_USED,
+					'video_webm_crf' => self::DEFAULT_VIDEO_WEBM_CRF,
+					'video_webm_speed' => self::DEFAULT_VIDEO_WEBM_SPEED,
+				],
+			],
+			[
+				'id' => 'max_compression',
+				'label' => __( 'Maximum compression', 'flux-media-optimizer' ),
+				'description' => __( 'Smallest files with visible quality loss on detailed media. Encoding is slower.', 'flux-media-optimizer' ),
+				'values' => [
+					'image_webp_quality' => 60,
+					'image_avif_quality' => 40,
+					'image_avif_speed' => 3,
+					'video_av1_crf' => 38,
+					'video_av1_cpu_used' => 3,
+					'video_webm_crf' => 40,
+					'video_webm_speed' => 2,
+				],
+			],
+			[
+				'id' => 'max_quality',
+				'label' => __( 'Maximum quality', 'flux-media-optimizer' ),
+				'description' => __( 'Nearly indistinguishable from the original at a moderate size saving.', 'flux-media-optimizer' ),
+				'values' => [
+					'image_webp_quality' => 90,
+					'image_avif_quality' => 75,
+					'image_avif_speed' => 4,
+					'video_av1_crf' => 20,
+					'video_av1_cpu_used' => 3,
+					'video_webm_crf' => 20,
+					'video_webm_speed' => 3,
+				],
+			],
+		];
+	}
+
+	/**
+	 * Sanitize a list of custom quality presets.
+	 *
+	 * Each preset needs a label and a value for every quality preset key;
+	 * presets without them are dropped. Values are clamped like the settings
+	 * they set, and ids are made unique and never reuse a built-in id.
+	 *
+	 * @since 2.1.0
+	 * @param mixed $presets Presets to sanitize.
+	 * @param int   $max Maximum number of presets to keep.
+	 * @return array Presets with `id`, `label` and `values`.
+	 */
+	private static function sanitize_quality_presets( $presets, $max ) {
+		if ( ! is_array( $presets ) ) {
+			return [];
+		}
+
+		$used_ids = array_column( self::get_built_in_quality_presets(), 'id' );
+		$sanitized = [];
+
+		foreach ( $presets as $preset ) {
+			if ( count( $sanitized ) >= $max ) {
+				break;
+			}
+
+			$label = is_array( $preset ) && is_string( $preset['label'] ?? null ) ? sanitize_text_field( $preset['label'] ) : '';
+			$values = is_array( $preset ) && is_array( $preset['values'] ?? null ) ? $preset['values'] : [];
+			if ( '' === $label || array_diff( self::QUALITY_PRESET_KEYS, array_keys( $values ) ) ) {
+				continue;
+			}
+
+			$id = sanitize_key( is_string( $preset['id'] ?? null ) ? $preset['id'] : '' ) ?: sanitize_title( $label );
+			$base_id = $id ?: 'preset';
+			for ( $suffix = 2; '' === $id || in_array( $id, $used_ids, true ); $suffix++ ) {
+				$id = "{$base_id}-{$suffix}";
+			}
+			$used_ids[] = $id;
+
+			$sanitized_values = [];
+			foreach ( self::QUALITY_PRESET_KEYS as $key ) {
+				$sanitized_values[ $key ] = self::sanitize_setting( $key, $values[ $key ] );
+			}
+
+			$sanitized[] = [
+				'id' => $id,
+				'label' => $label,
+				'values' => $sanitized_values,
+			];
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Get the post types conversion rules can match on.
+	 *
+	 * @since 2.1.0
+	 * @return array Post type labels keyed by post type.
+	 */
+	private static function get_rule_post_types() {
+		$post_types = [];
+		foreach ( get_post_types( [ 'show_ui' => true ], 'objects' ) as $name => $post_type ) {
+			if ( 'attachment' !== $name ) {
+				$post_types[ $name ] = $post_type->labels->singular_name;
+			}
+		}
+
+		return $post_types;
+	}
+
+	/**
+	 * Sanitize a list of conversion rules.
+	 *
+	 * Rules with a condition that has an unknown field or operator are dropped,
+	 * since removing just the condition would widen the rule, possibly into a
+	 * catch-all. Formats are limited to the supported ones and quality overrides are clamped like the
+	 * settings they override. Rules without an id get a new one.
+	 *
+	 * @since 2.1.0
+	 * @param mixed $rules Rules to sanitize.
+	 * @param int   $max Maximum number of rules to keep.
+	 * @return array Rules with `id`, `name`, `enabled`, `conditions`, `action`,
+	 *               `image_formats`, `video_formats` and `quality`.
+	 */
+	private static function sanitize_conversion_rules( $rules, $max ) {
+		if ( ! is_array( $rules ) ) {
+			return [];
+		}
+
+		$sanitized = [];
+		$used_ids = [];
+
+		foreach ( array_slice( array_values( $rules ), 0, $max ) as $rule ) {
+			if ( ! is_array( $rule ) ) {
+				continue;
+			}
+
+			$conditions = [];
+			foreach ( (array) ( $rule['conditions'] ?? [] ) as $condition ) {
+				if ( ! ConversionRules::is_valid_condition( $condition ) ) {
+					continue 2;
+				}
+
+				$field = $condition['field'];
+				$conditions[] = [
+					'field' => $field,
+					'operator' => $condition['operator'],
+					'value' => ConversionRules::FIELD_FILE_SIZE === $field
+						? absint( $condition['value'] ?? 0 )
+						: sanitize_text_field( (string) ( $condition['value'] ?? '' ) ),
+				];
+			}
+
+			$quality = [];
+			foreach ( (array) ( $rule['quality'] ?? [] ) as $key => $value ) {
+				if ( in_array( $key, self::QUALITY_PRESET_KEYS, true ) && is_numeric( $value ) ) {
+					$quality[ $key ] = self::sanitize_setting( $key, $value );
+				}
+			}
+
+			$id = sanitize_key( is_string( $rule['id'] ?? null ) ? $rule['id'] : '' );
+			if ( '' === $id || in_array( $id, $used_ids, true ) ) {
+				$id = wp_generate_uuid4();
+			}
+			$used_ids[] = $id;
+
+			$sanitized[] = [
+				'id' => $id,
+				'name' => sanitize_text_field( is_string( $rule['name'] ?? null ) ? $rule['name'] : '' ),
+				'enabled' => (bool) ( $rule['enabled'] ?? true ),
+				'conditions' => $conditions,
+				'action' => ConversionRules::ACTION_SKIP === ( $rule['action'] ?? '' ) ? ConversionRules::ACTION_SKIP : ConversionRules::ACTION_CONVERT,
+				'image_formats' => array_values( array_intersect( [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ], (array) ( $rule['image_formats'] ?? [] ) ) ),
+				'video_formats' => array_values( array_intersect( [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ], (array) ( $rule['video_formats'] ?? [] ) ) ),
+				'quality' => $quality,
+			];
+		}
+
+		return $sanitized;
+	}
+
 	/**
 	 * Sanitize value by its PHP type (fallback for unknown settings).
 	 *
@@ -294,6 +876,7 @@ class Settings {
 	 *
 	 * @since 0.1.0
 	 * @since 2.0.5 Added input sanitization.
+	 * @since 2.1.0 Fires the `flux_media_optimizer_settings_updated` action.
 	 * @param array $settings Settings to update.
 	 * @return bool True on success, false on failure.
 	 */
@@ -315,7 +898,38 @@ class Settings {
 		}
 		
 		$merged_options = array_merge( $current_options, $sanitized_settings );
-		return update_option( self::$option_name, $merged_options );
+		$updated = update_option( self::$option_name, $merged_options );
+
+		if ( $updated ) {
+			self::fire_updated( $current_options, $merged_options );
+		}
+
+		return $updated;
+	}
+
+	/**
+	 * Announce a settings change.
+	 *
+	 * @since 2.1.0
+	 * @param array $old_options Stored options before the change.
+	 * @param array $new_options Stored options after the change.
+	 * @return void
+	 */
+	private static function fire_updated( $old_options, $new_options ) {
+		$defaults = self::get_defaults();
+
+		/**
+		 * Fires after settings were saved.
+		 *
+		 * @since 2.1.0
+		 * @param array $old_settings All settings before the change, with defaults.
+		 * @param array $new_settings All settings after the change, with defaults.
+		 */
+		do_action(
+			'flux_media_optimizer_settings_updated',
+			array_merge( $defaults, (array) $old_options ),
+			array_merge( $defaults, (array) $new_options )
+		);
 	}
 
 	/**
@@ -335,10 +949,244 @@ class Settings {
 	 * Reset all settings to defaults.
 	 *
 	 * @since 0.1.0
+	 * @since 2.1.0 Added the `$preserve_keys` parameter and the `flux_media_optimizer_settings_updated` action.
+	 * @param array $preserve_keys Setting keys to keep their current value. Default empty.
 	 * @return bool True on success, false on failure.
 	 */
-	public static function reset() {
-		return update_option( self::$option_name, self::get_defaults() );
+	public static function reset( $preserve_keys = [] ) {
+		$settings = self::get_defaults();
+		foreach ( $preserve_keys as $key ) {
+			if ( array_key_exists( $key, $settings ) ) {
+				$settings[ $key ] = self::get( $key );
+			}
+		}
+
+		$current_options = get_option( self::$option_name, [] );
+		$updated = update_option( self::$option_name, $settings );
+
+		if ( $updated ) {
+			self::fire_updated( $current_options, $settings );
+		}
+
+		return $updated;
+	}
+
+	/**
+	 * Export the portable settings.
+	 *
+	 * Site-specific settings such as the license key are left out so the
+	 * export can be imported on another site.
+	 *
+	 * @since 2.1.0
+	 * @return array Export document with metadata and settings.
+	 */
+	public static function export() {
+		$settings = array_diff_key( self::get_all(), array_flip( self::NON_PORTABLE_KEYS ) );
+
+		return [
+			'plugin' => 'flux-media-optimizer',
+			'version' => defined( 'FLUX_MEDIA_OPTIMIZER_VERSION' ) ? FLUX_MEDIA_OPTIMIZER_VERSION : '',
+			'exported_at' => gmdate( 'c' ),
+			'site_url' => home_url(),
+			'options' => array_intersect_key( $settings, self::get_defaults() ),
+		];
+	}
+
+	/**
+	 * Validate settings before saving them.
+	 *
+	 * Unknown keys are not reported, since update() ignores them.
+	 *
+	 * @since 2.1.0
+	 * @param array $settings Settings to validate.
+	 * @return array Validation error messages keyed by setting, empty if all are valid.
+	 */
+	public static function validate( $settings ) {
+		$errors = [];
+		$defaults = self::get_defaults();
+
+		foreach ( (array) $settings as $key => $value ) {
+			if ( ! array_key_exists( $key, $defaults ) ) {
+				continue;
+			}
+
+			$error = self::validate_setting( $key, $value );
+			if ( null !== $error ) {
+				$errors[ $key ] = $error;
+			}
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Compare imported settings against the current settings.
+	 *
+	 * Values are validated against the settings schema rather than sanitized,
+	 * so out-of-range or unknown values are reported instead of silently clamped.
+	 *
+	 * @since 2.1.0
+	 * @param array $settings Settings to import.
+	 * @return array {
+	 *     Import preview.
+	 *
+	 *     @type array $changes Settings that will change, each with `key`, `current` and `incoming`.
+	 *     @type array $errors  Validation error messages keyed by setting.
+	 *     @type array $ignored Keys that are unknown or not importable.
+	 * }
+	 */
+	public static function preview_import( $settings ) {
+		$preview = [
+			'changes' => [],
+			'errors' => [],
+			'ignored' => [],
+		];
+
+		$defaults = self::get_defaults();
+		$current = self::get_all();
+
+		foreach ( (array) $settings as $key => $value ) {
+			if ( ! array_key_exists( $key, $defaults ) || in_array( $key, self::NON_PORTABLE_KEYS, true ) ) {
+				$preview['ignored'][] = $key;
+				continue;
+			}
+
+			$error = self::validate_setting( $key, $value );
+			if ( null !== $error ) {
+				$preview['errors'][ $key ] = $error;
+				continue;
+			}
+
+			$current_value = self::sanitize_setting( $key, $current[ $key ] );
+			$incoming_value = self::sanitize_setting( $key, $value );
+			if ( $current_value !== $incoming_value ) {
+				$preview['changes'][] = [
+					'key' => $key,
+					'current' => $current_value,
+					'incoming' => $incoming_value,
+				];
+			}
+		}
+
+		return $preview;
+	}
+
+	/**
+	 * Import settings after validating them.
+	 *
+	 * Nothing is written unless every importable setting is valid.
+	 *
+	 * @since 2.1.0
+	 * @param array $settings Settings to import.
+	 * @return array Import preview, see preview_import().
+	 */
+	public static function import( $settings ) {
+		$preview = self::preview_import( $settings );
+
+		if ( empty( $preview['errors'] ) && ! empty( $preview['changes'] ) ) {
+			self::update( array_column( $preview['changes'], 'incoming', 'key' ) );
+		}
+
+		return $preview;
+	}
+
+	/**
+	 * Validate a setting value against its schema.
+	 *
+	 * @since 2.1.0
+	 * @param string $key Setting key.
+	 * @param mixed  $value Setting value.
+	 * @return string|null Error message, or null if the value is valid.
+	 */
+	private static function validate_setting( $key, $value ) {
+		$schema = self::get_settings_schema();
+		if ( ! isset( $schema[ $key ] ) ) {
+			return null;
+		}
+
+		$rule = $schema[ $key ];
+
+		switch ( $rule['type'] ) {
+			case 'int':
+				if ( ! is_int( $value ) && ! ( is_string( $value ) && ctype_digit( $value ) ) ) {
+					return 'Must be an integer';
+				}
+				if ( isset( $rule['min'], $rule['max'] ) && ( (int) $value < $rule['min'] || (int) $value > $rule['max'] ) ) {
+					return sprintf( 'Must be between %d and %d', $rule['min'], $rule['max'] );
+				}
+				return null;
+
+			case 'bool':
+				return is_bool( $value ) ? null : 'Must be true or false';
+
+			case 'string':
+				return is_string( $value ) ? null : 'Must be a string';
+
+			case 'enum':
+				return in_array( $value, $rule['options'], true ) ? null : 'Must be one of: ' . implode( ', ', $rule['options'] );
+
+			case 'array':
+				if ( ! is_array( $value ) || empty( $value ) ) {
+					return 'Must be a non-empty list';
+				}
+				foreach ( $value as $item ) {
+					if ( isset( $rule['whitelist'] ) && ! in_array( $item, $rule['whitelist'], true ) ) {
+						return 'Items must be any of: ' . implode( ', ', $rule['whitelist'] );
+					}
+				}
+				return null;
+
+			case 'presets':
+				if ( ! is_array( $value ) ) {
+					return 'Must be a list of presets';
+				}
+				if ( count( $value ) > $rule['max'] ) {
+					return sprintf( 'Must have at most %d presets', $rule['max'] );
+				}
+				foreach ( $value as $preset ) {
+					if ( ! is_array( $preset ) || ! is_string( $preset['label'] ?? null ) || '' === trim( $preset['label'] ) ) {
+						return 'Each preset needs a label';
+					}
+					foreach ( self::QUALITY_PRESET_KEYS as $key ) {
+						if ( ! isset( $preset['values'][ $key ] ) ) {
+							return sprintf( 'Preset "%s" is missing %s', $preset['label'], $key );
+						}
+						$error = self::validate_setting( $key, $preset['values'][ $key ] );
+						if ( null !== $error ) {
+							return sprintf( 'Preset "%s": %s %s', $preset['label'], $key, lcfirst( $error ) );
+						}
+					}
+				}
+				return null;
+
+			case 'rules':
+				if ( ! is_array( $value ) ) {
+					return 'Must be a list of rules';
+				}
+				if ( count( $value ) > $rule['max'] ) {
+					return sprintf( 'Must have at most %d rules', $rule['max'] );
+				}
+				foreach ( $value as $index => $conversion_rule ) {
+					if ( ! is_array( $conversion_rule ) ) {
+						return 'Each rule must be an object';
+					}
+					foreach ( (array) ( $conversion_rule['conditions'] ?? [] ) as $condition ) {
+						if ( ! ConversionRules::is_valid_condition( $condition ) ) {
+							return sprintf( 'Rule %d has an unknown condition', $index + 1 );
+						}
+					}
+					foreach ( (array) ( $conversion_rule['quality'] ?? [] ) as $key => $quality ) {
+						$error = in_array( $key, self::QUALITY_PRESET_KEYS, true ) ? self::validate_setting( $key, $quality ) : 'Unknown quality setting';
+						if ( null !== $error ) {
+							return sprintf( 'Rule %d: %s %s', $index + 1, $key, lcfirst( $error ) );
+						}
+					}
+				}
+				return null;
+
+			default:
+				return null;
+		}
 	}
 
 	/**
@@ -487,6 +1335,16 @@ class Settings {
 		return self::get( 'video_formats', self::DEFAULT_VIDEO_FORMATS );
 	}
 
+	/**
+	 * Get the conversion rules.
+	 *
+	 * @since 2.1.0
+	 * @return array Rules in priority order.
+	 */
+	public static function get_conversion_rules() {
+		return (array) self::get( 'conversion_rules', [] );
+	}
+
 	/**
 	 * Check if image hybrid approach is enabled.
 	 *
@@ -527,6 +1385,26 @@ class Settings {
 		return (bool) self::get( 'video_auto_convert', self::DEFAULT_VIDEO_AUTO_CONVERT );
 	}
 
+	/**
+	 * Get the maximum age of log entries in days.
+	 *
+	 * @since 2.1.0
+	 * @return int Days to keep logs, 0 to keep them regardless of age.
+	 */
+	public static function get_log_retention_days() {
+		return (int) self::get( 'log_retention_days', self::DEFAULT_LOG_RETENTION_DAYS );
+	}
+
+	/**
+	 * Get the maximum number of log entries to keep.
+	 *
+	 * @since 2.1.0
+	 * @return int Maximum rows, 0 for no limit.
+	 */
+	public static function get_log_retention_max_rows() {
+		return (int) self::get( 'log_retention_max_rows', self::DEFAULT_LOG_RETENTION_MAX_ROWS );
+	}
+
 	/**
 	 * Check if logging is enabled.
 	 *
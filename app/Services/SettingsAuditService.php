@@ -0,0 +1,307 @@
+<?php
+/**
+ * Settings audit trail for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Records who changed which setting and when, and reads the records back.
+ *
+ * @since 2.1.0
+ */
+class SettingsAuditService {
+
+	/**
+	 * Settings whose values are never stored in full.
+	 *
+	 * @since 2.1.0
+	 * @var array
+	 */
+	const MASKED_KEYS = [ 'license_key' ];
+
+	/**
+	 * Number of trailing characters left visible in masked values.
+	 *
+	 * @since 2.1.0
+	 * @var int
+	 */
+	const MASK_VISIBLE_CHARS = 4;
+
+	/**
+	 * Database table name.
+	 *
+	 * @since 2.1.0
+	 * @var string
+	 */
+	private $table_name;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 2.1.0
+	 */
+	public function __construct() {
+		global $wpdb;
+		$this->table_name = $wpdb->prefix . 'flux_media_optimizer_settings_audit';
+	}
+
+	/**
+	 * Register WordPress hooks.
+	 *
+	 * @since 2.1.0
+	 * @return void
+	 */
+	public function register_hooks() {
+		add_action( 'flux_media_optimizer_settings_updated', [ $this, 'record_changes' ], 10, 2 );
+	}
+
+	/**
+	 * Record one audit entry per changed setting.
+	 *
+	 * Changes made without a logged-in user, e.g. from cron or WP-CLI, are
+	 * recorded with user id 0.
+	 *
+	 * @since 2.1.0
+	 * @param array $old_settings All settings before the change.
+	 * @param array $new_settings All settings after the change.
+	 * @return void
+	 */
+	public function record_changes( $old_settings, $new_settings ) {
+		global $wpdb;
+
+		$user_id = get_current_user_id();
+		$created_at = current_time( 'mysql' );
+
+		foreach ( self::diff( $old_settings, $new_settings ) as $change ) {
+			$wpdb->insert(
+				$this->table_name,
+				[
+					'setting_key' => $change['key'],
+					'old_value' => wp_json_encode( $change['old'] ),
+					'new_value' => wp_json_encode( $change['new'] ),
+					'user_id' => $user_id,
+					'created_at' => $created_at,
+				],
+				[ '%s', '%s', '%s', '%d', '%s' ]
+			);
+		}
+	}
+
+	/**
+	 * List the settings that differ between two sets of settings.
+	 *
+	 * Values of MASKED_KEYS are masked, so they are safe to store.
+	 *
+	 * @since 2.1.0
+	 * @param array $old_settings Settings before the change.
+	 * @param array $new_settings Settings after the change.
+	 * @return array Changes, each with `key`, `old` and `new`.
+	 */
+	public static function diff( $old_settings, $new_settings ) {
+		$changes = [];
+
+		foreach ( $new_settings as $key => $new_value ) {
+			$old_value = array_key_exists( $key, $old_settings ) ? $old_settings[ $key ] : null;
+			if ( $old_value === $new_value ) {
+				continue;
+			}
+
+			$changes[] = [
+				'key' => $key,
+				'old' => self::mask_value( $key, $old_value ),
+				'new' => self::mask_value( $key, $new_value ),
+			];
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Mask the value of a sensitive setting.
+	 *
+	 * Only the last MASK_VISIBLE_CHARS characters are kept, so two values can
+	 * still be told apart. Other settings are returned unchanged.
+	 *
+	 * @since 2.1.0
+	 * @param string $key Setting key.
+	 * @param mixed  $value Setting value.
+	 * @return mixed Value safe to store.
+	 */
+	public static function mask_value( $key, $value ) {
+		if ( ! in_array( $key, self::MASKED_KEYS, true ) || ! is_string( $value ) || '' === $value ) {
+			return $value;
+		}
+
+		$visible = strlen( $value ) > self::MASK_VISIBLE_CHARS * 2 ? substr( $value, -self::MASK_VISIBLE_CHARS ) : '';
+		return str_repeat( '*', 8 ) . $visible;
+	}
+
+	/**
+	 * Get audit entries with pagination and filtering, newest first.
+	 *
+	 * @since 2.1.0
+	 * @param array $args Query arguments: `page`, `per_page`, `setting_key` and `user_id`.
+	 * @return array Entries with pagination info.
+	 */
+	public function get_entries( $args = [] ) {
+		global $wpdb;
+
+		$args = wp_parse_args( $args, [
+			'page' => 1,
+			'per_page' => 25,
+			'setting_key' => '',
+			'user_id' => null,
+		] );
+
+		$where_conditions = [];
+		$where_values = [];
+
+		if ( ! empty( $args['setting_key'] ) ) {
+			$where_conditions[] = 'setting_key = %s';
+			$where_values[] = $args['setting_key'];
+		}
+
+		if ( null !== $args['user_id'] ) {
+			$where_conditions[] = 'user_id = %d';
+			$where_values[] = (int) $args['user_id'];
+		}
+
+		$where_clause = ! empty( $where_conditions ) ? 'WHERE ' . implode( ' AND ', $where_conditions ) : '';
+
+		if ( ! empty( $where_values ) ) {
+			$total = (int) $wpdb->get_var( $wpdb->prepare(
+				"SELECT COUNT(*) FROM `".esc_sql($this->table_name)."` {$where_clause}",
+				$where_values
+			) );
+		} else {
+			$total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM `".esc_sql($this->table_name)."`" );
+		}
+
+		$offset = ( $args['page'] - 1 ) * $args['per_page'];
+		$query_values = array_merge( $where_values, [ $args['per_page'], $offset ] );
+		$entries = $wpdb->get_results( $wpdb->prepare(
+			"SELECT id, setting_key, old_value, new_value, user_id, created_at FROM `".esc_sql($this->table_name)."` {$where_clause} ORDER BY id DESC LIMIT %d OFFSET %d",
+			$query_values
+		), ARRAY_A );
+
+		return [
+			'data' => array_map( [ $this, 'format_entry' ], $entries ?: [] ),
+			'total' => $total,
+			'page' => $args['page'],
+			'per_page' => $args['per_page'],
+			'total_pages' => ceil( $total / $args['per_page'] ),
+		];
+	}
+
+	/**
+	 * Get a single audit entry.
+	 *
+	 * @since 2.1.0
+	 * @param int $id Entry ID.
+	 * @return array|null Entry, or null if it does not exist.
+	 */
+	public function get_entry( $id ) {
+		global $wpdb;
+
+		$entry = $wpdb->get_row( $wpdb->prepare(
+			"SELECT id, setting_key, old_value, new_value, user_id, created_at FROM `".esc_sql($this->table_name)."` WHERE id = %d",
+			$id
+		), ARRAY_A );
+
+		return $entry ? $this->format_entry( $entry ) : null;
+	}
+
+	/**
+	 * Get the users who changed settings, for filtering.
+	 *
+	 * @since 2.1.0
+	 * @return array Users, each with `id` and `name`. The name is empty for
+	 *               changes made without a user and for deleted users.
+	 */
+	public function get_users() {
+		global $wpdb;
+
+		$user_ids = $wpdb->get_col( "SELECT DISTINCT user_id FROM `".esc_sql($this->table_name)."` ORDER BY user_id" );
+
+		return array_map( function ( $user_id ) {
+			return [
+				'id' => (int) $user_id,
+				'name' => $this->get_user_name( (int) $user_id ),
+			];
+		}, $user_ids ?: [] );
+	}
+
+	/**
+	 * Get the setting keys that have audit entries, for filtering.
+	 *
+	 * @since 2.1.0
+	 * @return array Setting keys.
+	 */
+	public function get_setting_keys() {
+		global $wpdb;
+
+		$keys = $wpdb->get_col( "SELECT DISTINCT setting_key FROM `".esc_sql($this->table_name)."` ORDER BY setting_key" );
+		return $keys ?: [];
+	}
+
+	/**
+	 * Restore the value a setting had before an audited change.
+	 *
+	 * The revert is saved through Settings::update(), so it is audited too.
+	 *
+	 * @since 2.1.0
+	 * @param array $entry Audit entry, see get_entry().
+	 * @return bool True if the setting now has the old value.
+	 */
+	public function revert( $entry ) {
+		if ( empty( $entry['revertible'] ) ) {
+			return false;
+		}
+
+		$key = $entry['setting_key'];
+
+		// Saving an unchanged value reports failure, so check the stored value too
+		return Settings::update( [ $key => $entry['old_value'] ] ) || Settings::get( $key ) === $entry['old_value'];
+	}
+
+	/**
+	 * Decode a database row into an audit entry.
+	 *
+	 * Masked settings and settings that no longer exist cannot be reverted.
+	 *
+	 * @since 2.1.0
+	 * @param array $row Database row.
+	 * @return array Audit entry.
+	 */
+	private function format_entry( $row ) {
+		$user_id = (int) $row['user_id'];
+
+		return [
+			'id' => (int) $row['id'],
+			'setting_key' => $row['setting_key'],
+			'old_value' => json_decode( $row['old_value'], true ),
+			'new_value' => json_decode( $row['new_value'], true ),
+			'user_id' => $user_id,
+			'user_name' => $this->get_user_name( $user_id ),
+			'created_at' => $row['created_at'],
+			'revertible' => ! in_array( $row['setting_key'], self::MASKED_KEYS, true )
+				&& array_key_exists( $row['setting_key'], Settings::get_defaults() ),
+		];
+	}
+
+	/**
+	 * Get the display name of a user.
+	 *
+	 * @since 2.1.0
+	 * @param int $user_id User ID.
+	 * @return string Display name, empty if the user does not exist.
+	 */
+	private function get_user_name( $user_id ) {
+		$user = $user_id ? get_userdata( $user_id ) : false;
+		return $user ? $user->display_name : '';
+	}
+}
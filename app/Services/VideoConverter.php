@@ -329,6 +329,56 @@ class VideoConverter implements Converter {
         ];
     }
 
+    /**
+     * Remove stale FFmpeg two-pass directories from the system temp directory.
+     *
+     * FFmpeg leaves its `ffmpeg-passes*` directories behind when an encode is
+     * interrupted, so anything older than the given age is considered abandoned.
+     *
+     * @since 2.1.0
+     * @param int $max_age Minimum age in seconds before a directory is removed.
+     * @return int Number of directories removed.
+     */
+    public function cleanup_stale_temp_files( $max_age = HOUR_IN_SECONDS ) {
+        // Initialize WordPress filesystem
+        if ( ! function_exists( 'WP_Filesystem' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+        WP_Filesystem();
+        
+        global $wp_filesystem;
+        if ( ! $wp_filesystem ) {
+            return 0;
+        }
+
+        $temp_dir = untrailingslashit( get_temp_dir() );
+        $entries = $wp_filesystem->dirlist( $temp_dir );
+        $removed = 0;
+
+        if ( ! $entries ) {
+            return 0;
+        }
+
+        foreach ( $entries as $entry ) {
+            if ( 'd' !== $entry['type'] || 0 !== strpos( $entry['name'], 'ffmpeg-passes' ) ) {
+                continue;
+            }
+
+            if ( time() - (int) $entry['lastmodunix'] < $max_age ) {
+                continue;
+            }
+
+            $dir_path = $temp_dir . '/' . $entry['name'];
+            if ( $wp_filesystem->rmdir( $dir_path, true ) ) {
+                $removed++;
+            } else {
+                $this->logger->warning( "Failed to delete temporary directory: {$dir_path}" );
+            }
+        }
+
+        return $removed;
+    }
+
     /**
      * Clean up temporary files.
      *
@@ -432,36 +432,53 @@ class WordPressImageRenderer {
      * @return array Modified form fields.
      */
     public function modify_attachment_fields( $form_fields, $post ) {
+        // Single Flux Media Optimizer section with all content
+        $form_fields['flux_media_optimizer'] = [
+            'label' => __( 'Flux Media Optimizer', 'flux-media-optimizer' ),
+            'input' => 'html',
+            'html' => $this->get_attachment_field_html( $post->ID ),
+        ];
+        
+        return $form_fields;
+    }
+
+    /**
+     * Get the Flux Media Optimizer attachment field HTML.
+     *
+     * The markup is wrapped in a container keyed by attachment ID so the
+     * attachment screen script can swap it in place after an action.
+     *
+     * @since 2.1.0
+     * @param int $attachment_id Attachment ID.
+     * @return string Field HTML.
+     */
+    public function get_attachment_field_html( $attachment_id ) {
         // Get converted files (check size-specific structure first, fallback to legacy)
-        $converted_files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $post->ID );
+        $converted_files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
         $converted_files = ! empty( $converted_files_by_size ) && isset( $converted_files_by_size['full'] ) 
             ? $converted_files_by_size['full'] 
-            : AttachmentMetaHandler::get_converted_files( $post->ID );
-        $conversion_disabled = AttachmentMetaHandler::is_conversion_disabled( $post->ID );
+            : AttachmentMetaHandler::get_converted_files( $attachment_id );
+        $conversion_disabled = AttachmentMetaHandler::is_conversion_disabled( $attachment_id );
         
         // Combine all sections under one "Flux Media Optimizer" label
         $html_content = '';
         
         // Add conversion status if files exist
         // Use size-specific structure if available, otherwise use legacy
-        $converted_files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $post->ID );
         if ( ! empty( $converted_files_by_size ) ) {
-            $html_content .= $this->get_conversion_status_html( $post->ID, $converted_files_by_size );
+            $html_content .= $this->get_conversion_status_html( $attachment_id, $converted_files_by_size );
         } elseif ( ! empty( $converted_files ) ) {
-            $html_content .= $this->get_conversion_status_html( $post->ID, $converted_files );
+            $html_content .= $this->get_conversion_status_html( $attachment_id, $converted_files );
         }
         
         // Always add conversion actions
-        $html_content .= $this->get_conversion_actions_html( $post->ID, $conversion_disabled );
-        
-        // Single Flux Media Optimizer section with all content
-        $form_fields['flux_media_optimizer'] = [
-            'label' => __( 'Flux Media Optimizer', 'flux-media-optimizer' ),
-            'input' => 'html',
-            'html' => $html_content,
-        ];
+        $html_content .= $this->get_conversion_actions_html( $attachment_id, $conversion_disabled );
         
-        return $form_fields;
+        return sprintf(
+            '<div class="flux-media-optimizer-field" data-attachment-id="%d">%s</div>',
+            absint( $attachment_id ),
+            $html_content
+        );
     }
 
 
@@ -1028,7 +1045,7 @@ class WordPressImageRenderer {
         
         if ( $conversion_disabled ) {
             $html .= sprintf(
-                '<button type="button" class="button button-primary" onclick="fluxMediaEnableConversion(%d)" style="background: #00a32a; border-color: #00a32a; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
+                '<button type="button" class="button button-primary" onclick="fluxMediaEnableConversion(%d, this)" style="background: #00a32a; border-color: #00a32a; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
                     %s
                 </button>',
                 esc_js( $attachment_id ),
@@ -1041,7 +1058,7 @@ class WordPressImageRenderer {
             $button_text = ! empty( $converted_files ) ? __( 'Re-convert', 'flux-media-optimizer' ) : __( 'Convert', 'flux-media-optimizer' );
             
             $html .= sprintf(
-                '<button type="button" class="button button-primary" onclick="fluxMediaConvertAttachment(%d)" style="background: #0073aa; border-color: #0073aa; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
+                '<button type="button" class="button button-primary" onclick="fluxMediaConvertAttachment(%d, this)" style="background: #0073aa; border-color: #0073aa; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
                     %s
                 </button>',
                 esc_attr( $attachment_id ),
@@ -1049,14 +1066,32 @@ class WordPressImageRenderer {
             );
             
             $html .= sprintf(
-                '<button type="button" class="button button-secondary" onclick="fluxMediaDisableConversion(%d)" style="background: #f0f0f1; border-color: #c3c4c7; color: #2c3338; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
+                '<button type="button" class="button button-secondary" onclick="fluxMediaDisableConversion(%d, this)" style="background: #f0f0f1; border-color: #c3c4c7; color: #2c3338; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
                     %s
                 </button>',
                 esc_attr( $attachment_id ),
                 esc_html( __( 'Disable Conversion', 'flux-media-optimizer' ) )
             );
+
+            // Open the admin app's comparison viewer for converted images
+            if ( ! $is_video && ! $no_converted_files && current_user_can( 'manage_options' ) ) {
+                $html .= sprintf(
+                    '<a class="button button-secondary" href="%s" target="_blank" rel="noopener noreferrer" style="padding: 6px 12px; border-radius: 3px;">
+                        %s
+                    </a>',
+                    esc_url( admin_url( 'admin.php?page=flux-media-optimizer#/library?compare=' . (int) $attachment_id ) ),
+                    esc_html( __( 'Compare Versions', 'flux-media-optimizer' ) )
+                );
+            }
             $html .= '</div>';
         }
+
+        // Link to the conversion history drawer in the admin app
+        $html .= sprintf(
+            '<p style="margin: 10px 0 0 0; font-size: 13px;"><a href="%s">%s</a></p>',
+            esc_url( admin_url( 'admin.php?page=flux-media-optimizer#/library?attachment=' . absint( $attachment_id ) ) ),
+            esc_html( __( 'View conversion history', 'flux-media-optimizer' ) )
+        );
         
         $html .= '</div>';
         return $html;
@@ -16,6 +16,8 @@ use FluxMedia\App\Services\BulkConverter;
 use FluxMedia\App\Services\WordPressImageRenderer;
 use FluxMedia\App\Services\WordPressVideoRenderer;
 use FluxMedia\App\Services\Logger;
+use FluxMedia\App\Services\LogsService;
+use FluxMedia\App\Services\QualityPreviewService;
 use FluxMedia\App\Services\Settings;
 use FluxMedia\App\Services\Converter;
 use FluxMedia\App\Services\AttachmentMetaHandler;
@@ -84,6 +86,25 @@ class WordPressProvider {
      */
     private $video_renderer;
 
+    /**
+     * Attachment whose conversion is currently running, if any.
+     *
+     * Lets the shutdown handler record fatal errors such as memory or time
+     * limits against the attachment that caused them.
+     *
+     * @since 2.1.0
+     * @var int|null
+     */
+    private $conversion_in_progress = null;
+
+    /**
+     * Whether the fatal error shutdown handler has been registered.
+     *
+     * @since 2.1.0
+     * @var bool
+     */
+    private $shutdown_handler_registered = false;
+
     /**
      * Constructor.
      *
@@ -134,6 +155,14 @@ class WordPressProvider {
         add_action( 'wp_ajax_flux_media_optimizer_enable_conversion', [ $this, 'handle_ajax_enable_conversion' ] );
         // Cron job for individual video processing
         add_action( 'flux_media_optimizer_process_video', [ $this, 'handle_process_video_cron' ], 10, 2 );
+        // Cron job for bulk conversion job batches started from the admin app
+        add_action( BulkConverter::JOB_CRON_HOOK, [ $this, 'handle_bulk_job_cron' ] );
+        // Daily cleanup cron, scheduled on activation
+        add_action( 'flux_media_optimizer_cleanup', [ $this, 'handle_cleanup_cron' ] );
+        // Fallback for sites activated before the cleanup was scheduled, since updates don't rerun activation
+        if ( ! wp_next_scheduled( 'flux_media_optimizer_cleanup' ) ) {
+            wp_schedule_event( time(), 'daily', 'flux_media_optimizer_cleanup' );
+        }
         // Cron job for bulk conversion (only if enabled)
         if ( Settings::is_bulk_conversion_enabled() ) {
             add_action( 'flux_media_optimizer_bulk_conversion', [ $this, 'handle_bulk_conversion_cron' ] );
@@ -213,12 +242,12 @@ class WordPressProvider {
         // Determine file type and process accordingly
         if ( $this->image_converter->is_supported_image( $file_path ) ) {
             // Check if image auto-conversion is enabled
-            if ( Settings::is_image_auto_convert_enabled() ) {
+            if ( Settings::is_image_auto_convert_enabled() && ! $this->is_skipped_by_rule( $attachment_id, $file_path ) ) {
                 $this->process_image_conversion( $attachment_id, $file_path );
             }
         } elseif ( $this->video_converter->is_supported_video( $file_path ) ) {
             // Check if video auto-conversion is enabled
-            if ( Settings::is_video_auto_convert_enabled() ) {
+            if ( Settings::is_video_auto_convert_enabled() && ! $this->is_skipped_by_rule( $attachment_id, $file_path ) ) {
                 $this->enqueue_video_processing( $attachment_id, $file_path );
             }
         }
@@ -282,15 +311,115 @@ class WordPressProvider {
      * Do not check our disabled flag here - sometimes we run this from explicit image conversions which should override.
      *
      * @since 2.0.1
+     * @since 2.1.0 Added the `$formats` parameter.
+     * @param int        $attachment_id Attachment ID.
+     * @param string     $file_path Source file path.
+     * @param array|null $formats Optional subset of the enabled formats to (re)generate. Defaults to all enabled formats.
+     * @return void
+     */
+    private function process_image_conversion( $attachment_id, $file_path, $formats = null ) {
+        $this->track_conversion_attempt( $attachment_id, function () use ( $attachment_id, $file_path, $formats ) {
+            return $this->convert_image_sizes( $attachment_id, $file_path, $formats );
+        } );
+    }
+
+    /**
+     * Run a conversion and record its outcome on the attachment.
+     *
+     * A failed attempt is stored as the attachment's last error, a successful
+     * one clears it. Fatal errors that end the request mid-conversion are
+     * recorded by the shutdown handler.
+     *
+     * @since 2.1.0
+     * @param int      $attachment_id Attachment ID.
+     * @param callable $convert Runs the conversion and returns its error messages, empty on success.
+     * @return void
+     */
+    private function track_conversion_attempt( $attachment_id, $convert ) {
+        if ( ! $this->shutdown_handler_registered ) {
+            register_shutdown_function( function () {
+                $this->handle_conversion_shutdown();
+            } );
+            $this->shutdown_handler_registered = true;
+        }
+
+        $this->conversion_in_progress = $attachment_id;
+        $errors = $convert();
+        $this->conversion_in_progress = null;
+
+        if ( empty( $errors ) ) {
+            AttachmentMetaHandler::delete_last_error( $attachment_id );
+        } else {
+            AttachmentMetaHandler::set_last_error( $attachment_id, $errors );
+        }
+    }
+
+    /**
+     * Check whether a conversion rule skips an attachment.
+     *
+     * Only automatic conversions honour skip rules; conversions started
+     * explicitly from the admin always run.
+     *
+     * @since 2.1.0
      * @param int    $attachment_id Attachment ID.
-     * @param string $file_path Source file path.
+     * @param string $file_path Attachment file path.
+     * @return bool True if the attachment should not be converted automatically.
+     */
+    private function is_skipped_by_rule( $attachment_id, $file_path ) {
+        $rule = ConversionRules::match_attachment( $attachment_id, $file_path );
+        if ( ! ConversionRules::is_skip( $rule ) ) {
+            return false;
+        }
+
+        $this->logger->info( "Conversion of attachment {$attachment_id} skipped by rule '{$rule['name']}'", [ 'attachment_id' => $attachment_id ] );
+        return true;
+    }
+
+    /**
+     * Get the settings to convert an attachment with.
+     *
+     * @since 2.1.0
+     * @param int    $attachment_id Attachment ID.
+     * @param string $file_path Attachment file path.
+     * @return array Settings with the matching conversion rule applied.
+     */
+    private function get_conversion_settings( $attachment_id, $file_path ) {
+        return ConversionRules::apply( ConversionRules::match_attachment( $attachment_id, $file_path ), Settings::get_all() );
+    }
+
+    /**
+     * Record a fatal error that ended the request during a conversion.
+     *
+     * @since 2.1.0
      * @return void
      */
-    private function process_image_conversion( $attachment_id, $file_path ) {
+    private function handle_conversion_shutdown() {
+        if ( ! $this->conversion_in_progress ) {
+            return;
+        }
+
+        $error = error_get_last();
+        if ( ! $error || ! in_array( $error['type'], [ E_ERROR, E_CORE_ERROR, E_COMPILE_ERROR, E_USER_ERROR ], true ) ) {
+            return;
+        }
+
+        AttachmentMetaHandler::set_last_error( $this->conversion_in_progress, [ $error['message'] ] );
+    }
+
+    /**
+     * Convert all image sizes of an attachment.
+     *
+     * @since 2.1.0
+     * @param int        $attachment_id Attachment ID.
+     * @param string     $file_path Source file path.
+     * @param array|null $formats Optional subset of the enabled formats to (re)generate.
+     * @return array Error messages, empty if the conversion succeeded.
+     */
+    private function convert_image_sizes( $attachment_id, $file_path, $formats = null ) {
         // Verify file exists before processing
         if ( ! file_exists( $file_path ) ) {
-            $this->logger->warning( "Source file does not exist for attachment {$attachment_id}: {$file_path}" );
-            return;
+            $this->logger->warning( "Source file does not exist for attachment {$attachment_id}: {$file_path}", [ 'attachment_id' => $attachment_id ] );
+            return [ "Source file does not exist: {$file_path}" ];
         }
 
         // Check if this is an animated GIF.
@@ -302,8 +431,8 @@ class WordPressProvider {
             // Generate metadata if it doesn't exist (this will create all sizes).
             $metadata = wp_generate_attachment_metadata( $attachment_id, $file_path );
             if ( empty( $metadata ) ) {
-                $this->logger->error( "Failed to generate metadata for attachment {$attachment_id}" );
-                return;
+                $this->logger->error( "Failed to generate metadata for attachment {$attachment_id}", [ 'attachment_id' => $attachment_id ] );
+                return [ 'Failed to generate attachment metadata' ];
             }
             wp_update_attachment_metadata( $attachment_id, $metadata );
         }
@@ -319,23 +448,27 @@ class WordPressProvider {
         }
         
         if ( empty( $image_sizes ) ) {
-            $this->logger->warning( "No image sizes found for attachment {$attachment_id}" );
-            return;
+            $this->logger->warning( "No image sizes found for attachment {$attachment_id}", [ 'attachment_id' => $attachment_id ] );
+            return [ 'No image sizes found' ];
         }
 
-        // Get settings and formats
+        // Get settings and formats, after conversion rules
+        $options = $this->get_conversion_settings( $attachment_id, $file_path );
         $settings = [
-            'webp_quality' => Settings::get_webp_quality(),
-            'avif_quality' => Settings::get_avif_quality(),
-            'avif_speed' => Settings::get_avif_speed(),
+            'webp_quality' => (int) $options['image_webp_quality'],
+            'avif_quality' => (int) $options['image_avif_quality'],
+            'avif_speed' => (int) $options['image_avif_speed'],
         ];
-        $image_formats = Settings::get_image_formats();
+        $image_formats = $options['image_formats'];
         
         if ( empty( $image_formats ) ) {
-            $this->logger->warning( "No image formats configured for conversion. Attachment ID: {$attachment_id}" );
-            return;
+            $this->logger->warning( "No image formats configured for conversion. Attachment ID: {$attachment_id}", [ 'attachment_id' => $attachment_id ] );
+            return [];
         }
 
+        // Only generate the requested formats; other enabled formats are left untouched
+        $target_formats = null === $formats ? $image_formats : array_values( array_intersect( $formats, $image_formats ) );
+
         // Initialize WordPress filesystem
         if ( ! function_exists( 'WP_Filesystem' ) ) {
             require_once ABSPATH . 'wp-admin/includes/file.php';
@@ -345,8 +478,8 @@ class WordPressProvider {
         global $wp_filesystem;
         
         if ( ! $wp_filesystem ) {
-            $this->logger->error( "WordPress filesystem not available for attachment {$attachment_id}" );
-            return;
+            $this->logger->error( "WordPress filesystem not available for attachment {$attachment_id}", [ 'attachment_id' => $attachment_id ] );
+            return [ 'WordPress filesystem not available' ];
         }
 
         // Get existing converted files to preserve them during reconversion
@@ -420,6 +553,10 @@ class WordPressProvider {
         // Track formats - will be built from actual converted files after processing
         // This ensures we only track formats that actually exist
 
+        // Track the outcome of this run separately from files kept from earlier runs
+        $converted_count = 0;
+        $conversion_errors = [];
+
         // Convert each image size (full, thumbnail, medium, large, and any custom sizes)
         foreach ( $image_sizes as $size_name => $size_data ) {
             $size_file_path = $size_data['file_path'];
@@ -435,7 +572,7 @@ class WordPressProvider {
             
             // Skip if source file doesn't exist
             if ( ! $wp_filesystem->exists( $source_file_path ) ) {
-                $this->logger->warning( "Source file not found for attachment {$attachment_id}, size {$size_name}: {$source_file_path}" );
+                $this->logger->warning( "Source file not found for attachment {$attachment_id}, size {$size_name}: {$source_file_path}", [ 'attachment_id' => $attachment_id ] );
                 continue;
             }
             
@@ -447,7 +584,7 @@ class WordPressProvider {
             
             // Create destination paths for all requested formats
             $destination_paths = [];
-            foreach ( $image_formats as $format ) {
+            foreach ( $target_formats as $format ) {
                 $destination_paths[ $format ] = trailingslashit( $size_file_dir ) . $size_file_name . '.' . $format;
             }
             
@@ -463,7 +600,8 @@ class WordPressProvider {
             $results = $this->image_converter->process_image( $source_file_path, $destination_paths, $conversion_settings );
             
             if ( ! $results['success'] ) {
-                $this->logger->warning( "Image conversion failed for attachment {$attachment_id}, size {$size_name}: " . implode( ', ', $results['errors'] ?? [] ) );
+                $this->logger->warning( "Image conversion failed for attachment {$attachment_id}, size {$size_name}: " . implode( ', ', $results['errors'] ?? [] ), [ 'attachment_id' => $attachment_id ] );
+                $conversion_errors = array_merge( $conversion_errors, $results['errors'] ?? [] );
                 continue;
             }
 
@@ -485,10 +623,11 @@ class WordPressProvider {
                 $converted_size = $wp_filesystem->exists( $converted_file_path ) ? $wp_filesystem->size( $converted_file_path ) : 0;
                 
                 // Record conversion for statistics tracking (track all sizes for accurate savings calculation)
-                $this->conversion_tracker->record_conversion( $attachment_id, $format, $size_original_size, $converted_size, $size_name );
+                $this->conversion_tracker->record_conversion( $attachment_id, $format, $size_original_size, $converted_size, $size_name, $results['processors'][ $format ] ?? null );
                 
                 // Store converted file
                 $all_converted_files_by_size[ $size_name ][ $format ] = $converted_file_path;
+                $converted_count++;
             }
         }
         
@@ -527,8 +666,14 @@ class WordPressProvider {
                 AttachmentMetaHandler::set_conversion_date_now( $attachment_id );
             }
         } else {
-            $this->logger->error( "Image conversion failed for attachment {$attachment_id}: No sizes were successfully converted" );
+            $this->logger->error( "Image conversion failed for attachment {$attachment_id}: No sizes were successfully converted", [ 'attachment_id' => $attachment_id ] );
+        }
+
+        if ( 0 === $converted_count && ( ! empty( $conversion_errors ) || empty( $all_converted_files_by_size ) ) ) {
+            return ! empty( $conversion_errors ) ? array_values( array_unique( $conversion_errors ) ) : [ 'No sizes were successfully converted' ];
         }
+
+        return [];
     }
 
     /**
@@ -610,23 +755,38 @@ class WordPressProvider {
      * @return void
      */
     private function process_video_conversion( $attachment_id, $file_path ) {
+        $this->track_conversion_attempt( $attachment_id, function () use ( $attachment_id, $file_path ) {
+            return $this->convert_video_formats( $attachment_id, $file_path );
+        } );
+    }
+
+    /**
+     * Convert a video attachment to the enabled video formats.
+     *
+     * @since 2.1.0
+     * @param int    $attachment_id Attachment ID.
+     * @param string $file_path Source file path.
+     * @return array Error messages, empty if the conversion succeeded.
+     */
+    private function convert_video_formats( $attachment_id, $file_path ) {
         // Get upload directory info
         $file_info = pathinfo( $file_path );
         $file_dir = $file_info['dirname'];
         $file_name = $file_info['filename'];
 
-        // Get settings from WordPress
+        // Get settings from WordPress, after conversion rules
+        $options = $this->get_conversion_settings( $attachment_id, $file_path );
         $settings = [
             'video_hybrid_approach' => Settings::is_video_hybrid_approach_enabled(),
-            'video_av1_crf' => Settings::get_video_av1_crf(),
-            'video_av1_cpu_used' => Settings::get_video_av1_cpu_used(),
-            'video_webm_crf' => Settings::get_video_webm_crf(),
-            'video_webm_speed' => Settings::get_video_webm_speed(),
+            'video_av1_crf' => (int) $options['video_av1_crf'],
+            'video_av1_cpu_used' => (int) $options['video_av1_cpu_used'],
+            'video_webm_crf' => (int) $options['video_webm_crf'],
+            'video_webm_speed' => (int) $options['video_webm_speed'],
         ];
 
         // Create destination paths for requested formats
         $destination_paths = [];
-        $video_formats = Settings::get_video_formats();
+        $video_formats = $options['video_formats'];
         
         // Ensure video_formats is an array
         if ( ! is_array( $video_formats ) ) {
@@ -635,7 +795,7 @@ class WordPressProvider {
         
         // Log formats being processed for debugging
         if ( empty( $video_formats ) ) {
-            $this->logger->warning( "No video formats configured for conversion. Attachment ID: {$attachment_id}" );
+            $this->logger->warning( "No video formats configured for conversion. Attachment ID: {$attachment_id}", [ 'attachment_id' => $attachment_id ] );
         }
 
         foreach ( $video_formats as $format ) {
@@ -664,7 +824,7 @@ class WordPressProvider {
                 $converted_file_path = $results['converted_files'][ $format ] ?? '';
                 $converted_size = $wp_filesystem && $wp_filesystem->exists( $converted_file_path ) ? $wp_filesystem->size( $converted_file_path ) : 0;
                 
-                $this->conversion_tracker->record_conversion( $attachment_id, $format, $original_size, $converted_size, 'full' );
+                $this->conversion_tracker->record_conversion( $attachment_id, $format, $original_size, $converted_size, 'full', ProcessorTypes::VIDEO_FFMPEG );
             }
 
             // Update WordPress meta
@@ -673,9 +833,11 @@ class WordPressProvider {
             AttachmentMetaHandler::set_converted_files( $attachment_id, $results['converted_files'] );
 
             // Video conversion completed
-        } else {
-            $this->logger->error( "Video conversion failed for attachment {$attachment_id}: " . implode( ', ', $results['errors'] ) );
+            return [];
         }
+
+        $this->logger->error( "Video conversion failed for attachment {$attachment_id}: " . implode( ', ', $results['errors'] ), [ 'attachment_id' => $attachment_id ] );
+        return ! empty( $results['errors'] ) ? $results['errors'] : [ 'Video conversion failed' ];
     }
 
     /**
@@ -809,12 +971,12 @@ class WordPressProvider {
         
         // Validate data structures to prevent type errors
         if ( ! empty( $converted_files_by_size ) && ! is_array( $converted_files_by_size ) ) {
-            $this->logger->warning( "Invalid converted_files_by_size structure for attachment {$attachment_id}: expected array, got " . gettype( $converted_files_by_size ) );
+            $this->logger->warning( "Invalid converted_files_by_size structure for attachment {$attachment_id}: expected array, got " . gettype( $converted_files_by_size ), [ 'attachment_id' => $attachment_id ] );
             $converted_files_by_size = [];
         }
         
         if ( ! empty( $converted_files ) && ! is_array( $converted_files ) ) {
-            $this->logger->warning( "Invalid converted_files structure for attachment {$attachment_id}: expected array, got " . gettype( $converted_files ) );
+            $this->logger->warning( "Invalid converted_files structure for attachment {$attachment_id}: expected array, got " . gettype( $converted_files ), [ 'attachment_id' => $attachment_id ] );
             $converted_files = [];
         }
         
@@ -885,6 +1047,73 @@ class WordPressProvider {
         return $deleted_count === $total_count;
     }
 
+    /**
+     * Delete the converted files of a single format for an attachment.
+     *
+     * Removes the format from every size, then updates the attachment meta
+     * and conversion tracking records to match.
+     *
+     * @since 2.1.0
+     * @param int    $attachment_id WordPress attachment ID.
+     * @param string $format Format to delete (webp, avif, av1, webm).
+     * @return bool True if all files of the format were deleted, false otherwise.
+     */
+    public function delete_converted_format( $attachment_id, $format ) {
+        $converted_files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
+        $converted_files = $this->get_converted_files( $attachment_id );
+
+        if ( ! is_array( $converted_files_by_size ) ) {
+            $converted_files_by_size = [];
+        }
+        if ( ! is_array( $converted_files ) ) {
+            $converted_files = [];
+        }
+
+        // Initialize WordPress filesystem
+        if ( ! function_exists( 'WP_Filesystem' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+        WP_Filesystem();
+        
+        global $wp_filesystem;
+
+        // Collect unique file paths for this format across sizes and the legacy structure
+        $file_paths = [];
+        foreach ( $converted_files_by_size as $size_name => $size_formats ) {
+            if ( is_array( $size_formats ) && ! empty( $size_formats[ $format ] ) && is_string( $size_formats[ $format ] ) ) {
+                $file_paths[] = $size_formats[ $format ];
+            }
+            unset( $converted_files_by_size[ $size_name ][ $format ] );
+            if ( empty( $converted_files_by_size[ $size_name ] ) ) {
+                unset( $converted_files_by_size[ $size_name ] );
+            }
+        }
+        if ( ! empty( $converted_files[ $format ] ) && is_string( $converted_files[ $format ] ) ) {
+            $file_paths[] = $converted_files[ $format ];
+        }
+        unset( $converted_files[ $format ] );
+        $file_paths = array_unique( $file_paths );
+
+        $deleted_count = 0;
+        foreach ( $file_paths as $file_path ) {
+            if ( $wp_filesystem && ( ! $wp_filesystem->exists( $file_path ) || $wp_filesystem->delete( $file_path ) ) ) {
+                $deleted_count++;
+                $this->logger->info( "Deleted converted file: {$file_path} (format: {$format})" );
+            } else {
+                $this->logger->warning( "Failed to delete converted file: {$file_path} (format: {$format})" );
+            }
+        }
+
+        // Update post meta to reflect the remaining formats
+        AttachmentMetaHandler::set_converted_files_grouped_by_size( $attachment_id, $converted_files_by_size );
+        AttachmentMetaHandler::set_converted_files( $attachment_id, $converted_files );
+        AttachmentMetaHandler::set_converted_formats( $attachment_id, array_values( array_diff( AttachmentMetaHandler::get_converted_formats( $attachment_id ), [ $format ] ) ) );
+
+        $this->conversion_tracker->delete_attachment_conversions_by_formats( $attachment_id, [ $format ] );
+
+        return $deleted_count === count( $file_paths );
+    }
+
     /**
      * Check if converted files contain image formats.
      *
@@ -977,7 +1206,7 @@ class WordPressProvider {
         }
 
         // Check if auto-conversion is enabled
-        if ( ! Settings::is_image_auto_convert_enabled() ) {
+        if ( ! Settings::is_image_auto_convert_enabled() || $this->is_skipped_by_rule( $attachment_id, $file_path ) ) {
             return $metadata;
         }
 
@@ -992,14 +1221,13 @@ class WordPressProvider {
         // Get all image sizes (including full)
         $image_sizes = $this->get_all_image_paths_by_size( $attachment_id );
         
-        // Get image formats to convert
-        $image_formats = Settings::get_image_formats();
-        
-        // Get settings
+        // Get image formats and settings, after conversion rules
+        $options = $this->get_conversion_settings( $attachment_id, $file_path );
+        $image_formats = $options['image_formats'];
         $settings = [
-            'webp_quality' => Settings::get_webp_quality(),
-            'avif_quality' => Settings::get_avif_quality(),
-            'avif_speed' => Settings::get_avif_speed(),
+            'webp_quality' => (int) $options['image_webp_quality'],
+            'avif_quality' => (int) $options['image_avif_quality'],
+            'avif_speed' => (int) $options['image_avif_speed'],
         ];
 
         // Initialize WordPress filesystem
@@ -1073,7 +1301,7 @@ class WordPressProvider {
                         
                         // Track conversion: compare converted file size against original file size for this specific size
                         $converted_size = $wp_filesystem->exists( $converted_file_path ) ? $wp_filesystem->size( $converted_file_path ) : 0;
-                        $this->conversion_tracker->record_conversion( $attachment_id, $format, $size_original_size, $converted_size, $size_name );
+                        $this->conversion_tracker->record_conversion( $attachment_id, $format, $size_original_size, $converted_size, $size_name, $results['processors'][ $format ] ?? null );
                     }
                 }
                 
@@ -1510,14 +1738,18 @@ class WordPressProvider {
      * Manually convert an attachment.
      *
      * Images are processed synchronously, videos are enqueued for async processing.
+     * Failed attempts are stored as the attachment's last error.
      *
      * @since 1.0.0
-     * @param int $attachment_id WordPress attachment ID.
+     * @since 2.1.0 Added the `$formats` parameter.
+     * @param int        $attachment_id WordPress attachment ID.
+     * @param array|null $formats Optional image formats to (re)generate. Videos always convert to all enabled formats.
      * @return array Conversion results.
      */
-    public function convert_attachment( $attachment_id ) {
+    public function convert_attachment( $attachment_id, $formats = null ) {
         $file_path = get_attached_file( $attachment_id );
         if ( ! $file_path || ! wp_check_filetype( $file_path )['ext'] ) {
+            AttachmentMetaHandler::set_last_error( $attachment_id, [ 'Attachment file not found or invalid' ] );
             return [
                 'success' => false,
                 'errors' => ['Attachment file not found or invalid'],
@@ -1526,7 +1758,14 @@ class WordPressProvider {
 
         // Determine if it's an image or video
         if ( $this->image_converter->is_supported_image( $file_path ) ) {
-            $this->process_image_conversion( $attachment_id, $file_path );
+            $this->process_image_conversion( $attachment_id, $file_path, $formats );
+            $last_error = AttachmentMetaHandler::get_last_error( $attachment_id );
+            if ( $last_error ) {
+                return [
+                    'success' => false,
+                    'errors' => $last_error['errors'],
+                ];
+            }
             return [
                 'success' => true,
                 'type' => 'image',
@@ -1544,6 +1783,7 @@ class WordPressProvider {
             ];
         }
 
+        AttachmentMetaHandler::set_last_error( $attachment_id, [ 'Unsupported file format' ] );
         return [
             'success' => false,
             'errors' => ['Unsupported file format'],
@@ -1576,6 +1816,7 @@ class WordPressProvider {
         $result = $this->convert_attachment( $attachment_id );
         
         if ( $result['success'] ) {
+            $result['html'] = $this->image_renderer->get_attachment_field_html( $attachment_id );
             wp_send_json_success( $result );
         } else {
             $error_message = implode( ', ', $result['errors'] ?? [ __( 'Unknown error', 'flux-media-optimizer' ) ] );
@@ -1611,11 +1852,15 @@ class WordPressProvider {
 
         // Mark as conversion disabled
         AttachmentMetaHandler::disable_conversion( $attachment_id );
+        AttachmentMetaHandler::delete_last_error( $attachment_id );
 
         // Remove from conversion tracking
         $this->conversion_tracker->delete_attachment_conversions( $attachment_id );
 
-        wp_send_json_success( esc_html__( 'Conversion disabled successfully', 'flux-media-optimizer' ) );
+        wp_send_json_success( [
+            'message' => esc_html__( 'Conversion disabled successfully', 'flux-media-optimizer' ),
+            'html' => $this->image_renderer->get_attachment_field_html( $attachment_id ),
+        ] );
     }
 
     /**
@@ -1644,7 +1889,10 @@ class WordPressProvider {
         // Remove conversion disabled flag
         AttachmentMetaHandler::enable_conversion( $attachment_id );
 
-        wp_send_json_success( esc_html__( 'Conversion enabled successfully', 'flux-media-optimizer' ) );
+        wp_send_json_success( [
+            'message' => esc_html__( 'Conversion enabled successfully', 'flux-media-optimizer' ),
+            'html' => $this->image_renderer->get_attachment_field_html( $attachment_id ),
+        ] );
     }
 
     /**
@@ -1684,7 +1932,7 @@ class WordPressProvider {
     public function handle_process_video_cron( $attachment_id, $file_path ) {
         // Verify attachment still exists
         if ( ! get_post( $attachment_id ) ) {
-            $this->logger->warning( "Video processing cron skipped: attachment {$attachment_id} no longer exists" );
+            $this->logger->warning( "Video processing cron skipped: attachment {$attachment_id} no longer exists", [ 'attachment_id' => $attachment_id ] );
             return;
         }
 
@@ -1696,13 +1944,13 @@ class WordPressProvider {
 
         // Verify file still exists
         if ( ! file_exists( $file_path ) ) {
-            $this->logger->warning( "Video processing cron skipped: file not found for attachment {$attachment_id}: {$file_path}" );
+            $this->logger->warning( "Video processing cron skipped: file not found for attachment {$attachment_id}: {$file_path}", [ 'attachment_id' => $attachment_id ] );
             return;
         }
 
         // Verify it's still a supported video
         if ( ! $this->video_converter->is_supported_video( $file_path ) ) {
-            $this->logger->warning( "Video processing cron skipped: unsupported video format for attachment {$attachment_id}" );
+            $this->logger->warning( "Video processing cron skipped: unsupported video format for attachment {$attachment_id}", [ 'attachment_id' => $attachment_id ] );
             return;
         }
 
@@ -1733,6 +1981,39 @@ class WordPressProvider {
         $this->logger->info( 'Bulk conversion cron completed. Processed: ' . $results['processed'] . ', Converted: ' . $results['converted'] . ', Errors: ' . $results['errors'] );
     }
 
+    /**
+     * Handle the daily cleanup cron.
+     *
+     * Applies the log retention settings, removes conversion records
+     * for attachments that no longer exist and deletes stale quality previews.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function handle_cleanup_cron() {
+        $logs = ( new LogsService() )->purge_logs(
+            Settings::get_log_retention_days(),
+            Settings::get_log_retention_max_rows()
+        );
+        $conversions = $this->conversion_tracker->delete_orphaned_conversions();
+        $previews = ( new QualityPreviewService( $this->image_converter ) )->cleanup_previews();
+
+        $this->logger->info( 'Cleanup cron completed. Logs deleted: ' . $logs['total'] . ', Orphaned conversion records deleted: ' . $conversions . ', Preview files deleted: ' . $previews );
+    }
+
+    /**
+     * Handle bulk conversion job batch cron.
+     *
+     * Processes the next batch of a job started from the admin app.
+     *
+     * @since 2.1.0
+     * @param string $job_id Bulk conversion job ID.
+     * @return void
+     */
+    public function handle_bulk_job_cron( $job_id ) {
+        $this->bulk_converter->process_job_batch( $job_id );
+    }
+
     /**
      * Handle image editor file save to reconvert edited images.
      *
@@ -1797,11 +2078,11 @@ class WordPressProvider {
 
         // Process based on file type
         if ( $this->image_converter->is_supported_image( $file_path ) ) {
-            if ( Settings::is_image_auto_convert_enabled() ) {
+            if ( Settings::is_image_auto_convert_enabled() && ! $this->is_skipped_by_rule( $attachment_id, $file_path ) ) {
                 $this->process_image_conversion( $attachment_id, $file_path );
             }
         } elseif ( $this->video_converter->is_supported_video( $file_path ) ) {
-            if ( Settings::is_video_auto_convert_enabled() ) {
+            if ( Settings::is_video_auto_convert_enabled() && ! $this->is_skipped_by_rule( $attachment_id, $file_path ) ) {
                 $this->enqueue_video_processing( $attachment_id, $file_path );
             }
         }
@@ -1832,11 +2113,11 @@ class WordPressProvider {
 
         // Process based on file type
         if ( $this->image_converter->is_supported_image( $file ) ) {
-            if ( Settings::is_image_auto_convert_enabled() ) {
+            if ( Settings::is_image_auto_convert_enabled() && ! $this->is_skipped_by_rule( $attachment_id, $file ) ) {
                 $this->process_image_conversion( $attachment_id, $file );
             }
         } elseif ( $this->video_converter->is_supported_video( $file ) ) {
-            if ( Settings::is_video_auto_convert_enabled() ) {
+            if ( Settings::is_video_auto_convert_enabled() && ! $this->is_skipped_by_rule( $attachment_id, $file ) ) {
                 $this->enqueue_video_processing( $attachment_id, $file );
             }
         }
@@ -1,15 +1,27 @@
 import React from 'react';
-import { HashRouter as Router, Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { HashRouter as Router, Routes, Route, Navigate, useLocation, useNavigate, matchPath } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { ThemeProvider } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
-import { Box, Typography, Container, Tabs, Tab, Paper, Grid } from '@mui/material';
+import { Box, Typography, Container, Tabs, Tab, Paper, Grid, Badge } from '@mui/material';
 import { __ } from '@wordpress/i18n';
-import { ErrorBoundary, FluxMediaIcon, LogsPage } from '@flux-media-optimizer/components';
+import { ErrorBoundary, FluxMediaIcon, LogsPage, OfflineBanner } from '@flux-media-optimizer/components';
 import OverviewPage from '@flux-media-optimizer/pages/OverviewPage';
 import SettingsPage from '@flux-media-optimizer/pages/SettingsPage';
+import LibraryPage from '@flux-media-optimizer/pages/LibraryPage';
+import FailuresPage from '@flux-media-optimizer/pages/FailuresPage';
+import RulesPage from '@flux-media-optimizer/pages/RulesPage';
+import AuditPage from '@flux-media-optimizer/pages/AuditPage';
 import theme from '@flux-media-optimizer/theme';
 import { AutoSaveProvider } from '@flux-media-optimizer/contexts/AutoSaveContext';
+import { SettingsConflictProvider } from '@flux-media-optimizer/contexts/SettingsConflictContext';
+import { useOptions } from '@flux-media-optimizer/hooks/useOptions';
+import { useUnseenLogsCount } from '@flux-media-optimizer/hooks/useLogs';
+import { useNetworkStatus } from '@flux-media-optimizer/hooks/useNetworkStatus';
+import { isNetworkError, reportNetworkError } from '@flux-media-optimizer/services/network';
+
+// Failed attempts at reaching the server before a mutation gives up
+const MAX_NETWORK_RETRIES = 5;
 
 // Create a client
 const queryClient = new QueryClient({
@@ -18,9 +30,60 @@ const queryClient = new QueryClient({
       retry: 1,
       refetchOnWindowFocus: false,
     },
+    mutations: {
+      // Keep changes that could not reach the server; they pause while offline and replay once it answers
+      retry: (failureCount, error) => {
+        if (!isNetworkError(error) || failureCount >= MAX_NETWORK_RETRIES) {
+          return false;
+        }
+        reportNetworkError();
+        return true;
+      },
+    },
   },
 });
 
+/**
+ * Admin app views. Drives both the navigation tabs and the routes.
+ */
+const ROUTES = [
+  { path: '/overview', label: __('Overview', 'flux-media-optimizer'), element: <OverviewPage /> },
+  { path: '/library', label: __('Media Library', 'flux-media-optimizer'), element: <LibraryPage /> },
+  { path: '/failures', label: __('Failures', 'flux-media-optimizer'), element: <FailuresPage /> },
+  { path: '/rules', label: __('Rules', 'flux-media-optimizer'), element: <RulesPage /> },
+  { path: '/settings', label: __('Settings', 'flux-media-optimizer'), element: <SettingsPage /> },
+  { path: '/audit', label: __('Audit', 'flux-media-optimizer'), element: <AuditPage /> },
+  { path: '/logs', label: __('Logs', 'flux-media-optimizer'), element: <LogsPage /> },
+];
+
+const DEFAULT_PATH = ROUTES[0].path;
+
+/**
+ * Apply the initial route handed over by the WordPress admin menu.
+ *
+ * Runs before the router mounts so the first render already shows the
+ * requested view. An existing hash wins, so shared links keep their state.
+ */
+const applyInitialHash = () => {
+  const container = document.getElementById('flux-media-optimizer-app');
+  const initialHash = container?.dataset.initialHash;
+  const currentHash = window.location.hash.replace(/^#/, '');
+
+  if (!initialHash || (currentHash && currentHash !== '/')) {
+    return;
+  }
+
+  const hash = initialHash.startsWith('#') ? initialHash.slice(1) : initialHash;
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}#${hash}`);
+};
+
+/**
+ * Offline banner wired to the connection state
+ */
+const ConnectionBanner = () => {
+  const { isOnline, isSyncing, pendingChanges } = useNetworkStatus();
+  return <OfflineBanner isOnline={isOnline} isSyncing={isSyncing} pendingChanges={pendingChanges} />;
+};
 
 /**
  * Navigation component with tabs using React Router
@@ -28,23 +91,16 @@ const queryClient = new QueryClient({
 const Navigation = () => {
   const location = useLocation();
   const navigate = useNavigate();
+  const { data: options } = useOptions();
 
-  const getTabValue = (pathname) => {
-    switch (pathname) {
-      case '/overview':
-        return 0;
-      case '/settings':
-        return 1;
-      case '/logs':
-        return 2;
-      default:
-        return 0;
-    }
-  };
+  const activeRoute = ROUTES.find((route) => matchPath(route.path, location.pathname));
+  const isLogsActive = activeRoute?.path === '/logs';
+
+  // Count new log entries while the user is on another tab
+  const { data: unseenLogs = 0 } = useUnseenLogsCount(!!options?.enable_logging && !isLogsActive);
 
   const handleTabChange = (event, newValue) => {
-    const paths = ['/overview', '/settings', '/logs'];
-    navigate(paths[newValue]);
+    navigate(newValue);
   };
 
   return (
@@ -58,15 +114,29 @@ const Navigation = () => {
         </Grid>
       </Grid>
       <Tabs
-        value={getTabValue(location.pathname)}
+        value={activeRoute?.path || DEFAULT_PATH}
         onChange={handleTabChange}
         aria-label={__('Flux Media Optimizer navigation tabs', 'flux-media-optimizer')}
         textColor="primary"
         indicatorColor="primary"
       >
-        <Tab label={__('Overview', 'flux-media-optimizer')} />
-        <Tab label={__('Settings', 'flux-media-optimizer')} />
-        <Tab label={__('Logs', 'flux-media-optimizer')} />
+        {ROUTES.map((route) => (
+          <Tab
+            key={route.path}
+            value={route.path}
+            label={route.path === '/logs' ? (
+              <Badge
+                badgeContent={unseenLogs}
+                color="error"
+                max={99}
+                invisible={isLogsActive}
+                sx={{ '& .MuiBadge-badge': { right: -12 } }}
+              >
+                {route.label}
+              </Badge>
+            ) : route.label}
+          />
+        ))}
       </Tabs>
     </Box>
   );
@@ -76,19 +146,8 @@ const Navigation = () => {
  * Main App component with React Router
  */
 const App = () => {
-  // Handle initial route from WordPress admin menu
-  React.useEffect(() => {
-    const container = document.getElementById('flux-media-optimizer-app');
-    const initialHash = container?.dataset.initialHash;
-    
-    if (initialHash) {
-      const hash = initialHash.startsWith('#') ? initialHash.slice(1) : initialHash;
-      // Set the initial hash if it's different from current
-      if (window.location.hash !== `#${hash}`) {
-        window.location.hash = hash;
-      }
-    }
-  }, []);
+  // Handle initial route from WordPress admin menu before the router reads the hash
+  React.useState(applyInitialHash);
 
   return (
     <ErrorBoundary>
@@ -96,19 +155,22 @@ const App = () => {
         <ThemeProvider theme={theme}>
           <CssBaseline />
           <AutoSaveProvider>
-            <Router>
-              <Container maxWidth="xl" sx={{ py: 4 }}>
-                <Paper elevation={1} sx={{ p: 3 }}>
-                  <Navigation />
-                  <Routes>
-                    <Route path="/overview" element={<OverviewPage />} />
-                    <Route path="/settings" element={<SettingsPage />} />
-                    <Route path="/logs" element={<LogsPage />} />
-                    <Route path="/" element={<Navigate to="/overview" replace />} />
-                  </Routes>
-                </Paper>
-              </Container>
-            </Router>
+            <SettingsConflictProvider>
+              <Router>
+                <Container maxWidth="xl" sx={{ py: 4 }}>
+                  <Paper elevation={1} sx={{ p: 3 }}>
+                    <ConnectionBanner />
+                    <Navigation />
+                    <Routes>
+                      {ROUTES.map((route) => (
+                        <Route key={route.path} path={route.path} element={route.element} />
+                      ))}
+                      <Route path="*" element={<Navigate to={DEFAULT_PATH} replace />} />
+                    </Routes>
+                  </Paper>
+                </Container>
+              </Router>
+            </SettingsConflictProvider>
           </AutoSaveProvider>
         </ThemeProvider>
       </QueryClientProvider>
@@ -5,60 +5,23 @@
  * @since 0.1.0
  */
 
+import { postAjaxAction } from '@flux-media-optimizer/services/ajax';
+
 /**
  * Convert a specific attachment.
  *
  * @since 0.1.0
- * @param {number} attachmentId The attachment ID to convert.
+ * @since 2.1.0 Added the button parameter and in-place field updates.
+ * @param {number}      attachmentId The attachment ID to convert.
+ * @param {HTMLElement} button       The button that triggered the action.
  */
-function fluxMediaConvertAttachment(attachmentId) {
-    if (!attachmentId) {
-        alert('Invalid attachment ID');
-        return;
-    }
-
-    // Show loading state
-    const button = event.target;
-    const originalText = button.textContent;
-    button.disabled = true;
-    button.textContent = 'Converting...';
-
-    // Make AJAX request
-    const data = {
+function fluxMediaConvertAttachment(attachmentId, button) {
+    runAttachmentAction(attachmentId, button, {
         action: 'flux_media_optimizer_convert_attachment',
-        attachment_id: attachmentId,
-        nonce: fluxMediaAdmin.convertNonce
-    };
-
-    fetch(fluxMediaAdmin.ajaxUrl, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams(data)
-    })
-    .then(response => response.json())
-    .then(result => {
-        if (result.success) {
-            // Show success message
-            showNotice('Conversion completed successfully!', 'success');
-            // Reload the page to show updated conversion status
-            setTimeout(() => {
-                window.location.reload();
-            }, 1500);
-        } else {
-            // Show error message
-            showNotice('Conversion failed: ' + (result.data || 'Unknown error'), 'error');
-        }
-    })
-    .catch(error => {
-        console.error('Conversion error:', error);
-        showNotice('Conversion failed: Network error', 'error');
-    })
-    .finally(() => {
-        // Restore button state
-        button.disabled = false;
-        button.textContent = originalText;
+        nonce: fluxMediaAdmin.convertNonce,
+        busyText: 'Converting...',
+        successMessage: 'Conversion completed successfully!',
+        errorMessage: 'Conversion failed',
     });
 }
 
@@ -66,60 +29,21 @@ function fluxMediaConvertAttachment(attachmentId) {
  * Disable conversion for a specific attachment.
  *
  * @since 0.1.0
- * @param {number} attachmentId The attachment ID to disable conversion for.
+ * @since 2.1.0 Added the button parameter and in-place field updates.
+ * @param {number}      attachmentId The attachment ID to disable conversion for.
+ * @param {HTMLElement} button       The button that triggered the action.
  */
-function fluxMediaDisableConversion(attachmentId) {
-    if (!attachmentId) {
-        alert('Invalid attachment ID');
+function fluxMediaDisableConversion(attachmentId, button) {
+    if (attachmentId && !confirm('Are you sure you want to disable conversion for this attachment? This will prevent it from being processed in future bulk operations.')) {
         return;
     }
 
-    if (!confirm('Are you sure you want to disable conversion for this attachment? This will prevent it from being processed in future bulk operations.')) {
-        return;
-    }
-
-    // Show loading state
-    const button = event.target;
-    const originalText = button.textContent;
-    button.disabled = true;
-    button.textContent = 'Disabling...';
-
-    // Make AJAX request
-    const data = {
+    runAttachmentAction(attachmentId, button, {
         action: 'flux_media_optimizer_disable_conversion',
-        attachment_id: attachmentId,
-        nonce: fluxMediaAdmin.disableNonce
-    };
-
-    fetch(fluxMediaAdmin.ajaxUrl, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams(data)
-    })
-    .then(response => response.json())
-    .then(result => {
-        if (result.success) {
-            // Show success message
-            showNotice('Conversion disabled successfully!', 'success');
-            // Reload the page to show updated status
-            setTimeout(() => {
-                window.location.reload();
-            }, 1500);
-        } else {
-            // Show error message
-            showNotice('Failed to disable conversion: ' + (result.data || 'Unknown error'), 'error');
-        }
-    })
-    .catch(error => {
-        console.error('Disable conversion error:', error);
-        showNotice('Failed to disable conversion: Network error', 'error');
-    })
-    .finally(() => {
-        // Restore button state
-        button.disabled = false;
-        button.textContent = originalText;
+        nonce: fluxMediaAdmin.disableNonce,
+        busyText: 'Disabling...',
+        successMessage: 'Conversion disabled successfully!',
+        errorMessage: 'Failed to disable conversion',
     });
 }
 
@@ -127,59 +51,100 @@ function fluxMediaDisableConversion(attachmentId) {
  * Enable conversion for a specific attachment.
  *
  * @since 0.1.0
- * @param {number} attachmentId The attachment ID to enable conversion for.
+ * @since 2.1.0 Added the button parameter and in-place field updates.
+ * @param {number}      attachmentId The attachment ID to enable conversion for.
+ * @param {HTMLElement} button       The button that triggered the action.
  */
-function fluxMediaEnableConversion(attachmentId) {
+function fluxMediaEnableConversion(attachmentId, button) {
+    runAttachmentAction(attachmentId, button, {
+        action: 'flux_media_optimizer_enable_conversion',
+        nonce: fluxMediaAdmin.enableNonce,
+        busyText: 'Enabling...',
+        successMessage: 'Conversion enabled successfully!',
+        errorMessage: 'Failed to enable conversion',
+    });
+}
+
+/**
+ * Run an attachment AJAX action and re-render the field in place.
+ *
+ * @since 2.1.0
+ * @param {number}      attachmentId The attachment ID.
+ * @param {HTMLElement} button       The button that triggered the action, if any.
+ * @param {Object}      options      Action name, nonce and user-facing messages.
+ */
+function runAttachmentAction(attachmentId, button, options) {
     if (!attachmentId) {
         alert('Invalid attachment ID');
         return;
     }
 
     // Show loading state
-    const button = event.target;
-    const originalText = button.textContent;
-    button.disabled = true;
-    button.textContent = 'Enabling...';
+    const originalText = button ? button.textContent : '';
+    if (button) {
+        button.disabled = true;
+        button.textContent = options.busyText;
+    }
 
-    // Make AJAX request
-    const data = {
-        action: 'flux_media_optimizer_enable_conversion',
-        attachment_id: attachmentId,
-        nonce: fluxMediaAdmin.enableNonce
-    };
-
-    fetch(fluxMediaAdmin.ajaxUrl, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams(data)
-    })
-    .then(response => response.json())
-    .then(result => {
-        if (result.success) {
-            // Show success message
-            showNotice('Conversion enabled successfully!', 'success');
-            // Reload the page to show updated status
-            setTimeout(() => {
-                window.location.reload();
-            }, 1500);
-        } else {
-            // Show error message
-            showNotice('Failed to enable conversion: ' + (result.data || 'Unknown error'), 'error');
-        }
-    })
-    .catch(error => {
-        console.error('Enable conversion error:', error);
-        showNotice('Failed to enable conversion: Network error', 'error');
-    })
-    .finally(() => {
-        // Restore button state
-        button.disabled = false;
-        button.textContent = originalText;
+    postAjaxAction(options.action, options.nonce, { attachment_id: attachmentId })
+        .then(result => {
+            if (result.success) {
+                showNotice(options.successMessage, 'success');
+                if (result.data && result.data.html) {
+                    replaceAttachmentField(attachmentId, result.data.html);
+                }
+                refreshMediaModel(attachmentId);
+            } else {
+                showNotice(options.errorMessage + ': ' + (result.data || 'Unknown error'), 'error');
+            }
+        })
+        .catch(error => {
+            console.error(options.errorMessage + ':', error);
+            showNotice(options.errorMessage + ': Network error', 'error');
+        })
+        .finally(() => {
+            // Restore button state (it may already have been replaced by the new field)
+            if (button && button.isConnected) {
+                button.disabled = false;
+                button.textContent = originalText;
+            }
+        });
+}
+
+/**
+ * Replace every rendered Flux Media Optimizer field for an attachment.
+ *
+ * @since 2.1.0
+ * @param {number} attachmentId The attachment ID.
+ * @param {string} html         The freshly rendered field HTML.
+ */
+function replaceAttachmentField(attachmentId, html) {
+    const fields = document.querySelectorAll('.flux-media-optimizer-field[data-attachment-id="' + parseInt(attachmentId, 10) + '"]');
+    fields.forEach(field => {
+        field.outerHTML = html;
     });
 }
 
+/**
+ * Refresh the Backbone attachment model so the media modal stays in sync.
+ *
+ * The modal re-renders its compat fields from the model, so without this a
+ * later re-render would bring back the stale field markup.
+ *
+ * @since 2.1.0
+ * @param {number} attachmentId The attachment ID.
+ */
+function refreshMediaModel(attachmentId) {
+    if (!window.wp || !window.wp.media || typeof window.wp.media.attachment !== 'function') {
+        return;
+    }
+
+    const attachment = window.wp.media.attachment(attachmentId);
+    if (attachment && attachment.get('compat')) {
+        attachment.fetch();
+    }
+}
+
 /**
  * Show a notice message to the user.
  *
@@ -196,7 +161,7 @@ function showNotice(message, type = 'info') {
     const notice = document.createElement('div');
     notice.className = `flux-media-optimizer-notice notice notice-${type} is-dismissible`;
     notice.style.cssText = 'position: fixed; top: 32px; right: 20px; z-index: 999999; max-width: 400px;';
-    
+
     const noticeContent = document.createElement('p');
     noticeContent.textContent = message;
     notice.appendChild(noticeContent);
@@ -0,0 +1,39 @@
+import React from 'react';
+import { Alert, CircularProgress } from '@mui/material';
+import { CloudOff } from '@mui/icons-material';
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Persistent banner shown while the server cannot be reached or queued changes are being sent
+ *
+ * @param {boolean} isOnline - Whether the server can be reached
+ * @param {boolean} isSyncing - Whether changes queued while offline are being sent
+ * @param {number} pendingChanges - Number of changes waiting to be sent
+ */
+const OfflineBanner = ({ isOnline, isSyncing, pendingChanges }) => {
+  if (isOnline && !isSyncing) {
+    return null;
+  }
+
+  const pendingLabel = pendingChanges > 0 ? sprintf(
+    /* translators: %d: number of changes waiting to be sent */
+    _n('%d change waiting.', '%d changes waiting.', pendingChanges, 'flux-media-optimizer'),
+    pendingChanges
+  ) : '';
+
+  if (!isOnline) {
+    return (
+      <Alert severity="warning" icon={<CloudOff />} sx={{ mb: 2 }}>
+        {__('Offline — changes will sync when the connection returns.', 'flux-media-optimizer')} {pendingLabel}
+      </Alert>
+    );
+  }
+
+  return (
+    <Alert severity="info" icon={<CircularProgress size={20} />} sx={{ mb: 2 }}>
+      {__('Back online — syncing changes…', 'flux-media-optimizer')} {pendingLabel}
+    </Alert>
+  );
+};
+
+export default OfflineBanner;
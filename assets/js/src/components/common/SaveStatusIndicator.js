@@ -0,0 +1,34 @@
+import React from 'react';
+import { Stack, Typography, CircularProgress } from '@mui/material';
+import { CheckCircleOutline, ErrorOutline, Schedule } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+
+const STATUSES = {
+  pending: { icon: <Schedule fontSize="small" color="action" />, label: __('Unsaved changes', 'flux-media-optimizer'), color: 'text.secondary' },
+  saving: { icon: <CircularProgress size={16} />, label: __('Saving…', 'flux-media-optimizer'), color: 'text.secondary' },
+  saved: { icon: <CheckCircleOutline fontSize="small" color="success" />, label: __('All changes saved', 'flux-media-optimizer'), color: 'text.secondary' },
+  error: { icon: <ErrorOutline fontSize="small" color="error" />, label: __('Changes not saved', 'flux-media-optimizer'), color: 'error' },
+};
+
+/**
+ * Save state of an auto-saved form
+ *
+ * @param {Object} state - Save state with `status` and `error`
+ */
+const SaveStatusIndicator = ({ state }) => {
+  const status = STATUSES[state?.status];
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Stack direction="row" spacing={1} alignItems="center" title={state.error || undefined}>
+      {status.icon}
+      <Typography variant="body2" color={status.color}>
+        {status.label}
+      </Typography>
+    </Stack>
+  );
+};
+
+export default SaveStatusIndicator;
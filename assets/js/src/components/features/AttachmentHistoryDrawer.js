@@ -0,0 +1,154 @@
+import React from 'react';
+import {
+  Drawer,
+  Box,
+  Typography,
+  IconButton,
+  Chip,
+  Stack,
+  Alert,
+  Skeleton,
+  Divider,
+  Link,
+} from '@mui/material';
+import { Close, CheckCircle, Autorenew, ErrorOutline, WarningAmber } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatBytes } from '@flux-media-optimizer/utils/format';
+
+const PROCESSOR_LABELS = {
+  gd: 'GD',
+  imagick: 'Imagick',
+  ffmpeg: 'FFmpeg',
+};
+
+/**
+ * Dumb component for a single conversion event in the timeline
+ */
+const ConversionEntry = ({ entry }) => {
+  const isRegenerated = entry.event === 'regenerated';
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1.5 }}>
+      {isRegenerated ? <Autorenew color="info" fontSize="small" /> : <CheckCircle color="success" fontSize="small" />}
+      <Box sx={{ minWidth: 0 }}>
+        <Stack direction="row" spacing={0.5} sx={{ mb: 0.5, flexWrap: 'wrap' }}>
+          <Chip label={entry.format.toUpperCase()} size="small" color="success" variant="outlined" />
+          <Chip label={entry.size_name} size="small" variant="outlined" />
+          {entry.processor && (
+            <Chip label={PROCESSOR_LABELS[entry.processor] || entry.processor} size="small" />
+          )}
+        </Stack>
+        <Typography variant="body2">
+          {isRegenerated
+            ? __('Regenerated', 'flux-media-optimizer')
+            : __('Converted', 'flux-media-optimizer')}
+          {': '}
+          {sprintf(
+            /* translators: 1: original size, 2: converted size, 3: savings percentage */
+            __('%1$s → %2$s (−%3$s%%)', 'flux-media-optimizer'),
+            formatBytes(entry.original_size),
+            formatBytes(entry.converted_size),
+            entry.savings_percentage
+          )}
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          {new Date(entry.created_at).toLocaleString()}
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * Dumb component for a logged failure in the timeline
+ */
+const FailureEntry = ({ entry }) => {
+  const isWarning = entry.level === 'WARNING';
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1.5 }}>
+      {isWarning ? <WarningAmber color="warning" fontSize="small" /> : <ErrorOutline color="error" fontSize="small" />}
+      <Box sx={{ minWidth: 0 }}>
+        <Chip
+          label={entry.level}
+          size="small"
+          color={isWarning ? 'warning' : 'error'}
+          variant="outlined"
+          sx={{ mb: 0.5 }}
+        />
+        <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+          {entry.message}
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          {new Date(entry.created_at).toLocaleString()}
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * Dumb component for the per-attachment conversion history drawer
+ */
+const AttachmentHistoryDrawer = ({ open, history, loading, error, onClose }) => {
+  const attachment = history?.attachment;
+  const entries = history?.entries || [];
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 420 }, p: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
+          <Box sx={{ minWidth: 0 }}>
+            <Typography variant="h6" component="h2">
+              {__('Conversion History', 'flux-media-optimizer')}
+            </Typography>
+            {attachment && (
+              <Typography variant="body2" color="text.secondary" noWrap>
+                <Link href={attachment.edit_url} target="_blank" rel="noopener noreferrer">
+                  {attachment.title || attachment.filename}
+                </Link>
+              </Typography>
+            )}
+          </Box>
+          <IconButton onClick={onClose} aria-label={__('Close', 'flux-media-optimizer')}>
+            <Close />
+          </IconButton>
+        </Box>
+
+        <Divider sx={{ mb: 2 }} />
+
+        {loading && (
+          <Stack spacing={2}>
+            {[0, 1, 2].map((index) => (
+              <Skeleton key={index} variant="rectangular" height={64} sx={{ borderRadius: 1 }} />
+            ))}
+          </Stack>
+        )}
+
+        {error && (
+          <Alert severity="error">
+            {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+          </Alert>
+        )}
+
+        {!loading && !error && entries.length === 0 && (
+          <Alert severity="info">
+            {__('No conversions or failures have been recorded for this attachment yet.', 'flux-media-optimizer')}
+          </Alert>
+        )}
+
+        {!loading && !error && entries.length > 0 && (
+          <Stack spacing={2} divider={<Divider flexItem />}>
+            {entries.map((entry) => (
+              entry.type === 'failure'
+                ? <FailureEntry key={entry.id} entry={entry} />
+                : <ConversionEntry key={entry.id} entry={entry} />
+            ))}
+          </Stack>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default AttachmentHistoryDrawer;
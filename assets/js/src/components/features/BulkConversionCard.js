@@ -0,0 +1,167 @@
+import React from 'react';
+import {
+  Typography,
+  Box,
+  Grid,
+  Button,
+  Chip,
+  LinearProgress,
+  Alert,
+  Skeleton,
+} from '@mui/material';
+import { PlayArrow, Pause, Stop } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatDuration } from '@flux-media-optimizer/utils/format';
+
+const STATUS_COLORS = {
+  running: 'primary',
+  paused: 'warning',
+  cancelled: 'default',
+  completed: 'success',
+};
+
+/**
+ * Dumb component for a single bulk job counter
+ */
+const JobStat = ({ label, value, color }) => (
+  <Box sx={{ textAlign: 'center', p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+    <Typography variant="h6" color={color}>
+      {value}
+    </Typography>
+    <Typography variant="body2" color="text.secondary">
+      {label}
+    </Typography>
+  </Box>
+);
+
+/**
+ * Dumb component for displaying and controlling the bulk conversion job
+ */
+const BulkConversionCard = ({
+  job,
+  loading,
+  error,
+  busy,
+  onStart,
+  onPause,
+  onResume,
+  onCancel,
+}) => {
+  if (loading) {
+    return (
+      <Box>
+        <Skeleton variant="text" width="30%" height={40} sx={{ mb: 2 }} />
+        <Skeleton variant="rectangular" height={8} sx={{ mb: 3, borderRadius: 1 }} />
+        <Skeleton variant="rectangular" height={72} sx={{ borderRadius: 1 }} />
+      </Box>
+    );
+  }
+
+  const statusLabels = {
+    running: __('Running', 'flux-media-optimizer'),
+    paused: __('Paused', 'flux-media-optimizer'),
+    cancelled: __('Cancelled', 'flux-media-optimizer'),
+    completed: __('Completed', 'flux-media-optimizer'),
+  };
+
+  const isActive = job && (job.status === 'running' || job.status === 'paused');
+  const progress = job?.total > 0 ? Math.min(100, (job.processed / job.total) * 100) : 0;
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+        <Grid item>
+          <Typography variant="h5" component="h2" gutterBottom>
+            {__('Bulk Conversion', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Convert every existing image and video that has not been optimized yet', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+        <Grid item sx={{ display: 'flex', gap: 1 }}>
+          {!isActive && (
+            <Button variant="contained" startIcon={<PlayArrow />} onClick={onStart} disabled={busy}>
+              {__('Start Bulk Conversion', 'flux-media-optimizer')}
+            </Button>
+          )}
+          {job?.status === 'running' && (
+            <Button variant="outlined" startIcon={<Pause />} onClick={onPause} disabled={busy}>
+              {__('Pause', 'flux-media-optimizer')}
+            </Button>
+          )}
+          {job?.status === 'paused' && (
+            <Button variant="contained" startIcon={<PlayArrow />} onClick={onResume} disabled={busy}>
+              {__('Resume', 'flux-media-optimizer')}
+            </Button>
+          )}
+          {isActive && (
+            <Button variant="outlined" color="error" startIcon={<Stop />} onClick={onCancel} disabled={busy}>
+              {__('Cancel', 'flux-media-optimizer')}
+            </Button>
+          )}
+        </Grid>
+      </Grid>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {!job ? (
+        <Alert severity="info">
+          {__('No bulk conversion has been run yet.', 'flux-media-optimizer')}
+        </Alert>
+      ) : (
+        <>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+            <Chip label={statusLabels[job.status] || job.status} color={STATUS_COLORS[job.status] || 'default'} size="small" />
+            <Typography variant="body2" color="text.secondary">
+              {sprintf(
+                /* translators: 1: processed count, 2: total count */
+                __('%1$d of %2$d attachments processed', 'flux-media-optimizer'),
+                job.processed,
+                job.total
+              )}
+            </Typography>
+          </Box>
+          <LinearProgress
+            variant="determinate"
+            value={progress}
+            color={job.status === 'paused' ? 'warning' : 'primary'}
+            sx={{ height: 8, borderRadius: 1, mb: 3 }}
+          />
+
+          <Grid container spacing={2}>
+            <Grid item xs={6} sm={4} md={2}>
+              <JobStat label={__('Queued', 'flux-media-optimizer')} value={job.queued} />
+            </Grid>
+            <Grid item xs={6} sm={4} md={2}>
+              <JobStat label={__('Processed', 'flux-media-optimizer')} value={job.processed} />
+            </Grid>
+            <Grid item xs={6} sm={4} md={2}>
+              <JobStat label={__('Converted', 'flux-media-optimizer')} value={job.converted} color="success.main" />
+            </Grid>
+            <Grid item xs={6} sm={4} md={2}>
+              <JobStat label={__('Failed', 'flux-media-optimizer')} value={job.failed} color={job.failed > 0 ? 'error.main' : undefined} />
+            </Grid>
+            <Grid item xs={6} sm={4} md={2}>
+              <JobStat
+                label={__('Per Minute', 'flux-media-optimizer')}
+                value={job.throughput_per_minute}
+              />
+            </Grid>
+            <Grid item xs={6} sm={4} md={2}>
+              <JobStat
+                label={__('Time Remaining', 'flux-media-optimizer')}
+                value={job.eta_seconds !== null && job.eta_seconds !== undefined ? formatDuration(job.eta_seconds) : '—'}
+              />
+            </Grid>
+          </Grid>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default BulkConversionCard;
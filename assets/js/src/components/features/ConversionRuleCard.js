@@ -0,0 +1,395 @@
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Grid,
+  Stack,
+  TextField,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+  IconButton,
+  Tooltip,
+  Button,
+  InputAdornment,
+} from '@mui/material';
+import { ArrowUpward, ArrowDownward, Delete, Add, Close } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { validateSetting } from '@flux-media-optimizer/utils/settingsSchema';
+
+// Condition fields and operators defined by ConversionRules on the server
+const CONDITION_FIELDS = {
+  post_type: __('Attached to post type', 'flux-media-optimizer'),
+  mime_type: __('MIME type', 'flux-media-optimizer'),
+  file_size: __('File size', 'flux-media-optimizer'),
+  path: __('Upload path', 'flux-media-optimizer'),
+};
+
+const OPERATORS = {
+  is: __('is', 'flux-media-optimizer'),
+  is_not: __('is not', 'flux-media-optimizer'),
+  less_than: __('is smaller than', 'flux-media-optimizer'),
+  greater_than: __('is larger than', 'flux-media-optimizer'),
+  matches: __('matches', 'flux-media-optimizer'),
+  not_matches: __('does not match', 'flux-media-optimizer'),
+};
+
+const FORMATS = {
+  image_formats: [
+    { value: 'webp', label: 'WebP' },
+    { value: 'avif', label: 'AVIF' },
+  ],
+  video_formats: [
+    { value: 'av1', label: 'AV1' },
+    { value: 'webm', label: 'WebM' },
+  ],
+};
+
+/**
+ * Get the default value for a condition field.
+ */
+const getDefaultConditionValue = (field) => (field === 'file_size' ? 50 : '');
+
+/**
+ * Dumb component for the value input of a single condition
+ */
+const ConditionValueInput = ({ condition, postTypes, disabled, onChange }) => {
+  switch (condition.field) {
+    case 'post_type':
+      return (
+        <TextField
+          select
+          size="small"
+          fullWidth
+          label={__('Post type', 'flux-media-optimizer')}
+          value={condition.value}
+          disabled={disabled}
+          onChange={(event) => onChange(event.target.value)}
+        >
+          <MenuItem value="">
+            <em>{__('Not attached', 'flux-media-optimizer')}</em>
+          </MenuItem>
+          {Object.entries(postTypes).map(([name, label]) => (
+            <MenuItem key={name} value={name}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+      );
+
+    case 'file_size':
+      return (
+        <TextField
+          type="number"
+          size="small"
+          fullWidth
+          label={__('Size', 'flux-media-optimizer')}
+          value={condition.value}
+          disabled={disabled}
+          inputProps={{ min: 0 }}
+          InputProps={{ endAdornment: <InputAdornment position="end">KB</InputAdornment> }}
+          onChange={(event) => onChange(Math.max(0, parseInt(event.target.value, 10) || 0))}
+        />
+      );
+
+    default:
+      return (
+        <TextField
+          size="small"
+          fullWidth
+          label={condition.field === 'path' ? __('Pattern', 'flux-media-optimizer') : __('MIME type', 'flux-media-optimizer')}
+          placeholder={condition.field === 'path' ? '2024/*' : 'image/*'}
+          helperText={__('Use * as a wildcard', 'flux-media-optimizer')}
+          value={condition.value}
+          disabled={disabled}
+          onChange={(event) => onChange(event.target.value)}
+        />
+      );
+  }
+};
+
+/**
+ * Dumb component for editing a single conversion rule
+ *
+ * @param {Object} rule - Rule being edited
+ * @param {number} index - Position of the rule
+ * @param {number} count - Number of rules
+ * @param {Object} schemaField - `conversion_rules` schema field with `operators`, `post_types` and `keys`
+ * @param {Object} qualityFields - Schema fields of the quality settings, keyed by setting
+ * @param {Object} globalValues - Saved settings, shown for values the rule does not override
+ * @param {boolean} disabled - Whether the rule can be edited
+ * @param {Function} onChange - Called with the updated rule
+ * @param {Function} onMove - Called with -1 or 1 to move the rule
+ * @param {Function} onDelete - Called to delete the rule
+ */
+const ConversionRuleCard = ({
+  rule,
+  index,
+  count,
+  schemaField,
+  qualityFields,
+  globalValues,
+  disabled,
+  onChange,
+  onMove,
+  onDelete,
+}) => {
+  const operators = schemaField.operators || {};
+  const quality = { ...rule.quality };
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const updateCondition = (conditionIndex, changes) => {
+    update({
+      conditions: rule.conditions.map((condition, i) => (i === conditionIndex ? { ...condition, ...changes } : condition)),
+    });
+  };
+
+  const handleConditionFieldChange = (conditionIndex, field) => {
+    updateCondition(conditionIndex, {
+      field,
+      operator: operators[field][0],
+      value: getDefaultConditionValue(field),
+    });
+  };
+
+  const handleAddCondition = () => {
+    update({
+      conditions: [...rule.conditions, { field: 'post_type', operator: 'is', value: '' }],
+    });
+  };
+
+  const handleFormatToggle = (key, format) => {
+    const formats = rule[key].includes(format)
+      ? rule[key].filter((item) => item !== format)
+      : [...rule[key], format];
+    update({ [key]: FORMATS[key].map((option) => option.value).filter((value) => formats.includes(value)) });
+  };
+
+  const handleQualityChange = (key, value) => {
+    const next = { ...quality };
+    if (value === '') {
+      delete next[key];
+    } else {
+      next[key] = parseInt(value, 10);
+    }
+    update({ quality: next });
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, opacity: rule.enabled ? 1 : 0.7 }}>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 2 }}>
+        <Typography variant="h6" color="text.secondary" sx={{ minWidth: 28 }}>
+          {index + 1}.
+        </Typography>
+        <TextField
+          size="small"
+          label={__('Rule name', 'flux-media-optimizer')}
+          value={rule.name}
+          disabled={disabled}
+          onChange={(event) => update({ name: event.target.value })}
+          sx={{ flex: 1, maxWidth: 360 }}
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={rule.enabled}
+              disabled={disabled}
+              onChange={(event) => update({ enabled: event.target.checked })}
+            />
+          }
+          label={__('Enabled', 'flux-media-optimizer')}
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <Tooltip title={__('Move up', 'flux-media-optimizer')}>
+          <span>
+            <IconButton size="small" disabled={disabled || index === 0} onClick={() => onMove(-1)}>
+              <ArrowUpward fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title={__('Move down', 'flux-media-optimizer')}>
+          <span>
+            <IconButton size="small" disabled={disabled || index === count - 1} onClick={() => onMove(1)}>
+              <ArrowDownward fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title={__('Delete rule', 'flux-media-optimizer')}>
+          <span>
+            <IconButton size="small" color="error" disabled={disabled} onClick={onDelete}>
+              <Delete fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Stack>
+
+      <Typography variant="subtitle2" gutterBottom>
+        {__('When all of these match', 'flux-media-optimizer')}
+      </Typography>
+      <Stack spacing={1.5} sx={{ mb: 1 }}>
+        {rule.conditions.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            {__('No conditions: the rule matches every attachment.', 'flux-media-optimizer')}
+          </Typography>
+        )}
+        {rule.conditions.map((condition, conditionIndex) => (
+          <Grid container spacing={1} alignItems="flex-start" key={conditionIndex}>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                select
+                size="small"
+                fullWidth
+                label={__('Field', 'flux-media-optimizer')}
+                value={condition.field}
+                disabled={disabled}
+                onChange={(event) => handleConditionFieldChange(conditionIndex, event.target.value)}
+              >
+                {Object.keys(operators).map((field) => (
+                  <MenuItem key={field} value={field}>
+                    {CONDITION_FIELDS[field] || field}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <TextField
+                select
+                size="small"
+                fullWidth
+                label={__('Operator', 'flux-media-optimizer')}
+                value={condition.operator}
+                disabled={disabled}
+                onChange={(event) => updateCondition(conditionIndex, { operator: event.target.value })}
+              >
+                {(operators[condition.field] || []).map((operator) => (
+                  <MenuItem key={operator} value={operator}>
+                    {OPERATORS[operator] || operator}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={10} sm={4}>
+              <ConditionValueInput
+                condition={condition}
+                postTypes={schemaField.post_types || {}}
+                disabled={disabled}
+                onChange={(value) => updateCondition(conditionIndex, { value })}
+              />
+            </Grid>
+            <Grid item xs={2} sm={1}>
+              <Tooltip title={__('Remove condition', 'flux-media-optimizer')}>
+                <span>
+                  <IconButton
+                    size="small"
+                    disabled={disabled}
+                    onClick={() => update({ conditions: rule.conditions.filter((item, i) => i !== conditionIndex) })}
+                  >
+                    <Close fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Grid>
+          </Grid>
+        ))}
+      </Stack>
+      <Button size="small" startIcon={<Add />} onClick={handleAddCondition} disabled={disabled} sx={{ mb: 2 }}>
+        {__('Add condition', 'flux-media-optimizer')}
+      </Button>
+
+      <Typography variant="subtitle2" gutterBottom>
+        {__('Then', 'flux-media-optimizer')}
+      </Typography>
+      <TextField
+        select
+        size="small"
+        value={rule.action}
+        disabled={disabled}
+        onChange={(event) => update({ action: event.target.value })}
+        sx={{ minWidth: 280, mb: 2 }}
+      >
+        <MenuItem value="convert">{__('Convert with these settings', 'flux-media-optimizer')}</MenuItem>
+        <MenuItem value="skip">{__('Skip automatic conversion', 'flux-media-optimizer')}</MenuItem>
+      </TextField>
+
+      {rule.action === 'skip' ? (
+        <Typography variant="body2" color="text.secondary">
+          {__('Matching attachments are not converted on upload or by bulk conversion. They can still be converted by hand.', 'flux-media-optimizer')}
+        </Typography>
+      ) : (
+        <>
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            {Object.entries(FORMATS).map(([key, options]) => (
+              <Grid item xs={12} sm={6} key={key}>
+                <Typography variant="body2" gutterBottom>
+                  {key === 'image_formats'
+                    ? __('Image formats', 'flux-media-optimizer')
+                    : __('Video formats', 'flux-media-optimizer')}
+                </Typography>
+                <FormGroup row>
+                  {options.map((option) => (
+                    <FormControlLabel
+                      key={option.value}
+                      control={
+                        <Checkbox
+                          size="small"
+                          checked={rule[key].includes(option.value)}
+                          disabled={disabled}
+                          onChange={() => handleFormatToggle(key, option.value)}
+                        />
+                      }
+                      label={option.label}
+                    />
+                  ))}
+                </FormGroup>
+                {rule[key].length === 0 && (
+                  <Typography variant="caption" color="text.secondary">
+                    {sprintf(
+                      /* translators: %s: comma separated list of formats */
+                      __('Global formats: %s', 'flux-media-optimizer'),
+                      (globalValues?.[key] || []).join(', ')
+                    )}
+                  </Typography>
+                )}
+              </Grid>
+            ))}
+          </Grid>
+
+          <Typography variant="body2" gutterBottom>
+            {__('Quality (leave empty to use the global value)', 'flux-media-optimizer')}
+          </Typography>
+          <Grid container spacing={2}>
+            {(schemaField.keys || []).map((key) => {
+              const field = qualityFields[key];
+              const value = quality[key];
+              const error = value === undefined ? null : validateSetting(field, value);
+              return (
+                <Grid item xs={12} sm={6} md={3} key={key}>
+                  <TextField
+                    type="number"
+                    size="small"
+                    fullWidth
+                    label={field?.label || key}
+                    value={value ?? ''}
+                    placeholder={String(globalValues?.[key] ?? '')}
+                    InputLabelProps={{ shrink: true }}
+                    inputProps={{ min: field?.min, max: field?.max }}
+                    error={!!error}
+                    helperText={error}
+                    disabled={disabled}
+                    onChange={(event) => handleQualityChange(key, event.target.value)}
+                  />
+                </Grid>
+              );
+            })}
+          </Grid>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default ConversionRuleCard;
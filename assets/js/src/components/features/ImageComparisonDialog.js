@@ -0,0 +1,419 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  Box,
+  Typography,
+  IconButton,
+  Chip,
+  Stack,
+  Alert,
+  Skeleton,
+  Slider,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { Close, ZoomIn, ZoomOut, CenterFocusStrong, CompareArrows, ViewColumn } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatBytes } from '@flux-media-optimizer/utils/format';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+
+// Preferred right-hand variant when the dialog opens
+const FORMAT_PRIORITY = ['avif', 'webp'];
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+/**
+ * Build the list of selectable versions for one size, original first.
+ */
+const getVersions = (size) => {
+  if (!size) return [];
+
+  return [
+    {
+      key: 'original',
+      label: __('Original', 'flux-media-optimizer'),
+      url: size.original.url,
+      bytes: size.original.bytes,
+      savings_percentage: null,
+    },
+    ...size.variants.map((variant) => ({
+      key: variant.format,
+      label: variant.format.toUpperCase(),
+      url: variant.url,
+      bytes: variant.bytes,
+      savings_percentage: variant.savings_percentage,
+    })),
+  ];
+};
+
+const getDefaultRightKey = (size) => {
+  const formats = (size?.variants || []).map((variant) => variant.format);
+  return FORMAT_PRIORITY.find((format) => formats.includes(format)) || formats[0] || 'original';
+};
+
+const getVersionCaption = (version) => {
+  if (version.savings_percentage === null) {
+    return `${version.label} · ${formatBytes(version.bytes)}`;
+  }
+
+  return sprintf(
+    /* translators: 1: format name, 2: file size, 3: savings percentage */
+    __('%1$s · %2$s (−%3$s%%)', 'flux-media-optimizer'),
+    version.label,
+    formatBytes(version.bytes),
+    version.savings_percentage
+  );
+};
+
+/**
+ * Dumb component for one image layer with the shared zoom and pan transform
+ */
+const ComparisonImage = ({ version, view, sx }) => (
+  <Box
+    component="img"
+    src={version.url}
+    alt={version.label}
+    draggable={false}
+    sx={{
+      position: 'absolute',
+      inset: 0,
+      width: '100%',
+      height: '100%',
+      objectFit: 'contain',
+      transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+      transformOrigin: 'center',
+      userSelect: 'none',
+      pointerEvents: 'none',
+      ...sx,
+    }}
+  />
+);
+
+const PaneLabel = ({ version, align = 'left' }) => (
+  <Chip
+    label={getVersionCaption(version)}
+    size="small"
+    sx={{
+      position: 'absolute',
+      top: 8,
+      [align]: 8,
+      zIndex: 2,
+      bgcolor: 'rgba(0, 0, 0, 0.6)',
+      color: 'common.white',
+    }}
+  />
+);
+
+/**
+ * Pannable, zoomable viewport. Wheel zooms and dragging pans; both panes
+ * share the same view so they stay in sync.
+ */
+const Viewport = ({ view, onViewChange, children }) => {
+  const ref = useRef(null);
+  const dragRef = useRef(null);
+  const viewRef = useRef(view);
+  viewRef.current = view;
+
+  // React registers wheel listeners as passive, so preventDefault needs a native listener
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return undefined;
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const current = viewRef.current;
+      const zoom = clampZoom(event.deltaY < 0 ? current.zoom * ZOOM_STEP : current.zoom / ZOOM_STEP);
+      onViewChange(zoom === MIN_ZOOM ? { zoom, x: 0, y: 0 } : { ...current, zoom });
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [onViewChange]);
+
+  const handlePointerDown = (event) => {
+    if (view.zoom === MIN_ZOOM) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { startX: event.clientX - view.x, startY: event.clientY - view.y };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    onViewChange({
+      ...view,
+      x: event.clientX - dragRef.current.startX,
+      y: event.clientY - dragRef.current.startY,
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <Box
+      ref={ref}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      sx={{
+        position: 'relative',
+        flex: 1,
+        height: '60vh',
+        overflow: 'hidden',
+        bgcolor: 'grey.100',
+        backgroundImage: 'linear-gradient(45deg, #e0e0e0 25%, transparent 25%, transparent 75%, #e0e0e0 75%), linear-gradient(45deg, #e0e0e0 25%, transparent 25%, transparent 75%, #e0e0e0 75%)',
+        backgroundSize: '16px 16px',
+        backgroundPosition: '0 0, 8px 8px',
+        borderRadius: 1,
+        cursor: view.zoom > MIN_ZOOM ? 'grab' : 'zoom-in',
+        touchAction: 'none',
+      }}
+    >
+      {children}
+    </Box>
+  );
+};
+
+/**
+ * Dumb component comparing the original image with its converted versions
+ *
+ * @param {boolean} open - Whether the dialog is open
+ * @param {Object} data - Variants response with `attachment` and `sizes`
+ * @param {boolean} loading - Whether the variants are loading
+ * @param {Object|null} error - Loading error
+ * @param {Function} onClose - Called when the dialog is closed
+ */
+const ImageComparisonDialog = ({ open, data, loading, error, onClose }) => {
+  const sizes = data?.sizes || [];
+  const [sizeName, setSizeName] = useState('');
+  const [mode, setMode] = useState('slider');
+  const [leftKey, setLeftKey] = useState('original');
+  const [rightKey, setRightKey] = useState('');
+  const [position, setPosition] = useState(50);
+  const [view, setView] = useState({ zoom: MIN_ZOOM, x: 0, y: 0 });
+
+  const size = sizes.find((item) => item.name === sizeName) || sizes[0];
+  const versions = getVersions(size);
+  const left = versions.find((version) => version.key === leftKey) || versions[0];
+  const right = versions.find((version) => version.key === rightKey)
+    || versions.find((version) => version.key === getDefaultRightKey(size))
+    || versions[0];
+
+  // Start from a clean view for every attachment
+  useEffect(() => {
+    setSizeName('');
+    setLeftKey('original');
+    setRightKey('');
+    setPosition(50);
+    setView({ zoom: MIN_ZOOM, x: 0, y: 0 });
+  }, [data?.attachment?.id]);
+
+  const handleSizeChange = (event) => {
+    setSizeName(event.target.value);
+    setView({ zoom: MIN_ZOOM, x: 0, y: 0 });
+  };
+
+  const zoomBy = (factor) => {
+    const zoom = clampZoom(view.zoom * factor);
+    setView(zoom === MIN_ZOOM ? { zoom, x: 0, y: 0 } : { ...view, zoom });
+  };
+
+  const renderVersionSelect = (label, value, onChange) => (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={value?.key || ''}
+      onChange={(event) => onChange(event.target.value)}
+      sx={{ minWidth: 140 }}
+    >
+      {versions.map((version) => (
+        <MenuItem key={version.key} value={version.key}>
+          {version.label}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xl" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Box sx={{ minWidth: 0 }}>
+          <Typography variant="h6" component="div" noWrap>
+            {__('Compare versions', 'flux-media-optimizer')}
+          </Typography>
+          {data?.attachment && (
+            <Typography variant="body2" color="text.secondary" noWrap>
+              {data.attachment.title || data.attachment.filename}
+            </Typography>
+          )}
+        </Box>
+        <IconButton onClick={onClose} aria-label={__('Close', 'flux-media-optimizer')}>
+          <Close />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent dividers>
+        {loading && <Skeleton variant="rectangular" height="60vh" />}
+
+        {error && (
+          <Alert severity="error">
+            {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+          </Alert>
+        )}
+
+        {!loading && !error && size && size.variants.length === 0 && (
+          <Alert severity="info">
+            {__('This image has no converted versions yet.', 'flux-media-optimizer')}
+          </Alert>
+        )}
+
+        {!loading && !error && size && size.variants.length > 0 && (
+          <>
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2, flexWrap: 'wrap', rowGap: 1 }}>
+              <TextField
+                select
+                size="small"
+                label={__('Image size', 'flux-media-optimizer')}
+                value={size.name}
+                onChange={handleSizeChange}
+                sx={{ minWidth: 180 }}
+              >
+                {sizes.map((item) => (
+                  <MenuItem key={item.name} value={item.name}>
+                    {`${item.name} (${item.width}×${item.height})`}
+                  </MenuItem>
+                ))}
+              </TextField>
+              {renderVersionSelect(__('Left', 'flux-media-optimizer'), left, setLeftKey)}
+              {renderVersionSelect(__('Right', 'flux-media-optimizer'), right, setRightKey)}
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={mode}
+                onChange={(event, value) => value && setMode(value)}
+              >
+                <ToggleButton value="slider" aria-label={__('Slider', 'flux-media-optimizer')}>
+                  <Tooltip title={__('Slider', 'flux-media-optimizer')}>
+                    <CompareArrows fontSize="small" />
+                  </Tooltip>
+                </ToggleButton>
+                <ToggleButton value="split" aria-label={__('Side by side', 'flux-media-optimizer')}>
+                  <Tooltip title={__('Side by side', 'flux-media-optimizer')}>
+                    <ViewColumn fontSize="small" />
+                  </Tooltip>
+                </ToggleButton>
+              </ToggleButtonGroup>
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <IconButton size="small" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={view.zoom <= MIN_ZOOM} aria-label={__('Zoom out', 'flux-media-optimizer')}>
+                  <ZoomOut />
+                </IconButton>
+                <Typography variant="body2" sx={{ minWidth: 48, textAlign: 'center' }}>
+                  {`${Math.round(view.zoom * 100)}%`}
+                </Typography>
+                <IconButton size="small" onClick={() => zoomBy(ZOOM_STEP)} disabled={view.zoom >= MAX_ZOOM} aria-label={__('Zoom in', 'flux-media-optimizer')}>
+                  <ZoomIn />
+                </IconButton>
+                <IconButton size="small" onClick={() => setView({ zoom: MIN_ZOOM, x: 0, y: 0 })} aria-label={__('Reset zoom', 'flux-media-optimizer')}>
+                  <CenterFocusStrong />
+                </IconButton>
+              </Box>
+            </Stack>
+
+            {mode === 'slider' ? (
+              <>
+                <Viewport view={view} onViewChange={setView}>
+                  <ComparisonImage version={left} view={view} />
+                  <ComparisonImage version={right} view={view} sx={{ clipPath: `inset(0 0 0 ${position}%)` }} />
+                  <Box
+                    sx={{
+                      position: 'absolute',
+                      top: 0,
+                      bottom: 0,
+                      left: `${position}%`,
+                      width: 2,
+                      bgcolor: 'common.white',
+                      boxShadow: 1,
+                      zIndex: 1,
+                    }}
+                  />
+                  <PaneLabel version={left} align="left" />
+                  <PaneLabel version={right} align="right" />
+                </Viewport>
+                <Slider
+                  value={position}
+                  min={0}
+                  max={100}
+                  onChange={(event, value) => setPosition(value)}
+                  aria-label={__('Comparison position', 'flux-media-optimizer')}
+                  sx={{ mt: 1 }}
+                />
+              </>
+            ) : (
+              <Stack direction="row" spacing={1}>
+                <Viewport view={view} onViewChange={setView}>
+                  <ComparisonImage version={left} view={view} />
+                  <PaneLabel version={left} />
+                </Viewport>
+                <Viewport view={view} onViewChange={setView}>
+                  <ComparisonImage version={right} view={view} />
+                  <PaneLabel version={right} />
+                </Viewport>
+              </Stack>
+            )}
+
+            <Table size="small" sx={{ mt: 2 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>{__('Version', 'flux-media-optimizer')}</TableCell>
+                  <TableCell align="right">{__('File size', 'flux-media-optimizer')}</TableCell>
+                  <TableCell align="right">{__('Saving', 'flux-media-optimizer')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {versions.map((version) => (
+                  <TableRow key={version.key}>
+                    <TableCell>{version.label}</TableCell>
+                    <TableCell align="right">{formatBytes(version.bytes)}</TableCell>
+                    <TableCell align="right">
+                      {version.savings_percentage === null ? '—' : (
+                        <Typography
+                          variant="body2"
+                          component="span"
+                          color={version.savings_percentage > 0 ? 'success.main' : 'error.main'}
+                        >
+                          {sprintf(
+                            /* translators: 1: saved bytes, 2: savings percentage */
+                            __('%1$s (%2$s%%)', 'flux-media-optimizer'),
+                            formatBytes(size.original.bytes - version.bytes),
+                            version.savings_percentage
+                          )}
+                        </Typography>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ImageComparisonDialog;
@@ -0,0 +1,107 @@
+import React from 'react';
+import {
+  Typography,
+  Button,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatSettingValue } from '@flux-media-optimizer/utils/settingsSchema';
+
+/**
+ * Dumb component for the import diff preview dialog
+ */
+const ImportPreviewDialog = ({ open, preview, busy, error, onConfirm, onCancel }) => {
+  const changes = preview?.changes || [];
+  // Keys rejected by the preview, or by the import itself if the settings changed in between
+  const errors = Object.entries(error?.data?.errors || preview?.errors || {});
+  const ignored = preview?.ignored || [];
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="md" fullWidth>
+      <DialogTitle>{__('Import Settings', 'flux-media-optimizer')}</DialogTitle>
+      <DialogContent>
+        {error && !error.data?.errors && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+          </Alert>
+        )}
+
+        {errors.length > 0 && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            <Typography variant="body2" gutterBottom>
+              {__('The file contains invalid values and cannot be imported:', 'flux-media-optimizer')}
+            </Typography>
+            {errors.map(([key, message]) => (
+              <Typography key={key} variant="body2" component="div">
+                <strong>{key}</strong>{': '}{message}
+              </Typography>
+            ))}
+          </Alert>
+        )}
+
+        {ignored.length > 0 && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {sprintf(
+              /* translators: %s: comma-separated list of setting keys */
+              __('These keys will be ignored: %s', 'flux-media-optimizer'),
+              ignored.join(', ')
+            )}
+          </Alert>
+        )}
+
+        {changes.length === 0 ? (
+          <DialogContentText>
+            {__('The imported settings match your current settings. Nothing will change.', 'flux-media-optimizer')}
+          </DialogContentText>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{__('Setting', 'flux-media-optimizer')}</TableCell>
+                <TableCell>{__('Current', 'flux-media-optimizer')}</TableCell>
+                <TableCell>{__('Imported', 'flux-media-optimizer')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {changes.map((change) => (
+                <TableRow key={change.key}>
+                  <TableCell><code>{change.key}</code></TableCell>
+                  <TableCell sx={{ color: 'text.secondary' }}>{formatSettingValue(change.current)}</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>{formatSettingValue(change.incoming)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel} disabled={busy}>
+          {__('Cancel', 'flux-media-optimizer')}
+        </Button>
+        <Button
+          variant="contained"
+          onClick={onConfirm}
+          disabled={busy || errors.length > 0 || changes.length === 0}
+        >
+          {sprintf(
+            /* translators: %d: number of settings that will change */
+            __('Apply %d changes', 'flux-media-optimizer'),
+            changes.length
+          )}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportPreviewDialog;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { Box, IconButton, Tooltip, Typography } from '@mui/material';
+import { ChevronRight, ExpandMore, ContentCopy, Check } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+
+const isExpandable = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Dumb component for a copy-to-clipboard icon button with feedback
+ */
+export const CopyButton = ({ value, label }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = (event) => {
+    event.stopPropagation();
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+    navigator.clipboard?.writeText(text)
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      })
+      .catch((error) => console.error('Failed to copy to clipboard:', error));
+  };
+
+  return (
+    <Tooltip title={copied ? __('Copied', 'flux-media-optimizer') : label || __('Copy', 'flux-media-optimizer')}>
+      <IconButton size="small" onClick={handleCopy} sx={{ p: 0.25 }}>
+        {copied ? <Check sx={{ fontSize: 14 }} color="success" /> : <ContentCopy sx={{ fontSize: 14 }} />}
+      </IconButton>
+    </Tooltip>
+  );
+};
+
+/**
+ * Dumb component for a primitive JSON value
+ */
+const JsonValue = ({ value }) => {
+  if (value === null) {
+    return <Box component="span" sx={{ color: 'text.disabled' }}>null</Box>;
+  }
+  if (typeof value === 'string') {
+    return <Box component="span" sx={{ color: 'success.dark', wordBreak: 'break-all' }}>{`"${value}"`}</Box>;
+  }
+  return <Box component="span" sx={{ color: 'info.dark' }}>{String(value)}</Box>;
+};
+
+/**
+ * Dumb component for one key/value node of the tree
+ */
+const JsonNode = ({ name, value, depth, defaultExpandDepth, renderValue }) => {
+  const [expanded, setExpanded] = useState(depth < defaultExpandDepth);
+  const expandable = isExpandable(value);
+  const entries = expandable ? Object.entries(value) : [];
+  const decorated = !expandable && renderValue ? renderValue(name, value) : null;
+
+  return (
+    <Box sx={{ pl: depth > 0 ? 2 : 0 }}>
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 0.5,
+          minHeight: 24,
+          '&:hover .json-tree-copy': { visibility: 'visible' },
+        }}
+      >
+        {expandable ? (
+          <IconButton
+            size="small"
+            onClick={() => setExpanded(!expanded)}
+            sx={{ p: 0 }}
+            aria-label={expanded ? __('Collapse', 'flux-media-optimizer') : __('Expand', 'flux-media-optimizer')}
+          >
+            {expanded ? <ExpandMore fontSize="small" /> : <ChevronRight fontSize="small" />}
+          </IconButton>
+        ) : (
+          <Box sx={{ width: 20, flexShrink: 0 }} />
+        )}
+        {name !== undefined && (
+          <Box component="span" sx={{ color: 'primary.dark' }}>{`${name}:`}</Box>
+        )}
+        {expandable ? (
+          <Box component="span" sx={{ color: 'text.secondary' }}>
+            {Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`}
+          </Box>
+        ) : (
+          decorated || <JsonValue value={value} />
+        )}
+        <Box className="json-tree-copy" sx={{ visibility: 'hidden' }}>
+          <CopyButton value={value} />
+        </Box>
+      </Box>
+      {expandable && expanded && entries.map(([key, child]) => (
+        <JsonNode
+          key={key}
+          name={key}
+          value={child}
+          depth={depth + 1}
+          defaultExpandDepth={defaultExpandDepth}
+          renderValue={renderValue}
+        />
+      ))}
+    </Box>
+  );
+};
+
+/**
+ * Dumb component that renders JSON data as a collapsible tree
+ *
+ * @param {*} data - Parsed JSON data
+ * @param {number} defaultExpandDepth - Levels expanded on first render
+ * @param {Function} renderValue - Optional (key, value) => node to decorate primitive values
+ */
+const JsonTree = ({ data, defaultExpandDepth = 2, renderValue }) => {
+  return (
+    <Typography component="div" variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
+      {isExpandable(data) ? (
+        Object.entries(data).map(([key, value]) => (
+          <JsonNode
+            key={key}
+            name={key}
+            value={value}
+            depth={0}
+            defaultExpandDepth={defaultExpandDepth}
+            renderValue={renderValue}
+          />
+        ))
+      ) : (
+        <JsonNode value={data} depth={0} defaultExpandDepth={defaultExpandDepth} renderValue={renderValue} />
+      )}
+    </Typography>
+  );
+};
+
+export default JsonTree;
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import {
+  TableRow,
+  TableCell,
+  Chip,
+  Typography,
+  IconButton,
+  Collapse,
+  Box,
+  Stack,
+  Link,
+} from '@mui/material';
+import { KeyboardArrowDown, KeyboardArrowRight, OpenInNew } from '@mui/icons-material';
+import { Link as RouterLink } from 'react-router-dom';
+import { __, sprintf } from '@wordpress/i18n';
+import JsonTree, { CopyButton } from './JsonTree';
+
+const getLevelColor = (level) => {
+  switch (level) {
+    case 'ERROR':
+    case 'CRITICAL':
+      return 'error';
+    case 'WARNING':
+      return 'warning';
+    default:
+      return 'default';
+  }
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString();
+};
+
+const formatContext = (context) => {
+  if (!context) return '';
+  if (typeof context === 'string') return context;
+  return JSON.stringify(context, null, 2);
+};
+
+/**
+ * Find the first attachment_id anywhere in the context.
+ */
+const findAttachmentId = (context) => {
+  if (!context || typeof context !== 'object') return null;
+
+  for (const [key, value] of Object.entries(context)) {
+    if (key === 'attachment_id' && Number(value) > 0) {
+      return Number(value);
+    }
+    const nested = findAttachmentId(value);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+const getEditUrl = (attachmentId) => {
+  return `${window.fluxMediaAdmin?.adminUrl || '/wp-admin/'}post.php?post=${attachmentId}&action=edit`;
+};
+
+const getLibraryPath = (attachmentId) => `/library?attachment=${attachmentId}`;
+
+/**
+ * Dumb component for the expanded log context with links for known keys
+ */
+const LogContextPanel = ({ context }) => {
+  const attachmentId = findAttachmentId(context);
+
+  // Turn known keys into links to the attachment they refer to
+  const renderValue = (key, value) => {
+    if (key === 'attachment_id' && Number(value) > 0) {
+      return (
+        <Link component={RouterLink} to={getLibraryPath(value)}>
+          {String(value)}
+        </Link>
+      );
+    }
+    if (key === 'format' && typeof value === 'string') {
+      const chip = <Chip label={value.toUpperCase()} size="small" variant="outlined" sx={{ height: 20 }} />;
+      return attachmentId ? (
+        <Link component={RouterLink} to={getLibraryPath(attachmentId)} underline="none">{chip}</Link>
+      ) : chip;
+    }
+    if (key === 'file_path' && typeof value === 'string' && attachmentId) {
+      return (
+        <Link href={getEditUrl(attachmentId)} target="_blank" rel="noopener noreferrer" sx={{ wordBreak: 'break-all' }}>
+          {value}
+        </Link>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <Box sx={{ py: 1 }}>
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle2">
+          {__('Context', 'flux-media-optimizer')}
+        </Typography>
+        <CopyButton value={context} label={__('Copy context as JSON', 'flux-media-optimizer')} />
+        {attachmentId && (
+          <>
+            <Link component={RouterLink} to={getLibraryPath(attachmentId)} variant="body2">
+              {sprintf(
+                /* translators: %d: attachment ID */
+                __('View attachment #%d in Media Library', 'flux-media-optimizer'),
+                attachmentId
+              )}
+            </Link>
+            <Link
+              href={getEditUrl(attachmentId)}
+              target="_blank"
+              rel="noopener noreferrer"
+              variant="body2"
+              sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5 }}
+            >
+              {__('Edit attachment', 'flux-media-optimizer')}
+              <OpenInNew sx={{ fontSize: 14 }} />
+            </Link>
+          </>
+        )}
+      </Stack>
+      <JsonTree data={context} renderValue={renderValue} />
+    </Box>
+  );
+};
+
+/**
+ * Dumb component for a single row in the logs table
+ */
+const LogEntryRow = ({ log }) => {
+  const [open, setOpen] = useState(false);
+  const hasContext = !!log.context;
+
+  return (
+    <>
+      <TableRow hover sx={{ '& > td': { borderBottom: open ? 'unset' : undefined } }}>
+        <TableCell padding="checkbox">
+          {hasContext && (
+            <IconButton
+              size="small"
+              onClick={() => setOpen(!open)}
+              aria-label={open ? __('Hide context', 'flux-media-optimizer') : __('Show context', 'flux-media-optimizer')}
+            >
+              {open ? <KeyboardArrowDown /> : <KeyboardArrowRight />}
+            </IconButton>
+          )}
+        </TableCell>
+        <TableCell>
+          <Chip
+            label={log.level}
+            color={getLevelColor(log.level)}
+            size="small"
+          />
+        </TableCell>
+        <TableCell>
+          <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+            {log.message}
+          </Typography>
+        </TableCell>
+        <TableCell>
+          {hasContext && (
+            <Typography
+              variant="caption"
+              onClick={() => setOpen(!open)}
+              sx={{
+                fontFamily: 'monospace',
+                fontSize: '0.75rem',
+                wordBreak: 'break-all',
+                display: 'block',
+                maxWidth: 200,
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap',
+                cursor: 'pointer',
+              }}
+              title={formatContext(log.context)}
+            >
+              {formatContext(log.context)}
+            </Typography>
+          )}
+        </TableCell>
+        <TableCell>
+          <Typography variant="body2" color="text.secondary">
+            {formatDate(log.created_at)}
+          </Typography>
+        </TableCell>
+      </TableRow>
+      {hasContext && (
+        <TableRow>
+          <TableCell colSpan={5} sx={{ py: 0, ...(open ? {} : { borderBottom: 'none' }) }}>
+            <Collapse in={open} timeout="auto" unmountOnExit>
+              {typeof log.context === 'object' ? (
+                <LogContextPanel context={log.context} />
+              ) : (
+                <Typography variant="body2" sx={{ fontFamily: 'monospace', py: 1, wordBreak: 'break-all' }}>
+                  {log.context}
+                </Typography>
+              )}
+            </Collapse>
+          </TableCell>
+        </TableRow>
+      )}
+    </>
+  );
+};
+
+export default LogEntryRow;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Box, Typography, Grid, Button, Alert } from '@mui/material';
+import { DeleteSweep } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import SchemaField from '@flux-media-optimizer/components/forms/SchemaField';
+
+/**
+ * Dumb component for the log retention settings and the manual purge action
+ */
+const LogRetentionCard = ({ group, values, errors, onChange, onPurge, busy, result, error }) => {
+  return (
+    <Box sx={{ mb: 3, p: 2, bgcolor: 'background.paper', borderRadius: 1, border: '1px solid', borderColor: 'divider' }}>
+      <Grid container justifyContent="space-between" alignItems="flex-start" spacing={2}>
+        <Grid item>
+          <Typography variant="h6" gutterBottom>
+            {group.label}
+          </Typography>
+          {group.description && (
+            <Typography variant="body2" color="text.secondary">
+              {group.description}
+            </Typography>
+          )}
+        </Grid>
+        <Grid item>
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<DeleteSweep />}
+            onClick={onPurge}
+            disabled={busy}
+          >
+            {__('Purge now', 'flux-media-optimizer')}
+          </Button>
+        </Grid>
+      </Grid>
+
+      <Grid container spacing={2} sx={{ mt: 1 }}>
+        {group.fields.map((field) => (
+          <Grid item xs={12} sm={6} key={field.key}>
+            <SchemaField
+              field={field}
+              value={values?.[field.key]}
+              error={errors?.[field.key]}
+              onChange={onChange(field.key)}
+            />
+          </Grid>
+        ))}
+      </Grid>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {result && (
+        <Alert severity="success" sx={{ mt: 2 }}>
+          {sprintf(
+            /* translators: 1: number of deleted log entries, 2: number of deleted conversion records */
+            __('Deleted %1$d log entries and %2$d orphaned conversion records.', 'flux-media-optimizer'),
+            result.logs_deleted,
+            result.conversions_deleted
+          )}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default LogRetentionCard;
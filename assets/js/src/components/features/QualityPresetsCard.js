@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Box, Typography, Stack, Chip, Button, TextField } from '@mui/material';
+import { BookmarkAdd } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Dumb component for choosing, saving and deleting quality presets
+ *
+ * @param {Object} group - Schema group with `label` and `description`
+ * @param {Array} presets - Built-in presets followed by custom presets
+ * @param {Object|null} activePreset - Preset matching the current values, or null for Custom
+ * @param {boolean} disabled - Whether the presets can be changed
+ * @param {Function} onApply - Called with the preset to apply
+ * @param {Function} onSave - Called with the label of a new preset made from the current values
+ * @param {Function} onDelete - Called with the custom preset to delete
+ * @param {number} maxCustom - Maximum number of custom presets
+ */
+const QualityPresetsCard = ({ group, presets, activePreset, disabled, onApply, onSave, onDelete, maxCustom }) => {
+  const [saving, setSaving] = useState(false);
+  const [label, setLabel] = useState('');
+
+  const customCount = presets.filter((preset) => !preset.built_in).length;
+  const labelTaken = presets.some((preset) => preset.label.toLowerCase() === label.trim().toLowerCase());
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    onSave(label.trim());
+    setLabel('');
+    setSaving(false);
+  };
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        {group.label}
+      </Typography>
+      {group.description && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {group.description}
+        </Typography>
+      )}
+
+      <Stack direction="row" spacing={1} useFlexGap sx={{ flexWrap: 'wrap', mb: 1 }}>
+        {presets.map((preset) => {
+          const active = activePreset?.id === preset.id;
+          return (
+            <Chip
+              key={preset.id || preset.label}
+              label={preset.label}
+              color={active ? 'primary' : 'default'}
+              variant={active ? 'filled' : 'outlined'}
+              disabled={disabled}
+              onClick={active ? undefined : () => onApply(preset)}
+              onDelete={preset.built_in ? undefined : () => onDelete(preset)}
+            />
+          );
+        })}
+        <Chip
+          label={__('Custom', 'flux-media-optimizer')}
+          color={activePreset ? 'default' : 'primary'}
+          variant={activePreset ? 'outlined' : 'filled'}
+          disabled={disabled || Boolean(activePreset)}
+        />
+      </Stack>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2, minHeight: '1.5em' }}>
+        {activePreset
+          ? activePreset.description || __('Your saved preset.', 'flux-media-optimizer')
+          : __('The quality settings below were changed by hand.', 'flux-media-optimizer')}
+      </Typography>
+
+      {saving ? (
+        <Stack component="form" direction="row" spacing={1} alignItems="flex-start" onSubmit={handleSave}>
+          <TextField
+            size="small"
+            autoFocus
+            label={__('Preset name', 'flux-media-optimizer')}
+            value={label}
+            onChange={(event) => setLabel(event.target.value)}
+            error={labelTaken}
+            helperText={labelTaken ? __('A preset with this name already exists', 'flux-media-optimizer') : ' '}
+          />
+          <Button type="submit" variant="contained" disabled={!label.trim() || labelTaken || disabled}>
+            {__('Save', 'flux-media-optimizer')}
+          </Button>
+          <Button onClick={() => setSaving(false)}>
+            {__('Cancel', 'flux-media-optimizer')}
+          </Button>
+        </Stack>
+      ) : (
+        <Button
+          variant="outlined"
+          startIcon={<BookmarkAdd />}
+          onClick={() => setSaving(true)}
+          disabled={disabled || Boolean(activePreset) || customCount >= maxCustom}
+        >
+          {__('Save current values as preset', 'flux-media-optimizer')}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default QualityPresetsCard;
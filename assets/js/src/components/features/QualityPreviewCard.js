@@ -0,0 +1,203 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  Button,
+  Alert,
+  Autocomplete,
+  TextField,
+  Card,
+  CardMedia,
+  CardContent,
+  Chip,
+  Stack,
+  CircularProgress,
+} from '@mui/material';
+import { Preview } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatBytes } from '@flux-media-optimizer/utils/format';
+
+/**
+ * Dumb component for one encoded (or original) version in the preview grid
+ */
+const PreviewTile = ({ label, url, bytes, savingsPercentage, encodeTime, error }) => (
+  <Card variant="outlined" sx={{ height: '100%' }}>
+    {url ? (
+      <CardMedia
+        component="a"
+        href={url}
+        target="_blank"
+        rel="noopener noreferrer"
+        sx={{
+          display: 'block',
+          height: 220,
+          backgroundImage: `url("${url}")`,
+          backgroundSize: 'contain',
+          backgroundRepeat: 'no-repeat',
+          backgroundPosition: 'center',
+          bgcolor: 'grey.100',
+        }}
+        aria-label={label}
+      />
+    ) : (
+      <Box sx={{ height: 220, display: 'flex', alignItems: 'center', justifyContent: 'center', bgcolor: 'grey.100', p: 2 }}>
+        <Typography variant="body2" color="error" align="center">
+          {error}
+        </Typography>
+      </Box>
+    )}
+    <CardContent>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle2">{label}</Typography>
+        {savingsPercentage !== undefined && (
+          <Chip
+            size="small"
+            color={savingsPercentage > 0 ? 'success' : 'error'}
+            variant="outlined"
+            label={sprintf(
+              /* translators: %s: savings percentage */
+              __('−%s%%', 'flux-media-optimizer'),
+              savingsPercentage
+            )}
+          />
+        )}
+      </Stack>
+      {bytes !== undefined && (
+        <Typography variant="body2">{formatBytes(bytes)}</Typography>
+      )}
+      {encodeTime !== undefined && (
+        <Typography variant="caption" color="text.secondary">
+          {sprintf(
+            /* translators: %d: encode time in milliseconds */
+            __('Encoded in %d ms', 'flux-media-optimizer'),
+            encodeTime
+          )}
+        </Typography>
+      )}
+    </CardContent>
+  </Card>
+);
+
+/**
+ * Dumb component for encoding a sample image at the current, unsaved quality values
+ *
+ * @param {Array} attachments - Image attachments to pick from
+ * @param {boolean} attachmentsLoading - Whether the attachment search is running
+ * @param {Object|null} attachment - Selected sample attachment
+ * @param {Function} onAttachmentChange - Called with the selected attachment
+ * @param {Function} onSearchChange - Called with the attachment search text
+ * @param {Object|null} preview - Preview response
+ * @param {boolean} stale - Whether the quality values changed since the preview was made
+ * @param {boolean} busy - Whether a preview is being encoded
+ * @param {Object|null} error - Preview error
+ * @param {Function} onPreview - Called to encode a new preview
+ */
+const QualityPreviewCard = ({
+  attachments,
+  attachmentsLoading,
+  attachment,
+  onAttachmentChange,
+  onSearchChange,
+  preview,
+  stale,
+  busy,
+  error,
+  onPreview,
+}) => {
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        {__('Preview', 'flux-media-optimizer')}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {__('Encode a sample image with the quality values above before they affect your library. Previews are not saved and nothing in the library changes.', 'flux-media-optimizer')}
+      </Typography>
+
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }} sx={{ mb: 2 }}>
+        <Autocomplete
+          sx={{ minWidth: 320 }}
+          size="small"
+          options={attachments}
+          value={attachment}
+          loading={attachmentsLoading}
+          filterOptions={(options) => options}
+          getOptionLabel={(option) => option.title || option.filename || `#${option.id}`}
+          isOptionEqualToValue={(option, value) => option.id === value.id}
+          onChange={(event, value) => onAttachmentChange(value)}
+          onInputChange={(event, value, reason) => reason === 'input' && onSearchChange(value)}
+          renderOption={(props, option) => (
+            <Box component="li" {...props} key={option.id} sx={{ display: 'flex', gap: 1.5, alignItems: 'center' }}>
+              {option.thumbnail_url && (
+                <Box component="img" src={option.thumbnail_url} alt="" sx={{ width: 32, height: 32, objectFit: 'cover', borderRadius: 0.5 }} />
+              )}
+              <Typography variant="body2" noWrap>
+                {option.title || option.filename}
+              </Typography>
+            </Box>
+          )}
+          renderInput={(params) => (
+            <TextField {...params} label={__('Sample image', 'flux-media-optimizer')} />
+          )}
+        />
+        <Button
+          variant="contained"
+          startIcon={busy ? <CircularProgress size={16} color="inherit" /> : <Preview />}
+          onClick={onPreview}
+          disabled={!attachment || busy}
+        >
+          {__('Run preview', 'flux-media-optimizer')}
+        </Button>
+      </Stack>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {preview && stale && !busy && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {__('The quality values changed since this preview was made. Run the preview again to see their effect.', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {preview && (
+        <>
+          <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+            {sprintf(
+              /* translators: 1: image size name, 2: width, 3: height */
+              __('Encoded from the %1$s size (%2$d×%3$d).', 'flux-media-optimizer'),
+              preview.size.name,
+              preview.size.width,
+              preview.size.height
+            )}
+          </Typography>
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6} md={4}>
+              <PreviewTile
+                label={__('Original', 'flux-media-optimizer')}
+                url={preview.original.url}
+                bytes={preview.original.bytes}
+              />
+            </Grid>
+            {preview.results.map((result) => (
+              <Grid item xs={12} sm={6} md={4} key={result.format}>
+                <PreviewTile
+                  label={result.format.toUpperCase()}
+                  url={result.url}
+                  bytes={result.bytes}
+                  savingsPercentage={result.savings_percentage}
+                  encodeTime={result.encode_time_ms}
+                  error={result.error}
+                />
+              </Grid>
+            ))}
+          </Grid>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default QualityPreviewCard;
@@ -0,0 +1,233 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Skeleton,
+  Tooltip,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatBytes } from '@flux-media-optimizer/utils/format';
+
+const FORMATS = ['webp', 'avif', 'av1', 'webm'];
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 260;
+const MARGIN = { top: 10, right: 10, bottom: 30, left: 70 };
+const MAX_X_LABELS = 12;
+
+/**
+ * Parse a Y-m-d period as a local date.
+ */
+const parsePeriod = (period) => {
+  const [year, month, day] = period.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Format a bucket period for axis labels and tooltips.
+ */
+const formatPeriod = (period, interval) => {
+  const date = parsePeriod(period);
+  if (interval === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Dumb component for the stacked bar chart of savings per bucket
+ */
+const StackedBars = ({ buckets, interval, colors }) => {
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const maxValue = Math.max(1, ...buckets.map((bucket) => bucket.total_savings_bytes));
+  const slotWidth = plotWidth / Math.max(1, buckets.length);
+  const barWidth = Math.max(2, slotWidth * 0.7);
+  const labelEvery = Math.ceil(buckets.length / MAX_X_LABELS);
+  const ticks = [0, 0.25, 0.5, 0.75, 1];
+
+  return (
+    <Box
+      component="svg"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      sx={{ width: '100%', height: 'auto', display: 'block' }}
+      role="img"
+      aria-label={__('Savings over time by format', 'flux-media-optimizer')}
+    >
+      {ticks.map((tick) => {
+        const y = MARGIN.top + plotHeight * (1 - tick);
+        return (
+          <g key={tick}>
+            <line x1={MARGIN.left} x2={CHART_WIDTH - MARGIN.right} y1={y} y2={y} stroke={colors.grid} />
+            <text x={MARGIN.left - 8} y={y} textAnchor="end" dominantBaseline="middle" fontSize="11" fill={colors.text}>
+              {formatBytes(maxValue * tick)}
+            </text>
+          </g>
+        );
+      })}
+
+      {buckets.map((bucket, index) => {
+        const x = MARGIN.left + slotWidth * index + (slotWidth - barWidth) / 2;
+        let offset = 0;
+
+        return (
+          <Tooltip
+            key={bucket.period}
+            arrow
+            title={(
+              <Box>
+                <Typography variant="caption" component="div" sx={{ fontWeight: 'bold' }}>
+                  {formatPeriod(bucket.period, interval)}
+                </Typography>
+                {FORMATS.filter((format) => bucket.by_type[format]).map((format) => (
+                  <Typography key={format} variant="caption" component="div">
+                    {`${format.toUpperCase()}: ${formatBytes(bucket.by_type[format])}`}
+                  </Typography>
+                ))}
+                <Typography variant="caption" component="div">
+                  {sprintf(
+                    /* translators: %s: total saved size */
+                    __('Total: %s', 'flux-media-optimizer'),
+                    formatBytes(bucket.total_savings_bytes)
+                  )}
+                </Typography>
+              </Box>
+            )}
+          >
+            <g>
+              {/* Transparent hit area so empty buckets still show a tooltip */}
+              <rect x={MARGIN.left + slotWidth * index} y={MARGIN.top} width={slotWidth} height={plotHeight} fill="transparent" />
+              {FORMATS.map((format) => {
+                const value = bucket.by_type[format] || 0;
+                if (!value) return null;
+
+                const height = (value / maxValue) * plotHeight;
+                offset += height;
+                return (
+                  <rect
+                    key={format}
+                    x={x}
+                    y={MARGIN.top + plotHeight - offset}
+                    width={barWidth}
+                    height={height}
+                    fill={colors[format]}
+                  />
+                );
+              })}
+            </g>
+          </Tooltip>
+        );
+      })}
+
+      {buckets.map((bucket, index) => (
+        index % labelEvery === 0 && (
+          <text
+            key={bucket.period}
+            x={MARGIN.left + slotWidth * index + slotWidth / 2}
+            y={CHART_HEIGHT - MARGIN.bottom + 18}
+            textAnchor="middle"
+            fontSize="11"
+            fill={colors.text}
+          >
+            {formatPeriod(bucket.period, interval)}
+          </text>
+        )
+      ))}
+    </Box>
+  );
+};
+
+/**
+ * Dumb component for savings over time, broken down by format
+ */
+const SavingsChart = ({
+  timeseries,
+  loading,
+  interval,
+  format,
+  onIntervalChange,
+  onFormatChange,
+}) => {
+  const theme = useTheme();
+  const colors = {
+    webp: theme.palette.primary.main,
+    avif: theme.palette.success.main,
+    av1: theme.palette.warning.main,
+    webm: theme.palette.secondary.main,
+    grid: theme.palette.divider,
+    text: theme.palette.text.secondary,
+  };
+
+  const buckets = timeseries?.buckets || [];
+  const periodTotal = buckets.reduce((total, bucket) => total + bucket.total_savings_bytes, 0);
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="center" spacing={2} sx={{ mb: 2 }}>
+        <Grid item>
+          <Typography variant="h5" component="h2" gutterBottom>
+            {__('Savings Over Time', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {sprintf(
+              /* translators: %s: saved size in the selected period */
+              __('%s saved in the selected period', 'flux-media-optimizer'),
+              formatBytes(periodTotal)
+            )}
+          </Typography>
+        </Grid>
+        <Grid item sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={interval}
+            onChange={(event, value) => value && onIntervalChange(value)}
+          >
+            <ToggleButton value="day">{__('Daily', 'flux-media-optimizer')}</ToggleButton>
+            <ToggleButton value="week">{__('Weekly', 'flux-media-optimizer')}</ToggleButton>
+            <ToggleButton value="month">{__('Monthly', 'flux-media-optimizer')}</ToggleButton>
+          </ToggleButtonGroup>
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>{__('Format', 'flux-media-optimizer')}</InputLabel>
+            <Select
+              value={format}
+              label={__('Format', 'flux-media-optimizer')}
+              onChange={(event) => onFormatChange(event.target.value)}
+            >
+              <MenuItem value="">{__('All Formats', 'flux-media-optimizer')}</MenuItem>
+              {FORMATS.map((item) => (
+                <MenuItem key={item} value={item}>{item.toUpperCase()}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      {loading && !timeseries ? (
+        <Skeleton variant="rectangular" height={CHART_HEIGHT} sx={{ borderRadius: 1 }} />
+      ) : (
+        <Box sx={{ p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+          <StackedBars buckets={buckets} interval={interval} colors={colors} />
+          <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', mt: 1 }}>
+            {FORMATS.filter((item) => !format || item === format).map((item) => (
+              <Box key={item} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Box sx={{ width: 12, height: 12, borderRadius: 0.5, bgcolor: colors[item] }} />
+                <Typography variant="caption">{item.toUpperCase()}</Typography>
+              </Box>
+            ))}
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default SavingsChart;
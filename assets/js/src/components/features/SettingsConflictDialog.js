@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Radio,
+} from '@mui/material';
+import { __ } from '@wordpress/i18n';
+import { formatSettingValue } from '@flux-media-optimizer/utils/settingsSchema';
+
+/**
+ * Dumb component for merging settings that were changed elsewhere while they were edited here
+ *
+ * Each conflicting setting starts out on the server value, so nothing is
+ * overwritten unless it is picked explicitly.
+ *
+ * @param {boolean} open - Whether the dialog is shown
+ * @param {Array} conflicts - Conflicting settings with `key`, `server` and `local` values
+ * @param {Object} fields - Schema fields keyed by setting, used for labels
+ * @param {Function} onResolve - Called with the keys whose local value should be saved
+ */
+const SettingsConflictDialog = ({ open, conflicts, fields, onResolve }) => {
+  const [keepLocal, setKeepLocal] = useState([]);
+
+  useEffect(() => {
+    setKeepLocal([]);
+  }, [conflicts]);
+
+  const choose = (key, local) => {
+    setKeepLocal(prev => (local ? [...prev, key] : prev.filter((item) => item !== key)));
+  };
+
+  return (
+    <Dialog open={open} maxWidth="md" fullWidth>
+      <DialogTitle>{__('Settings Changed Elsewhere', 'flux-media-optimizer')}</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          {__('These settings were changed in another tab or by another user since this page was loaded. Choose which value to keep for each of them.', 'flux-media-optimizer')}
+        </DialogContentText>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>{__('Setting', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Saved value', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Your value', 'flux-media-optimizer')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(conflicts || []).map((conflict) => {
+              const local = keepLocal.includes(conflict.key);
+              return (
+                <TableRow key={conflict.key}>
+                  <TableCell>{fields?.[conflict.key]?.label || <code>{conflict.key}</code>}</TableCell>
+                  <TableCell sx={{ fontWeight: local ? 'normal' : 'bold' }}>
+                    <Radio size="small" checked={!local} onChange={() => choose(conflict.key, false)} />
+                    {formatSettingValue(conflict.server)}
+                  </TableCell>
+                  <TableCell sx={{ fontWeight: local ? 'bold' : 'normal' }}>
+                    <Radio size="small" checked={local} onChange={() => choose(conflict.key, true)} />
+                    {formatSettingValue(conflict.local)}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => onResolve([])}>
+          {__('Keep saved values', 'flux-media-optimizer')}
+        </Button>
+        <Button variant="contained" onClick={() => onResolve(keepLocal)}>
+          {__('Save selection', 'flux-media-optimizer')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SettingsConflictDialog;
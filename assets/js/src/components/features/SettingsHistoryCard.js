@@ -0,0 +1,67 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import { Undo } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatSettingValue } from '@flux-media-optimizer/utils/settingsSchema';
+
+/**
+ * Dumb component listing the settings changed in this session, newest first
+ *
+ * @param {Array} entries - History entries with `id`, `savedAt` and `changes`
+ * @param {Object} fields - Schema fields keyed by setting, used for labels
+ * @param {number|null} undoingId - Entry that is being undone
+ * @param {Function} onUndo - Called with the id of the entry to undo
+ */
+const SettingsHistoryCard = ({ entries, fields, undoingId, onUndo }) => {
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        {__('Recent Changes', 'flux-media-optimizer')}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {__('Settings changed since this page was opened. Undo restores the value from before the change.', 'flux-media-optimizer')}
+      </Typography>
+
+      <List dense disablePadding>
+        {entries.map((entry) => (
+          <ListItem
+            key={entry.id}
+            divider
+            disableGutters
+            secondaryAction={
+              <Button
+                size="small"
+                startIcon={<Undo />}
+                onClick={() => onUndo(entry.id)}
+                disabled={undoingId !== null}
+              >
+                {undoingId === entry.id ? __('Undoing…', 'flux-media-optimizer') : __('Undo', 'flux-media-optimizer')}
+              </Button>
+            }
+          >
+            <ListItemText
+              primary={entry.changes.map((change) => sprintf(
+                /* translators: 1: setting name, 2: previous value, 3: new value */
+                __('%1$s: %2$s → %3$s', 'flux-media-optimizer'),
+                fields?.[change.key]?.label || change.key,
+                formatSettingValue(change.previous),
+                formatSettingValue(change.next)
+              )).join(', ')}
+              secondary={entry.savedAt.toLocaleTimeString()}
+              sx={{ pr: 12 }}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+};
+
+export default SettingsHistoryCard;
@@ -0,0 +1,58 @@
+import React, { useRef } from 'react';
+import { Box, Typography, Button, Stack, Alert } from '@mui/material';
+import { FileDownload, FileUpload, RestartAlt } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Dumb component for settings export, import and reset
+ */
+const SettingsToolsCard = ({ busy, error, onExport, onImportFile, onReset }) => {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    if (file) {
+      onImportFile(file);
+    }
+    // Allow selecting the same file again
+    event.target.value = '';
+  };
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        {__('Import & Export', 'flux-media-optimizer')}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {__('Copy your settings to another site, or restore the defaults. The license key is never exported or reset.', 'flux-media-optimizer')}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      <Stack direction="row" spacing={2} sx={{ flexWrap: 'wrap' }}>
+        <Button variant="outlined" startIcon={<FileDownload />} onClick={onExport} disabled={busy}>
+          {__('Export Settings', 'flux-media-optimizer')}
+        </Button>
+        <Button variant="outlined" startIcon={<FileUpload />} onClick={() => fileInputRef.current?.click()} disabled={busy}>
+          {__('Import Settings', 'flux-media-optimizer')}
+        </Button>
+        <Button variant="outlined" color="error" startIcon={<RestartAlt />} onClick={onReset} disabled={busy}>
+          {__('Reset to Defaults', 'flux-media-optimizer')}
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={handleFileChange}
+        />
+      </Stack>
+    </Box>
+  );
+};
+
+export default SettingsToolsCard;
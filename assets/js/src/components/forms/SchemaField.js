@@ -0,0 +1,164 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Switch,
+  FormControlLabel,
+  FormHelperText,
+  TextField,
+  Slider,
+  MenuItem,
+  Stack,
+} from '@mui/material';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Dumb component that renders a single setting from its schema definition
+ *
+ * @param {Object} field - Schema field definition
+ * @param {*} value - Current value
+ * @param {boolean} disabled - Whether the whole field is disabled
+ * @param {Function} isOptionDisabled - Returns true for list options that cannot be enabled
+ * @param {string|null} error - Validation error to display
+ * @param {Function} onChange - Called with the new value
+ */
+const SchemaField = ({ field, value, disabled, isOptionDisabled = () => false, error, onChange }) => {
+  const helperText = error || field.description;
+
+  switch (field.control) {
+    case 'switch':
+      return (
+        <Box>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={!!value}
+                disabled={disabled}
+                onChange={(event) => onChange(event.target.checked)}
+              />
+            }
+            label={field.label}
+          />
+          {helperText && <FormHelperText error={!!error}>{helperText}</FormHelperText>}
+        </Box>
+      );
+
+    case 'slider':
+      return (
+        <Box sx={{ opacity: disabled ? 0.5 : 1 }}>
+          <Typography variant="subtitle1" gutterBottom>
+            {field.label}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {__('Current:', 'flux-media-optimizer')} {value}{field.unit || ''}
+            {field.description && ` (${field.description})`}
+          </Typography>
+          <Slider
+            value={Number.isInteger(value) ? value : field.default}
+            min={field.min}
+            max={field.max}
+            step={1}
+            marks={[
+              { value: field.min, label: String(field.min) },
+              { value: field.max, label: String(field.max) },
+            ]}
+            valueLabelDisplay="auto"
+            disabled={disabled}
+            onChange={(event, newValue) => onChange(newValue)}
+          />
+          {error && <FormHelperText error>{error}</FormHelperText>}
+        </Box>
+      );
+
+    case 'number':
+      return (
+        <TextField
+          fullWidth
+          type="number"
+          size="small"
+          label={field.label}
+          value={value ?? ''}
+          disabled={disabled}
+          error={!!error}
+          helperText={helperText}
+          inputProps={{ min: field.min, max: field.max, step: 1 }}
+          onChange={(event) => {
+            // Keep partial input as typed so validation can flag it
+            const number = Number(event.target.value);
+            onChange(event.target.value !== '' && Number.isInteger(number) ? number : event.target.value);
+          }}
+          sx={{ maxWidth: 400 }}
+        />
+      );
+
+    case 'select':
+      return (
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label={field.label}
+          value={value ?? ''}
+          disabled={disabled}
+          error={!!error}
+          helperText={helperText}
+          onChange={(event) => onChange(event.target.value)}
+          sx={{ maxWidth: 400 }}
+        >
+          {(field.options || []).map((option) => (
+            <MenuItem key={option} value={option}>
+              {field.option_labels?.[option] || option}
+            </MenuItem>
+          ))}
+        </TextField>
+      );
+
+    case 'checkboxes': {
+      const selected = Array.isArray(value) ? value : [];
+
+      return (
+        <Box>
+          <Stack spacing={1}>
+            {(field.whitelist || []).map((option) => (
+              <FormControlLabel
+                key={option}
+                control={
+                  <Switch
+                    checked={selected.includes(option)}
+                    disabled={disabled || isOptionDisabled(option)}
+                    onChange={(event) => onChange(
+                      event.target.checked
+                        ? [...selected.filter((item) => item !== option), option]
+                        : selected.filter((item) => item !== option)
+                    )}
+                  />
+                }
+                label={field.option_labels?.[option] || option.toUpperCase()}
+              />
+            ))}
+          </Stack>
+          {helperText && <FormHelperText error={!!error}>{helperText}</FormHelperText>}
+        </Box>
+      );
+    }
+
+    default:
+      return (
+        <TextField
+          fullWidth
+          size="small"
+          variant="outlined"
+          label={field.label}
+          placeholder={field.placeholder}
+          value={value ?? ''}
+          disabled={disabled}
+          error={!!error}
+          helperText={helperText}
+          onChange={(event) => onChange(event.target.value)}
+          sx={{ maxWidth: 400 }}
+        />
+      );
+  }
+};
+
+export default SchemaField;
@@ -3,15 +3,32 @@ export { default as LoadingSpinner } from './common/LoadingSpinner';
 export { default as ErrorBoundary } from './common/ErrorBoundary';
 export { default as FluxMediaIcon } from './common/FluxMediaIcon';
 export { default as SettingsSkeleton } from './common/SettingsSkeleton';
+export { default as SaveStatusIndicator } from './common/SaveStatusIndicator';
+export { default as OfflineBanner } from './common/OfflineBanner';
 
 // Feature components
 export { default as ImageStatusCard } from './features/ImageStatusCard';
 export { default as VideoStatusCard } from './features/VideoStatusCard';
 export { default as PHPConfigurationCard } from './features/PHPConfigurationCard';
 export { default as ConversionStatusCard } from './features/ConversionStatusCard';
+export { default as BulkConversionCard } from './features/BulkConversionCard';
+export { default as AttachmentHistoryDrawer } from './features/AttachmentHistoryDrawer';
+export { default as SavingsChart } from './features/SavingsChart';
+export { default as SettingsToolsCard } from './features/SettingsToolsCard';
+export { default as ImportPreviewDialog } from './features/ImportPreviewDialog';
+export { default as LogEntryRow } from './features/LogEntryRow';
+export { default as JsonTree } from './features/JsonTree';
+export { default as LogRetentionCard } from './features/LogRetentionCard';
+export { default as ImageComparisonDialog } from './features/ImageComparisonDialog';
+export { default as QualityPreviewCard } from './features/QualityPreviewCard';
+export { default as QualityPresetsCard } from './features/QualityPresetsCard';
+export { default as ConversionRuleCard } from './features/ConversionRuleCard';
+export { default as SettingsHistoryCard } from './features/SettingsHistoryCard';
+export { default as SettingsConflictDialog } from './features/SettingsConflictDialog';
 
 // Form components
 export { default as SubscribeForm } from './forms/SubscribeForm';
+export { default as SchemaField } from './forms/SchemaField';
 
 // Page components
 export { default as LogsPage } from './pages/LogsPage';
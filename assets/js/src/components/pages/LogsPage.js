@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Typography,
   Box,
@@ -10,6 +10,7 @@ import {
   TableRow,
   Paper,
   Chip,
+  Stack,
   TextField,
   Select,
   MenuItem,
@@ -24,30 +25,111 @@ import {
   Switch,
   FormControlLabel,
   Divider,
+  Menu,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
 } from '@mui/material';
 import {
   Refresh,
   Search,
   FilterList,
+  FileDownload,
 } from '@mui/icons-material';
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 import { useQuery } from '@tanstack/react-query';
 import { apiService } from '@flux-media-optimizer/services/api';
 import { useAutoSaveForm } from '@flux-media-optimizer/hooks/useAutoSaveForm';
+import { useUrlState } from '@flux-media-optimizer/hooks/useUrlState';
+import { useLogStream, useMarkLogsSeen } from '@flux-media-optimizer/hooks/useLogs';
+import { useOptionsSchema } from '@flux-media-optimizer/hooks/useOptions';
+import { useCleanupOldRecords } from '@flux-media-optimizer/hooks/useCleanup';
+import { validateSetting, groupSchemaFields } from '@flux-media-optimizer/utils/settingsSchema';
+import LogEntryRow from '@flux-media-optimizer/components/features/LogEntryRow';
+import LogRetentionCard from '@flux-media-optimizer/components/features/LogRetentionCard';
+
+// Distance from the bottom, in pixels, within which the live view keeps following
+const FOLLOW_THRESHOLD = 40;
+
+const LEVELS = [
+  { value: 'DEBUG', label: __('Debug', 'flux-media-optimizer') },
+  { value: 'INFO', label: __('Info', 'flux-media-optimizer') },
+  { value: 'NOTICE', label: __('Notice', 'flux-media-optimizer') },
+  { value: 'WARNING', label: __('Warning', 'flux-media-optimizer') },
+  { value: 'ERROR', label: __('Error', 'flux-media-optimizer') },
+  { value: 'CRITICAL', label: __('Critical', 'flux-media-optimizer') },
+  { value: 'ALERT', label: __('Alert', 'flux-media-optimizer') },
+  { value: 'EMERGENCY', label: __('Emergency', 'flux-media-optimizer') },
+];
+
+const PER_PAGE_OPTIONS = [10, 20, 50, 100];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// View state kept in the URL so a filtered view can be shared
+const URL_STATE_DEFAULTS = {
+  page: 1,
+  per_page: 20,
+  level: '',
+  search: '',
+  date_from: '',
+  date_to: '',
+  attachment_id: 0,
+  live: false,
+};
+
+// Drop invalid values from shared or hand-edited links
+const URL_STATE_PARSERS = {
+  page: (value) => (value > 0 ? value : undefined),
+  per_page: (value) => (PER_PAGE_OPTIONS.includes(value) ? value : undefined),
+  level: (value) => (LEVELS.some((item) => item.value === value) ? value : undefined),
+  date_from: (value) => (DATE_PATTERN.test(value) ? value : undefined),
+  date_to: (value) => (DATE_PATTERN.test(value) ? value : undefined),
+  attachment_id: (value) => (value > 0 ? value : undefined),
+};
 
 /**
  * Logs page component with pagination and filtering
  */
 const LogsPage = () => {
-  const [page, setPage] = useState(1);
-  const [perPage, setPerPage] = useState(20);
-  const [level, setLevel] = useState('');
-  const [search, setSearch] = useState('');
+  const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, URL_STATE_PARSERS);
+  const { page, per_page: perPage, live } = urlState;
+  const filters = {
+    level: urlState.level,
+    search: urlState.search,
+    date_from: urlState.date_from,
+    date_to: urlState.date_to,
+    attachment_id: urlState.attachment_id || '',
+  };
+  const hasFilters = Object.values(filters).some(Boolean);
+
   const [enableLogging, setEnableLogging] = useState(false);
   const [error, setError] = useState(null);
+  const [follow, setFollow] = useState(true);
+  const liveContainerRef = useRef(null);
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
 
   // Auto-save hook for logging setting
-  const { debouncedSave } = useAutoSaveForm('logs', { enable_logging: enableLogging });
+  const { debouncedSave } = useAutoSaveForm('logs', { enable_logging: enableLogging }, null, 1000, {
+    onRestore: (values) => setEnableLogging(!!values.enable_logging),
+  });
+
+  // Log retention settings, rendered from the settings schema
+  const [retention, setRetention] = useState({});
+  const [retentionErrors, setRetentionErrors] = useState({});
+  const { data: schema } = useOptionsSchema();
+  const retentionGroup = groupSchemaFields(schema, 'logs').find((group) => group.id === 'log_retention');
+  const { debouncedSave: saveRetention } = useAutoSaveForm('logRetention', retention, null, 1000, {
+    onRestore: (values) => setRetention(prev => ({ ...prev, ...values })),
+    onFieldErrors: (errors) => setRetentionErrors(prev => ({ ...prev, ...errors })),
+  });
+
+  // Purge uses a dry run first so the confirmation can show what will be deleted
+  const cleanupOldRecords = useCleanupOldRecords();
+  const [purgePreview, setPurgePreview] = useState(null);
+  const [purgeResult, setPurgeResult] = useState(null);
 
   // Load initial logging setting
   useEffect(() => {
@@ -56,6 +138,10 @@ const LogsPage = () => {
         const response = await apiService.getOptions();
         if (response && typeof response === 'object') {
           setEnableLogging(response.enable_logging || false);
+          setRetention({
+            log_retention_days: response.log_retention_days,
+            log_retention_max_rows: response.log_retention_max_rows,
+          });
         }
       } catch (err) {
         console.error('Failed to load logging setting:', err);
@@ -73,12 +159,55 @@ const LogsPage = () => {
     error: logsError,
     refetch,
   } = useQuery({
-    queryKey: ['logs', page, perPage, level, search],
-    queryFn: () => apiService.getLogs({ page, per_page: perPage, level, search }),
+    queryKey: ['logs', page, perPage, filters],
+    queryFn: () => apiService.getLogs({ ...filters, page, per_page: perPage }),
     keepPreviousData: true,
     enabled: enableLogging, // Only fetch when logging is enabled
   });
 
+  // Stream entries newer than the loaded snapshot while live mode is on
+  const stream = useLogStream({
+    enabled: enableLogging && live && !!logsData,
+    startAfterId: logsData?.latest_id || 0,
+    filters,
+  });
+
+  // In live mode show the snapshot oldest first with streamed entries appended
+  const snapshot = logsData?.data || [];
+  const snapshotLastId = snapshot.reduce((max, log) => Math.max(max, Number(log.id)), 0);
+  const visibleLogs = live
+    ? [...snapshot].reverse().concat(stream.entries.filter((log) => Number(log.id) > snapshotLastId))
+    : snapshot;
+
+  // Mark everything displayed as seen for the Logs tab badge
+  const markLogsSeen = useMarkLogsSeen();
+  const lastStreamedId = stream.entries.length ? Number(stream.entries[stream.entries.length - 1].id) : 0;
+  useEffect(() => {
+    markLogsSeen(Math.max(Number(logsData?.latest_id) || 0, lastStreamedId));
+  }, [logsData?.latest_id, lastStreamedId, markLogsSeen]);
+
+  // Keep the newest entry in view while following
+  useEffect(() => {
+    if (live && follow && liveContainerRef.current) {
+      liveContainerRef.current.scrollTop = liveContainerRef.current.scrollHeight;
+    }
+  }, [live, follow, visibleLogs.length]);
+
+  const handleLiveToggle = (event) => {
+    const newValue = event.target.checked;
+    setFollow(true);
+    // Stream from the newest entries so the snapshot and the stream line up
+    setUrlState(newValue ? { live: true, page: 1 } : { live: false });
+  };
+
+  const handleLiveScroll = (event) => {
+    const { scrollTop, scrollHeight, clientHeight } = event.currentTarget;
+    const atBottom = scrollHeight - scrollTop - clientHeight < FOLLOW_THRESHOLD;
+    if (atBottom !== follow) {
+      setFollow(atBottom);
+    }
+  };
+
   const handleLoggingToggle = (event) => {
     const newValue = event.target.checked;
     setEnableLogging(newValue);
@@ -88,49 +217,74 @@ const LogsPage = () => {
     debouncedSave({ enable_logging: newValue });
   };
 
-  const handlePageChange = (event, newPage) => {
-    setPage(newPage);
+  const handleRetentionChange = (key) => (value) => {
+    setRetention(prev => ({
+      ...prev,
+      [key]: value,
+    }));
+
+    const fieldError = validateSetting(schema?.fields?.[key], value);
+    setRetentionErrors(prev => ({
+      ...prev,
+      [key]: fieldError,
+    }));
+    if (!fieldError) {
+      saveRetention({ [key]: value });
+    }
   };
 
-  const handlePerPageChange = (event) => {
-    setPerPage(event.target.value);
-    setPage(1); // Reset to first page when changing per page
+  // Purge with the limits shown in the form, even if they are still being saved
+  const getPurgeLimits = () => ({
+    days: retention.log_retention_days,
+    max_rows: retention.log_retention_max_rows,
+  });
+
+  const handlePurgePreview = () => {
+    setPurgeResult(null);
+    cleanupOldRecords.mutate({ ...getPurgeLimits(), dry_run: true }, {
+      onSuccess: (preview) => setPurgePreview(preview),
+    });
   };
 
-  const handleLevelChange = (event) => {
-    setLevel(event.target.value);
-    setPage(1); // Reset to first page when filtering
+  const handleConfirmPurge = () => {
+    cleanupOldRecords.mutate(getPurgeLimits(), {
+      onSuccess: (result) => {
+        setPurgePreview(null);
+        setPurgeResult(result);
+      },
+    });
   };
 
-  const handleSearchChange = (event) => {
-    setSearch(event.target.value);
-    setPage(1); // Reset to first page when searching
+  const handlePageChange = (event, newPage) => {
+    setUrlState({ page: newPage });
   };
 
-  const handleRefresh = () => {
-    refetch();
+  const handlePerPageChange = (event) => {
+    setUrlState({ per_page: event.target.value, page: 1 });
   };
 
-  const getLevelColor = (level) => {
-    switch (level) {
-      case 'ERROR':
-      case 'CRITICAL':
-        return 'error';
-      case 'WARNING':
-        return 'warning';
-      default:
-        return 'default';
-    }
+  // Filter changes go back to the first page; typing replaces the history entry
+  const handleFilterChange = (key) => (event) => {
+    setUrlState({ [key]: event.target.value, page: 1 }, { replace: key === 'search' || key === 'attachment_id' });
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleString();
+  const handleClearFilters = () => {
+    setUrlState({ level: '', search: '', date_from: '', date_to: '', attachment_id: 0, page: 1 });
+  };
+
+  const handleExport = (format) => {
+    setExportMenuAnchor(null);
+
+    // Let the browser download the streamed file for the current filters
+    const link = document.createElement('a');
+    link.href = apiService.getLogsExportUrl({ ...filters, format });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
   };
 
-  const formatContext = (context) => {
-    if (!context) return '';
-    if (typeof context === 'string') return context;
-    return JSON.stringify(context, null, 2);
+  const handleRefresh = () => {
+    refetch();
   };
 
   if (error) {
@@ -180,6 +334,20 @@ const LogsPage = () => {
         </Grid>
       </Box>
 
+      {/* Log Retention */}
+      {retentionGroup && (
+        <LogRetentionCard
+          group={retentionGroup}
+          values={retention}
+          errors={retentionErrors}
+          onChange={handleRetentionChange}
+          onPurge={handlePurgePreview}
+          busy={cleanupOldRecords.isPending || Object.values(retentionErrors).some(Boolean)}
+          result={purgeResult}
+          error={purgePreview ? null : cleanupOldRecords.error}
+        />
+      )}
+
       {/* Show message when logging is disabled */}
       {!enableLogging && (
         <Alert severity="info" sx={{ mb: 3 }}>
@@ -199,14 +367,71 @@ const LogsPage = () => {
               </Typography>
             </Grid>
             <Grid item>
-              <Tooltip title={__('Refresh logs', 'flux-media-optimizer')}>
-                <IconButton onClick={handleRefresh} disabled={isLoading}>
-                  <Refresh />
-                </IconButton>
-              </Tooltip>
+              <Stack direction="row" spacing={1} alignItems="center">
+                {live && (
+                  <Chip
+                    label={__('Live', 'flux-media-optimizer')}
+                    color="success"
+                    size="small"
+                    variant={stream.isFetching ? 'filled' : 'outlined'}
+                  />
+                )}
+                {live && (
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={follow}
+                        onChange={(event) => setFollow(event.target.checked)}
+                        size="small"
+                      />
+                    }
+                    label={__('Follow', 'flux-media-optimizer')}
+                  />
+                )}
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={live}
+                      onChange={handleLiveToggle}
+                      size="small"
+                    />
+                  }
+                  label={__('Live', 'flux-media-optimizer')}
+                />
+                <Tooltip title={__('Export logs', 'flux-media-optimizer')}>
+                  <IconButton onClick={(event) => setExportMenuAnchor(event.currentTarget)}>
+                    <FileDownload />
+                  </IconButton>
+                </Tooltip>
+                <Menu
+                  anchorEl={exportMenuAnchor}
+                  open={!!exportMenuAnchor}
+                  onClose={() => setExportMenuAnchor(null)}
+                >
+                  <MenuItem onClick={() => handleExport('csv')}>
+                    {__('Export as CSV', 'flux-media-optimizer')}
+                  </MenuItem>
+                  <MenuItem onClick={() => handleExport('ndjson')}>
+                    {__('Export as JSON Lines', 'flux-media-optimizer')}
+                  </MenuItem>
+                </Menu>
+                <Tooltip title={__('Refresh logs', 'flux-media-optimizer')}>
+                  <span>
+                    <IconButton onClick={handleRefresh} disabled={isLoading || live}>
+                      <Refresh />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Stack>
             </Grid>
           </Grid>
 
+          {stream.error && (
+            <Alert severity="warning" sx={{ mb: 3 }}>
+              {__('Live updates paused:', 'flux-media-optimizer')} {stream.error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+            </Alert>
+          )}
+
           {logsError && (
             <Alert severity="error" sx={{ mb: 3 }}>
               {__('Error loading logs:', 'flux-media-optimizer')} {logsError?.message || __('Unknown error occurred', 'flux-media-optimizer')}
@@ -214,35 +439,70 @@ const LogsPage = () => {
           )}
 
       {/* Filters */}
-      <Grid container spacing={2} sx={{ mb: 3 }}>
-        <Grid item xs={12} sm={6} md={3}>
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 3 }}>
+        <Grid item xs={12} sm={6} md={4} lg={2}>
           <TextField
             fullWidth
             label={__('Search logs', 'flux-media-optimizer')}
-            value={search}
-            onChange={handleSearchChange}
+            value={filters.search}
+            onChange={handleFilterChange('search')}
             InputProps={{
               startAdornment: <Search sx={{ mr: 1, color: 'text.secondary' }} />,
             }}
             size="small"
           />
         </Grid>
-        <Grid item xs={12} sm={6} md={3}>
+        <Grid item xs={12} sm={6} md={4} lg={2}>
           <FormControl fullWidth size="small">
             <InputLabel>{__('Log Level', 'flux-media-optimizer')}</InputLabel>
             <Select
-              value={level}
-              onChange={handleLevelChange}
+              value={filters.level}
+              onChange={handleFilterChange('level')}
               label={__('Log Level', 'flux-media-optimizer')}
             >
               <MenuItem value="">{__('All Levels', 'flux-media-optimizer')}</MenuItem>
-              <MenuItem value="ERROR">{__('Error', 'flux-media-optimizer')}</MenuItem>
-              <MenuItem value="WARNING">{__('Warning', 'flux-media-optimizer')}</MenuItem>
-              <MenuItem value="CRITICAL">{__('Critical', 'flux-media-optimizer')}</MenuItem>
+              {LEVELS.map((item) => (
+                <MenuItem key={item.value} value={item.value}>{item.label}</MenuItem>
+              ))}
             </Select>
           </FormControl>
         </Grid>
-        <Grid item xs={12} sm={6} md={3}>
+        <Grid item xs={12} sm={6} md={4} lg={2}>
+          <TextField
+            fullWidth
+            type="date"
+            label={__('From', 'flux-media-optimizer')}
+            value={filters.date_from}
+            onChange={handleFilterChange('date_from')}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: filters.date_to || undefined }}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={4} lg={2}>
+          <TextField
+            fullWidth
+            type="date"
+            label={__('To', 'flux-media-optimizer')}
+            value={filters.date_to}
+            onChange={handleFilterChange('date_to')}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: filters.date_from || undefined }}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={4} lg={2}>
+          <TextField
+            fullWidth
+            type="number"
+            label={__('Attachment ID', 'flux-media-optimizer')}
+            value={filters.attachment_id}
+            onChange={handleFilterChange('attachment_id')}
+            inputProps={{ min: 1 }}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={4} lg={2}>
           <FormControl fullWidth size="small">
             <InputLabel>{__('Per Page', 'flux-media-optimizer')}</InputLabel>
             <Select
@@ -250,20 +510,32 @@ const LogsPage = () => {
               onChange={handlePerPageChange}
               label={__('Per Page', 'flux-media-optimizer')}
             >
-              <MenuItem value={10}>10</MenuItem>
-              <MenuItem value={20}>20</MenuItem>
-              <MenuItem value={50}>50</MenuItem>
-              <MenuItem value={100}>100</MenuItem>
+              {PER_PAGE_OPTIONS.map((option) => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
             </Select>
           </FormControl>
         </Grid>
+        {hasFilters && (
+          <Grid item xs={12}>
+            <Button size="small" startIcon={<FilterList />} onClick={handleClearFilters}>
+              {__('Clear filters', 'flux-media-optimizer')}
+            </Button>
+          </Grid>
+        )}
       </Grid>
 
       {/* Logs Table */}
-      <TableContainer component={Paper}>
-        <Table>
+      <TableContainer
+        component={Paper}
+        ref={liveContainerRef}
+        onScroll={live ? handleLiveScroll : undefined}
+        sx={live ? { maxHeight: 600 } : undefined}
+      >
+        <Table stickyHeader={live}>
           <TableHead>
             <TableRow>
+              <TableCell padding="checkbox" />
               <TableCell>{__('Level', 'flux-media-optimizer')}</TableCell>
               <TableCell>{__('Message', 'flux-media-optimizer')}</TableCell>
               <TableCell>{__('Context', 'flux-media-optimizer')}</TableCell>
@@ -275,6 +547,7 @@ const LogsPage = () => {
               // Loading skeleton
               Array.from({ length: perPage }).map((_, index) => (
                 <TableRow key={index}>
+                  <TableCell padding="checkbox" />
                   <TableCell>
                     <Skeleton variant="rectangular" width={60} height={24} sx={{ borderRadius: 1 }} />
                   </TableCell>
@@ -289,51 +562,13 @@ const LogsPage = () => {
                   </TableCell>
                 </TableRow>
               ))
-            ) : logsData?.data?.length > 0 ? (
-              logsData.data.map((log) => (
-                <TableRow key={log.id} hover>
-                  <TableCell>
-                    <Chip
-                      label={log.level}
-                      color={getLevelColor(log.level)}
-                      size="small"
-                    />
-                  </TableCell>
-                  <TableCell>
-                    <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
-                      {log.message}
-                    </Typography>
-                  </TableCell>
-                  <TableCell>
-                    {log.context && (
-                      <Typography
-                        variant="caption"
-                        sx={{
-                          fontFamily: 'monospace',
-                          fontSize: '0.75rem',
-                          wordBreak: 'break-all',
-                          display: 'block',
-                          maxWidth: 200,
-                          overflow: 'hidden',
-                          textOverflow: 'ellipsis',
-                          whiteSpace: 'nowrap',
-                        }}
-                        title={formatContext(log.context)}
-                      >
-                        {formatContext(log.context)}
-                      </Typography>
-                    )}
-                  </TableCell>
-                  <TableCell>
-                    <Typography variant="body2" color="text.secondary">
-                      {formatDate(log.created_at)}
-                    </Typography>
-                  </TableCell>
-                </TableRow>
+            ) : visibleLogs.length > 0 ? (
+              visibleLogs.map((log) => (
+                <LogEntryRow key={log.id} log={log} />
               ))
             ) : (
               <TableRow>
-                <TableCell colSpan={4} align="center">
+                <TableCell colSpan={5} align="center">
                   <Typography variant="body2" color="text.secondary">
                     {__('No logs found', 'flux-media-optimizer')}
                   </Typography>
@@ -345,7 +580,7 @@ const LogsPage = () => {
       </TableContainer>
 
       {/* Pagination */}
-      {logsData?.data && logsData.total_pages > 1 && (
+      {!live && logsData?.data && logsData.total_pages > 1 && (
         <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
           <Pagination
             count={logsData.total_pages}
@@ -359,7 +594,7 @@ const LogsPage = () => {
       )}
 
           {/* Pagination Info */}
-          {logsData?.data && (
+          {!live && logsData?.data && (
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
               <Typography variant="body2" color="text.secondary">
                 {__('Showing', 'flux-media-optimizer')} {((page - 1) * perPage) + 1} - {Math.min(page * perPage, logsData.total)} {__('of', 'flux-media-optimizer')} {logsData.total} {__('logs', 'flux-media-optimizer')}
@@ -368,6 +603,49 @@ const LogsPage = () => {
           )}
         </>
       )}
+
+      <Dialog open={!!purgePreview} onClose={() => setPurgePreview(null)}>
+        <DialogTitle>{__('Purge Logs', 'flux-media-optimizer')}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {purgePreview?.logs_deleted > 0
+              ? sprintf(
+                /* translators: 1: entries older than the age limit, 2: entries over the row limit */
+                __('%1$d log entries are older than the age limit and %2$d are over the row limit. They will be permanently deleted.', 'flux-media-optimizer'),
+                purgePreview.logs_deleted_by_age,
+                purgePreview.logs_deleted_by_rows
+              )
+              : __('No log entries are beyond the retention limits.', 'flux-media-optimizer')}
+          </DialogContentText>
+          {purgePreview?.conversions_deleted > 0 && (
+            <DialogContentText sx={{ mt: 1 }}>
+              {sprintf(
+                /* translators: %d: number of orphaned conversion records */
+                __('%d conversion records for deleted attachments will also be removed.', 'flux-media-optimizer'),
+                purgePreview.conversions_deleted
+              )}
+            </DialogContentText>
+          )}
+          {cleanupOldRecords.error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {cleanupOldRecords.error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPurgePreview(null)} disabled={cleanupOldRecords.isPending}>
+            {__('Cancel', 'flux-media-optimizer')}
+          </Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleConfirmPurge}
+            disabled={cleanupOldRecords.isPending || (!purgePreview?.logs_deleted && !purgePreview?.conversions_deleted)}
+          >
+            {__('Purge', 'flux-media-optimizer')}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -1,17 +1,26 @@
-import React, { createContext, useContext, useCallback, useState } from 'react';
-import { CircularProgress, Snackbar, Alert } from '@mui/material';
+import React, { createContext, useContext, useCallback, useEffect, useRef, useState } from 'react';
+import { CircularProgress, Snackbar, Alert, Button } from '@mui/material';
 import { __ } from '@wordpress/i18n';
 
 /**
  * Auto-save context for managing save states across the application
- * 
+ *
  * @since 0.1.0
  */
 const AutoSaveContext = createContext();
 
+// Number of saved changes kept in the session history
+const HISTORY_LIMIT = 20;
+
+const IDLE_STATE = { status: 'idle', error: null, fieldErrors: null };
 
 /**
  * Auto-save provider component
+ *
+ * Tracks a save state per form key ('pending' while a debounced save waits,
+ * 'saving', 'saved' or 'error'), warns before leaving the page while saves
+ * are pending, and keeps a session history of saved changes that can be
+ * undone one at a time.
  */
 export const AutoSaveProvider = ({ children }) => {
   const [snackbar, setSnackbar] = useState({
@@ -19,41 +28,127 @@ export const AutoSaveProvider = ({ children }) => {
     message: '',
     severity: 'info',
   });
+  const [saveStates, setSaveStates] = useState({});
+  const [history, setHistory] = useState([]);
+  const [undoingId, setUndoingId] = useState(null);
+  const historyIdRef = useRef(0);
+
+  const setSaveState = useCallback((key, state) => {
+    setSaveStates(prev => ({
+      ...prev,
+      [key]: { ...IDLE_STATE, ...state },
+    }));
+  }, []);
+
+  const markPending = useCallback((key) => {
+    setSaveState(key, { status: 'pending' });
+  }, [setSaveState]);
 
   const startSave = useCallback((key) => {
+    setSaveState(key, { status: 'saving' });
     setSnackbar({
       open: true,
       message: __('Saving...', 'flux-media-optimizer'),
       severity: 'info',
       showSpinner: true,
     });
-  }, []);
+  }, [setSaveState]);
+
+  /**
+   * Mark a save as successful.
+   *
+   * `change` adds the save to the session history: `changes` lists each
+   * setting with its `previous` and `next` value, and `undo` restores the
+   * previous values and resolves to true once they are saved.
+   */
+  const markSaveSuccess = useCallback((key, change = null) => {
+    setSaveState(key, { status: 'saved' });
+
+    let historyId = null;
+    if (change) {
+      historyIdRef.current += 1;
+      historyId = historyIdRef.current;
+      setHistory(prev => [
+        { id: historyId, saveKey: key, savedAt: new Date(), ...change },
+        ...prev,
+      ].slice(0, HISTORY_LIMIT));
+    }
 
-  const markSaveSuccess = useCallback((key) => {
     setSnackbar({
       open: true,
       message: __('Settings saved successfully', 'flux-media-optimizer'),
       severity: 'success',
       showSpinner: false,
+      historyId,
     });
-  }, []);
+  }, [setSaveState]);
 
-  const markSaveError = useCallback((key, error) => {
+  // `fieldErrors` holds the server's validation messages keyed by setting
+  const markSaveError = useCallback((key, error, fieldErrors = null) => {
+    setSaveState(key, { status: 'error', error, fieldErrors });
     setSnackbar({
       open: true,
       message: error || __('Failed to save settings', 'flux-media-optimizer'),
       severity: 'error',
       showSpinner: false,
     });
-  }, []);
+  }, [setSaveState]);
 
+  // Return a key to idle, e.g. after its form was reloaded from the server
   const resetSaveState = useCallback((key) => {
-    // No-op for simplified version
+    setSaveStates(prev => {
+      const { [key]: removed, ...rest } = prev;
+      return rest;
+    });
   }, []);
 
+  // Forget a key entirely, including its history entries
   const clearSaveState = useCallback((key) => {
-    // No-op for simplified version
-  }, []);
+    resetSaveState(key);
+    setHistory(prev => prev.filter((entry) => entry.saveKey !== key));
+  }, [resetSaveState]);
+
+  const getSaveState = useCallback((key) => saveStates[key] || IDLE_STATE, [saveStates]);
+
+  const undoChange = useCallback(async (id) => {
+    const entry = history.find((item) => item.id === id);
+    if (!entry || undoingId) {
+      return;
+    }
+
+    setUndoingId(id);
+    try {
+      const undone = await entry.undo();
+      if (undone) {
+        setHistory(prev => prev.filter((item) => item.id !== id));
+        setSnackbar({
+          open: true,
+          message: __('Change undone', 'flux-media-optimizer'),
+          severity: 'success',
+          showSpinner: false,
+        });
+      }
+    } finally {
+      setUndoingId(null);
+    }
+  }, [history, undoingId]);
+
+  const hasPendingSaves = Object.values(saveStates).some((state) => ['pending', 'saving'].includes(state.status));
+
+  // Ask for confirmation before leaving the page while changes are not saved yet
+  useEffect(() => {
+    if (!hasPendingSaves) {
+      return undefined;
+    }
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasPendingSaves]);
 
   const handleSnackbarClose = useCallback((event, reason) => {
     if (reason === 'clickaway') {
@@ -62,12 +157,20 @@ export const AutoSaveProvider = ({ children }) => {
     setSnackbar(prev => ({ ...prev, open: false }));
   }, []);
 
+  const canUndoSnackbar = snackbar.historyId && history.some((entry) => entry.id === snackbar.historyId);
+
   const value = {
+    markPending,
     startSave,
     markSaveSuccess,
     markSaveError,
     resetSaveState,
     clearSaveState,
+    getSaveState,
+    hasPendingSaves,
+    history,
+    undoChange,
+    undoingId,
   };
 
   return (
@@ -75,7 +178,7 @@ export const AutoSaveProvider = ({ children }) => {
       {children}
       <Snackbar
         open={snackbar.open}
-        autoHideDuration={snackbar.severity === 'error' ? 6000 : 3000}
+        autoHideDuration={snackbar.severity === 'error' || canUndoSnackbar ? 6000 : 3000}
         onClose={handleSnackbarClose}
         anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
         sx={{ mb: 2, mr: 2 }}
@@ -86,6 +189,11 @@ export const AutoSaveProvider = ({ children }) => {
           variant="filled"
           sx={{ width: '100%' }}
           icon={snackbar.showSpinner ? <CircularProgress size={20} sx={{ color: 'inherit' }} /> : undefined}
+          action={canUndoSnackbar ? (
+            <Button color="inherit" size="small" disabled={!!undoingId} onClick={() => undoChange(snackbar.historyId)}>
+              {__('Undo', 'flux-media-optimizer')}
+            </Button>
+          ) : undefined}
         >
           {snackbar.message}
         </Alert>
@@ -104,4 +212,3 @@ export const useAutoSave = () => {
   }
   return context;
 };
-
@@ -0,0 +1,63 @@
+import React, { createContext, useContext, useCallback, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import SettingsConflictDialog from '@flux-media-optimizer/components/features/SettingsConflictDialog';
+
+/**
+ * Settings conflict context for merging saves that raced with another tab or user
+ *
+ * @since 2.1.0
+ */
+const SettingsConflictContext = createContext();
+
+/**
+ * Settings conflict provider component
+ *
+ * Shows the merge dialog for one conflict at a time; conflicts reported
+ * while the dialog is open wait their turn.
+ */
+export const SettingsConflictProvider = ({ children }) => {
+  const [queue, setQueue] = useState([]);
+  const queryClient = useQueryClient();
+
+  /**
+   * Ask which conflicting settings should keep the local value.
+   *
+   * @param {Array} conflicts - Conflicting settings with `key`, `server` and `local` values
+   * @returns {Promise<Array>} Keys whose local value should be saved
+   */
+  const resolveConflict = useCallback((conflicts) => new Promise((resolve) => {
+    // Labels come from the schema, if a settings page has loaded it
+    const fields = queryClient.getQueryData(['optionsSchema'])?.fields;
+    setQueue(prev => [...prev, { conflicts, fields, resolve }]);
+  }), [queryClient]);
+
+  const current = queue[0];
+
+  const handleResolve = useCallback((keys) => {
+    current?.resolve(keys);
+    setQueue(prev => prev.slice(1));
+  }, [current]);
+
+  return (
+    <SettingsConflictContext.Provider value={{ resolveConflict }}>
+      {children}
+      <SettingsConflictDialog
+        open={Boolean(current)}
+        conflicts={current?.conflicts}
+        fields={current?.fields}
+        onResolve={handleResolve}
+      />
+    </SettingsConflictContext.Provider>
+  );
+};
+
+/**
+ * Hook to use settings conflict context
+ */
+export const useSettingsConflict = () => {
+  const context = useContext(SettingsConflictContext);
+  if (!context) {
+    throw new Error('useSettingsConflict must be used within a SettingsConflictProvider');
+  }
+  return context;
+};
@@ -0,0 +1,152 @@
+import { createElement, Fragment, useState } from '@wordpress/element';
+import { InspectorControls } from '@wordpress/block-editor';
+import { PanelBody, PanelRow, Button, Spinner, Notice } from '@wordpress/components';
+import { useDispatch } from '@wordpress/data';
+import { __, sprintf } from '@wordpress/i18n';
+import { apiService } from '@flux-media-optimizer/services/api';
+import { postAjaxAction } from '@flux-media-optimizer/services/ajax';
+import { formatBytes } from '@flux-media-optimizer/utils/format';
+import { useAttachmentStatus } from '../hooks/useAttachmentStatus';
+
+/**
+ * Inspector panel showing the conversion status of a block's attachment.
+ *
+ * Convert goes through the REST API; disable and enable reuse the same
+ * admin-ajax actions as the media modal field.
+ *
+ * @since 2.1.0
+ * @param {Object} props              Component props.
+ * @param {number} props.attachmentId The attachment ID of the block.
+ */
+const MediaOptimizerPanel = ({ attachmentId }) => {
+  const { attachment, isLoading, error, refresh } = useAttachmentStatus(attachmentId);
+  const [busy, setBusy] = useState(false);
+  const { createSuccessNotice, createErrorNotice } = useDispatch('core/notices');
+
+  const runAction = (request, successMessage, errorMessage) => {
+    setBusy(true);
+
+    return request()
+      .then(() => {
+        createSuccessNotice(successMessage, { type: 'snackbar' });
+        return refresh();
+      })
+      .catch((err) => {
+        console.error(errorMessage, err);
+        createErrorNotice(sprintf(
+          /* translators: 1: action error message, 2: error details */
+          __('%1$s: %2$s', 'flux-media-optimizer'),
+          errorMessage,
+          err?.message || __('Unknown error occurred', 'flux-media-optimizer')
+        ), { type: 'snackbar' });
+      })
+      .finally(() => setBusy(false));
+  };
+
+  const postAction = (action, nonce) => () => (
+    postAjaxAction(action, nonce, { attachment_id: attachmentId }).then((result) => {
+      if (!result.success) {
+        throw new Error(typeof result.data === 'string' ? result.data : __('Unknown error occurred', 'flux-media-optimizer'));
+      }
+      return result.data;
+    })
+  );
+
+  const handleConvert = () => runAction(
+    () => apiService.startConversion(attachmentId),
+    __('Conversion completed successfully!', 'flux-media-optimizer'),
+    __('Conversion failed', 'flux-media-optimizer')
+  );
+
+  const handleDisable = () => runAction(
+    postAction('flux_media_optimizer_disable_conversion', window.fluxMediaAdmin?.disableNonce),
+    __('Conversion disabled successfully!', 'flux-media-optimizer'),
+    __('Failed to disable conversion', 'flux-media-optimizer')
+  );
+
+  const handleEnable = () => runAction(
+    postAction('flux_media_optimizer_enable_conversion', window.fluxMediaAdmin?.enableNonce),
+    __('Conversion enabled successfully!', 'flux-media-optimizer'),
+    __('Failed to enable conversion', 'flux-media-optimizer')
+  );
+
+  const renderStatus = () => {
+    if (isLoading && !attachment) {
+      return <Spinner />;
+    }
+
+    if (error) {
+      return (
+        <Notice status="error" isDismissible={false}>
+          {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Notice>
+      );
+    }
+
+    if (!attachment) {
+      return null;
+    }
+
+    const formats = attachment.converted_formats || [];
+    const stats = attachment.stats || {};
+
+    return (
+      <Fragment>
+        <PanelRow>
+          <span>{__('Formats', 'flux-media-optimizer')}</span>
+          <strong>
+            {formats.length > 0
+              ? formats.map((format) => format.toUpperCase()).join(', ')
+              : __('None', 'flux-media-optimizer')}
+          </strong>
+        </PanelRow>
+        {stats.total_savings_bytes > 0 && (
+          <PanelRow>
+            <span>{__('Savings', 'flux-media-optimizer')}</span>
+            <strong>
+              {sprintf(
+                /* translators: 1: saved size, 2: savings percentage */
+                __('%1$s (%2$s%%)', 'flux-media-optimizer'),
+                formatBytes(stats.total_savings_bytes),
+                stats.savings_percentage
+              )}
+            </strong>
+          </PanelRow>
+        )}
+        {attachment.conversion_disabled && (
+          <Notice status="warning" isDismissible={false}>
+            {__('Conversion is disabled for this attachment.', 'flux-media-optimizer')}
+          </Notice>
+        )}
+        <PanelRow>
+          {!attachment.conversion_disabled && (
+            <Button variant="secondary" onClick={handleConvert} isBusy={busy} disabled={busy}>
+              {formats.length > 0
+                ? __('Reconvert', 'flux-media-optimizer')
+                : __('Convert Now', 'flux-media-optimizer')}
+            </Button>
+          )}
+          {attachment.conversion_disabled ? (
+            <Button variant="secondary" onClick={handleEnable} disabled={busy}>
+              {__('Enable Conversion', 'flux-media-optimizer')}
+            </Button>
+          ) : (
+            <Button variant="tertiary" isDestructive onClick={handleDisable} disabled={busy}>
+              {__('Disable Conversion', 'flux-media-optimizer')}
+            </Button>
+          )}
+        </PanelRow>
+      </Fragment>
+    );
+  };
+
+  return (
+    <InspectorControls>
+      <PanelBody title={__('Flux Media Optimizer', 'flux-media-optimizer')} initialOpen={false}>
+        {renderStatus()}
+      </PanelBody>
+    </InspectorControls>
+  );
+};
+
+export default MediaOptimizerPanel;
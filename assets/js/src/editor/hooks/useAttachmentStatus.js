@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from '@wordpress/element';
+import { apiService } from '@flux-media-optimizer/services/api';
+
+/**
+ * Hook for loading an attachment's conversion status inside the block editor.
+ *
+ * The editor bundle runs on wp.element rather than the admin app's React Query
+ * client, so state is kept locally and refreshed after each action.
+ *
+ * @since 2.1.0
+ * @param {number} attachmentId The attachment ID, if the block has one.
+ * @returns {Object} `{ attachment, isLoading, error, refresh }`
+ */
+export const useAttachmentStatus = (attachmentId) => {
+  const [attachment, setAttachment] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    if (!attachmentId) {
+      setAttachment(null);
+      return Promise.resolve(null);
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    return apiService.getAttachment(attachmentId)
+      .then((data) => {
+        setAttachment(data);
+        return data;
+      })
+      .catch((err) => {
+        console.error('Failed to load attachment status:', err);
+        setError(err);
+        return null;
+      })
+      .finally(() => setIsLoading(false));
+  }, [attachmentId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { attachment, isLoading, error, refresh };
+};
+
+export default useAttachmentStatus;
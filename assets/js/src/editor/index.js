@@ -0,0 +1,35 @@
+/**
+ * Block editor integration for Flux Media Optimizer plugin.
+ *
+ * Adds a conversion status panel to the inspector of media blocks.
+ *
+ * @package FluxMedia
+ * @since 2.1.0
+ */
+
+import { createElement, Fragment } from '@wordpress/element';
+import { addFilter } from '@wordpress/hooks';
+import { createHigherOrderComponent } from '@wordpress/compose';
+import MediaOptimizerPanel from './components/MediaOptimizerPanel';
+
+/**
+ * Blocks that reference a single media attachment via their `id` attribute.
+ */
+const SUPPORTED_BLOCKS = ['core/image', 'core/video', 'core/cover'];
+
+const withMediaOptimizerPanel = createHigherOrderComponent((BlockEdit) => (props) => {
+  const { name, attributes, isSelected } = props;
+
+  if (!SUPPORTED_BLOCKS.includes(name) || !attributes.id || !isSelected) {
+    return <BlockEdit {...props} />;
+  }
+
+  return (
+    <Fragment>
+      <BlockEdit {...props} />
+      <MediaOptimizerPanel attachmentId={attributes.id} />
+    </Fragment>
+  );
+}, 'withMediaOptimizerPanel');
+
+addFilter('editor.BlockEdit', 'flux-media-optimizer/media-panel', withMediaOptimizerPanel);
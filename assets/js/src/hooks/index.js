@@ -1,9 +1,33 @@
 // Custom hooks
 export { useSystemStatus } from './useSystemStatus';
 export { useConversionStats, useRecentConversions } from './useConversionStats';
-export { useOptions, useUpdateOptions } from './useOptions';
-export { useStartConversion, useCancelConversion, useBulkConvert, useDeleteConvertedFile } from './useConversions';
-export { useLogs } from './useLogs';
+export {
+  useOptions,
+  useOptionsSchema,
+  useUpdateOptions,
+  useExportOptions,
+  usePreviewImportOptions,
+  useImportOptions,
+  useResetOptions,
+  usePreviewQuality,
+  useSettingsAudit,
+  useRevertSettingsAuditEntry,
+} from './useOptions';
+export {
+  useStartConversion,
+  useCancelConversion,
+  useBulkConvert,
+  useBulkConversionJob,
+  usePauseBulkConversion,
+  useResumeBulkConversion,
+  useDeleteConvertedFile,
+  useDisableConversion,
+} from './useConversions';
+export { useLogs, useLogStream, useUnseenLogsCount, useMarkLogsSeen } from './useLogs';
+export { useAttachments, useAttachmentHistory, useAttachmentVariants, useFailedAttachments } from './useAttachments';
 export { useCleanupTempFiles, useCleanupOldRecords } from './useCleanup';
 export { useAutoSaveForm } from './useAutoSaveForm';
+export { useUrlState } from './useUrlState';
+export { useDebouncedValue } from './useDebouncedValue';
+export { useNetworkStatus } from './useNetworkStatus';
 export { useSubscribeNewsletter } from './useUser';
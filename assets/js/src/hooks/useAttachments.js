@@ -0,0 +1,48 @@
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { apiService } from '@flux-media-optimizer/services/api';
+
+/**
+ * React Query hook for fetching attachments with their conversion status
+ */
+export const useAttachments = (params = {}) => {
+  return useQuery({
+    queryKey: ['attachments', params],
+    queryFn: () => apiService.getAttachments(params),
+    placeholderData: keepPreviousData,
+    staleTime: 30 * 1000, // 30 seconds
+  });
+};
+
+/**
+ * React Query hook for fetching the conversion history timeline of one attachment
+ */
+export const useAttachmentHistory = (attachmentId) => {
+  return useQuery({
+    queryKey: ['attachments', attachmentId, 'history'],
+    queryFn: () => apiService.getAttachmentHistory(attachmentId),
+    enabled: !!attachmentId,
+  });
+};
+
+/**
+ * React Query hook for fetching the original and converted versions of one image
+ */
+export const useAttachmentVariants = (attachmentId) => {
+  return useQuery({
+    queryKey: ['attachments', attachmentId, 'variants'],
+    queryFn: () => apiService.getAttachmentVariants(attachmentId),
+    enabled: !!attachmentId,
+  });
+};
+
+/**
+ * React Query hook for fetching attachments whose last conversion failed
+ */
+export const useFailedAttachments = (params = {}) => {
+  return useQuery({
+    queryKey: ['attachments', 'failures', params],
+    queryFn: () => apiService.getFailedAttachments(params),
+    placeholderData: keepPreviousData,
+    staleTime: 30 * 1000, // 30 seconds
+  });
+};
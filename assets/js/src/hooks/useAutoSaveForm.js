@@ -1,21 +1,47 @@
 import { useCallback, useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
 import { useAutoSave } from '@flux-media-optimizer/contexts/AutoSaveContext';
 import { useUpdateOptions } from './useOptions';
 
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
 /**
  * Custom hook for auto-save form functionality
- * 
+ *
+ * Field changes are queued: every change made while the debounce timer runs
+ * is merged into one save, and saves are sent one after the other so a slow
+ * save never overwrites a newer one. Changes that match the last saved value
+ * are left out. Saves that cannot reach the server are paused and retried by
+ * the query client's mutation defaults. When the server rejects some values,
+ * the remaining ones are saved and the rejected keys are reported through
+ * `onFieldErrors`.
+ *
+ * Saved changes are added to the session history of the auto-save context
+ * so they can be undone. Changes still waiting when the form unmounts are
+ * sent right away instead of being dropped.
+ *
  * @param {string} saveKey - Unique key for this form's save state
- * @param {Object} initialData - Initial form data
+ * @param {Object} initialData - Initial form data (unused; changes are compared per key against the saved options)
  * @param {Function} saveFunction - Function to call for saving (optional, defaults to API service)
  * @param {number} debounceMs - Debounce delay in milliseconds (default: 1000)
+ * @param {Object} options - Optional callbacks
+ * @param {Function} options.onRestore - Called with the previous values when a change is undone, to update the form
+ * @param {Function} options.onFieldErrors - Called with the server's validation messages keyed by setting
  * @returns {Object} Auto-save form utilities
  */
-export const useAutoSaveForm = (saveKey, initialData = {}, saveFunction = null, debounceMs = 1000) => {
-  const { startSave, markSaveSuccess, markSaveError, resetSaveState } = useAutoSave();
+export const useAutoSaveForm = (saveKey, initialData = {}, saveFunction = null, debounceMs = 1000, { onRestore = null, onFieldErrors = null } = {}) => {
+  const { markPending, startSave, markSaveSuccess, markSaveError, resetSaveState } = useAutoSave();
+  const queryClient = useQueryClient();
   const updateOptionsMutation = useUpdateOptions();
   const timeoutRef = useRef(null);
-  const lastSavedDataRef = useRef(JSON.stringify(initialData));
+  const batchRef = useRef(null);
+  const queueRef = useRef(Promise.resolve());
+  const savedValuesRef = useRef({});
+  const saveChangesRef = useRef(null);
+  const enqueueRef = useRef(null);
+  const flushRef = useRef(null);
+  const callbacksRef = useRef({ onRestore, onFieldErrors });
+  callbacksRef.current = { onRestore, onFieldErrors };
 
   // Default save function using React Query mutation for options
   const defaultSaveFunction = useCallback(async (options) => {
@@ -24,67 +50,150 @@ export const useAutoSaveForm = (saveKey, initialData = {}, saveFunction = null,
 
   const saveFn = saveFunction || defaultSaveFunction;
 
-  // Auto-save function
-  const autoSave = useCallback(async (options) => {
+  // Values last confirmed by the server, falling back to the loaded options
+  const getSavedValues = useCallback((keys) => {
+    const serverOptions = queryClient.getQueryData(['options']) || {};
+    return Object.fromEntries(keys.map((key) => [
+      key,
+      key in savedValuesRef.current ? savedValuesRef.current[key] : serverOptions[key],
+    ]));
+  }, [queryClient]);
+
+  // Save the changed keys of `options`; resolves to true when all of them were saved
+  const saveChanges = useCallback(async (options, { record = true } = {}) => {
+    const previous = getSavedValues(Object.keys(options));
+    const changed = Object.fromEntries(Object.entries(options)
+      .filter(([key, value]) => !isSameValue(previous[key], value)));
+
+    if (Object.keys(changed).length === 0) {
+      // Only clear the pending state if no newer changes are waiting
+      if (!batchRef.current) {
+        resetSaveState(saveKey);
+      }
+      return true;
+    }
+
     try {
       startSave(saveKey);
-      
-      const response = await saveFn(options);
-      
+
+      const response = await saveFn(changed);
+
       // The API service returns the data directly, so if we get a response object
       // (not an error), it means the save was successful
       if (response && typeof response === 'object') {
-        markSaveSuccess(saveKey);
-        lastSavedDataRef.current = JSON.stringify(options);
-      } else {
-        markSaveError(saveKey, 'Save failed - invalid response');
+        Object.assign(savedValuesRef.current, changed);
+
+        const changes = Object.keys(changed)
+          .map((key) => ({ key, previous: previous[key], next: changed[key] }));
+
+        markSaveSuccess(saveKey, record ? {
+          changes,
+          undo: () => {
+            const values = Object.fromEntries(changes.map((change) => [change.key, change.previous]));
+            callbacksRef.current.onRestore?.(values);
+            return enqueueRef.current(values, { record: false });
+          },
+        } : null);
+        return true;
       }
+
+      markSaveError(saveKey, 'Save failed - invalid response');
     } catch (error) {
+      const fieldErrors = error?.error_code === 'invalid_options' ? error.data?.errors : null;
+
+      if (fieldErrors && Object.keys(fieldErrors).length > 0) {
+        callbacksRef.current.onFieldErrors?.(fieldErrors);
+
+        // Nothing was saved, so send the values the server accepted on their own
+        const valid = Object.fromEntries(Object.entries(changed).filter(([key]) => !(key in fieldErrors)));
+        if (Object.keys(valid).length > 0) {
+          await saveChangesRef.current(valid, { record });
+        }
+        markSaveError(saveKey, error.message || 'Some settings were rejected', fieldErrors);
+        return false;
+      }
+
       console.error('Auto-save error:', error);
       markSaveError(saveKey, error.message || 'An unexpected error occurred');
     }
-  }, [saveKey, saveFn, startSave, markSaveSuccess, markSaveError]);
+    return false;
+  }, [saveKey, getSavedValues, saveFn, startSave, markSaveSuccess, markSaveError, resetSaveState]);
 
-  // Debounced save function
-  const debouncedSave = useCallback((options) => {
-    // Clear existing timeout
+  saveChangesRef.current = saveChanges;
+
+  // Run a save after any save that is still running
+  const enqueue = useCallback((options, saveOptions) => {
+    const run = queueRef.current.then(() => saveChangesRef.current(options, saveOptions));
+    queueRef.current = run;
+    return run;
+  }, []);
+
+  enqueueRef.current = enqueue;
+
+  // Send the changes waiting for the debounce timer
+  const flush = useCallback(() => {
     if (timeoutRef.current) {
       clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
     }
 
-    // Check if options have actually changed
-    const currentOptionsString = JSON.stringify(options);
-    if (currentOptionsString === lastSavedDataRef.current) {
-      return; // No changes, don't save
+    const batch = batchRef.current;
+    if (!batch) {
+      return Promise.resolve(true);
     }
+    batchRef.current = null;
 
-    // Set new timeout
-    timeoutRef.current = setTimeout(() => {
-      autoSave(options);
-    }, debounceMs);
-  }, [autoSave, debounceMs]);
+    enqueue(batch.options).then(batch.resolve);
 
-  // Manual save function (immediate)
-  const manualSave = useCallback(async (options) => {
-    // Clear any pending debounced save
+    return batch.promise;
+  }, [enqueue]);
+
+  flushRef.current = flush;
+
+  // Merge changes into the batch waiting to be saved
+  const queueChanges = useCallback((options) => {
+    if (!batchRef.current) {
+      let resolve;
+      const promise = new Promise((done) => { resolve = done; });
+      batchRef.current = { options: {}, promise, resolve };
+    }
+    Object.assign(batchRef.current.options, options);
+    return batchRef.current;
+  }, []);
+
+  // Debounced save function; changes made before the timer fires are saved together
+  const debouncedSave = useCallback((options) => {
     if (timeoutRef.current) {
       clearTimeout(timeoutRef.current);
     }
 
-    await autoSave(options);
-  }, [autoSave]);
+    queueChanges(options);
+    markPending(saveKey);
+    timeoutRef.current = setTimeout(flush, debounceMs);
+  }, [queueChanges, flush, debounceMs, markPending, saveKey]);
+
+  // Manual save function (immediate); also sends any changes waiting for the timer
+  const manualSave = useCallback(async (options) => {
+    queueChanges(options);
+    return flush();
+  }, [queueChanges, flush]);
 
-  // Reset save state
+  // Drop changes that were not sent yet and reset the save state
   const resetSave = useCallback(() => {
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
+    }
+    batchRef.current?.resolve(false);
+    batchRef.current = null;
     resetSaveState(saveKey);
-    lastSavedDataRef.current = JSON.stringify(initialData);
-  }, [saveKey, resetSaveState, initialData]);
+  }, [saveKey, resetSaveState]);
 
-  // Cleanup on unmount
+  // Send waiting changes on unmount instead of dropping them
   useEffect(() => {
     return () => {
       if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
+        flushRef.current();
       }
     };
   }, []);
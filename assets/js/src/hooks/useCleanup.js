@@ -21,13 +21,16 @@ export const useCleanupTempFiles = () => {
 
 /**
  * React Query hook for cleaning up old records
+ * Pass `{ dry_run: true }` to preview how many records would be deleted
  */
 export const useCleanupOldRecords = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: (days = 30) => apiService.cleanupOldRecords(days),
-    onSuccess: () => {
+    mutationFn: (params = {}) => apiService.cleanupOldRecords(params),
+    onSuccess: (data, params = {}) => {
+      if (params.dry_run) return;
+
       // Invalidate conversion-related queries
       queryClient.invalidateQueries({ queryKey: ['conversions'] });
       queryClient.invalidateQueries({ queryKey: ['logs'] });
@@ -1,5 +1,9 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { apiService } from '@flux-media-optimizer/services/api';
+import { postAjaxAction } from '@flux-media-optimizer/services/ajax';
+
+// Conversion actions queued while offline replay one after the other, in order
+const CONVERSION_MUTATION_SCOPE = { id: 'conversions' };
 
 /**
  * React Query hook for getting conversion statistics
@@ -31,11 +35,13 @@ export const useStartConversion = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
+    scope: CONVERSION_MUTATION_SCOPE,
     mutationFn: ({ attachmentId, format }) => 
       apiService.startConversion(attachmentId, format),
     onSuccess: () => {
       // Invalidate conversion-related queries
       queryClient.invalidateQueries({ queryKey: ['conversions'] });
+      queryClient.invalidateQueries({ queryKey: ['attachments'] });
     },
     onError: (error) => {
       console.error('Failed to start conversion:', error);
@@ -50,6 +56,7 @@ export const useCancelConversion = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
+    scope: CONVERSION_MUTATION_SCOPE,
     mutationFn: (jobId) => apiService.cancelConversion(jobId),
     onSuccess: () => {
       // Invalidate conversion-related queries
@@ -68,6 +75,7 @@ export const useBulkConvert = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
+    scope: CONVERSION_MUTATION_SCOPE,
     mutationFn: (formats) => apiService.bulkConvert(formats),
     onSuccess: () => {
       // Invalidate conversion-related queries
@@ -79,6 +87,54 @@ export const useBulkConvert = () => {
   });
 };
 
+/**
+ * React Query hook for polling the bulk conversion job
+ */
+export const useBulkConversionJob = () => {
+  return useQuery({
+    queryKey: ['conversions', 'bulk'],
+    queryFn: () => apiService.getBulkConversionJob(),
+    // Poll while the job is running so progress, throughput and ETA stay live
+    refetchInterval: (query) => (query.state.data?.job?.status === 'running' ? 3000 : false),
+  });
+};
+
+/**
+ * React Query hook for pausing the bulk conversion job
+ */
+export const usePauseBulkConversion = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    scope: CONVERSION_MUTATION_SCOPE,
+    mutationFn: () => apiService.pauseBulkConversion(),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['conversions', 'bulk'], data);
+    },
+    onError: (error) => {
+      console.error('Failed to pause bulk conversion:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for resuming the bulk conversion job
+ */
+export const useResumeBulkConversion = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    scope: CONVERSION_MUTATION_SCOPE,
+    mutationFn: () => apiService.resumeBulkConversion(),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['conversions', 'bulk'], data);
+    },
+    onError: (error) => {
+      console.error('Failed to resume bulk conversion:', error);
+    },
+  });
+};
+
 /**
  * React Query hook for deleting converted files
  */
@@ -86,14 +142,48 @@ export const useDeleteConvertedFile = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
+    scope: CONVERSION_MUTATION_SCOPE,
     mutationFn: ({ attachmentId, format }) => 
       apiService.deleteConvertedFile(attachmentId, format),
     onSuccess: () => {
       // Invalidate conversion-related queries
       queryClient.invalidateQueries({ queryKey: ['conversions'] });
+      queryClient.invalidateQueries({ queryKey: ['attachments'] });
     },
     onError: (error) => {
       console.error('Failed to delete converted file:', error);
     },
   });
 };
+
+/**
+ * React Query hook for disabling conversion of an attachment
+ *
+ * Reuses the admin-ajax action of the media modal field, which also removes
+ * the converted files.
+ */
+export const useDisableConversion = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    scope: CONVERSION_MUTATION_SCOPE,
+    mutationFn: async (attachmentId) => {
+      const result = await postAjaxAction(
+        'flux_media_optimizer_disable_conversion',
+        window.fluxMediaAdmin?.disableNonce,
+        { attachment_id: attachmentId }
+      );
+      if (!result.success) {
+        throw new Error(typeof result.data === 'string' ? result.data : 'Failed to disable conversion');
+      }
+      return result.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['conversions'] });
+      queryClient.invalidateQueries({ queryKey: ['attachments'] });
+    },
+    onError: (error) => {
+      console.error('Failed to disable conversion:', error);
+    },
+  });
+};
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Custom hook returning a value once it has stopped changing
+ *
+ * @param {*} value - Value to debounce
+ * @param {number} delayMs - Delay in milliseconds (default: 300)
+ * @returns {*} The latest value that stayed unchanged for `delayMs`
+ */
+export const useDebouncedValue = (value, delayMs = 300) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedValue(value), delayMs);
+    return () => clearTimeout(timeout);
+  }, [value, delayMs]);
+
+  return debouncedValue;
+};
@@ -1,6 +1,33 @@
-import { useQuery } from '@tanstack/react-query';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { apiService } from '@flux-media-optimizer/services/api';
 
+const LAST_SEEN_STORAGE_KEY = 'fluxMediaOptimizer.lastSeenLogId';
+const MAX_STREAM_ENTRIES = 1000;
+
+/**
+ * Read the id of the newest log entry the user has seen.
+ */
+const getLastSeenLogId = () => {
+  try {
+    const value = window.localStorage.getItem(LAST_SEEN_STORAGE_KEY);
+    return value === null ? null : parseInt(value, 10) || 0;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remember the id of the newest log entry the user has seen.
+ */
+const setLastSeenLogId = (id) => {
+  try {
+    window.localStorage.setItem(LAST_SEEN_STORAGE_KEY, String(id));
+  } catch (error) {
+    // Storage may be unavailable, the badge simply won't persist
+  }
+};
+
 /**
  * React Query hook for fetching logs
  */
@@ -12,3 +39,98 @@ export const useLogs = (level = null, limit = 100) => {
     retry: 2,
   });
 };
+
+/**
+ * Hook that polls for log entries newer than a starting id
+ *
+ * Entries are appended oldest first and the cursor advances with each batch,
+ * so a backlog larger than one page is caught up on the following polls.
+ *
+ * @param {Object} params - Stream parameters
+ * @param {boolean} params.enabled - Whether to poll
+ * @param {number} params.startAfterId - Id to start streaming after
+ * @param {Object} params.filters - Log filters, as accepted by apiService.getLogs
+ * @param {number} params.interval - Polling interval in milliseconds
+ * @returns {Object} Streamed entries, a clear function and query state
+ */
+export const useLogStream = ({ enabled, startAfterId, filters = {}, interval = 3000 }) => {
+  const [cursor, setCursor] = useState(null);
+  const [entries, setEntries] = useState([]);
+
+  // Read the start id through a ref so refreshing the snapshot doesn't restart the stream
+  const startAfterIdRef = useRef(startAfterId);
+  startAfterIdRef.current = startAfterId;
+
+  // Restart the stream whenever it is toggled on or the filters change
+  const filtersKey = JSON.stringify(filters);
+  useEffect(() => {
+    setEntries([]);
+    setCursor(enabled ? startAfterIdRef.current ?? null : null);
+  }, [enabled, filtersKey]);
+
+  const query = useQuery({
+    queryKey: ['logs', 'stream', cursor, filters],
+    queryFn: () => apiService.getLogs({ ...filters, after_id: cursor, per_page: 100 }),
+    enabled: enabled && cursor !== null,
+    refetchInterval: interval,
+    refetchIntervalInBackground: false,
+  });
+
+  useEffect(() => {
+    const batch = query.data?.data;
+    if (!batch?.length) return;
+
+    setEntries((prev) => [...prev, ...batch].slice(-MAX_STREAM_ENTRIES));
+    setCursor(Number(batch[batch.length - 1].id));
+  }, [query.data]);
+
+  const clear = useCallback(() => setEntries([]), []);
+
+  return {
+    entries,
+    clear,
+    isFetching: query.isFetching,
+    error: query.error,
+  };
+};
+
+/**
+ * React Query hook for counting log entries added since the user last viewed the logs
+ *
+ * @param {boolean} enabled - Whether to poll, e.g. only while another tab is open
+ */
+export const useUnseenLogsCount = (enabled) => {
+  return useQuery({
+    queryKey: ['logs', 'unseen'],
+    queryFn: async () => {
+      const lastSeenId = getLastSeenLogId();
+
+      if (lastSeenId === null) {
+        // First visit: start counting from the newest entry
+        const response = await apiService.getLogs({ per_page: 1 });
+        setLastSeenLogId(response?.latest_id || 0);
+        return 0;
+      }
+
+      const response = await apiService.getLogs({ after_id: lastSeenId, per_page: 1 });
+      return response?.total || 0;
+    },
+    enabled,
+    refetchInterval: 30 * 1000, // 30 seconds
+    retry: 1,
+  });
+};
+
+/**
+ * Hook returning a callback that marks logs up to an id as seen
+ */
+export const useMarkLogsSeen = () => {
+  const queryClient = useQueryClient();
+
+  return useCallback((latestId) => {
+    if (!latestId || latestId <= (getLastSeenLogId() || 0)) return;
+
+    setLastSeenLogId(latestId);
+    queryClient.setQueryData(['logs', 'unseen'], 0);
+  }, [queryClient]);
+};
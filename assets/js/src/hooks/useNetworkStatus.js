@@ -0,0 +1,31 @@
+import { useEffect, useState, useSyncExternalStore } from 'react';
+import { onlineManager, useIsMutating } from '@tanstack/react-query';
+
+const getIsOnline = () => onlineManager.isOnline();
+
+/**
+ * React hook for the connection state and the number of changes waiting to be sent
+ *
+ * Mutations are paused while offline, and while they wait behind a paused
+ * mutation of the same scope, so paused mutations are the changes that
+ * will sync once the connection returns. `isSyncing` stays true from the
+ * moment the connection returns until those changes are sent.
+ *
+ * @returns {Object} `isOnline`, `isSyncing` and `pendingChanges`
+ */
+export const useNetworkStatus = () => {
+  const isOnline = useSyncExternalStore(onlineManager.subscribe, getIsOnline);
+  const pendingChanges = useIsMutating({ predicate: (mutation) => mutation.state.isPaused });
+  const [wasOffline, setWasOffline] = useState(false);
+
+  // Saves queued behind each other also count as paused, so only report syncing after being offline
+  useEffect(() => {
+    if (!isOnline) {
+      setWasOffline(true);
+    } else if (pendingChanges === 0) {
+      setWasOffline(false);
+    }
+  }, [isOnline, pendingChanges]);
+
+  return { isOnline, isSyncing: isOnline && wasOffline && pendingChanges > 0, pendingChanges };
+};
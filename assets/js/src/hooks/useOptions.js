@@ -1,5 +1,11 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { apiService } from '@flux-media-optimizer/services/api';
+import { useSettingsConflict } from '@flux-media-optimizer/contexts/SettingsConflictContext';
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Settings changes queued while offline replay one after the other, in order
+const OPTIONS_MUTATION_SCOPE = { id: 'options' };
 
 /**
  * React Query hook for fetching plugin options
@@ -13,24 +19,176 @@ export const useOptions = () => {
   });
 };
 
+/**
+ * React Query hook for fetching the settings schema used to render the settings form
+ */
+export const useOptionsSchema = () => {
+  return useQuery({
+    queryKey: ['optionsSchema'],
+    queryFn: () => apiService.getOptionsSchema(),
+    staleTime: Infinity, // Only changes with a plugin update
+    retry: 2,
+  });
+};
+
 /**
  * React Query hook for updating plugin options
  * Supports both single field updates and bulk updates
+ *
+ * Saves are based on the revision of the loaded options. When the options
+ * were saved elsewhere in the meantime, settings that only changed on one
+ * side are saved without asking; settings changed on both sides are listed
+ * in the merge dialog so the user picks which value to keep.
  */
 export const useUpdateOptions = () => {
   const queryClient = useQueryClient();
-  
+  const { resolveConflict } = useSettingsConflict();
+
+  const saveOptions = async (data, revision = null) => {
+    try {
+      return await apiService.updateOptions(data, revision);
+    } catch (error) {
+      if (error?.error_code !== 'revision_conflict' || !error.data) {
+        throw error;
+      }
+
+      const { options: serverOptions, revision: serverRevision } = error.data;
+      const loadedOptions = queryClient.getQueryData(['options']) || {};
+      const conflicts = Object.keys(data)
+        .filter((key) => !isSameValue(serverOptions[key], loadedOptions[key]) && !isSameValue(serverOptions[key], data[key]))
+        .map((key) => ({ key, server: serverOptions[key], local: data[key] }));
+
+      const keepLocal = conflicts.length > 0 ? await resolveConflict(conflicts) : [];
+      const merged = Object.fromEntries(Object.entries(data)
+        .filter(([key]) => keepLocal.includes(key) || !conflicts.some((conflict) => conflict.key === key)));
+
+      // Nothing left to save; reload so the form shows the saved values
+      if (Object.keys(merged).length === 0) {
+        return apiService.getOptions();
+      }
+
+      return saveOptions(merged, serverRevision);
+    }
+  };
+
   return useMutation({
+    scope: OPTIONS_MUTATION_SCOPE,
     mutationFn: (data) => {
       // Pass the data directly to the consolidated updateOptions method
-      return apiService.updateOptions(data);
+      return saveOptions(data);
     },
     onSuccess: () => {
       // Invalidate and refetch options
       queryClient.invalidateQueries({ queryKey: ['options'] });
+      queryClient.invalidateQueries({ queryKey: ['optionsAudit'] });
     },
     onError: (error) => {
       console.error('Failed to update options:', error);
     },
   });
 };
+
+/**
+ * React Query hook for exporting the portable plugin options
+ */
+export const useExportOptions = () => {
+  return useMutation({
+    mutationFn: () => apiService.exportOptions(),
+    onError: (error) => {
+      console.error('Failed to export options:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for previewing an options import without saving it
+ */
+export const usePreviewImportOptions = () => {
+  return useMutation({
+    mutationFn: (options) => apiService.importOptions(options, true),
+    onError: (error) => {
+      console.error('Failed to preview options import:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for importing plugin options
+ */
+export const useImportOptions = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    scope: OPTIONS_MUTATION_SCOPE,
+    mutationFn: (options) => apiService.importOptions(options),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['options'] });
+      queryClient.invalidateQueries({ queryKey: ['optionsAudit'] });
+    },
+    onError: (error) => {
+      console.error('Failed to import options:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for resetting plugin options to their defaults
+ */
+export const useResetOptions = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    scope: OPTIONS_MUTATION_SCOPE,
+    mutationFn: () => apiService.resetOptions(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['options'] });
+      queryClient.invalidateQueries({ queryKey: ['optionsAudit'] });
+    },
+    onError: (error) => {
+      console.error('Failed to reset options:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for fetching the settings audit trail
+ */
+export const useSettingsAudit = (params = {}) => {
+  return useQuery({
+    queryKey: ['optionsAudit', params],
+    queryFn: () => apiService.getSettingsAudit(params),
+    placeholderData: keepPreviousData,
+    staleTime: 30 * 1000, // 30 seconds
+  });
+};
+
+/**
+ * React Query hook for restoring the value a setting had before an audited change
+ */
+export const useRevertSettingsAuditEntry = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    scope: OPTIONS_MUTATION_SCOPE,
+    mutationFn: (entryId) => apiService.revertSettingsAuditEntry(entryId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['options'] });
+      queryClient.invalidateQueries({ queryKey: ['optionsAudit'] });
+    },
+    onError: (error) => {
+      console.error('Failed to revert setting:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for encoding a sample image with unsaved quality settings
+ */
+export const usePreviewQuality = () => {
+  return useMutation({
+    mutationFn: (params) => apiService.previewQuality(params),
+    onError: (error) => {
+      console.error('Failed to create quality preview:', error);
+    },
+  });
+};
@@ -0,0 +1,73 @@
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * Coerce a raw query string value to the type of its default.
+ */
+const coerce = (raw, defaultValue) => {
+  if (typeof defaultValue === 'number') {
+    const number = parseInt(raw, 10);
+    return Number.isNaN(number) ? undefined : number;
+  }
+  if (typeof defaultValue === 'boolean') {
+    return raw === '1' || raw === 'true';
+  }
+  return raw;
+};
+
+/**
+ * Custom hook for view state kept in the hash query string
+ *
+ * Values equal to their default are left out of the URL so links stay short.
+ * Query params not listed in `defaults` are preserved, so several hooks can
+ * share one URL.
+ *
+ * @param {Object} defaults - Default value per key; numbers and booleans are parsed to their type
+ * @param {Object} parsers - Optional per-key validators returning the parsed value, or undefined to use the default
+ * @returns {Array} [state, setState] where setState(changes, { replace }) updates the URL
+ */
+export const useUrlState = (defaults, parsers = {}) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const state = useMemo(() => {
+    return Object.entries(defaults).reduce((values, [key, defaultValue]) => {
+      const raw = searchParams.get(key);
+      let value = raw === null ? undefined : coerce(raw, defaultValue);
+
+      if (value !== undefined && parsers[key]) {
+        value = parsers[key](value);
+      }
+
+      values[key] = value === undefined ? defaultValue : value;
+      return values;
+    }, {});
+    // Defaults and parsers are expected to be static per call site
+  }, [searchParams]);
+
+  /**
+   * Update state in the URL.
+   *
+   * Creates a history entry so back and forward restore the previous view,
+   * unless `replace` is set, e.g. while typing into a search field.
+   */
+  const setState = useCallback((changes, { replace = false } = {}) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+
+      Object.entries(changes).forEach(([key, value]) => {
+        const isDefault = key in defaults && value === defaults[key];
+        if (value === '' || value === null || value === undefined || isDefault) {
+          next.delete(key);
+        } else if (typeof value === 'boolean') {
+          next.set(key, value ? '1' : '0');
+        } else {
+          next.set(key, String(value));
+        }
+      });
+
+      return next;
+    }, { replace });
+  }, [setSearchParams]);
+
+  return [state, setState];
+};
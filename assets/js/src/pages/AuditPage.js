@@ -0,0 +1,242 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  Stack,
+  Alert,
+  Button,
+  TextField,
+  MenuItem,
+  Tooltip,
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { Undo, ArrowForward } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { useOptionsSchema, useSettingsAudit, useRevertSettingsAuditEntry } from '@flux-media-optimizer/hooks/useOptions';
+import { useUrlState } from '@flux-media-optimizer/hooks/useUrlState';
+import { formatSettingValue } from '@flux-media-optimizer/utils/settingsSchema';
+
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+const URL_STATE_DEFAULTS = {
+  page: 1,
+  per_page: 25,
+  setting: '',
+  user: '',
+};
+
+const URL_STATE_PARSERS = {
+  page: (value) => (value > 0 ? value : undefined),
+  per_page: (value) => (PAGE_SIZE_OPTIONS.includes(value) ? value : undefined),
+  user: (value) => (/^\d+$/.test(value) ? value : undefined),
+};
+
+/**
+ * Name shown for the user who made a change.
+ */
+const getUserLabel = (userId, name) => {
+  if (name) {
+    return name;
+  }
+  if (!userId) {
+    return __('System', 'flux-media-optimizer');
+  }
+  return sprintf(
+    /* translators: %d: user ID */
+    __('Deleted user #%d', 'flux-media-optimizer'),
+    userId
+  );
+};
+
+/**
+ * Audit page listing every saved settings change with who made it and when.
+ *
+ * @since 2.1.0
+ */
+const AuditPage = () => {
+  const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, URL_STATE_PARSERS);
+  const paginationModel = { page: urlState.page - 1, pageSize: urlState.per_page };
+
+  const { data: schema } = useOptionsSchema();
+  const { data, isLoading, isFetching, error } = useSettingsAudit({
+    page: urlState.page,
+    per_page: urlState.per_page,
+    setting_key: urlState.setting,
+    user_id: urlState.user,
+  });
+  const revertEntry = useRevertSettingsAuditEntry();
+  const [result, setResult] = useState(null);
+
+  const getSettingLabel = (key) => schema?.fields?.[key]?.label || key;
+
+  const handleRevert = (entry) => {
+    setResult(null);
+    revertEntry.mutate(entry.id, {
+      onSuccess: () => setResult({
+        severity: 'success',
+        message: sprintf(
+          /* translators: 1: setting label, 2: restored value */
+          __('%1$s was set back to %2$s.', 'flux-media-optimizer'),
+          getSettingLabel(entry.setting_key),
+          formatSettingValue(entry.old_value)
+        ),
+      }),
+      onError: (err) => setResult({
+        severity: 'error',
+        message: err?.message || __('Unknown error occurred', 'flux-media-optimizer'),
+      }),
+    });
+  };
+
+  const handlePaginationModelChange = (model) => {
+    setUrlState({ page: model.page + 1, per_page: model.pageSize });
+  };
+
+  const columns = useMemo(() => [
+    {
+      field: 'created_at',
+      headerName: __('Date', 'flux-media-optimizer'),
+      width: 180,
+      sortable: false,
+      valueFormatter: ({ value }) => (value ? new Date(value).toLocaleString() : ''),
+    },
+    {
+      field: 'user_name',
+      headerName: __('User', 'flux-media-optimizer'),
+      width: 160,
+      sortable: false,
+      valueGetter: ({ row }) => getUserLabel(row.user_id, row.user_name),
+    },
+    {
+      field: 'setting_key',
+      headerName: __('Setting', 'flux-media-optimizer'),
+      flex: 1,
+      minWidth: 180,
+      sortable: false,
+      renderCell: ({ row }) => (
+        <Box sx={{ py: 1, minWidth: 0 }}>
+          <Typography variant="body2" noWrap>
+            {getSettingLabel(row.setting_key)}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" noWrap component="div">
+            {row.setting_key}
+          </Typography>
+        </Box>
+      ),
+    },
+    {
+      field: 'change',
+      headerName: __('Change', 'flux-media-optimizer'),
+      flex: 2,
+      minWidth: 240,
+      sortable: false,
+      renderCell: ({ row }) => (
+        <Stack direction="row" spacing={1} alignItems="center" sx={{ py: 1, minWidth: 0 }}>
+          <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-word' }}>
+            {formatSettingValue(row.old_value)}
+          </Typography>
+          <ArrowForward fontSize="small" color="action" />
+          <Typography variant="body2" sx={{ fontWeight: 'bold', wordBreak: 'break-word' }}>
+            {formatSettingValue(row.new_value)}
+          </Typography>
+        </Stack>
+      ),
+    },
+    {
+      field: 'actions',
+      headerName: '',
+      width: 120,
+      sortable: false,
+      renderCell: ({ row }) => (
+        <Tooltip title={row.revertible ? '' : __('This setting cannot be reverted from here', 'flux-media-optimizer')}>
+          <span>
+            <Button
+              size="small"
+              startIcon={<Undo />}
+              disabled={!row.revertible || revertEntry.isPending}
+              onClick={() => handleRevert(row)}
+            >
+              {__('Revert', 'flux-media-optimizer')}
+            </Button>
+          </span>
+        </Tooltip>
+      ),
+    },
+  ], [schema, revertEntry.isPending]);
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="flex-start" spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={6}>
+          <Typography variant="h5" gutterBottom>
+            {__('Settings Audit', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Every saved settings change, with who made it and when. Revert sets a setting back to its value before that change.', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+        <Grid item>
+          <Stack direction="row" spacing={2}>
+            <TextField
+              select
+              size="small"
+              label={__('Setting', 'flux-media-optimizer')}
+              value={urlState.setting}
+              onChange={(event) => setUrlState({ setting: event.target.value, page: 1 })}
+              sx={{ minWidth: 200 }}
+            >
+              <MenuItem value="">{__('All settings', 'flux-media-optimizer')}</MenuItem>
+              {(data?.setting_keys || []).map((key) => (
+                <MenuItem key={key} value={key}>{getSettingLabel(key)}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              size="small"
+              label={__('User', 'flux-media-optimizer')}
+              value={urlState.user}
+              onChange={(event) => setUrlState({ user: event.target.value, page: 1 })}
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">{__('All users', 'flux-media-optimizer')}</MenuItem>
+              {(data?.users || []).map((user) => (
+                <MenuItem key={user.id} value={String(user.id)}>{getUserLabel(user.id, user.name)}</MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+        </Grid>
+      </Grid>
+
+      {result && (
+        <Alert severity={result.severity} sx={{ mb: 3 }} onClose={() => setResult(null)}>
+          {result.message}
+        </Alert>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {__('Error loading the settings audit:', 'flux-media-optimizer')} {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      <DataGrid
+        autoHeight
+        rows={data?.data || []}
+        columns={columns}
+        rowCount={data?.total || 0}
+        loading={isLoading || isFetching}
+        paginationMode="server"
+        paginationModel={paginationModel}
+        onPaginationModelChange={handlePaginationModelChange}
+        pageSizeOptions={PAGE_SIZE_OPTIONS}
+        getRowHeight={() => 'auto'}
+        disableRowSelectionOnClick
+        disableColumnMenu
+        localeText={{ noRowsLabel: __('No settings changes recorded yet', 'flux-media-optimizer') }}
+      />
+    </Box>
+  );
+};
+
+export default AuditPage;
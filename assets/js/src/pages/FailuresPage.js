@@ -0,0 +1,395 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  Chip,
+  Stack,
+  Alert,
+  Button,
+  IconButton,
+  Tooltip,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { Replay, Block, History, Movie } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import { __, sprintf } from '@wordpress/i18n';
+import { useFailedAttachments } from '@flux-media-optimizer/hooks/useAttachments';
+import { useStartConversion, useDisableConversion } from '@flux-media-optimizer/hooks/useConversions';
+import { useUrlState } from '@flux-media-optimizer/hooks/useUrlState';
+
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+// Error categories assigned by ConversionErrorClassifier on the server
+const ERROR_CATEGORIES = {
+  unsupported_format: { label: __('Unsupported format', 'flux-media-optimizer'), color: 'default' },
+  memory_limit: { label: __('Memory limit', 'flux-media-optimizer'), color: 'error' },
+  timeout: { label: __('Timeout', 'flux-media-optimizer'), color: 'warning' },
+  missing_codec: { label: __('Missing FFmpeg codec', 'flux-media-optimizer'), color: 'info' },
+  write_permission: { label: __('Write permission', 'flux-media-optimizer'), color: 'error' },
+  unknown: { label: __('Unknown', 'flux-media-optimizer'), color: 'default' },
+};
+
+const URL_STATE_DEFAULTS = {
+  page: 1,
+  per_page: 25,
+  category: '',
+};
+
+const URL_STATE_PARSERS = {
+  page: (value) => (value > 0 ? value : undefined),
+  per_page: (value) => (PAGE_SIZE_OPTIONS.includes(value) ? value : undefined),
+  category: (value) => (value in ERROR_CATEGORIES ? value : undefined),
+};
+
+/**
+ * Failures page listing attachments whose last conversion attempt failed.
+ *
+ * @since 2.1.0
+ */
+const FailuresPage = () => {
+  const navigate = useNavigate();
+  const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, URL_STATE_PARSERS);
+  const paginationModel = { page: urlState.page - 1, pageSize: urlState.per_page };
+
+  const { data, isLoading, isFetching, error } = useFailedAttachments({
+    page: urlState.page,
+    per_page: urlState.per_page,
+    category: urlState.category,
+  });
+  const startConversion = useStartConversion();
+  const disableConversion = useDisableConversion();
+
+  const [pendingIds, setPendingIds] = useState([]);
+  const [result, setResult] = useState(null);
+  const [retryAll, setRetryAll] = useState(null);
+  const [disableTarget, setDisableTarget] = useState(null);
+  const cancelRetryAllRef = useRef(false);
+
+  const failureIds = data?.ids || [];
+  const categoryCounts = data?.categories || {};
+  const totalFailures = Object.values(categoryCounts).reduce((sum, count) => sum + count, 0);
+
+  const setPending = (attachmentId, pending) => {
+    setPendingIds((ids) => (pending ? [...ids, attachmentId] : ids.filter((id) => id !== attachmentId)));
+  };
+
+  const handleRetry = (attachmentId) => {
+    setPending(attachmentId, true);
+    startConversion.mutate({ attachmentId }, {
+      onSuccess: () => setResult({
+        severity: 'success',
+        message: sprintf(
+          /* translators: %d: attachment ID */
+          __('Attachment #%d converted successfully.', 'flux-media-optimizer'),
+          attachmentId
+        ),
+      }),
+      onError: (err) => setResult({
+        severity: 'error',
+        message: err?.message || __('Unknown error occurred', 'flux-media-optimizer'),
+      }),
+      onSettled: () => setPending(attachmentId, false),
+    });
+  };
+
+  // Retry one attachment at a time so a large queue doesn't overload the server
+  const handleRetryAll = async () => {
+    const ids = [...failureIds];
+    let failed = 0;
+
+    cancelRetryAllRef.current = false;
+    setResult(null);
+    setRetryAll({ done: 0, total: ids.length });
+
+    for (const attachmentId of ids) {
+      if (cancelRetryAllRef.current) break;
+
+      try {
+        await startConversion.mutateAsync({ attachmentId });
+      } catch (err) {
+        failed += 1;
+      }
+      setRetryAll((progress) => ({ ...progress, done: progress.done + 1 }));
+    }
+
+    setRetryAll(null);
+    setResult({
+      severity: failed > 0 ? 'warning' : 'success',
+      message: sprintf(
+        /* translators: 1: number of retried attachments, 2: number of attachments that failed again */
+        __('Retried %1$d attachments, %2$d failed again.', 'flux-media-optimizer'),
+        ids.length,
+        failed
+      ),
+    });
+  };
+
+  const handleConfirmDisable = () => {
+    const attachmentId = disableTarget.id;
+    setDisableTarget(null);
+    setPending(attachmentId, true);
+    disableConversion.mutate(attachmentId, {
+      onSuccess: () => setResult({
+        severity: 'success',
+        message: sprintf(
+          /* translators: %d: attachment ID */
+          __('Conversion disabled for attachment #%d.', 'flux-media-optimizer'),
+          attachmentId
+        ),
+      }),
+      onError: (err) => setResult({
+        severity: 'error',
+        message: err?.message || __('Unknown error occurred', 'flux-media-optimizer'),
+      }),
+      onSettled: () => setPending(attachmentId, false),
+    });
+  };
+
+  const handleCategoryChange = (category) => {
+    setUrlState({ category: category === urlState.category ? '' : category, page: 1 });
+  };
+
+  const handlePaginationModelChange = (model) => {
+    setUrlState({ page: model.page + 1, per_page: model.pageSize });
+  };
+
+  const columns = useMemo(() => [
+    {
+      field: 'thumbnail_url',
+      headerName: '',
+      width: 64,
+      sortable: false,
+      renderCell: ({ row }) => (
+        row.thumbnail_url ? (
+          <Box
+            component="img"
+            src={row.thumbnail_url}
+            alt=""
+            sx={{ width: 40, height: 40, objectFit: 'cover', borderRadius: 1 }}
+          />
+        ) : (
+          <Movie color="action" />
+        )
+      ),
+    },
+    {
+      field: 'title',
+      headerName: __('File', 'flux-media-optimizer'),
+      flex: 1,
+      minWidth: 180,
+      sortable: false,
+      renderCell: ({ row }) => (
+        <Box sx={{ py: 1, minWidth: 0 }}>
+          <Typography variant="body2" noWrap>
+            {row.title || row.filename}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" noWrap component="div">
+            {row.filename}
+          </Typography>
+        </Box>
+      ),
+    },
+    {
+      field: 'category',
+      headerName: __('Category', 'flux-media-optimizer'),
+      width: 170,
+      sortable: false,
+      renderCell: ({ row }) => {
+        const category = ERROR_CATEGORIES[row.error.category] || ERROR_CATEGORIES.unknown;
+        return <Chip label={category.label} color={category.color} size="small" variant="outlined" />;
+      },
+    },
+    {
+      field: 'error',
+      headerName: __('Error', 'flux-media-optimizer'),
+      flex: 2,
+      minWidth: 240,
+      sortable: false,
+      renderCell: ({ row }) => (
+        <Tooltip title={row.error.errors.join('\n')} componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}>
+          <Typography variant="body2" sx={{ py: 1, wordBreak: 'break-word' }}>
+            {row.error.message}
+            {row.error.errors.length > 1 && (
+              <Typography component="span" variant="caption" color="text.secondary">
+                {' '}
+                {sprintf(
+                  /* translators: %d: number of additional error messages */
+                  __('(+%d more)', 'flux-media-optimizer'),
+                  row.error.errors.length - 1
+                )}
+              </Typography>
+            )}
+          </Typography>
+        </Tooltip>
+      ),
+    },
+    {
+      field: 'failed_at',
+      headerName: __('Failed', 'flux-media-optimizer'),
+      width: 170,
+      sortable: false,
+      valueGetter: ({ row }) => row.error.date,
+      valueFormatter: ({ value }) => (value ? new Date(value).toLocaleString() : ''),
+    },
+    {
+      field: 'actions',
+      headerName: '',
+      width: 132,
+      sortable: false,
+      renderCell: ({ row }) => {
+        const busy = !!retryAll || pendingIds.includes(row.id);
+
+        return (
+          <Box>
+            <Tooltip title={__('Retry conversion', 'flux-media-optimizer')}>
+              <span>
+                <IconButton size="small" disabled={busy} onClick={() => handleRetry(row.id)}>
+                  <Replay fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title={__('Disable conversion', 'flux-media-optimizer')}>
+              <span>
+                <IconButton size="small" disabled={busy} onClick={() => setDisableTarget(row)}>
+                  <Block fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title={__('Conversion history', 'flux-media-optimizer')}>
+              <IconButton size="small" onClick={() => navigate(`/library?attachment=${row.id}`)}>
+                <History fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        );
+      },
+    },
+  ], [pendingIds, retryAll]);
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="center" sx={{ mb: 3 }}>
+        <Grid item>
+          <Typography variant="h5" gutterBottom>
+            {__('Conversion Failures', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Attachments whose last conversion attempt failed', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+        <Grid item>
+          {retryAll ? (
+            <Button variant="outlined" onClick={() => { cancelRetryAllRef.current = true; }}>
+              {__('Stop retrying', 'flux-media-optimizer')}
+            </Button>
+          ) : (
+            <Button
+              variant="contained"
+              startIcon={<Replay />}
+              onClick={handleRetryAll}
+              disabled={failureIds.length === 0 || pendingIds.length > 0}
+            >
+              {urlState.category
+                ? __('Retry all in category', 'flux-media-optimizer')
+                : __('Retry all', 'flux-media-optimizer')}
+            </Button>
+          )}
+        </Grid>
+      </Grid>
+
+      <Stack direction="row" spacing={1} sx={{ mb: 3, flexWrap: 'wrap', rowGap: 1 }}>
+        <Chip
+          label={sprintf(
+            /* translators: %d: number of failures */
+            __('All (%d)', 'flux-media-optimizer'),
+            totalFailures
+          )}
+          color={urlState.category ? 'default' : 'primary'}
+          onClick={() => handleCategoryChange('')}
+        />
+        {Object.entries(ERROR_CATEGORIES).map(([category, { label }]) => (
+          <Chip
+            key={category}
+            label={`${label} (${categoryCounts[category] || 0})`}
+            color={urlState.category === category ? 'primary' : 'default'}
+            variant={urlState.category === category ? 'filled' : 'outlined'}
+            onClick={() => handleCategoryChange(category)}
+            disabled={!categoryCounts[category] && urlState.category !== category}
+          />
+        ))}
+      </Stack>
+
+      {retryAll && (
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="body2" gutterBottom>
+            {sprintf(
+              /* translators: 1: number of retried attachments, 2: total number of attachments */
+              __('Retrying %1$d of %2$d…', 'flux-media-optimizer'),
+              Math.min(retryAll.done + 1, retryAll.total),
+              retryAll.total
+            )}
+          </Typography>
+          <LinearProgress variant="determinate" value={retryAll.total ? (retryAll.done / retryAll.total) * 100 : 0} />
+        </Box>
+      )}
+
+      {result && (
+        <Alert severity={result.severity} sx={{ mb: 3 }} onClose={() => setResult(null)}>
+          {result.message}
+        </Alert>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {__('Error loading failures:', 'flux-media-optimizer')} {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      <DataGrid
+        autoHeight
+        rows={data?.data || []}
+        columns={columns}
+        rowCount={data?.total || 0}
+        loading={isLoading || isFetching}
+        paginationMode="server"
+        paginationModel={paginationModel}
+        onPaginationModelChange={handlePaginationModelChange}
+        pageSizeOptions={PAGE_SIZE_OPTIONS}
+        getRowHeight={() => 'auto'}
+        disableRowSelectionOnClick
+        disableColumnMenu
+        localeText={{ noRowsLabel: __('No failed conversions', 'flux-media-optimizer') }}
+      />
+
+      <Dialog open={!!disableTarget} onClose={() => setDisableTarget(null)}>
+        <DialogTitle>{__('Disable conversion?', 'flux-media-optimizer')}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {sprintf(
+              /* translators: %s: attachment title */
+              __('"%s" will no longer be converted and any converted files will be deleted. You can enable conversion again from the attachment details.', 'flux-media-optimizer'),
+              disableTarget?.title || disableTarget?.filename || ''
+            )}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDisableTarget(null)}>
+            {__('Cancel', 'flux-media-optimizer')}
+          </Button>
+          <Button color="error" onClick={handleConfirmDisable}>
+            {__('Disable conversion', 'flux-media-optimizer')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default FailuresPage;
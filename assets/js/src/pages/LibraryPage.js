@@ -0,0 +1,388 @@
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+  Stack,
+  Alert,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { Search, Edit, Movie, History, Compare } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { AttachmentHistoryDrawer, ImageComparisonDialog } from '@flux-media-optimizer/components';
+import { useAttachments, useAttachmentHistory, useAttachmentVariants } from '@flux-media-optimizer/hooks/useAttachments';
+import { useUrlState } from '@flux-media-optimizer/hooks/useUrlState';
+import { useDebouncedValue } from '@flux-media-optimizer/hooks/useDebouncedValue';
+import { formatBytes } from '@flux-media-optimizer/utils/format';
+
+/**
+ * Group per-size conversion records by size name.
+ */
+const groupConversionsBySize = (conversions = []) => {
+  return conversions.reduce((sizes, conversion) => {
+    const sizeName = conversion.size_name || 'full';
+    if (!sizes[sizeName]) {
+      sizes[sizeName] = [];
+    }
+    sizes[sizeName].push(conversion);
+    return sizes;
+  }, {});
+};
+
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+const SORTABLE_FIELDS = ['id', 'title', 'date', 'mime_type', 'savings'];
+
+// View state kept in the URL so back/forward and shared links restore it
+const URL_STATE_DEFAULTS = {
+  page: 1,
+  per_page: 25,
+  orderby: 'date',
+  order: 'desc',
+  search: '',
+  type: '',
+  attachment: 0,
+  compare: 0,
+};
+
+// Drop invalid values from shared or hand-edited links
+const URL_STATE_PARSERS = {
+  page: (value) => (value > 0 ? value : undefined),
+  per_page: (value) => (PAGE_SIZE_OPTIONS.includes(value) ? value : undefined),
+  orderby: (value) => (SORTABLE_FIELDS.includes(value) ? value : undefined),
+  order: (value) => (['asc', 'desc'].includes(value) ? value : undefined),
+  type: (value) => (['image', 'video'].includes(value) ? value : undefined),
+  attachment: (value) => (value > 0 ? value : undefined),
+  compare: (value) => (value > 0 ? value : undefined),
+};
+
+/**
+ * Media library page listing attachments with their conversion status.
+ *
+ * @since 2.1.0
+ */
+const LibraryPage = () => {
+  const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, URL_STATE_PARSERS);
+  const { search, type } = urlState;
+  // The URL follows the search box right away; the server is only queried once typing pauses
+  const debouncedSearch = useDebouncedValue(search);
+  const paginationModel = { page: urlState.page - 1, pageSize: urlState.per_page };
+  const sortModel = [{ field: urlState.orderby, sort: urlState.order }];
+
+  // The open history drawer is kept in the URL so it can be deep-linked
+  const historyAttachmentId = urlState.attachment || null;
+  const {
+    data: history,
+    isLoading: historyLoading,
+    error: historyError,
+  } = useAttachmentHistory(historyAttachmentId);
+
+  const openHistory = (attachmentId) => {
+    setUrlState({ attachment: attachmentId });
+  };
+
+  const closeHistory = () => {
+    setUrlState({ attachment: 0 });
+  };
+
+  // The comparison dialog is deep-linkable too, e.g. from the attachment screen
+  const compareAttachmentId = urlState.compare || null;
+  const {
+    data: variants,
+    isLoading: variantsLoading,
+    error: variantsError,
+  } = useAttachmentVariants(compareAttachmentId);
+
+  const openComparison = (attachmentId) => {
+    setUrlState({ compare: attachmentId });
+  };
+
+  const closeComparison = () => {
+    setUrlState({ compare: 0 });
+  };
+
+  const params = {
+    page: urlState.page,
+    per_page: urlState.per_page,
+    orderby: urlState.orderby,
+    order: urlState.order,
+    search: debouncedSearch,
+    type,
+  };
+
+  const { data, isLoading, isFetching, error } = useAttachments(params);
+
+  // Typing replaces the history entry instead of adding one per keystroke
+  const handleSearchChange = (event) => {
+    setUrlState({ search: event.target.value, page: 1 }, { replace: true });
+  };
+
+  const handleTypeChange = (event) => {
+    setUrlState({ type: event.target.value, page: 1 });
+  };
+
+  const handlePaginationModelChange = (model) => {
+    setUrlState({ page: model.page + 1, per_page: model.pageSize });
+  };
+
+  const handleSortModelChange = (model) => {
+    // An empty model means sorting was cleared, which falls back to the default
+    setUrlState({ orderby: model[0]?.field || '', order: model[0]?.sort || '', page: 1 });
+  };
+
+  const columns = useMemo(() => [
+    {
+      field: 'thumbnail_url',
+      headerName: '',
+      width: 64,
+      sortable: false,
+      renderCell: ({ row }) => (
+        row.thumbnail_url ? (
+          <Box
+            component="img"
+            src={row.thumbnail_url}
+            alt=""
+            sx={{ width: 40, height: 40, objectFit: 'cover', borderRadius: 1 }}
+          />
+        ) : (
+          <Movie color="action" />
+        )
+      ),
+    },
+    {
+      field: 'title',
+      headerName: __('File', 'flux-media-optimizer'),
+      flex: 1,
+      minWidth: 180,
+      renderCell: ({ row }) => (
+        <Box sx={{ py: 1, minWidth: 0 }}>
+          <Typography variant="body2" noWrap>
+            {row.title || row.filename}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" noWrap component="div">
+            {row.filename}
+          </Typography>
+        </Box>
+      ),
+    },
+    {
+      field: 'mime_type',
+      headerName: __('Type', 'flux-media-optimizer'),
+      width: 120,
+    },
+    {
+      field: 'converted_formats',
+      headerName: __('Formats', 'flux-media-optimizer'),
+      width: 140,
+      sortable: false,
+      renderCell: ({ row }) => (
+        <Stack direction="row" spacing={0.5} sx={{ flexWrap: 'wrap' }}>
+          {row.converted_formats.length > 0 ? (
+            row.converted_formats.map((format) => (
+              <Chip key={format} label={format.toUpperCase()} size="small" color="success" variant="outlined" />
+            ))
+          ) : (
+            <Typography variant="caption" color="text.secondary">
+              {__('None', 'flux-media-optimizer')}
+            </Typography>
+          )}
+        </Stack>
+      ),
+    },
+    {
+      field: 'sizes',
+      headerName: __('Savings by size', 'flux-media-optimizer'),
+      flex: 1,
+      minWidth: 220,
+      sortable: false,
+      renderCell: ({ row }) => {
+        const sizes = groupConversionsBySize(row.conversions);
+
+        if (Object.keys(sizes).length === 0) {
+          return (
+            <Typography variant="caption" color="text.secondary">
+              {__('Not converted', 'flux-media-optimizer')}
+            </Typography>
+          );
+        }
+
+        return (
+          <Box sx={{ py: 1 }}>
+            {Object.entries(sizes).map(([sizeName, conversions]) => (
+              <Typography key={sizeName} variant="caption" component="div">
+                <strong>{sizeName}</strong>{': '}
+                {conversions.map((conversion) => sprintf(
+                  /* translators: 1: format name, 2: savings percentage */
+                  __('%1$s −%2$s%%', 'flux-media-optimizer'),
+                  conversion.file_type.toUpperCase(),
+                  conversion.savings_percentage
+                )).join(' · ')}
+              </Typography>
+            ))}
+          </Box>
+        );
+      },
+    },
+    {
+      field: 'savings',
+      headerName: __('Total savings', 'flux-media-optimizer'),
+      width: 140,
+      valueGetter: ({ row }) => row.stats?.total_savings_bytes || 0,
+      renderCell: ({ row }) => (
+        <Box>
+          <Typography variant="body2">
+            {formatBytes(row.stats?.total_savings_bytes)}
+          </Typography>
+          {row.stats?.savings_percentage > 0 && (
+            <Typography variant="caption" color="success.main">
+              {sprintf(
+                /* translators: %s: savings percentage */
+                __('%s%% smaller', 'flux-media-optimizer'),
+                row.stats.savings_percentage
+              )}
+            </Typography>
+          )}
+        </Box>
+      ),
+    },
+    {
+      field: 'conversion_disabled',
+      headerName: __('Status', 'flux-media-optimizer'),
+      width: 110,
+      sortable: false,
+      renderCell: ({ row }) => (
+        row.conversion_disabled ? (
+          <Chip label={__('Disabled', 'flux-media-optimizer')} size="small" color="warning" />
+        ) : (
+          <Chip label={__('Enabled', 'flux-media-optimizer')} size="small" variant="outlined" />
+        )
+      ),
+    },
+    {
+      field: 'date',
+      headerName: __('Uploaded', 'flux-media-optimizer'),
+      width: 170,
+      valueFormatter: ({ value }) => new Date(value).toLocaleString(),
+    },
+    {
+      field: 'actions',
+      headerName: '',
+      width: 128,
+      sortable: false,
+      renderCell: ({ row }) => (
+        <Box>
+          {row.mime_type.startsWith('image/') && row.converted_formats.length > 0 && (
+            <Tooltip title={__('Compare versions', 'flux-media-optimizer')}>
+              <IconButton size="small" onClick={() => openComparison(row.id)}>
+                <Compare fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title={__('Conversion history', 'flux-media-optimizer')}>
+            <IconButton size="small" onClick={() => openHistory(row.id)}>
+              <History fontSize="small" />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={__('Edit attachment', 'flux-media-optimizer')}>
+            <IconButton size="small" href={row.edit_url} target="_blank" rel="noopener noreferrer">
+              <Edit fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      ),
+    },
+  ], []);
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="center" sx={{ mb: 3 }}>
+        <Grid item>
+          <Typography variant="h5" gutterBottom>
+            {__('Media Library', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Browse your images and videos with their conversion status and savings', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+      </Grid>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} sm={6} md={4}>
+          <TextField
+            fullWidth
+            label={__('Search media', 'flux-media-optimizer')}
+            value={search}
+            onChange={handleSearchChange}
+            InputProps={{
+              startAdornment: <Search sx={{ mr: 1, color: 'text.secondary' }} />,
+            }}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>{__('Media Type', 'flux-media-optimizer')}</InputLabel>
+            <Select
+              value={type}
+              onChange={handleTypeChange}
+              label={__('Media Type', 'flux-media-optimizer')}
+            >
+              <MenuItem value="">{__('All Media', 'flux-media-optimizer')}</MenuItem>
+              <MenuItem value="image">{__('Images', 'flux-media-optimizer')}</MenuItem>
+              <MenuItem value="video">{__('Videos', 'flux-media-optimizer')}</MenuItem>
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {__('Error loading media:', 'flux-media-optimizer')} {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      <DataGrid
+        autoHeight
+        rows={data?.data || []}
+        columns={columns}
+        rowCount={data?.total || 0}
+        loading={isLoading || isFetching}
+        paginationMode="server"
+        sortingMode="server"
+        paginationModel={paginationModel}
+        onPaginationModelChange={handlePaginationModelChange}
+        pageSizeOptions={PAGE_SIZE_OPTIONS}
+        sortModel={sortModel}
+        onSortModelChange={handleSortModelChange}
+        getRowHeight={() => 'auto'}
+        disableRowSelectionOnClick
+        disableColumnMenu
+      />
+
+      <AttachmentHistoryDrawer
+        open={!!historyAttachmentId}
+        history={history}
+        loading={historyLoading}
+        error={historyError}
+        onClose={closeHistory}
+      />
+
+      <ImageComparisonDialog
+        open={!!compareAttachmentId}
+        data={variants}
+        loading={variantsLoading}
+        error={variantsError}
+        onClose={closeComparison}
+      />
+    </Box>
+  );
+};
+
+export default LibraryPage;
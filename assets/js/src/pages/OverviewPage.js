@@ -1,9 +1,25 @@
 import React from 'react';
 import { Grid, Typography, Box } from '@mui/material';
 import { __ } from '@wordpress/i18n';
-import { ImageStatusCard, VideoStatusCard, PHPConfigurationCard } from '@flux-media-optimizer/components';
+import { ImageStatusCard, VideoStatusCard, PHPConfigurationCard, BulkConversionCard, SavingsChart } from '@flux-media-optimizer/components';
 import { useSystemStatus } from '@flux-media-optimizer/hooks/useSystemStatus';
-import { useConversions } from '@flux-media-optimizer/hooks/useConversions';
+import { useConversionStats } from '@flux-media-optimizer/hooks/useConversionStats';
+import { useUrlState } from '@flux-media-optimizer/hooks/useUrlState';
+import {
+  useConversions,
+  useBulkConvert,
+  useBulkConversionJob,
+  usePauseBulkConversion,
+  useResumeBulkConversion,
+  useCancelConversion,
+} from '@flux-media-optimizer/hooks/useConversions';
+
+// Savings chart filters, kept in the URL
+const CHART_STATE_DEFAULTS = { interval: 'month', format: '' };
+const CHART_STATE_PARSERS = {
+  interval: (value) => (['day', 'week', 'month'].includes(value) ? value : undefined),
+  format: (value) => (['webp', 'avif', 'av1', 'webm'].includes(value) ? value : undefined),
+};
 
 /**
  * Overview page component showing system status and conversion statistics.
@@ -13,6 +29,17 @@ import { useConversions } from '@flux-media-optimizer/hooks/useConversions';
 const OverviewPage = () => {
   const { data: systemStatus, isLoading: systemLoading } = useSystemStatus();
   const { data: conversionsData, isLoading: conversionsLoading } = useConversions();
+  const { data: bulkData, isLoading: bulkLoading } = useBulkConversionJob();
+  const bulkConvert = useBulkConvert();
+  const pauseBulkConversion = usePauseBulkConversion();
+  const resumeBulkConversion = useResumeBulkConversion();
+  const cancelConversion = useCancelConversion();
+  const [chartFilters, setChartFilters] = useUrlState(CHART_STATE_DEFAULTS, CHART_STATE_PARSERS);
+  const { data: chartData, isLoading: chartLoading } = useConversionStats(chartFilters);
+
+  const bulkJob = bulkData?.job || null;
+  const bulkMutations = [bulkConvert, pauseBulkConversion, resumeBulkConversion, cancelConversion];
+  const bulkError = bulkMutations.find((mutation) => mutation.error)?.error;
 
   const getSavingsStats = () => {
     if (!conversionsData) return null;
@@ -53,6 +80,19 @@ const OverviewPage = () => {
         </Grid>
       </Grid>   
 
+      <Box sx={{ mt: 4 }}>
+        <BulkConversionCard
+          job={bulkJob}
+          loading={bulkLoading}
+          error={bulkError}
+          busy={bulkMutations.some((mutation) => mutation.isPending)}
+          onStart={() => bulkConvert.mutate()}
+          onPause={() => pauseBulkConversion.mutate()}
+          onResume={() => resumeBulkConversion.mutate()}
+          onCancel={() => cancelConversion.mutate(bulkJob.id)}
+        />
+      </Box>
+
       {/* Conversion Savings Section - without Paper wrapper */}
       {!conversionsLoading && getSavingsStats() && (
         <Box sx={{ mt: 4 }}>
@@ -108,6 +148,16 @@ const OverviewPage = () => {
         </Box>
       )}
 
+      <Box sx={{ mt: 4 }}>
+        <SavingsChart
+          timeseries={chartData?.timeseries}
+          loading={chartLoading}
+          interval={chartFilters.interval}
+          format={chartFilters.format}
+          onIntervalChange={(interval) => setChartFilters({ interval })}
+          onFormatChange={(format) => setChartFilters({ format })}
+        />
+      </Box>
     </Box>
   );
 };
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { Box, Typography, Grid, Stack, Alert, Button } from '@mui/material';
+import { Add, Save } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+import { useOptions, useOptionsSchema, useUpdateOptions } from '@flux-media-optimizer/hooks/useOptions';
+import { ConversionRuleCard, SettingsSkeleton } from '@flux-media-optimizer/components';
+import { validateSetting, groupSchemaFields } from '@flux-media-optimizer/utils/settingsSchema';
+
+/**
+ * Create an empty rule. The id only keeps list keys stable until the server assigns one.
+ */
+const createRule = () => ({
+  id: `new-${Date.now()}`,
+  name: __('New rule', 'flux-media-optimizer'),
+  enabled: true,
+  conditions: [{ field: 'post_type', operator: 'is', value: '' }],
+  action: 'convert',
+  image_formats: [],
+  video_formats: [],
+  quality: {},
+});
+
+/**
+ * Conversion rules page for per-post-type, per-MIME-type, per-size and per-folder overrides.
+ *
+ * Rules are edited as a list and saved together, since their order decides which one applies.
+ *
+ * @since 2.1.0
+ */
+const RulesPage = () => {
+  const { data: options, isLoading: optionsLoading, error: optionsError } = useOptions();
+  const { data: schema, isLoading: schemaLoading, error: schemaError } = useOptionsSchema();
+  const updateOptions = useUpdateOptions();
+
+  // Unsaved edits; null while the saved rules are shown
+  const [draft, setDraft] = useState(null);
+
+  const group = groupSchemaFields(schema, 'rules').find((item) => item.id === 'conversion_rules');
+  const schemaField = schema?.fields?.conversion_rules;
+  const savedRules = options?.conversion_rules || [];
+  const rules = draft ?? savedRules;
+  const isDirty = draft !== null && JSON.stringify(draft) !== JSON.stringify(savedRules);
+
+  const hasErrors = rules.some((rule) => Object.entries({ ...rule.quality })
+    .some(([key, value]) => validateSetting(schema?.fields?.[key], value)));
+
+  const updateRules = (updater) => setDraft(updater(rules));
+
+  const handleRuleChange = (index) => (rule) => {
+    updateRules((current) => current.map((item, i) => (i === index ? rule : item)));
+  };
+
+  const handleMove = (index) => (direction) => {
+    updateRules((current) => {
+      const next = [...current];
+      [next[index], next[index + direction]] = [next[index + direction], next[index]];
+      return next;
+    });
+  };
+
+  const handleDelete = (index) => () => {
+    updateRules((current) => current.filter((item, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    updateOptions.mutate({ conversion_rules: rules }, {
+      // Keep the sanitized rules until the refetched options catch up
+      onSuccess: (data) => setDraft(data?.conversion_rules ?? null),
+    });
+  };
+
+  if (optionsLoading || schemaLoading) {
+    return <SettingsSkeleton />;
+  }
+
+  if (optionsError || schemaError || !group || !schemaField) {
+    return (
+      <Alert severity="error">
+        {(optionsError || schemaError)?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="flex-start" spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={8}>
+          <Typography variant="h5" gutterBottom>
+            {group.label}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {group.description}
+          </Typography>
+        </Grid>
+        <Grid item>
+          <Stack direction="row" spacing={1}>
+            <Button
+              variant="outlined"
+              onClick={() => setDraft(null)}
+              disabled={!isDirty || updateOptions.isPending}
+            >
+              {__('Discard changes', 'flux-media-optimizer')}
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={<Save />}
+              onClick={handleSave}
+              disabled={!isDirty || hasErrors || updateOptions.isPending}
+            >
+              {__('Save rules', 'flux-media-optimizer')}
+            </Button>
+          </Stack>
+        </Grid>
+      </Grid>
+
+      {updateOptions.error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {updateOptions.error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {(!options.image_auto_convert || !options.video_auto_convert) && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {__('Rules refine automatic conversion. While auto-convert is off for images or videos in the settings, those uploads are not converted whatever the rules say.', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      <Stack spacing={2} sx={{ mb: 2 }}>
+        {rules.length === 0 && (
+          <Alert severity="info">
+            {__('No rules yet. Every attachment is converted with the global settings.', 'flux-media-optimizer')}
+          </Alert>
+        )}
+        {rules.map((rule, index) => (
+          <ConversionRuleCard
+            key={rule.id}
+            rule={rule}
+            index={index}
+            count={rules.length}
+            schemaField={schemaField}
+            qualityFields={schema.fields}
+            globalValues={options}
+            disabled={updateOptions.isPending}
+            onChange={handleRuleChange(index)}
+            onMove={handleMove(index)}
+            onDelete={handleDelete(index)}
+          />
+        ))}
+      </Stack>
+
+      <Button
+        variant="outlined"
+        startIcon={<Add />}
+        onClick={() => updateRules((current) => [...current, createRule()])}
+        disabled={updateOptions.isPending || rules.length >= schemaField.max}
+      >
+        {__('Add rule', 'flux-media-optimizer')}
+      </Button>
+    </Box>
+  );
+};
+
+export default RulesPage;
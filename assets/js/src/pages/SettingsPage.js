@@ -1,10 +1,36 @@
-import React, { useState, useEffect } from 'react';
-import { Typography, Box, Grid, Switch, FormControlLabel, Alert, Divider, TextField, Stack, FormHelperText, Skeleton } from '@mui/material';
-import { __, _x } from '@wordpress/i18n';
+import React, { useState, useEffect, Fragment } from 'react';
+import { Typography, Box, Grid, Alert, Divider, Stack, Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, Button } from '@mui/material';
+import { __ } from '@wordpress/i18n';
 import { useAutoSaveForm } from '@flux-media-optimizer/hooks/useAutoSaveForm';
-import { useOptions } from '@flux-media-optimizer/hooks/useOptions';
+import { useAutoSave } from '@flux-media-optimizer/contexts/AutoSaveContext';
+import {
+  useOptions,
+  useOptionsSchema,
+  useExportOptions,
+  usePreviewImportOptions,
+  useImportOptions,
+  useResetOptions,
+  usePreviewQuality,
+} from '@flux-media-optimizer/hooks/useOptions';
+import { useAttachments } from '@flux-media-optimizer/hooks/useAttachments';
 import { useSystemStatus } from '@flux-media-optimizer/hooks/useSystemStatus';
-import { SubscribeForm, SettingsSkeleton } from '@flux-media-optimizer/components';
+import { SubscribeForm, SchemaField, SettingsSkeleton, SettingsToolsCard, ImportPreviewDialog, QualityPreviewCard, QualityPresetsCard, SaveStatusIndicator, SettingsHistoryCard } from '@flux-media-optimizer/components';
+import { validateSetting, groupSchemaFields } from '@flux-media-optimizer/utils/settingsSchema';
+
+/**
+ * Trigger a browser download of a JSON document.
+ */
+const downloadJson = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
 
 /**
  * Settings page component with auto-save functionality
@@ -16,9 +42,48 @@ const SettingsPage = () => {
   // React Query hooks for data fetching
   const { data: serverSettings, isLoading: optionsLoading, error: optionsError } = useOptions();
   const { data: systemStatus, isLoading: systemLoading, error: systemError } = useSystemStatus();
+  const { data: schema, isLoading: schemaLoading, error: schemaError } = useOptionsSchema();
+  const [fieldErrors, setFieldErrors] = useState({});
 
   // Auto-save hook - use local settings for immediate feedback
-  const { debouncedSave, manualSave } = useAutoSaveForm('settings', localSettings);
+  const { debouncedSave, manualSave } = useAutoSaveForm('settings', localSettings, null, 1000, {
+    onRestore: (values) => {
+      setLocalSettings(prev => ({
+        ...prev,
+        ...values,
+      }));
+      setFieldErrors(prev => ({
+        ...prev,
+        ...Object.fromEntries(Object.keys(values).map((key) => [key, null])),
+      }));
+    },
+    onFieldErrors: (errors) => {
+      setFieldErrors(prev => ({
+        ...prev,
+        ...errors,
+      }));
+    },
+  });
+  const { getSaveState, history, undoChange, undoingId } = useAutoSave();
+
+  // Import, export and reset
+  const exportOptions = useExportOptions();
+  const previewImport = usePreviewImportOptions();
+  const importOptions = useImportOptions();
+  const resetOptions = useResetOptions();
+  const [pendingImport, setPendingImport] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [resetDialogOpen, setResetDialogOpen] = useState(false);
+
+  // Quality preview sandbox
+  const previewQuality = usePreviewQuality();
+  const [previewAttachment, setPreviewAttachment] = useState(null);
+  const [previewSearch, setPreviewSearch] = useState('');
+  const { data: previewAttachments, isFetching: previewAttachmentsLoading } = useAttachments({
+    type: 'image',
+    search: previewSearch,
+    per_page: 20,
+  });
 
   // Update local settings when server data changes
   useEffect(() => {
@@ -34,48 +99,156 @@ const SettingsPage = () => {
   const settings = localSettings;
 
   // Helper functions to check format support
-  const isWebPSupported = () => {
-    return systemStatus?.imageProcessor?.webp_support === true;
+  const isFormatSupported = (format) => {
+    return systemStatus?.imageProcessor?.[`${format}_support`] === true;
   };
 
-  const isAVIFSupported = () => {
-    return systemStatus?.imageProcessor?.avif_support === true;
+  const isWebPSupported = () => isFormatSupported('webp');
+
+  const isAVIFSupported = () => isFormatSupported('avif');
+
+  const isFieldSupported = (field) => {
+    return !field.requires_support || field.requires_support.some(isFormatSupported);
   };
 
-  const handleSettingChange = (key) => (event) => {
-    let newValue;
-    
-    if (event.target.type === 'range') {
-      // Handle range inputs - convert to number
-      newValue = parseInt(event.target.value, 10);
-    } else if (event.target.type === 'checkbox' || event.target.type === 'switch') {
-      // Handle checkboxes/switches
-      newValue = event.target.checked;
-    } else {
-      // Handle text inputs and other types
-      newValue = event.target.value;
-    }
-    
+  const handleSettingChange = (key) => (newValue) => {
     // Immediately update local state for instant UI feedback
     setLocalSettings(prev => ({
       ...prev,
       [key]: newValue
     }));
+
+    // Validate against the same rules the server applies before saving
+    const error = validateSetting(schema?.fields?.[key], newValue);
+    setFieldErrors(prev => ({
+      ...prev,
+      [key]: error,
+    }));
+    if (error) {
+      return;
+    }
     
     // Trigger auto-save with only the single field that changed
     // This happens in the background while UI is already updated
     debouncedSave({ [key]: newValue });
   };
 
+  // Quality presets: built-in ones come with the schema, custom ones are a setting
+  const presetsField = schema?.fields?.quality_presets;
+  const presetKeys = presetsField?.keys || [];
+  const presets = [
+    ...(presetsField?.built_in || []).map((preset) => ({ ...preset, built_in: true })),
+    ...(settings.quality_presets || []),
+  ];
+  const activePreset = presets.find((preset) => presetKeys.every((key) => preset.values[key] === settings[key])) || null;
+
+  const saveQualityPresets = (nextPresets) => {
+    setLocalSettings(prev => ({
+      ...prev,
+      quality_presets: nextPresets,
+    }));
+    manualSave({ quality_presets: nextPresets });
+  };
+
+  const handleApplyPreset = (preset) => {
+    setLocalSettings(prev => ({
+      ...prev,
+      ...preset.values,
+    }));
+    setFieldErrors(prev => ({
+      ...prev,
+      ...Object.fromEntries(presetKeys.map((key) => [key, null])),
+    }));
+    manualSave(preset.values);
+  };
+
+  const handleSavePreset = (label) => {
+    const values = Object.fromEntries(presetKeys.map((key) => [key, settings[key]]));
+    // The server assigns the id
+    saveQualityPresets([...(settings.quality_presets || []), { id: '', label, values }]);
+  };
+
+  const handleDeletePreset = (preset) => {
+    saveQualityPresets((settings.quality_presets || []).filter((item) => item !== preset));
+  };
+
+  const handlePreviewQuality = () => {
+    previewQuality.mutate({
+      attachment_id: previewAttachment.id,
+      image_webp_quality: settings.image_webp_quality,
+      image_avif_quality: settings.image_avif_quality,
+      image_avif_speed: settings.image_avif_speed,
+      formats: ['webp', 'avif'].filter(isFormatSupported),
+    });
+  };
+
+  // The preview echoes the settings it was encoded with
+  const previewSettings = previewQuality.data?.settings;
+  const isPreviewStale = Boolean(previewSettings) && (
+    previewSettings.webp_quality !== settings.image_webp_quality
+    || previewSettings.avif_quality !== settings.image_avif_quality
+    || previewSettings.avif_speed !== settings.image_avif_speed
+  );
+
+  const handleExport = () => {
+    exportOptions.mutate(undefined, {
+      onSuccess: (data) => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadJson(data, `flux-media-optimizer-settings-${date}.json`);
+      },
+    });
+  };
+
+  const handleImportFile = (file) => {
+    setFileError(null);
+    file.text()
+      .then((text) => {
+        const parsed = JSON.parse(text);
+        // Accept both a full export document and a bare options object
+        const options = parsed && typeof parsed.options === 'object' ? parsed.options : parsed;
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+          throw new Error(__('The file does not contain any settings.', 'flux-media-optimizer'));
+        }
+        return previewImport.mutateAsync(options).then((preview) => {
+          setPendingImport({ options, preview });
+        });
+      })
+      .catch((error) => {
+        setFileError(error instanceof SyntaxError
+          ? new Error(__('The file is not valid JSON.', 'flux-media-optimizer'))
+          : error);
+      });
+  };
+
+  const handleConfirmImport = () => {
+    importOptions.mutate(pendingImport.options, {
+      onSuccess: () => setPendingImport(null),
+    });
+  };
+
+  const handleConfirmReset = () => {
+    resetOptions.mutate(undefined, {
+      onSuccess: () => setResetDialogOpen(false),
+    });
+  };
+
+  const toolsBusy = [exportOptions, previewImport, importOptions, resetOptions].some((mutation) => mutation.isPending);
+  const toolsError = fileError || exportOptions.error || previewImport.error || resetOptions.error;
+
   // Determine if there are any errors
-  const hasError = optionsError || systemError;
-  const errorMessage = optionsError?.message || systemError?.message || __('Failed to load settings', 'flux-media-optimizer');
+  const hasError = optionsError || systemError || schemaError;
+  const errorMessage = optionsError?.message || systemError?.message || schemaError?.message || __('Failed to load settings', 'flux-media-optimizer');
   
   // Check if data is still loading
-  const isLoading = optionsLoading || systemLoading;
+  const isLoading = optionsLoading || systemLoading || schemaLoading;
+
+  const groups = groupSchemaFields(schema);
 
   return (
     <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', minHeight: 24, mb: 1 }}>
+        <SaveStatusIndicator state={getSaveState('settings')} />
+      </Box>
 
       {hasError && (
         <Alert severity="error" sx={{ mb: 3 }}>
@@ -102,354 +275,91 @@ const SettingsPage = () => {
           )}
 
           <Grid container spacing={3}>
-        {/* General Settings - Full Width */}
-        <Grid item xs={12}>
-          <Box>
-            <Typography variant="h5" gutterBottom>
-              {__('General Settings', 'flux-media-optimizer')}
-            </Typography>
-            <Stack spacing={2}>
-              <FormControlLabel
-                control={
-                  <Switch
-                    checked={settings?.bulk_conversion_enabled}
-                    disabled={isLoading}
-                    onChange={handleSettingChange('bulk_conversion_enabled')}
-                  />
-                }
-                label={__('Enable bulk conversion', 'flux-media-optimizer')}
-              /> 
-              <FormHelperText>
-                {__('Automatically convert existing media files in the background using WordPress cron.', 'flux-media-optimizer')}
-              </FormHelperText>
-            </Stack>
-          </Box>
-        </Grid>
-
-        {/* Image Settings - Left Column */}
-        <Grid item xs={12} md={6}>
-          <Box>
-            <Typography variant="h5" gutterBottom>
-              {__('Image Settings', 'flux-media-optimizer')}
-            </Typography>
-            <Stack spacing={2}>
-              <FormControlLabel
-                control={
-                  <Switch
-                    checked={settings?.image_auto_convert}
-                    disabled={isLoading}
-                    onChange={handleSettingChange('image_auto_convert')}
-                  />
-                }
-                label={__('Auto-convert images on upload', 'flux-media-optimizer')}
-              />
-              
-              <FormControlLabel
-                control={
-                  <Switch
-                    checked={settings?.image_hybrid_approach}
-                    disabled={isLoading || (!isWebPSupported() && !isAVIFSupported())}
-                    onChange={handleSettingChange('image_hybrid_approach')}
-                  />
-                }
-                label={__('Image hybrid approach (experimental - use with caution)', 'flux-media-optimizer')}
-              />
-              <FormHelperText>
-                {__('Creates both WebP and AVIF formats when supported by your server. Serves AVIF where supported (via <picture> tags or server detection), with WebP and the original image as fallback. This is the recommended approach for maximum performance and device compatibility. This is more dependent on theme and plugin compatibility than the native approach.', 'flux-media-optimizer')}
-              </FormHelperText>
-
-              {!settings?.image_hybrid_approach && (
-                <>
-                  <FormControlLabel
-                    control={
-                      <Switch
-                        checked={settings?.image_formats?.includes('webp')}
-                        disabled={isLoading || !isWebPSupported()}
-                        onChange={(e) => {
-                          const newFormats = e.target.checked 
-                            ? [...(settings?.image_formats || []).filter(f => f !== 'webp'), 'webp']
-                            : (settings?.image_formats || []).filter(f => f !== 'webp');
-                          
-                          // Save only the image_formats field
-                          // React Query will handle updating the cache after successful save
-                          debouncedSave({ image_formats: newFormats });
-                        }}
-                      />
-                    }
-                    label={__('Enable WebP conversion', 'flux-media-optimizer')}
-                  />
-                  
-                  <FormControlLabel
-                    control={
-                      <Switch
-                        checked={settings?.image_formats?.includes('avif')}
-                        disabled={isLoading || !isAVIFSupported()}
-                        onChange={(e) => {
-                          const newFormats = e.target.checked 
-                            ? [...(settings?.image_formats || []).filter(f => f !== 'avif'), 'avif']
-                            : (settings?.image_formats || []).filter(f => f !== 'avif');
-                          
-                          // Save only the image_formats field
-                          // React Query will handle updating the cache after successful save
-                          debouncedSave({ image_formats: newFormats });
-                        }}
-                      />
-                    }
-                    label={__('Enable AVIF conversion', 'flux-media-optimizer')}
-                  />
-                </>
-              )}
-            </Stack>
-          </Box>
-        </Grid>
-
-        {/* Video Settings - Right Column */}
-        <Grid item xs={12} md={6}>
-          <Box>
-            <Typography variant="h5" gutterBottom>
-              {__('Video Settings', 'flux-media-optimizer')}
-            </Typography>
-            <Stack spacing={2}>
-              <FormControlLabel
-                control={
-                  <Switch
-                    checked={settings?.video_auto_convert}
-                    disabled={isLoading}
-                    onChange={handleSettingChange('video_auto_convert')}
-                  />
-                }
-                label={__('Auto-convert videos on upload', 'flux-media-optimizer')}
-              />
-              
-              <FormControlLabel
-                control={
-                  <Switch
-                    checked={settings?.video_hybrid_approach}
-                    disabled={isLoading}
-                    onChange={handleSettingChange('video_hybrid_approach')}
-                  />
-                }
-                label={__('Video hybrid approach (experimental - use with caution)', 'flux-media-optimizer')}
-              />
-              <FormHelperText>
-                {__('Creates both AV1 and WebM formats when supported by your server. Serves AV1 where supported (via multiple <source> elements), with WebM and the original video as fallback. This is the recommended approach for maximum performance and device compatibility. This is more dependent on theme and plugin compatibility than the native approach.', 'flux-media-optimizer')}
-              </FormHelperText>
-
-              {!settings?.video_hybrid_approach && (
-                <>
-                  <FormControlLabel
-                    control={
-                      <Switch
-                        checked={settings?.video_formats?.includes('av1')}
-                        disabled={isLoading}
-                        onChange={(e) => {
-                          const newFormats = e.target.checked 
-                            ? [...(settings?.video_formats || []).filter(f => f !== 'av1'), 'av1']
-                            : (settings?.video_formats || []).filter(f => f !== 'av1');
-                          
-                          // Save only the video_formats field
-                          debouncedSave({ video_formats: newFormats });
-                        }}
-                      />
-                    }
-                    label={__('Enable AV1 conversion', 'flux-media-optimizer')}
-                  />
-                  
-                  <FormControlLabel
-                    control={
-                      <Switch
-                        checked={settings?.video_formats?.includes('webm')}
-                        disabled={isLoading}
-                        onChange={(e) => {
-                          const newFormats = e.target.checked 
-                            ? [...(settings?.video_formats || []).filter(f => f !== 'webm'), 'webm']
-                            : (settings?.video_formats || []).filter(f => f !== 'webm');
-                          
-                          // Save only the video_formats field
-                          debouncedSave({ video_formats: newFormats });
-                        }}
-                      />
-                    }
-                    label={__('Enable WebM conversion', 'flux-media-optimizer')}
-                  />
-                </>
-              )}
-            </Stack>
-          </Box>
-        </Grid>
-
-        {/* Image Quality Settings - Left Column */}
-        <Grid item xs={12} md={6}>
-          <Box>
-            <Typography variant="h5" gutterBottom>
-              {__('Image Quality Settings', 'flux-media-optimizer')}
-            </Typography>
-            <Stack spacing={3}>
-              {/* WebP Quality */}
-              <Box sx={{ opacity: isWebPSupported() ? 1 : 0.5 }}>
-                <Typography variant="subtitle1" gutterBottom>
-                  {__('WebP Quality', 'flux-media-optimizer')}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                  {__('Current:', 'flux-media-optimizer')} {settings?.image_webp_quality}% ({__('Higher values produce larger files with better quality', 'flux-media-optimizer')})
-                </Typography>
-                <input
-                  type="range"
-                  min="1"
-                  max="100"
-                  value={settings?.image_webp_quality}
-                  disabled={isLoading || !isWebPSupported()}
-                  onChange={handleSettingChange('image_webp_quality')}
-                  style={{ width: '100%' }}
-                />
-              </Box>
-
-              {/* AVIF Quality */}
-              <Box sx={{ opacity: isAVIFSupported() ? 1 : 0.5 }}>
-                <Typography variant="subtitle1" gutterBottom>
-                  {__('AVIF Quality', 'flux-media-optimizer')}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                  {__('Current:', 'flux-media-optimizer')} {settings?.image_avif_quality}% ({__('AVIF typically needs lower quality for similar file size', 'flux-media-optimizer')})
-                </Typography>
-                <input
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={settings?.image_avif_quality}
-                  disabled={isLoading || !isAVIFSupported()}
-                  onChange={handleSettingChange('image_avif_quality')}
-                  style={{ width: '100%' }}
-                />
-              </Box>
-
-              {/* AVIF Speed */}
-              <Box sx={{ opacity: isAVIFSupported() ? 1 : 0.5 }}>
-                <Typography variant="subtitle1" gutterBottom>
-                  {__('AVIF Speed', 'flux-media-optimizer')}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                  {__('Current:', 'flux-media-optimizer')} {settings?.image_avif_speed} ({__('Lower values = slower encoding but better compression', 'flux-media-optimizer')})
-                </Typography>
-                <input
-                  type="range"
-                  min="0"
-                  max="10"
-                  value={settings?.image_avif_speed}
-                  disabled={isLoading || !isAVIFSupported()}
-                  onChange={handleSettingChange('image_avif_speed')}
-                  style={{ width: '100%' }}
-                />
-              </Box>
-            </Stack>
-          </Box>
-        </Grid>
+            {groups.map((group, index) => (
+              <Fragment key={group.id}>
+                <Grid item xs={12} md={group.width === 'half' ? 6 : 12}>
+                  {group.width === 'full' && index > 0 && <Divider sx={{ my: 2 }} />}
+                  {group.id === 'quality_presets' ? (
+                    <QualityPresetsCard
+                      group={group}
+                      presets={presets}
+                      activePreset={activePreset}
+                      disabled={isLoading}
+                      onApply={handleApplyPreset}
+                      onSave={handleSavePreset}
+                      onDelete={handleDeletePreset}
+                      maxCustom={presetsField.max}
+                    />
+                  ) : (
+                    <Box>
+                      <Typography variant="h5" gutterBottom>
+                        {group.label}
+                      </Typography>
+                      {group.description && (
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                          {group.description}
+                        </Typography>
+                      )}
+                      <Stack spacing={group.fields.some((field) => field.control === 'slider') ? 3 : 2}>
+                        {group.fields
+                          .filter((field) => !(field.hide_if && settings?.[field.hide_if]))
+                          .map((field) => (
+                            <SchemaField
+                              key={field.key}
+                              field={field}
+                              value={settings?.[field.key]}
+                              disabled={isLoading || !isFieldSupported(field)}
+                              isOptionDisabled={(option) => field.options_require_support && !isFormatSupported(option)}
+                              error={fieldErrors[field.key]}
+                              onChange={handleSettingChange(field.key)}
+                            />
+                          ))}
+                      </Stack>
+                    </Box>
+                  )}
+                </Grid>
+                {group.id === 'image_quality' && (isWebPSupported() || isAVIFSupported()) && (
+                  <Grid item xs={12}>
+                    <QualityPreviewCard
+                      attachments={previewAttachments?.data || []}
+                      attachmentsLoading={previewAttachmentsLoading}
+                      attachment={previewAttachment}
+                      onAttachmentChange={setPreviewAttachment}
+                      onSearchChange={setPreviewSearch}
+                      preview={previewQuality.data}
+                      stale={isPreviewStale}
+                      busy={previewQuality.isPending}
+                      error={previewQuality.error}
+                      onPreview={handlePreviewQuality}
+                    />
+                  </Grid>
+                )}
+              </Fragment>
+            ))}
 
-        {/* Video Quality Settings - Right Column */}
-        <Grid item xs={12} md={6}>
-          <Box>
-            <Typography variant="h5" gutterBottom>
-              {__('Video Quality Settings', 'flux-media-optimizer')}
-            </Typography>
-            <Stack spacing={3}>
-              <Box>
-                <Typography variant="subtitle1" gutterBottom>
-                  {__('AV1 CRF (Constant Rate Factor)', 'flux-media-optimizer')}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                  {__('Current:', 'flux-media-optimizer')} {settings?.video_av1_crf} ({__('Lower values = higher quality, larger files', 'flux-media-optimizer')})
-                </Typography>
-                <input
-                  type="range"
-                  min="18"
-                  max="50"
-                  value={settings?.video_av1_crf}
-                  disabled={isLoading}
-                  onChange={handleSettingChange('video_av1_crf')}
-                  style={{ width: '100%' }}
-                />
-              </Box>
-
-              <Box>
-                <Typography variant="subtitle1" gutterBottom>
-                  {__('WebM CRF (Constant Rate Factor)', 'flux-media-optimizer')}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                  {__('Current:', 'flux-media-optimizer')} {settings?.video_webm_crf} ({__('Lower values = higher quality, larger files', 'flux-media-optimizer')})
-                </Typography>
-                <input
-                  type="range"
-                  min="18"
-                  max="50"
-                  value={settings?.video_webm_crf}
-                  disabled={isLoading}
-                  onChange={handleSettingChange('video_webm_crf')}
-                  style={{ width: '100%' }}
-                />
-              </Box>
-
-              <Box>
-                <Typography variant="subtitle1" gutterBottom>
-                  {__('AV1 CPU Used', 'flux-media-optimizer')}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                  {__('Current:', 'flux-media-optimizer')} {settings?.video_av1_cpu_used} ({__('Controls encoding speed vs file size. Lower values = slower encoding but smaller files at same quality (0-8)', 'flux-media-optimizer')})
-                </Typography>
-                <input
-                  type="range"
-                  min="0"
-                  max="8"
-                  value={settings?.video_av1_cpu_used}
-                  disabled={isLoading}
-                  onChange={handleSettingChange('video_av1_cpu_used')}
-                  style={{ width: '100%' }}
-                />
-              </Box>
-
-              <Box>
-                <Typography variant="subtitle1" gutterBottom>
-                  {__('WebM Speed', 'flux-media-optimizer')}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                  {__('Current:', 'flux-media-optimizer')} {settings?.video_webm_speed} ({__('Controls encoding speed vs file size. Lower values = slower encoding but smaller files at same quality (0-9)', 'flux-media-optimizer')})
-                </Typography>
-                <input
-                  type="range"
-                  min="0"
-                  max="9"
-                  value={settings?.video_webm_speed}
-                  disabled={isLoading}
-                  onChange={handleSettingChange('video_webm_speed')}
-                  style={{ width: '100%' }}
-                />
-              </Box>
-            </Stack>
-          </Box>
-        </Grid>
+        {/* Session history with undo */}
+        {history.length > 0 && (
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <SettingsHistoryCard
+              entries={history}
+              fields={schema?.fields}
+              undoingId={undoingId}
+              onUndo={undoChange}
+            />
+          </Grid>
+        )}
 
-        {/* License Settings */}
+        {/* Import, Export and Reset */}
         <Grid item xs={12}>
           <Divider sx={{ my: 2 }} />
-          <Box>
-            <Typography variant="h5" gutterBottom>
-              {__('License Settings', 'flux-media-optimizer')}
-            </Typography>
-            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-              {__('Enter your license key to enable external media processing and CDN storage services. All plugin features work fully without external services.', 'flux-media-optimizer')}
-            </Typography>
-            <TextField
-              fullWidth
-              label={__('License Key', 'flux-media-optimizer')}
-              placeholder={__('Enter your license key', 'flux-media-optimizer')}
-              value={settings?.license_key}
-              disabled={isLoading}
-              onChange={handleSettingChange('license_key')}
-              variant="outlined"
-              size="small"
-              sx={{ maxWidth: 400 }}
-              helperText={__('Used for optional external processing and CDN storage services. All image and video optimization features are available without a license key.', 'flux-media-optimizer')}
-            />
-          </Box>
+          <SettingsToolsCard
+            busy={toolsBusy}
+            error={toolsError}
+            onExport={handleExport}
+            onImportFile={handleImportFile}
+            onReset={() => setResetDialogOpen(true)}
+          />
         </Grid>
 
         {/* Newsletter Subscription */}
@@ -461,6 +371,35 @@ const SettingsPage = () => {
           </Grid>
         </>
       )}
+
+      <ImportPreviewDialog
+        open={!!pendingImport}
+        preview={pendingImport?.preview}
+        busy={importOptions.isPending}
+        error={importOptions.error}
+        onConfirm={handleConfirmImport}
+        onCancel={() => {
+          importOptions.reset();
+          setPendingImport(null);
+        }}
+      />
+
+      <Dialog open={resetDialogOpen} onClose={() => setResetDialogOpen(false)}>
+        <DialogTitle>{__('Reset Settings', 'flux-media-optimizer')}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {__('All settings except the license key will be restored to their defaults. This cannot be undone.', 'flux-media-optimizer')}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setResetDialogOpen(false)} disabled={resetOptions.isPending}>
+            {__('Cancel', 'flux-media-optimizer')}
+          </Button>
+          <Button color="error" variant="contained" onClick={handleConfirmReset} disabled={resetOptions.isPending}>
+            {__('Reset to Defaults', 'flux-media-optimizer')}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
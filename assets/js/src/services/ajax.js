@@ -0,0 +1,34 @@
+/**
+ * admin-ajax helper for the attachment actions registered by WordPressProvider.
+ */
+
+/**
+ * Post an attachment action to admin-ajax.php.
+ *
+ * A request that cannot reach the server rejects with `code: 'fetch_error'`,
+ * like apiFetch, so callers can tell it apart from other errors.
+ *
+ * @param {string} action - The wp_ajax action name
+ * @param {string} nonce - Nonce for the action
+ * @param {Object} data - Additional request fields
+ * @returns {Promise<Object>} Parsed `{ success, data }` response
+ */
+export const postAjaxAction = async (action, nonce, data = {}) => {
+  let response;
+  try {
+    response = await fetch(window.fluxMediaAdmin?.ajaxUrl || '/wp-admin/admin-ajax.php', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({ action, nonce, ...data }),
+    });
+  } catch (error) {
+    throw { code: 'fetch_error', message: error.message };
+  }
+
+  return response.json();
+};
+
+export default postAjaxAction;
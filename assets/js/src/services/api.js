@@ -3,10 +3,20 @@
  */
 
 import apiFetch from '@wordpress/api-fetch';
+import { isNetworkError, reportNetworkError } from './network';
+
+// Filters shared by the log listing and the log export
+const LOG_FILTER_KEYS = ['level', 'search', 'date_from', 'date_to', 'attachment_id'];
 
 class ApiService {
   constructor() {
     this.namespace = 'flux-media-optimizer/v1';
+
+    // Revision of the settings last loaded or saved, sent back when saving
+    this.optionsRevision = null;
+
+    // Nonce refresh in progress, shared by requests that fail at the same time
+    this.nonceRefresh = null;
     
     // Configure apiFetch with proper API root
     const apiRoot = window.fluxMediaAdmin?.apiUrl || '/wp-json/';
@@ -17,11 +27,17 @@ class ApiService {
 
   /**
    * Make a request using WordPress apiFetch
+   *
+   * A request rejected because the REST nonce expired, e.g. after the tab was
+   * left idle, is sent once more with a fresh nonce. Requests that cannot
+   * reach the server mark the app as offline.
+   *
    * @param {string} endpoint - The API endpoint
    * @param {Object} options - Request options
+   * @param {boolean} nonceRefreshed - Whether the nonce was already refreshed for this request
    * @returns {Promise} - API response
    */
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, nonceRefreshed = false) {
     const defaultOptions = {
       path: endpoint,
       method: 'GET',
@@ -64,6 +80,14 @@ class ApiService {
       // Legacy format: return data directly
       return response;
     } catch (error) {
+      if (isNetworkError(error)) {
+        reportNetworkError();
+      }
+
+      if (!nonceRefreshed && await this.isInvalidNonceError(error) && await this.refreshNonce()) {
+        return this.request(endpoint, options, true);
+      }
+
       console.error('API Error:', error);
       console.error('Error details:', {
         message: error.message,
@@ -77,6 +101,51 @@ class ApiService {
     }
   }
 
+  /**
+   * Check whether a request failed because its nonce expired
+   * @param {*} error - Error thrown by apiFetch, or the raw response when it was not parsed
+   * @returns {Promise<boolean>}
+   */
+  async isInvalidNonceError(error) {
+    if (typeof Response !== 'undefined' && error instanceof Response) {
+      if (error.status !== 403) {
+        return false;
+      }
+      const body = await error.clone().json().catch(() => null);
+      return body?.code === 'rest_cookie_invalid_nonce';
+    }
+
+    return error?.code === 'rest_cookie_invalid_nonce';
+  }
+
+  /**
+   * Fetch a new REST nonce from WordPress
+   * @returns {Promise<boolean>} True when the nonce was replaced
+   */
+  async refreshNonce() {
+    if (!this.nonceRefresh) {
+      const ajaxUrl = window.fluxMediaAdmin?.ajaxUrl || '/wp-admin/admin-ajax.php';
+
+      this.nonceRefresh = fetch(`${ajaxUrl}?action=rest-nonce`, { credentials: 'same-origin' })
+        .then((response) => (response.ok ? response.text() : ''))
+        .then((text) => {
+          const nonce = text.trim();
+          // admin-ajax answers 0 when the login session itself has expired
+          if (!nonce || nonce === '0' || !window.fluxMediaAdmin) {
+            return false;
+          }
+          window.fluxMediaAdmin.nonce = nonce;
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => {
+          this.nonceRefresh = null;
+        });
+    }
+
+    return this.nonceRefresh;
+  }
+
   // System endpoints
   async getSystemStatus() {
     return this.request('/status');
@@ -100,15 +169,99 @@ class ApiService {
   }
 
 
+  /**
+   * Make an options request that keeps track of the settings revision
+   *
+   * The server sends the revision of the stored settings as the ETag of the
+   * response. Saves send it back as If-Match, so a save based on outdated
+   * settings fails with a `revision_conflict` error instead of overwriting
+   * changes made in another tab or by another user.
+   *
+   * @param {string} endpoint - The API endpoint
+   * @param {Object} options - Request options
+   * @returns {Promise} - API response data
+   */
+  async requestOptions(endpoint, options = {}) {
+    let response;
+    try {
+      response = await this.request(endpoint, { ...options, parse: false });
+    } catch (error) {
+      // apiFetch rejects with the raw response when it does not parse it
+      if (typeof Response !== 'undefined' && error instanceof Response) {
+        throw await error.json().catch(() => ({ message: error.statusText, status: error.status }));
+      }
+      throw error;
+    }
+
+    this.optionsRevision = response.headers.get('ETag') || this.optionsRevision;
+
+    const body = await response.json();
+    return body && typeof body === 'object' && body.success !== undefined ? body.data : body;
+  }
+
   // Options endpoints
   async getOptions() {
-    return this.request('/options');
+    return this.requestOptions('/options');
   }
 
-  async updateOptions(options) {
-    return this.request('/options', {
+  /**
+   * Save options
+   * @param {Object} options - Options to save
+   * @param {string|null} revision - Revision the options are based on (defaults to the last loaded one)
+   * @returns {Promise} - All options after saving
+   */
+  async updateOptions(options, revision = null) {
+    const ifMatch = revision || this.optionsRevision;
+
+    return this.requestOptions('/options', {
       method: 'POST',
       body: JSON.stringify({ options }),
+      headers: ifMatch ? { 'If-Match': ifMatch } : {},
+    });
+  }
+
+  async getOptionsSchema() {
+    return this.request('/options/schema');
+  }
+
+  async exportOptions() {
+    return this.request('/options/export');
+  }
+
+  async importOptions(options, dryRun = false) {
+    return this.requestOptions('/options/import', {
+      method: 'POST',
+      body: JSON.stringify({ options, dry_run: dryRun }),
+    });
+  }
+
+  async resetOptions() {
+    return this.requestOptions('/options/reset', {
+      method: 'POST',
+    });
+  }
+
+  async getSettingsAudit(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page.toString());
+    if (params.per_page) queryParams.append('per_page', params.per_page.toString());
+    if (params.setting_key) queryParams.append('setting_key', params.setting_key);
+    if (params.user_id !== undefined && params.user_id !== '') queryParams.append('user_id', params.user_id.toString());
+
+    return this.request(`/options/audit?${queryParams.toString()}`);
+  }
+
+  async revertSettingsAuditEntry(entryId) {
+    return this.request(`/options/audit/${entryId}/revert`, {
+      method: 'POST',
+    });
+  }
+
+  async previewQuality(params) {
+    return this.request('/options/preview', {
+      method: 'POST',
+      body: JSON.stringify(params),
     });
   }
 
@@ -135,6 +288,22 @@ class ApiService {
     });
   }
 
+  async getBulkConversionJob() {
+    return this.request('/conversions/bulk');
+  }
+
+  async pauseBulkConversion() {
+    return this.request('/conversions/bulk/pause', {
+      method: 'POST',
+    });
+  }
+
+  async resumeBulkConversion() {
+    return this.request('/conversions/bulk/resume', {
+      method: 'POST',
+    });
+  }
+
   // File operations
   async deleteConvertedFile(attachmentId, format) {
     return this.request(`/files/delete/${attachmentId}/${format}`, {
@@ -142,18 +311,80 @@ class ApiService {
     });
   }
 
+  // Attachment endpoints
+  async getAttachments(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page.toString());
+    if (params.per_page) queryParams.append('per_page', params.per_page.toString());
+    if (params.orderby) queryParams.append('orderby', params.orderby);
+    if (params.order) queryParams.append('order', params.order);
+    if (params.search) queryParams.append('search', params.search);
+    if (params.type) queryParams.append('type', params.type);
+
+    return this.request(`/attachments?${queryParams.toString()}`);
+  }
+
+  async getAttachment(attachmentId) {
+    return this.request(`/attachments/${attachmentId}`);
+  }
+
+  async getAttachmentHistory(attachmentId) {
+    return this.request(`/attachments/${attachmentId}/history`);
+  }
+
+  async getAttachmentVariants(attachmentId) {
+    return this.request(`/attachments/${attachmentId}/variants`);
+  }
+
+  async getFailedAttachments(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page.toString());
+    if (params.per_page) queryParams.append('per_page', params.per_page.toString());
+    if (params.category) queryParams.append('category', params.category);
+
+    return this.request(`/attachments/failures?${queryParams.toString()}`);
+  }
+
   // Logs
   async getLogs(params = {}) {
     const queryParams = new URLSearchParams();
     
     if (params.page) queryParams.append('page', params.page.toString());
     if (params.per_page) queryParams.append('per_page', params.per_page.toString());
-    if (params.level) queryParams.append('level', params.level);
-    if (params.search) queryParams.append('search', params.search);
+    LOG_FILTER_KEYS.forEach((key) => {
+      if (params[key]) queryParams.append(key, params[key].toString());
+    });
+    if (params.after_id) queryParams.append('after_id', params.after_id.toString());
     
     return this.request(`/logs?${queryParams.toString()}`);
   }
 
+  /**
+   * Build the URL of the log export download
+   *
+   * Downloads are plain browser navigations, so the REST nonce is passed as
+   * `_wpnonce` instead of a header.
+   * @param {Object} params - Export format and the current filters
+   * @returns {string} - Download URL
+   */
+  getLogsExportUrl(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    queryParams.append('format', params.format || 'csv');
+    LOG_FILTER_KEYS.forEach((key) => {
+      if (params[key]) queryParams.append(key, params[key].toString());
+    });
+    queryParams.append('_wpnonce', window.fluxMediaAdmin?.nonce || '');
+
+    const apiRoot = window.fluxMediaAdmin?.apiUrl || `/wp-json/${this.namespace}/`;
+    const url = `${apiRoot.replace(/\/$/, '')}/logs/export`;
+
+    // Plain permalinks use ?rest_route=, so the query may already be started
+    return `${url}${url.includes('?') ? '&' : '?'}${queryParams.toString()}`;
+  }
+
   // Cleanup operations
   async cleanupTempFiles() {
     return this.request('/cleanup/temp-files', {
@@ -161,10 +392,15 @@ class ApiService {
     });
   }
 
-  async cleanupOldRecords(days = 30) {
+  /**
+   * Purge old logs and orphaned conversion records
+   * @param {Object} params - `days` and `max_rows` override the retention settings; `dry_run` only counts
+   * @returns {Promise} - Deleted (or, for a dry run, matching) record counts
+   */
+  async cleanupOldRecords(params = {}) {
     return this.request('/cleanup/old-records', {
       method: 'POST',
-      body: JSON.stringify({ days }),
+      body: JSON.stringify(params),
     });
   }
 }
@@ -0,0 +1,57 @@
+/**
+ * Connection tracking for the admin app.
+ *
+ * React Query pauses mutations while its onlineManager reports the app as
+ * offline and replays them when it comes back online. The browser only
+ * reports whether a network exists, so a request that cannot reach the
+ * server also marks the app as offline until the server answers again.
+ */
+
+import { onlineManager } from '@tanstack/react-query';
+
+// How often to check whether the server can be reached again
+const PROBE_INTERVAL_MS = 5000;
+
+let probeTimeout = null;
+
+/**
+ * Whether an error means the server could not be reached.
+ *
+ * apiFetch and postAjaxAction report a failed fetch as `fetch_error`. Other
+ * errors, including TypeErrors from bugs in the calling code, are not
+ * network errors.
+ *
+ * @param {*} error - Error thrown by a request
+ * @returns {boolean} True for network errors
+ */
+export const isNetworkError = (error) => error?.code === 'fetch_error';
+
+const probe = async () => {
+  probeTimeout = null;
+
+  try {
+    // Any HTTP response, even an error status, means the server is reachable
+    await fetch(window.fluxMediaAdmin?.apiUrl || '/wp-json/', {
+      method: 'HEAD',
+      credentials: 'same-origin',
+      cache: 'no-store',
+    });
+    onlineManager.setOnline(true);
+  } catch (error) {
+    probeTimeout = setTimeout(probe, PROBE_INTERVAL_MS);
+  }
+};
+
+/**
+ * Mark the app as offline after a request could not reach the server.
+ *
+ * The server is checked periodically until it answers, at which point
+ * paused mutations are replayed.
+ */
+export const reportNetworkError = () => {
+  onlineManager.setOnline(false);
+
+  if (!probeTimeout) {
+    probeTimeout = setTimeout(probe, PROBE_INTERVAL_MS);
+  }
+};
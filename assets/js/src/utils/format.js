@@ -0,0 +1,37 @@
+/**
+ * Formatting helpers shared across admin components.
+ */
+
+/**
+ * Format a byte count as a human readable size.
+ *
+ * @param {number} bytes - Size in bytes
+ * @param {number} decimals - Number of decimals to display
+ * @returns {string} Formatted size, e.g. "1.2 MB"
+ */
+export const formatBytes = (bytes, decimals = 1) => {
+  const value = Number(bytes) || 0;
+  if (value === 0) return '0 B';
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const index = Math.min(Math.floor(Math.log(Math.abs(value)) / Math.log(1024)), units.length - 1);
+
+  return `${(value / Math.pow(1024, index)).toFixed(index === 0 ? 0 : decimals)} ${units[index]}`;
+};
+
+/**
+ * Format a number of seconds as a short duration.
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration, e.g. "1h 5m" or "42s"
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+};
@@ -0,0 +1,105 @@
+/**
+ * Helpers for working with the server settings schema.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Validate a setting value against its schema field.
+ *
+ * Mirrors Settings::validate_setting() on the server so invalid values are
+ * caught before they are saved.
+ *
+ * @param {Object} field - Schema field definition
+ * @param {*} value - Value to validate
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+export const validateSetting = (field, value) => {
+  if (!field) return null;
+
+  switch (field.type) {
+    case 'int':
+      if (!Number.isInteger(value)) {
+        return __('Must be an integer', 'flux-media-optimizer');
+      }
+      if (field.min !== undefined && field.max !== undefined && (value < field.min || value > field.max)) {
+        return sprintf(
+          /* translators: 1: minimum value, 2: maximum value */
+          __('Must be between %1$d and %2$d', 'flux-media-optimizer'),
+          field.min,
+          field.max
+        );
+      }
+      return null;
+
+    case 'bool':
+      return typeof value === 'boolean' ? null : __('Must be true or false', 'flux-media-optimizer');
+
+    case 'string':
+      return typeof value === 'string' ? null : __('Must be a string', 'flux-media-optimizer');
+
+    case 'enum':
+      return field.options?.includes(value)
+        ? null
+        : sprintf(
+          /* translators: %s: comma separated list of allowed values */
+          __('Must be one of: %s', 'flux-media-optimizer'),
+          field.options?.join(', ')
+        );
+
+    case 'array':
+      if (!Array.isArray(value) || value.length === 0) {
+        return __('Select at least one option', 'flux-media-optimizer');
+      }
+      if (field.whitelist && value.some((item) => !field.whitelist.includes(item))) {
+        return sprintf(
+          /* translators: %s: comma separated list of allowed values */
+          __('Items must be any of: %s', 'flux-media-optimizer'),
+          field.whitelist.join(', ')
+        );
+      }
+      return null;
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Group schema fields by their group id, keeping the server order.
+ *
+ * @param {Object} schema - Settings schema with `groups` and `fields`
+ * @param {string} page - Only include groups shown on this page
+ * @returns {Array} Groups with a `fields` array each, without empty groups
+ */
+export const groupSchemaFields = (schema, page = 'settings') => {
+  const fields = Object.values(schema?.fields || {});
+
+  return (schema?.groups || [])
+    .filter((group) => (group.page || 'settings') === page)
+    .map((group) => ({
+      ...group,
+      fields: fields.filter((field) => field.group === group.id),
+    }))
+    .filter((group) => group.fields.length > 0);
+};
+
+/**
+ * Format a setting value for display, e.g. in the import diff or the change history.
+ *
+ * @param {*} value - Setting value
+ * @returns {string} Display value
+ */
+export const formatSettingValue = (value) => {
+  if (Array.isArray(value)) {
+    // Lists of objects, such as quality presets and conversion rules, are shown by name
+    return value.map((item) => (item && typeof item === 'object' ? item.label || item.name : item)).join(', ') || '—';
+  }
+  if (typeof value === 'boolean') {
+    return value ? __('On', 'flux-media-optimizer') : __('Off', 'flux-media-optimizer');
+  }
+  if (value === undefined || value === null || value === '') {
+    return '—';
+  }
+  return String(value);
+};
@@ -163,6 +163,7 @@ function flux_media_optimizer_deactivate() {
 	// Clear scheduled events.
 	wp_clear_scheduled_hook( 'flux_media_optimizer_cleanup' );
 	wp_clear_scheduled_hook( 'flux_media_optimizer_bulk_conversion' );
+	wp_unschedule_hook( 'flux_media_optimizer_bulk_job_batch' );
 
 	// Note: We don't drop tables on deactivation to preserve data
 	// Tables will only be dropped on uninstall
@@ -183,7 +184,9 @@ function flux_media_optimizer_uninstall() {
 	$tables = [
 		$wpdb->prefix . 'flux_media_optimizer_conversions',
 		$wpdb->prefix . 'flux_media_optimizer_logs',
+		$wpdb->prefix . 'flux_media_optimizer_conversion_history',
 		$wpdb->prefix . 'flux_media_optimizer_settings',
+		$wpdb->prefix . 'flux_media_optimizer_settings_audit',
 	];
 
 	foreach ( $tables as $table ) {
@@ -196,6 +199,7 @@ function flux_media_optimizer_uninstall() {
 		'flux_media_optimizer_settings',
 		'flux_media_optimizer_version',
 		'flux_media_optimizer_activation_redirect',
+		'flux_media_optimizer_bulk_job',
 	];
 
 	foreach ( $options as $option ) {
@@ -211,11 +215,18 @@ function flux_media_optimizer_uninstall() {
 		)
 	);
 
-	// Remove converted files from uploads directory using WordPress filesystem.
+	// Remove converted and quality preview files from uploads directory using WordPress filesystem.
 	$upload_dir = wp_upload_dir();
-	$flux_media_optimizer_dir = $upload_dir['basedir'] . '/flux-media-optimizer-converted';
+	$flux_media_optimizer_dirs = [
+		$upload_dir['basedir'] . '/flux-media-optimizer-converted',
+		$upload_dir['basedir'] . '/flux-media-optimizer-preview',
+	];
+
+	foreach ( $flux_media_optimizer_dirs as $flux_media_optimizer_dir ) {
+		if ( ! is_dir( $flux_media_optimizer_dir ) ) {
+			continue;
+		}
 
-	if ( is_dir( $flux_media_optimizer_dir ) ) {
 		// Use WordPress filesystem to remove directory and all contents.
 		global $wp_filesystem;
 		if ( $wp_filesystem && $wp_filesystem->is_dir( $flux_media_optimizer_dir ) ) {
@@ -234,6 +245,7 @@ function flux_media_optimizer_uninstall() {
 	// Clear any scheduled cron jobs.
 	wp_clear_scheduled_hook( 'flux_media_optimizer_cleanup' );
 	wp_clear_scheduled_hook( 'flux_media_optimizer_bulk_conversion' );
+	wp_unschedule_hook( 'flux_media_optimizer_bulk_job_batch' );
 
 	// Remove any transients.
 	$wpdb->query(
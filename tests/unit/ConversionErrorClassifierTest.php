@@ -0,0 +1,105 @@
+<?php
+/**
+ * Unit tests for conversion error classification.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\ConversionErrorClassifier;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Conversion error classifier tests.
+ *
+ * @since 2.1.0
+ */
+class ConversionErrorClassifierTest extends TestCase {
+
+    /**
+     * Provide error messages with their expected category.
+     *
+     * @since 2.1.0
+     * @return array Test cases.
+     */
+    public function messageProvider() {
+        return [
+            'unsupported file' => [ 'Unsupported file format', ConversionErrorClassifier::CATEGORY_UNSUPPORTED_FORMAT ],
+            'unsupported target' => [ 'Unsupported target format: avif', ConversionErrorClassifier::CATEGORY_UNSUPPORTED_FORMAT ],
+            'memory exhausted' => [ 'Allowed memory size of 134217728 bytes exhausted (tried to allocate 20480 bytes)', ConversionErrorClassifier::CATEGORY_MEMORY_LIMIT ],
+            'execution time' => [ 'Maximum execution time of 30 seconds exceeded', ConversionErrorClassifier::CATEGORY_TIMEOUT ],
+            'process timeout' => [ 'The process "ffmpeg -i in.mp4" exceeded the timeout of 3600 seconds.', ConversionErrorClassifier::CATEGORY_TIMEOUT ],
+            'missing av1 encoder' => [ 'Format AV1 is not supported or processor not available (AV1 support: no)', ConversionErrorClassifier::CATEGORY_MISSING_CODEC ],
+            'unknown encoder' => [ "Unknown encoder 'libaom-av1'", ConversionErrorClassifier::CATEGORY_MISSING_CODEC ],
+            'directory not writable' => [ 'Destination directory is not writable: /uploads/2024/01', ConversionErrorClassifier::CATEGORY_WRITE_PERMISSION ],
+            'permission denied' => [ 'imagewebp(/uploads/a.webp): Failed to open stream: Permission denied', ConversionErrorClassifier::CATEGORY_WRITE_PERMISSION ],
+            'generic failure' => [ 'AV1 conversion failed for format: av1', ConversionErrorClassifier::CATEGORY_UNKNOWN ],
+        ];
+    }
+
+    /**
+     * Test single messages map to the expected category.
+     *
+     * @since 2.1.0
+     * @dataProvider messageProvider
+     * @param string $message Error message.
+     * @param string $expected Expected category.
+     * @return void
+     */
+    public function testClassifiesMessage( $message, $expected ) {
+        // Act
+        $category = ConversionErrorClassifier::classify( $message );
+
+        // Assert
+        $this->assertSame( $expected, $category );
+    }
+
+    /**
+     * Test resource errors win over format errors in the same list.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testResourceErrorsTakePrecedence() {
+        // Arrange
+        $messages = [
+            'Format WebM is not supported or processor not available',
+            'Allowed memory size of 268435456 bytes exhausted',
+        ];
+
+        // Act
+        $category = ConversionErrorClassifier::classify( $messages );
+
+        // Assert
+        $this->assertSame( ConversionErrorClassifier::CATEGORY_MEMORY_LIMIT, $category );
+    }
+
+    /**
+     * Test empty input falls back to the unknown category.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testEmptyMessagesAreUnknown() {
+        // Act & Assert
+        $this->assertSame( ConversionErrorClassifier::CATEGORY_UNKNOWN, ConversionErrorClassifier::classify( [] ) );
+        $this->assertSame( ConversionErrorClassifier::CATEGORY_UNKNOWN, ConversionErrorClassifier::classify( [ '', null ] ) );
+    }
+
+    /**
+     * Test the category list ends with the fallback category.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testCategoriesIncludeUnknown() {
+        // Act
+        $categories = ConversionErrorClassifier::get_categories();
+
+        // Assert
+        $this->assertCount( 6, $categories );
+        $this->assertSame( ConversionErrorClassifier::CATEGORY_UNKNOWN, end( $categories ) );
+    }
+}
@@ -0,0 +1,239 @@
+<?php
+/**
+ * Unit tests for conversion rule matching.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\ConversionRules;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Conversion rules tests.
+ *
+ * @since 2.1.0
+ */
+class ConversionRulesTest extends TestCase {
+
+    /**
+     * Build a rule with defaults for the keys a test does not care about.
+     *
+     * @since 2.1.0
+     * @param array $rule Rule overrides.
+     * @return array Rule.
+     */
+    private function make_rule( $rule ) {
+        return array_merge( [
+            'id' => 'rule',
+            'name' => 'Rule',
+            'enabled' => true,
+            'conditions' => [],
+            'action' => ConversionRules::ACTION_CONVERT,
+            'image_formats' => [],
+            'video_formats' => [],
+            'quality' => [],
+        ], $rule );
+    }
+
+    /**
+     * Build an attachment context.
+     *
+     * @since 2.1.0
+     * @param array $context Context overrides.
+     * @return array Context.
+     */
+    private function make_context( $context = [] ) {
+        return array_merge( [
+            ConversionRules::FIELD_POST_TYPE => 'post',
+            ConversionRules::FIELD_MIME_TYPE => 'image/jpeg',
+            ConversionRules::FIELD_FILE_SIZE => 200 * 1024,
+            ConversionRules::FIELD_PATH => '2024/05/photo.jpg',
+        ], $context );
+    }
+
+    /**
+     * Provide single conditions with a context and whether they match.
+     *
+     * @since 2.1.0
+     * @return array Test cases.
+     */
+    public function conditionProvider() {
+        return [
+            'post type is' => [ [ 'field' => 'post_type', 'operator' => 'is', 'value' => 'product' ], [ 'post_type' => 'product' ], true ],
+            'post type is other' => [ [ 'field' => 'post_type', 'operator' => 'is', 'value' => 'product' ], [], false ],
+            'post type is not' => [ [ 'field' => 'post_type', 'operator' => 'is_not', 'value' => 'product' ], [], true ],
+            'unattached' => [ [ 'field' => 'post_type', 'operator' => 'is', 'value' => '' ], [ 'post_type' => '' ], true ],
+            'mime wildcard' => [ [ 'field' => 'mime_type', 'operator' => 'is', 'value' => 'image/*' ], [], true ],
+            'mime is not' => [ [ 'field' => 'mime_type', 'operator' => 'is_not', 'value' => 'image/png' ], [], true ],
+            'smaller than' => [ [ 'field' => 'file_size', 'operator' => 'less_than', 'value' => 50 ], [ 'file_size' => 49 * 1024 ], true ],
+            'not smaller than' => [ [ 'field' => 'file_size', 'operator' => 'less_than', 'value' => 50 ], [ 'file_size' => 50 * 1024 ], false ],
+            'larger than' => [ [ 'field' => 'file_size', 'operator' => 'greater_than', 'value' => 100 ], [], true ],
+            'path pattern' => [ [ 'field' => 'path', 'operator' => 'matches', 'value' => '2024/*' ], [], true ],
+            'path is case insensitive' => [ [ 'field' => 'path', 'operator' => 'matches', 'value' => '*PHOTO*' ], [], true ],
+            'path must match fully' => [ [ 'field' => 'path', 'operator' => 'matches', 'value' => '2024' ], [], false ],
+            'path pattern is literal' => [ [ 'field' => 'path', 'operator' => 'matches', 'value' => '2024/05/photo.jp?' ], [], false ],
+            'path does not match' => [ [ 'field' => 'path', 'operator' => 'not_matches', 'value' => 'blog/*' ], [], true ],
+            'unknown operator' => [ [ 'field' => 'path', 'operator' => 'contains', 'value' => 'photo' ], [], false ],
+        ];
+    }
+
+    /**
+     * Test each condition type against a context.
+     *
+     * @since 2.1.0
+     * @dataProvider conditionProvider
+     * @param array $condition Condition.
+     * @param array $context Context overrides.
+     * @param bool  $expected Whether the rule should match.
+     * @return void
+     */
+    public function testMatchesCondition( $condition, $context, $expected ) {
+        // Arrange
+        $rule = $this->make_rule( [ 'conditions' => [ $condition ] ] );
+
+        // Act
+        $match = ConversionRules::find_match( [ $rule ], $this->make_context( $context ) );
+
+        // Assert
+        $this->assertSame( $expected, null !== $match );
+    }
+
+    /**
+     * Test all conditions of a rule must hold.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testRequiresAllConditions() {
+        // Arrange
+        $rule = $this->make_rule( [
+            'conditions' => [
+                [ 'field' => 'post_type', 'operator' => 'is', 'value' => 'post' ],
+                [ 'field' => 'file_size', 'operator' => 'less_than', 'value' => 50 ],
+            ],
+        ] );
+
+        // Act & Assert
+        $this->assertNull( ConversionRules::find_match( [ $rule ], $this->make_context() ) );
+        $this->assertSame( $rule, ConversionRules::find_match( [ $rule ], $this->make_context( [ 'file_size' => 10 * 1024 ] ) ) );
+    }
+
+    /**
+     * Provide conditions with an unknown field or operator.
+     *
+     * @since 2.1.0
+     * @return array Test cases.
+     */
+    public function invalidConditionProvider() {
+        return [
+            'unknown field' => [ [ 'field' => 'post_typ', 'operator' => 'is', 'value' => 'product' ] ],
+            'operator not allowed for field' => [ [ 'field' => 'post_type', 'operator' => 'less_than', 'value' => 'product' ] ],
+            'missing operator' => [ [ 'field' => 'mime_type', 'value' => 'image/png' ] ],
+            'not an object' => [ 'post_type is product' ],
+        ];
+    }
+
+    /**
+     * Test a rule with an invalid condition never matches instead of matching everything.
+     *
+     * @since 2.1.0
+     * @dataProvider invalidConditionProvider
+     * @param mixed $condition Invalid condition.
+     * @return void
+     */
+    public function testInvalidConditionNeverMatches( $condition ) {
+        // Arrange
+        $skip = $this->make_rule( [
+            'action' => ConversionRules::ACTION_SKIP,
+            'conditions' => [ $condition ],
+        ] );
+
+        // Act
+        $match = ConversionRules::find_match( [ $skip ], $this->make_context( [ 'post_type' => 'product', 'mime_type' => 'image/png' ] ) );
+
+        // Assert
+        $this->assertFalse( ConversionRules::is_valid_condition( $condition ) );
+        $this->assertNull( $match );
+    }
+
+    /**
+     * Test the first enabled matching rule wins.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testFirstEnabledMatchWins() {
+        // Arrange
+        $disabled = $this->make_rule( [ 'id' => 'disabled', 'enabled' => false ] );
+        $products = $this->make_rule( [
+            'id' => 'products',
+            'conditions' => [ [ 'field' => 'post_type', 'operator' => 'is', 'value' => 'product' ] ],
+        ] );
+        $catch_all = $this->make_rule( [ 'id' => 'catch_all' ] );
+        $rules = [ $disabled, $products, $catch_all ];
+
+        // Act
+        $product_match = ConversionRules::find_match( $rules, $this->make_context( [ 'post_type' => 'product' ] ) );
+        $post_match = ConversionRules::find_match( $rules, $this->make_context() );
+
+        // Assert
+        $this->assertSame( 'products', $product_match['id'] );
+        $this->assertSame( 'catch_all', $post_match['id'] );
+    }
+
+    /**
+     * Test a convert rule overrides formats and only the quality it sets.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testApplyOverridesFormatsAndQuality() {
+        // Arrange
+        $settings = [
+            'image_formats' => [ 'webp', 'avif' ],
+            'video_formats' => [ 'av1', 'webm' ],
+            'image_webp_quality' => 75,
+            'image_avif_quality' => 55,
+            'image_auto_convert' => true,
+        ];
+        $rule = $this->make_rule( [
+            'image_formats' => [ 'avif' ],
+            'quality' => [ 'image_avif_quality' => 60, 'image_auto_convert' => false ],
+        ] );
+
+        // Act
+        $applied = ConversionRules::apply( $rule, $settings );
+
+        // Assert
+        $this->assertSame( [ 'avif' ], $applied['image_formats'] );
+        $this->assertSame( [ 'av1', 'webm' ], $applied['video_formats'] );
+        $this->assertSame( 60, $applied['image_avif_quality'] );
+        $this->assertSame( 75, $applied['image_webp_quality'] );
+        $this->assertTrue( $applied['image_auto_convert'] );
+    }
+
+    /**
+     * Test skip rules and missing rules leave the settings alone.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testSkipRuleKeepsSettings() {
+        // Arrange
+        $settings = [ 'image_formats' => [ 'webp' ], 'image_webp_quality' => 75 ];
+        $rule = $this->make_rule( [
+            'action' => ConversionRules::ACTION_SKIP,
+            'image_formats' => [ 'avif' ],
+            'quality' => [ 'image_webp_quality' => 50 ],
+        ] );
+
+        // Act & Assert
+        $this->assertTrue( ConversionRules::is_skip( $rule ) );
+        $this->assertFalse( ConversionRules::is_skip( null ) );
+        $this->assertSame( $settings, ConversionRules::apply( $rule, $settings ) );
+        $this->assertSame( $settings, ConversionRules::apply( null, $settings ) );
+    }
+}
@@ -0,0 +1,175 @@
+<?php
+/**
+ * Unit tests for conversion savings timeseries buckets.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\ConversionTracker;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Conversion tracker tests.
+ *
+ * @since 2.1.0
+ */
+class ConversionTrackerTest extends TestCase {
+
+    /**
+     * Timezone before the test.
+     *
+     * @since 2.1.0
+     * @var string
+     */
+    private $timezone;
+
+    /**
+     * Use UTC like WordPress does.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    protected function setUp(): void {
+        $this->timezone = date_default_timezone_get();
+        date_default_timezone_set( 'UTC' );
+    }
+
+    /**
+     * Restore the timezone.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    protected function tearDown(): void {
+        date_default_timezone_set( $this->timezone );
+    }
+
+    /**
+     * Build a grouped savings row.
+     *
+     * @since 2.1.0
+     * @param string $period Bucket start date.
+     * @param string $file_type File type.
+     * @param int    $savings Bytes saved.
+     * @param int    $count Number of conversions.
+     * @return array Row.
+     */
+    private function make_row( $period, $file_type, $savings, $count = 1 ) {
+        return [
+            'period' => $period,
+            'file_type' => $file_type,
+            'total_original' => (string) ( $savings * 2 ),
+            'total_converted' => (string) $savings,
+            'total_savings' => (string) $savings,
+            'count' => (string) $count,
+        ];
+    }
+
+    /**
+     * Test weeks start on Monday and weeks without conversions are filled with zeros.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testWeeklyBucketsStartOnMondayAndFillGaps() {
+        // Arrange: Wednesday 2024-05-08 through Tuesday 2024-05-21
+        $from = strtotime( '2024-05-08 12:00:00' );
+        $to = strtotime( '2024-05-21 12:00:00' );
+        $rows = [
+            $this->make_row( '2024-04-29', 'webp', 500 ),
+            $this->make_row( '2024-05-13', 'webp', 100, 2 ),
+            $this->make_row( '2024-05-13', 'avif', 50 ),
+        ];
+
+        // Act
+        $buckets = ConversionTracker::fill_timeseries_buckets( $rows, 'week', $from, $to );
+
+        // Assert
+        $this->assertSame( [ '2024-05-06', '2024-05-13', '2024-05-20' ], array_column( $buckets, 'period' ) );
+        $this->assertSame( 0, $buckets[0]['count'] );
+        $this->assertSame( [], $buckets[0]['by_type'] );
+        $this->assertSame( 3, $buckets[1]['count'] );
+        $this->assertSame( 300, $buckets[1]['total_original_bytes'] );
+        $this->assertSame( 150, $buckets[1]['total_converted_bytes'] );
+        $this->assertSame( 150, $buckets[1]['total_savings_bytes'] );
+        $this->assertSame( [ 'webp' => 100, 'avif' => 50 ], $buckets[1]['by_type'] );
+        $this->assertSame( 0, $buckets[2]['count'] );
+    }
+
+    /**
+     * Test months start on the first and a range ending on the first includes that month.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testMonthlyBucketsCrossMonthBoundaries() {
+        // Arrange
+        $from = strtotime( '2024-01-31 00:00:00' );
+        $to = strtotime( '2024-03-01 00:00:00' );
+        $rows = [
+            $this->make_row( '2024-02-01', 'avif', 200, 4 ),
+            $this->make_row( '2024-03-01', 'webp', 10 ),
+        ];
+
+        // Act
+        $buckets = ConversionTracker::fill_timeseries_buckets( $rows, 'month', $from, $to );
+
+        // Assert
+        $this->assertSame( [ '2024-01-01', '2024-02-01', '2024-03-01' ], array_column( $buckets, 'period' ) );
+        $this->assertSame( [ 0, 200, 10 ], array_column( $buckets, 'total_savings_bytes' ) );
+        $this->assertSame( [ 0, 4, 1 ], array_column( $buckets, 'count' ) );
+    }
+
+    /**
+     * Test daily buckets cover every day of the range.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testDailyBucketsCoverEveryDay() {
+        // Arrange
+        $from = strtotime( '2024-02-28 08:00:00' );
+        $to = strtotime( '2024-03-01 20:00:00' );
+        $rows = [ $this->make_row( '2024-02-29', 'webp', 42 ) ];
+
+        // Act
+        $buckets = ConversionTracker::fill_timeseries_buckets( $rows, 'day', $from, $to );
+
+        // Assert
+        $this->assertSame( [ '2024-02-28', '2024-02-29', '2024-03-01' ], array_column( $buckets, 'period' ) );
+        $this->assertSame( [ 0, 42, 0 ], array_column( $buckets, 'total_savings_bytes' ) );
+    }
+
+    /**
+     * Provide bucket intervals.
+     *
+     * @since 2.1.0
+     * @return array Test cases.
+     */
+    public function intervalProvider() {
+        return [
+            'day' => [ 'day' ],
+            'week' => [ 'week' ],
+            'month' => [ 'month' ],
+        ];
+    }
+
+    /**
+     * Test bucket expressions contain no `%`, which $wpdb->prepare() would read as a placeholder.
+     *
+     * @since 2.1.0
+     * @dataProvider intervalProvider
+     * @param string $interval Bucket size.
+     * @return void
+     */
+    public function testBucketExpressionHasNoPlaceholders( $interval ) {
+        // Act
+        $expression = ConversionTracker::get_bucket_expression( $interval );
+
+        // Assert
+        $this->assertStringNotContainsString( '%', $expression );
+    }
+}
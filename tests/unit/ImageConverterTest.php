@@ -11,6 +11,7 @@ namespace FluxMedia\Tests\Unit;
 use FluxMedia\App\Services\ImageConverter;
 use FluxMedia\Tests\Support\Mocks\NoopLogger;
 use FluxMedia\App\Services\Converter;
+use FluxMedia\App\Services\ProcessorTypes;
 use PHPUnit\Framework\TestCase;
 
 /**
@@ -244,6 +245,10 @@ class ImageConverterTest extends TestCase {
         $this->assertArrayHasKey( $target_format, $result['converted_files'] );
         $this->assertEquals( $output_file, $result['converted_files'][ $target_format ] );
 
+        // Verify the processor that produced the file is reported
+        $this->assertArrayHasKey( 'processors', $result );
+        $this->assertTrue( ProcessorTypes::is_image_processor( $result['processors'][ $target_format ] ?? null ) );
+
         // Verify output file exists and has content
         $this->assertFileExists( $output_file );
         $this->assertGreaterThan( 0, filesize( $output_file ) );
@@ -0,0 +1,108 @@
+<?php
+/**
+ * Unit tests for settings audit diffs.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since 2.1.0
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\SettingsAuditService;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Settings audit tests.
+ *
+ * @since 2.1.0
+ */
+class SettingsAuditServiceTest extends TestCase {
+
+    /**
+     * Test only settings whose value changed are listed.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testDiffListsChangedSettings() {
+        // Arrange
+        $old = [
+            'image_auto_convert' => true,
+            'image_webp_quality' => 75,
+            'image_formats' => [ 'webp', 'avif' ],
+        ];
+        $new = [
+            'image_auto_convert' => false,
+            'image_webp_quality' => 75,
+            'image_formats' => [ 'webp' ],
+        ];
+
+        // Act
+        $changes = SettingsAuditService::diff( $old, $new );
+
+        // Assert
+        $this->assertSame( [
+            [ 'key' => 'image_auto_convert', 'old' => true, 'new' => false ],
+            [ 'key' => 'image_formats', 'old' => [ 'webp', 'avif' ], 'new' => [ 'webp' ] ],
+        ], $changes );
+    }
+
+    /**
+     * Test a setting that did not exist before is listed with a null old value.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testDiffListsNewSettings() {
+        // Act
+        $changes = SettingsAuditService::diff( [], [ 'log_retention_days' => 30 ] );
+
+        // Assert
+        $this->assertSame( [ [ 'key' => 'log_retention_days', 'old' => null, 'new' => 30 ] ], $changes );
+    }
+
+    /**
+     * Provide values of masked and unmasked settings.
+     *
+     * @since 2.1.0
+     * @return array Test cases.
+     */
+    public function maskProvider() {
+        return [
+            'license key' => [ 'license_key', 'ABCD-1234-EFGH-5678', '********5678' ],
+            'short license key' => [ 'license_key', 'ABCD1234', '********' ],
+            'empty license key' => [ 'license_key', '', '' ],
+            'other setting' => [ 'log_level', 'debug', 'debug' ],
+        ];
+    }
+
+    /**
+     * Test sensitive values are masked.
+     *
+     * @since 2.1.0
+     * @dataProvider maskProvider
+     * @param string $key Setting key.
+     * @param mixed  $value Setting value.
+     * @param mixed  $expected Stored value.
+     * @return void
+     */
+    public function testMaskValue( $key, $value, $expected ) {
+        // Act & Assert
+        $this->assertSame( $expected, SettingsAuditService::mask_value( $key, $value ) );
+    }
+
+    /**
+     * Test the diff masks sensitive values.
+     *
+     * @since 2.1.0
+     * @return void
+     */
+    public function testDiffMasksLicenseKey() {
+        // Act
+        $changes = SettingsAuditService::diff( [ 'license_key' => '' ], [ 'license_key' => 'ABCD-1234-EFGH-5678' ] );
+
+        // Assert
+        $this->assertSame( '', $changes[0]['old'] );
+        $this->assertSame( '********5678', $changes[0]['new'] );
+    }
+}
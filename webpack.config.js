@@ -5,6 +5,7 @@ module.exports = {
   entry: {
     admin: './assets/js/src/admin/index.js',
     attachment: './assets/js/src/admin/attachment.js',
+    editor: './assets/js/src/editor/index.js',
   },
   output: {
     path: path.resolve(__dirname, 'assets/js/dist'),
@@ -24,6 +25,7 @@ module.exports = {
         exclude: [
           /node_modules/,
           path.resolve(__dirname, 'assets/js/src/admin/attachment.js'),
+          path.resolve(__dirname, 'assets/js/src/editor'),
         ],
         use: {
           loader: 'babel-loader',
@@ -67,6 +69,34 @@ module.exports = {
           },
         },
       },
+      {
+        // The block editor bundle renders with wp.element instead of bundled React
+        test: /\.js$/,
+        exclude: /node_modules/,
+        include: [
+          path.resolve(__dirname, 'assets/js/src/editor'),
+        ],
+        use: {
+          loader: 'babel-loader',
+          options: {
+            presets: [
+              '@babel/preset-env',
+              ['@babel/preset-react', { pragma: 'createElement', pragmaFrag: 'Fragment' }],
+            ],
+            plugins: [
+              [
+                'module-resolver',
+                {
+                  root: ['./assets/js/src'],
+                  alias: {
+                    '@flux-media-optimizer': './assets/js/src',
+                  },
+                },
+              ],
+            ],
+          },
+        },
+      },
       {
         test: /\.css$/i,
         use: ['style-loader', 'css-loader'],
@@ -92,7 +122,9 @@ module.exports = {
     // WordPress globals
     'wp': 'wp',
     'jquery': 'jQuery',
+    '@wordpress/block-editor': 'wp.blockEditor',
     '@wordpress/components': 'wp.components',
+    '@wordpress/compose': 'wp.compose',
     '@wordpress/data': 'wp.data',
     '@wordpress/element': 'wp.element',
     '@wordpress/hooks': 'wp.hooks',